@@ -0,0 +1,15 @@
+/**
+ * Jest runs every package's __tests__ from the repository root
+ * Workspace packages are resolved from source, so specs always exercise the code next to them.
+ */
+export default {
+    testEnvironment: 'node',
+    transform: {},
+    testMatch: ['**/__tests__/**/*.test.js'],
+    moduleNameMapper: {
+        '^@myorg/(.*)$': [
+            '<rootDir>/my-lib/utilities/$1/index.js',
+            '<rootDir>/my-lib/services/$1/index.js'
+        ]
+    }
+};
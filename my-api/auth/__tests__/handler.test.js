@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+
+process.env['ENVIRONMENT'] = 'test';
+process.env['APP_NAME'] = 'app';
+process.env['SERVICE_NAME'] = 'auth';
+
+const database = await import('@myorg/database');
+const table = (name) => database.tableName(name);
+
+const memory = new database.MemoryDatabaseService({
+    tables: {
+        [table('userProfile')]: { partition: 'userId' },
+        [table('userRole')]: { partition: 'number' },
+        [table('role')]: { partition: 'code' },
+        [table('community')]: { partition: 'name' },
+        [table('sequence')]: { partition: 'key' }
+    }
+});
+const previous = database.setDatabaseService(memory);
+const handler = await import('../handler.js');
+
+const event = (body = {}, headers = {}, userId = 'u1') => ({
+    body: JSON.stringify(body),
+    headers,
+    requestContext: {
+        identity: {
+            cognitoAuthenticationProvider: `cognito-idp.eu-west-1.amazonaws.com/pool,cognito-idp.eu-west-1.amazonaws.com/pool:CognitoSignIn:${userId}`,
+            cognitoIdentityId: `identity-${userId}`
+        }
+    }
+});
+
+const profile = { userId: 'u1', identityId: 'identity-u1', firstName: 'Ada', email: 'ada@example.com' };
+
+beforeEach(() => {
+    memory.reset();
+    memory.seed(table('role'), [
+        { code: 'USER', number: 1, name: 'User', type: 'Default' },
+        { code: 'PARENT', number: 2, name: 'Parent', type: 'Family' }
+    ]);
+    memory.seed(table('community'), [{ name: 'Family', number: 2 }, { name: 'Friends', number: 1 }]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    database.setDatabaseService(previous);
+});
+
+describe('createOrUpdateUserProfile', () => {
+    test('creates a profile with the default role and returns its ETag', async () => {
+        const result = await handler.createOrUpdateUserProfile(event(profile));
+
+        expect(result.statusCode).toBe(200);
+        expect(result.headers.ETag).toBe('"1"');
+        expect(result.headers['Access-Control-Expose-Headers']).toContain('ETag');
+        expect(result.headers['Access-Control-Allow-Headers']).toContain('If-Match');
+        const body = JSON.parse(result.body);
+        expect(body).toMatchObject({ userId: 'u1', number: 1, firstName: 'Ada', mailingFlag: true });
+        expect(body.roles.map((role) => role.code)).toEqual(['USER']);
+        expect(memory.dump(table('userRole'))).toEqual([
+            expect.objectContaining({ number: 1, userNumber: 1, roleList: [{ id: 1, name: 'User' }] })
+        ]);
+    });
+
+    test('adds the family roles when the profile has family members', async () => {
+        const result = await handler.createOrUpdateUserProfile(event({ ...profile, family: { members: [] } }));
+
+        expect(JSON.parse(result.body).roles.map((role) => role.code)).toEqual(['USER', 'PARENT']);
+    });
+
+    test('updates an existing profile and moves its ETag on', async () => {
+        const created = await handler.createOrUpdateUserProfile(event(profile));
+
+        const result = await handler.createOrUpdateUserProfile(event({ userId: 'u1', lastName: 'Lovelace' }, { 'If-Match': created.headers.ETag }));
+
+        expect(result.statusCode).toBe(200);
+        expect(result.headers.ETag).toBe('"2"');
+        expect(JSON.parse(result.body)).toMatchObject({ firstName: 'Ada', lastName: 'Lovelace', version: 2 });
+    });
+
+    test('accepts an update without If-Match', async () => {
+        await handler.createOrUpdateUserProfile(event(profile));
+
+        const result = await handler.createOrUpdateUserProfile(event({ userId: 'u1', city: 'London' }));
+
+        expect(result.statusCode).toBe(200);
+        expect(JSON.parse(result.body).city).toBe('London');
+    });
+
+    test('answers a stale If-Match with 409 and leaves the profile unchanged', async () => {
+        const created = await handler.createOrUpdateUserProfile(event(profile));
+        await handler.createOrUpdateUserProfile(event({ userId: 'u1', lastName: 'Lovelace' }, { 'If-Match': created.headers.ETag }));
+
+        const result = await handler.createOrUpdateUserProfile(event({ userId: 'u1', lastName: 'Byron' }, { 'if-match': created.headers.ETag }));
+
+        expect(result.statusCode).toBe(409);
+        expect(JSON.parse(result.body).error.code).toBe('CONFLICT');
+        expect(memory.dump(table('userProfile'))).toEqual([expect.objectContaining({ lastName: 'Lovelace', version: 2 })]);
+    });
+
+    test('rejects a malformed If-Match with 400 instead of skipping the version check', async () => {
+        await handler.createOrUpdateUserProfile(event(profile));
+
+        const result = await handler.createOrUpdateUserProfile(event({ userId: 'u1', lastName: 'Byron' }, { 'If-Match': '"abc"' }));
+
+        expect(result.statusCode).toBe(400);
+        expect(memory.dump(table('userProfile'))).toEqual([expect.objectContaining({ firstName: 'Ada', version: 1 })]);
+    });
+
+    test('treats If-Match: * as any version', async () => {
+        await handler.createOrUpdateUserProfile(event(profile));
+
+        const result = await handler.createOrUpdateUserProfile(event({ userId: 'u1', city: 'London' }, { 'If-Match': '*' }));
+
+        expect(result.statusCode).toBe(200);
+    });
+
+    test('answers 409 when the body belongs to another user', async () => {
+        await handler.createOrUpdateUserProfile(event(profile));
+
+        const result = await handler.createOrUpdateUserProfile(event({ userId: 'u2', lastName: 'Byron' }));
+
+        expect(result.statusCode).toBe(409);
+    });
+});
+
+describe('findUserProfile', () => {
+    test('returns the stored profile with its ETag', async () => {
+        await handler.createOrUpdateUserProfile(event(profile));
+
+        const result = await handler.findUserProfile(event());
+
+        expect(result.statusCode).toBe(200);
+        expect(result.headers.ETag).toBe('"1"');
+        expect(JSON.parse(result.body)).toMatchObject({ userId: 'u1', firstName: 'Ada' });
+    });
+
+    test('returns no profile and no ETag for an unknown user', async () => {
+        const result = await handler.findUserProfile(event({}, {}, 'unknown'));
+
+        expect(result.statusCode).toBe(200);
+        expect(JSON.parse(result.body)).toBeNull();
+        expect(result.headers.ETag).toBeUndefined();
+    });
+
+    test('answers a failed read with an error instead of an empty profile', async () => {
+        jest.spyOn(memory, 'get').mockRejectedValue(new Error('Service unavailable'));
+
+        const result = await handler.findUserProfile(event());
+
+        expect(result.statusCode).toBe(500);
+        expect(JSON.parse(result.body).error).toBeDefined();
+    });
+});
@@ -1,7 +1,30 @@
 'use strict';
-import * as database from '@taleofddh/database';
-import * as response from '@taleofddh/response';
-const table = process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + process.env['TABLE_NAME'];
+import * as database from '@myorg/database';
+import * as response from '@myorg/response';
+import { ErrorHandler } from '@myorg/error';
+
+const UserProfile = database.entity({
+    name: 'userProfile',
+    table: process.env['TABLE_NAME'] || 'userProfile',
+    key: { partition: 'userId' },
+    versioned: true
+});
+const UserRole = database.entity({ name: 'userRole', table: 'userRole', key: { partition: 'number' } });
+const Role = database.entity({ name: 'role', table: 'role', key: { partition: 'code' } });
+const Community = database.entity({ name: 'community', table: 'community', key: { partition: 'name' } });
+
+const sequences = database.sequence();
+
+// Turns thrown errors into API responses, e.g. ConflictError from a stale If-Match into a 409
+const errorResponse = (error, context) => {
+    const classified = ErrorHandler.handleError(error, context);
+    return response.createErrorResponse(classified.error.message, classified.statusCode, classified.error.code, classified.error.details, classified.correlationId);
+};
+
+const versionHeaders = (item) => {
+    const etag = UserProfile.toETag(item);
+    return etag ? { "ETag": etag } : {};
+};
 
 export const findIdentity = async (event) => {
     let userId = event.requestContext.identity.cognitoAuthenticationProvider.match(/CognitoSignIn:([^:]+)$/)[1];
@@ -13,59 +36,40 @@ export const findIdentity = async (event) => {
     return response.createResponse(identity, 200);
 };
 
-export const findUserProfile = async (event) => {
-    let userId = event.requestContext.identity.cognitoAuthenticationProvider.match(/CognitoSignIn:([^:]+)$/)[1];
-    let params = {
-        TableName: table,
-        Key: {
-            "userId": userId
-        }
-    };
-    const userProfile = (!userId || false) ? {} : await database.get(params);
-    return response.createResponse(userProfile, 200);
+export const findUserProfile = async (event, context) => {
+    try {
+        let userId = event.requestContext.identity.cognitoAuthenticationProvider.match(/CognitoSignIn:([^:]+)$/)[1];
+        const userProfile = (!userId || false) ? {} : await UserProfile.get({ userId });
+        return response.createResponse(userProfile, 200, null, versionHeaders(userProfile));
+    } catch (error) {
+        return errorResponse(error, context);
+    }
 };
 
-export const createOrUpdateUserProfile = async (event) => {
-    const data = JSON.parse(event.body);
-    let userId = event.requestContext.identity.cognitoAuthenticationProvider.match(/CognitoSignIn:([^:]+)$/)[1];
-    let params = {
-        TableName: table,
-        Key: {
-            "userId": userId
+export const createOrUpdateUserProfile = async (event, context) => {
+    try {
+        const data = JSON.parse(event.body);
+        let userId = event.requestContext.identity.cognitoAuthenticationProvider.match(/CognitoSignIn:([^:]+)$/)[1];
+        const existingProfile = await UserProfile.get({ userId });
+        const expectedVersion = database.fromETag(event.headers?.['If-Match'] || event.headers?.['if-match']);
+        let userProfile;
+        if(!existingProfile) {
+            userProfile = await createProfile(data, userId);
+        } else {
+            userProfile = await updateProfile(data, userId, expectedVersion);
         }
-    };
-    const existingProfile = await database.get(params);
-    let userProfile;
-    if(!existingProfile) {
-        userProfile = await createProfile(data, userId);
-    } else {
-        userProfile = await updateProfile(data, userId);
-    }
 
-    return response.createResponse(userProfile, 200);
+        return response.createResponse(userProfile, 200, null, versionHeaders(userProfile));
+    } catch (error) {
+        return errorResponse(error, context);
+    }
 }
 
 const createProfile = async (data, userId) => {
-    let params = {};
-    /*params = {
-        TableName: process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + 'sequence',
-        Key: {
-            "key": "user_seq"
-        },
-        UpdateExpression: "SET #sequence = #sequence + :inc",
-        ExpressionAttributeNames: {
-            "#sequence": "sequence"
-        },
-        ExpressionAttributeValues: { ":inc": 1 },
-        ReturnValues: "ALL_NEW"
-    }
-    const sequenceDoc = await database.update(params);*/
+    const userNumber = await sequences.next('user_seq');
 
     let communityList = [];
-    params = {
-        TableName: process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + 'community'
-    }
-    const allCommunities = await database.scan(params)
+    const allCommunities = await Community.listAll();
     allCommunities.sort((a, b) => (a.number > b.number) ? 1 : ((b.number > a.number) ? -1 : 0));
     for(let i in allCommunities) {
         let checked = false;
@@ -74,65 +78,37 @@ const createProfile = async (data, userId) => {
         }
         communityList.push({"id": allCommunities[i].number, "name": allCommunities[i].name, "checked": false})
     }
-    /*params = {
-        TableName: process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + 'sequence',
-        Key: {
-            "key": "userRole_seq"
-        },
-        UpdateExpression: "SET #sequence = #sequence + :inc",
-        ExpressionAttributeNames: {
-            "#sequence": "sequence"
-        },
-        ExpressionAttributeValues: { ":inc": 1 },
-        ReturnValues: "ALL_NEW"
-    }
-    const roleSequenceDoc = await database.update(params);*/
-    params = {
-        TableName: process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + 'role',
-        Key: {
-            "code": "USER",
-        }
-    };
-    const defaultRole = await database.get(params);
+    const userRoleNumber = await sequences.next('userRole_seq');
+    const defaultRole = await Role.get({ code: 'USER' });
     let familyRoles = [];
     if(data.hasOwnProperty('family') && data.family && data.family.hasOwnProperty('members')) {
-        params = {
-            TableName: process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + + '.' + process.env['SERVICE_NAME'] + '.' + 'role',
-            ProjectionExpression: "#number, code, #name, #type",
-            FilterExpression: '#type = :type',
-            ExpressionAttributeNames: {
-                '#number': 'number',
-                '#name': 'name',
-                '#type': 'type'
-            },
-            ExpressionAttributeValues: {
-                ':type': 'Family'
-            },
-        };
-        familyRoles = await database.scan(params);
+        familyRoles = await Role.listAll({
+            filter: database.conditions.eq('type', 'Family'),
+            projection: ['number', 'code', 'name', 'type']
+        });
     }
     const roles = [];
     roles.push(defaultRole);
     for(let i = 0; i< familyRoles.length; i++) {
         roles.push(familyRoles[i]);
     }
-    /*const userRole = {
-        TableName: process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + 'userRole',
+    const userRole = {
+        TableName: UserRole.tableName(),
         Item: {
-            number: roleSequenceDoc.sequence,
-            userNumber: sequenceDoc.sequence,
+            number: userRoleNumber,
+            userNumber: userNumber,
             roleList: [{
                 id: defaultRole.number,
                 name: defaultRole.name
             }]
         }
     }
-    await database.put(userRole);*/
     const now = JSON.parse(JSON.stringify(new Date()));
     const profile = {
-        TableName: data.hasOwnProperty('table') ? process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + data.table : table,
+        TableName: data.hasOwnProperty('table') ? database.tableName(data.table) : UserProfile.tableName(),
         Item: {
             "userId": data.userId,
+            "number": userNumber,
             "identityId": data.identityId,
             "roles": roles,
             "firstName": data.firstName ? data.firstName : '',
@@ -153,75 +129,35 @@ const createProfile = async (data, userId) => {
             "lastLogin": now
         }
     }
-    const doc = (!userId || false) ? {} : await database.put(profile);
-    params = {
-        TableName: data.hasOwnProperty('table') ? process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + data.table : table,
+    if(userId) {
+        await database.transaction()
+            .put(profile, { versioned: UserProfile.versioned })
+            .put(userRole)
+            .commit();
+    }
+    return await database.get({
+        TableName: profile.TableName,
         Key: {
             "userId": data.userId
         }
-    }
-    return await database.get(params);
+    });
 }
 
-const updateProfile = async (data, userId) => {
-    let update = [];
-    let expAttrValues = {};
-    let expAttrNames = {};
-    let params = {};
+const updateProfile = async (data, userId, expectedVersion) => {
+    const changes = {};
 
-    if(data.hasOwnProperty('identityId')) {
-        update.push('identityId = :identityId');
-        expAttrValues[":identityId"] = data.identityId
-    }
-    if(data.hasOwnProperty('lastName')) {
-        update.push('lastName = :lastName');
-        expAttrValues[":lastName"] = data.lastName;
-    }
-    if(data.hasOwnProperty('dateOfBirth')) {
-        update.push('dateOfBirth = :dateOfBirth');
-        expAttrValues[":dateOfBirth"] = data.dateOfBirth;
-    }
-    if(data.hasOwnProperty('gender')) {
-        update.push('gender = :gender');
-        expAttrValues[":gender"] = data.gender;
-    }
-    if(data.hasOwnProperty('address1')) {
-        update.push('address1 = :address1');
-        expAttrValues[":address1"] = data.address1;
-    }
-    if(data.hasOwnProperty('address2')) {
-        update.push('address2 = :address2');
-        expAttrValues[":address2"] = data.address2;
-    }
-    if(data.hasOwnProperty('city')) {
-        update.push('city = :city');
-        expAttrValues[":city"] = data.city;
-    }
-    if(data.hasOwnProperty('postCode')) {
-        update.push('postCode = :postCode');
-        expAttrValues[":postCode"] = data.postCode;
-    }
-    if(data.hasOwnProperty('countryCode')) {
-        update.push('countryCode = :countryCode');
-        expAttrValues[":countryCode"] = data.countryCode;
-    }
-    if(data.hasOwnProperty('phone')) {
-        update.push('phone = :phone');
-        expAttrValues[":phone"] = data.phone;
+    const updatableFields = ['identityId', 'lastName', 'dateOfBirth', 'gender', 'address1', 'address2', 'city', 'postCode', 'countryCode', 'phone', 'about', 'communityList', 'mailingFlag', 'lastLogin'];
+    for (const field of updatableFields) {
+        if(data.hasOwnProperty(field)) {
+            changes[field] = data[field];
+        }
     }
-    if(data.hasOwnProperty('about')) {
-        update.push('about = :about');
-        expAttrValues[":about"] = data.about;
+    if(data.hasOwnProperty('updatedAt') && !data.lastLogin) {
+        changes.updatedAt = data.updatedAt;
     }
-    if(data.hasOwnProperty('communityList')) {
-        update.push('communityList = :communityList');
-        expAttrValues[":communityList"] = data.communityList;
-    } else {
+    if(!data.hasOwnProperty('communityList')) {
         let communityList = [];
-        params = {
-            TableName: process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + 'community'
-        }
-        const allCommunities = await database.scan(params)
+        const allCommunities = await Community.listAll();
         allCommunities.sort((a, b) => (a.number > b.number) ? 1 : ((b.number > a.number) ? -1 : 0));
         for(let i in allCommunities) {
             let checked = false;
@@ -230,28 +166,9 @@ const updateProfile = async (data, userId) => {
             }
             communityList.push({"id": allCommunities[i].number, "name": allCommunities[i].name, "checked": checked});
         }
-        update.push('communityList = :communityList');
-        expAttrValues[":communityList"] = communityList;
-    }
-    if(data.hasOwnProperty('mailingFlag')) {
-        update.push('mailingFlag = :mailingFlag');
-        expAttrValues[":mailingFlag"] = data.mailingFlag;
+        changes.communityList = communityList;
     }
-    if(data.hasOwnProperty('updatedAt') && !data.lastLogin) {
-        update.push('updatedAt = :updatedAt');
-        expAttrValues[":updatedAt"] = data.updatedAt;
-    }
-    if(data.hasOwnProperty('lastLogin')) {
-        update.push('lastLogin = :lastLogin');
-        expAttrValues[":lastLogin"] = data.lastLogin;
-    }
-    params = {
-        TableName: table,
-        Key: {
-            "userId": userId
-        },
-    }
-    const profile = await database.get(params);
+    const profile = await UserProfile.get({ userId });
     const currentRoles = profile.roles;
     let roles = [];
     for (let i = 0; i < currentRoles.length; i++) {
@@ -259,20 +176,10 @@ const updateProfile = async (data, userId) => {
     }
 
     if(data.hasOwnProperty('family') && data.family && data.family.hasOwnProperty('members')) {
-        params = {
-            TableName: process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + 'role',
-            ProjectionExpression: "#number, code, #name, #type",
-            FilterExpression: '#type = :type',
-            ExpressionAttributeNames: {
-                '#number': 'number',
-                '#name': 'name',
-                '#type': 'type'
-            },
-            ExpressionAttributeValues: {
-                ':type': 'Family'
-            },
-        };
-        const familyRoles = await database.scan(params);
+        const familyRoles = await Role.listAll({
+            filter: database.conditions.eq('type', 'Family'),
+            projection: ['number', 'code', 'name', 'type']
+        });
         for (let i = 0; i < familyRoles.length; i++) {
             let match = false;
             for(let j = 0; j < currentRoles.length; j++) {
@@ -286,33 +193,27 @@ const updateProfile = async (data, userId) => {
             }
         }
     }
-    update.push('#roles = :roles');
-    expAttrValues[":roles"] = roles;
-    expAttrNames["#roles"] = 'roles';
+    changes.roles = roles;
 
-    let updateExpr = '';
-    for(let i = 0; i < update.length; i++) {
-        if(i === 0) {
-            updateExpr += 'SET ';
-        } else {
-            updateExpr += ', ';
-        }
-        updateExpr += update[i];
-    }
+    return (!userId || false) ? {} : await UserProfile.update({ userId }, changes, {
+        expectedVersion,
+        condition: database.conditions.eq('userId', data.userId)
+    });
+};
 
-    let conditionalExpr = 'userId = :userId'
-    expAttrValues[':userId'] = data.userId;
+// Keeps the mailingList table in step with userProfile.mailingFlag; deployed on the userProfile stream with MAILING_LIST_SYNC=enabled
+const mailingListSync = new database.StreamProcessor()
+    .onChange(['mailingFlag', 'email'], async (change) => {
+        const profile = change.newImage || change.oldImage;
+        await database.operation('upsertItem', 'mailingList', {
+            Key: { "userId": profile.userId },
+            Item: {
+                "email": profile.email,
+                "firstName": profile.firstName,
+                "subscribed": change.eventName !== 'REMOVE' && profile.mailingFlag === true,
+                "updatedAt": new Date().toISOString()
+            }
+        });
+    });
 
-    params = {
-        TableName: table,
-        Key: {
-            "userId": userId
-        },
-        ConditionExpression: conditionalExpr,
-        UpdateExpression: updateExpr,
-        ExpressionAttributeNames: expAttrNames,
-        ExpressionAttributeValues: expAttrValues,
-        ReturnValues: 'ALL_NEW'
-    };
-    return (!userId || false) ? {} : await database.update(params);
-};
+export const syncMailingList = mailingListSync.handler();
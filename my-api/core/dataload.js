@@ -2,7 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import csv from 'fast-csv';
 import dotenv from 'dotenv';
-import * as storage from '@taleofddh/storage';
+import * as storage from '@myorg/storage';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -13,7 +13,6 @@ dotenv.config();
 let menuObject = [];
 fs.readFile('data/menu.json', 'utf8', async (err, data) => {
     menuObject = await JSON.parse(data);
-    await storage.operation("deleteObject", "menu");
     await storage.operation("putObject", "menu", menuObject);
     const object = await storage.operation("getObject", "menu");
     console.log(await object.Body.transformToString());
@@ -22,7 +21,6 @@ fs.readFile('data/menu.json', 'utf8', async (err, data) => {
 let promotionObject = [];
 fs.readFile('data/promotion.json', 'utf8', async (err, data) => {
     promotionObject = await JSON.parse(data);
-    await storage.operation("deleteObject", "promotion");
     await storage.operation("putObject", "promotion", promotionObject);
     const object = await storage.operation("getObject", "promotion");
     console.log(await object.Body.transformToString());
@@ -43,7 +41,6 @@ fs.createReadStream(path.resolve(__dirname, 'data', 'country.csv'))
         });
     })
     .on('end', async rowCount => {
-        await storage.operation("deleteObject", "country");
         await storage.operation("putObject", "country", countryObject);
         const object = await storage.operation("getObject", "country");
         console.log(await object.Body.transformToString());
@@ -53,7 +50,6 @@ fs.createReadStream(path.resolve(__dirname, 'data', 'country.csv'))
 let termsAndConditionsObject = [];
 fs.readFile('data/termsAndConditions.json', 'utf8', async (err, data) => {
     termsAndConditionsObject = await JSON.parse(data);
-    await storage.operation("deleteObject", "termsAndConditions");
     await storage.operation("putObject", "termsAndConditions", termsAndConditionsObject);
     const object = await storage.operation("getObject", "termsAndConditions");
     console.log(await object.Body.transformToString());
@@ -62,7 +58,6 @@ fs.readFile('data/termsAndConditions.json', 'utf8', async (err, data) => {
 let privacyPolicyObject = [];
 fs.readFile('data/privacyPolicy.json', 'utf8', async (err, data) => {
     privacyPolicyObject = await JSON.parse(data);
-    await storage.operation("deleteObject", "privacyPolicy");
     await storage.operation("putObject", "privacyPolicy", privacyPolicyObject);
     const object = await storage.operation("getObject", "privacyPolicy");
     console.log(await object.Body.transformToString());
@@ -71,7 +66,6 @@ fs.readFile('data/privacyPolicy.json', 'utf8', async (err, data) => {
 let frequentlyAskedQuestionObject = {};
 fs.readFile('data/frequentlyAskedQuestion.json', 'utf8', async (err, data) => {
     frequentlyAskedQuestionObject = await JSON.parse(data);
-    await storage.operation("deleteObject", "frequentlyAskedQuestion");
     await storage.operation("putObject", "frequentlyAskedQuestion", frequentlyAskedQuestionObject);
     const object = await storage.operation("getObject", "frequentlyAskedQuestion");
     console.log(await object.Body.transformToString());
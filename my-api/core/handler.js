@@ -1,17 +1,13 @@
 'use strict';
-import * as response from '@taleofddh/response';
-import * as storage from '@taleofddh/storage';
+import * as response from '@myorg/response';
+import * as storage from '@myorg/storage';
 const bucketName = process.env['S3_BUCKET'];
-const key = process.env['ENVIRONMENT'] + '/' + process.env['SERVICE_NAME'] + '/' + process.env['OBJECT_NAME'] + '.json';
+const fileName = process.env['OBJECT_NAME'] + '.json';
+const key = process.env['ENVIRONMENT'] + '/' + process.env['SERVICE_NAME'] + '/' + fileName;
 
 export const findMenuList = async (event) => {
     let active  = (event.pathParameters.active === 'true');
-    const params = {
-        Bucket: bucketName,
-        Key: key
-    };
-    const res = await storage.getObject(params);
-    const menus = JSON.parse(await res.Body.transformToString());
+    const menus = await storage.getJson(fileName);
     const activeMenus = menus.filter((item) => {
         return item.active === active
     })
@@ -21,12 +17,7 @@ export const findMenuList = async (event) => {
 
 export const findPromotionList = async (event) => {
     let active  = (event.pathParameters.active === 'true');
-    const params = {
-        Bucket: bucketName,
-        Key: key
-    };
-    const res = await storage.getObject(params);
-    const promotions = JSON.parse(await res.Body.transformToString());
+    const promotions = await storage.getJson(fileName);
     const activePromotions = promotions.filter((item) => {
         return item.active === active
     })
@@ -35,80 +26,47 @@ export const findPromotionList = async (event) => {
 };
 
 export const findTermsAndConditionsList = async (event) => {
-    const params = {
-        Bucket: bucketName,
-        Key: key
-    };
-    const res = await storage.getObject(params);
-    const termsAndConditionsList = JSON.parse(await res.Body.transformToString());
+    const termsAndConditionsList = await storage.getJson(fileName);
     termsAndConditionsList.sort((a, b) => (a.sequence > b.sequence) ? 1 : ((b.sequence > a.sequence) ? -1 : 0));
     return response.createResponse(termsAndConditionsList, 200);
 };
 
 export const findPrivacyPolicyList = async (event) => {
-    const params = {
-        Bucket: bucketName,
-        Key: key
-    };
-    const res = await storage.getObject(params);
-    const privacyPolicyList = JSON.parse(await res.Body.transformToString());
+    const privacyPolicyList = await storage.getJson(fileName);
     privacyPolicyList.sort((a, b) => (a.sequence > b.sequence) ? 1 : ((b.sequence > a.sequence) ? -1 : 0));
     return response.createResponse(privacyPolicyList, 200);
 };
 
 export const findFrequentlyAskedQuestionList = async (event) => {
-    const params = {
-        Bucket: bucketName,
-        Key: key
-    };
-    const res = await storage.getObject(params);
-    const frequentlyAskedQuestionList = JSON.parse(await res.Body.transformToString());
+    const frequentlyAskedQuestionList = await storage.getJson(fileName);
     frequentlyAskedQuestionList.sort((a, b) => (a.sequence > b.sequence) ? 1 : ((b.sequence > a.sequence) ? -1 : 0));
     return response.createResponse(frequentlyAskedQuestionList, 200);
 };
 
 export const findCountryByCode = async (event) => {
     let countryCode  = event.pathParameters.countryCode;
-    const params = {
-        Bucket: bucketName,
-        Key: key,
-        ExpressionType: 'SQL',
-        Expression: 'SELECT code, name FROM S3Object WHERE code = ' + countryCode,
-        InputSerialization: {
-            CompressionType: 'NONE',
-            JSON: {
-                Type: 'DOCUMENT'
-            }
-        },
-        OutputSerialization: {
-            JSON: {}
-        }
-    }
-    const country = await storage.selectObjectContent(params);
+    const query = new storage.SelectQuery()
+        .from('S3Object[*][*]')
+        .select('code', 'name')
+        .where(storage.where.eq('code', countryCode));
+    const { rows } = await storage.select({ Bucket: bucketName, Key: key }, query);
 
-    return response.createResponse(country, 200);
+    return rows.length > 0
+        ? response.createResponse(rows[0], 200)
+        : response.createNotFoundResponse('Country', countryCode);
 };
 
 export const findCountryByName = async (event) => {
     let countryName  = event.pathParameters.countryName;
-    const params = {
-        Bucket: bucketName,
-        Key: key,
-        ExpressionType: 'SQL',
-        Expression: 'SELECT code, name FROM S3Object WHERE name = ' + countryName,
-        InputSerialization: {
-            CompressionType: 'NONE',
-            JSON: {
-                Type: 'DOCUMENT'
-            }
-        },
-        OutputSerialization: {
-            JSON: {}
-        }
-    }
-    const country = await storage.selectObjectContent(params);
+    const query = new storage.SelectQuery()
+        .from('S3Object[*][*]')
+        .select('code', 'name')
+        .where(storage.where.eq('name', countryName));
+    const { rows } = await storage.select({ Bucket: bucketName, Key: key }, query);
 
-    return response.createResponse(country, 200);
+    return rows.length > 0
+        ? response.createResponse(rows[0], 200)
+        : response.createNotFoundResponse('Country', countryName);
 };
 
 export const createAuditEntry = async (event) => {
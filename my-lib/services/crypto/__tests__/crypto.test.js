@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import { randomBytes } from 'node:crypto';
+import { createCryptoService, isEncrypted } from '../index.js';
+
+// Fake KMS that "encrypts" data keys by prefixing the encryption context
+const fakeKms = () => {
+    const keys = new Map();
+    return {
+        calls: [],
+        async send(command) {
+            const { input } = command;
+            this.calls.push(command.constructor.name);
+            if (command.constructor.name === 'GenerateDataKeyCommand') {
+                const plaintext = randomBytes(32);
+                const blob = Buffer.from(`${input.KeyId}/${keys.size}`);
+                keys.set(blob.toString('base64'), { plaintext, context: JSON.stringify(input.EncryptionContext || {}) });
+                return { Plaintext: plaintext, CiphertextBlob: blob };
+            }
+            const key = keys.get(Buffer.from(input.CiphertextBlob).toString('base64'));
+            if (!key || key.context !== JSON.stringify(input.EncryptionContext || {})) {
+                throw Object.assign(new Error('Invalid ciphertext'), { name: 'InvalidCiphertextException' });
+            }
+            return { Plaintext: key.plaintext };
+        }
+    };
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('CryptoService with a local key', () => {
+    const localKey = randomBytes(32).toString('base64');
+
+    test('round-trips JSON values through an envelope', async () => {
+        const crypto = createCryptoService({ local: true, localKey });
+        const value = { phone: '+44 20 7946 0000', tags: ['a'], n: 1 };
+
+        const envelope = await crypto.encrypt(value, { context: { userId: 'u1' } });
+
+        expect(envelope).toMatch(/^enc:v1:local:/);
+        expect(isEncrypted(envelope)).toBe(true);
+        expect(await crypto.decrypt(envelope, { context: { userId: 'u1' } })).toEqual(value);
+    });
+
+    test('decrypts in another instance sharing the local key', async () => {
+        const envelope = await createCryptoService({ local: true, localKey }).encrypt('secret');
+
+        expect(await createCryptoService({ local: true, localKey }).decrypt(envelope)).toBe('secret');
+        await expect(createCryptoService({ local: true }).decrypt(envelope)).rejects.toMatchObject({ name: 'DecryptionError' });
+    });
+
+    test('binds the ciphertext to its context and field', async () => {
+        const crypto = createCryptoService({ local: true, localKey });
+        const envelope = await crypto.encrypt('1990-01-01', { context: { userId: 'u1' }, field: 'dateOfBirth' });
+
+        await expect(crypto.decrypt(envelope, { context: { userId: 'u2' }, field: 'dateOfBirth' })).rejects.toMatchObject({ name: 'DecryptionError' });
+        await expect(crypto.decrypt(envelope, { context: { userId: 'u1' }, field: 'phone' })).rejects.toMatchObject({ name: 'DecryptionError' });
+        expect(await crypto.decrypt(envelope, { context: { userId: 'u1' }, field: 'phone', fallback: null })).toBeNull();
+    });
+
+    test('rejects tampered and malformed envelopes', async () => {
+        const crypto = createCryptoService({ local: true, localKey });
+        const envelope = await crypto.encrypt('secret');
+        const parts = envelope.split(':');
+        parts[6] = Buffer.from('forged').toString('base64url');
+
+        await expect(crypto.decrypt(parts.join(':'))).rejects.toMatchObject({ name: 'DecryptionError' });
+        await expect(crypto.decrypt('enc:v1:other:a:b:c:d')).rejects.toMatchObject({ name: 'DecryptionError' });
+        await expect(crypto.decrypt('plain text')).rejects.toMatchObject({ name: 'DecryptionError' });
+    });
+
+    test('encrypts selected fields, skipping empty and already encrypted ones', async () => {
+        const crypto = createCryptoService({ local: true, localKey });
+        const profile = { userId: 'u1', phone: '0123', address1: '', city: 'London' };
+
+        const encrypted = await crypto.encryptFields(profile, ['phone', 'address1', 'about'], { context: { userId: 'u1' } });
+        const again = await crypto.encryptFields(encrypted, ['phone'], { context: { userId: 'u1' } });
+
+        expect(isEncrypted(encrypted.phone)).toBe(true);
+        expect(encrypted).toMatchObject({ userId: 'u1', address1: '', city: 'London' });
+        expect(encrypted).not.toHaveProperty('about');
+        expect(again.phone).toBe(encrypted.phone);
+        expect(await crypto.decryptFields(encrypted, ['phone', 'city'], { context: { userId: 'u1' } })).toEqual(profile);
+        expect(await crypto.decryptFields(null, ['phone'])).toBeNull();
+    });
+
+    test('rejects a local key that is not 32 bytes', () => {
+        expect(() => createCryptoService({ local: true, localKey: 'c2hvcnQ=' })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+});
+
+describe('CryptoService with KMS', () => {
+    test('reuses a data key per context until the cache is cleared', async () => {
+        const client = fakeKms();
+        const crypto = createCryptoService({ client, keyId: 'alias/app', local: false });
+
+        const first = await crypto.encrypt('a', { context: { userId: 'u1' } });
+        await crypto.encrypt('b', { context: { userId: 'u1' } });
+        await crypto.encrypt('c', { context: { userId: 'u2' } });
+        expect(client.calls).toEqual(['GenerateDataKeyCommand', 'GenerateDataKeyCommand']);
+
+        crypto.clearCache();
+        expect(await crypto.decrypt(first, { context: { userId: 'u1' } })).toBe('a');
+        expect(await crypto.decrypt(first, { context: { userId: 'u1' } })).toBe('a');
+        expect(client.calls).toEqual(['GenerateDataKeyCommand', 'GenerateDataKeyCommand', 'DecryptCommand']);
+    });
+
+    test('generates a data key per call when caching is off', async () => {
+        const client = fakeKms();
+        const crypto = createCryptoService({ client, keyId: 'alias/app', local: false, dataKeyTtl: 0 });
+
+        await crypto.encrypt('a');
+        await crypto.encrypt('b');
+
+        expect(client.calls).toEqual(['GenerateDataKeyCommand', 'GenerateDataKeyCommand']);
+    });
+
+    test('reports a data key KMS refuses to decrypt as a DecryptionError', async () => {
+        const client = fakeKms();
+        const envelope = await createCryptoService({ client, keyId: 'alias/app', local: false }).encrypt('a', { context: { userId: 'u1' } });
+
+        await expect(createCryptoService({ client, local: false }).decrypt(envelope, { context: { userId: 'u2' } }))
+            .rejects.toMatchObject({ name: 'DecryptionError', details: { reason: 'InvalidCiphertextException' } });
+    });
+
+    test('needs a key to encrypt', async () => {
+        await expect(createCryptoService({ client: fakeKms(), keyId: '', local: false }).encrypt('a')).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+});
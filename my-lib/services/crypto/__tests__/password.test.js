@@ -0,0 +1,43 @@
+import { hashPassword, verifyPassword, needsRehash } from '../password.js';
+
+// Low cost keeps the suite fast; production hashes use PASSWORD_DEFAULTS
+const fast = { cost: 1024 };
+
+describe('password hashing', () => {
+    test('verifies the password it was made from', async () => {
+        const hash = await hashPassword('correct horse', fast);
+
+        expect(hash).toMatch(/^scrypt\$1024\$8\$1\$[\w-]+\$[\w-]+$/);
+        expect(await verifyPassword('correct horse', hash)).toBe(true);
+        expect(await verifyPassword('correct horse!', hash)).toBe(false);
+    });
+
+    test('salts every hash', async () => {
+        expect(await hashPassword('same', fast)).not.toBe(await hashPassword('same', fast));
+    });
+
+    test('normalizes Unicode before hashing', async () => {
+        const hash = await hashPassword('caf\u00e9', fast);
+
+        expect(await verifyPassword('cafe\u0301', hash)).toBe(true);
+    });
+
+    test('treats malformed hashes and non-string passwords as a mismatch', async () => {
+        const hash = await hashPassword('secret', fast);
+
+        expect(await verifyPassword('secret', 'bcrypt$whatever')).toBe(false);
+        expect(await verifyPassword(undefined, hash)).toBe(false);
+    });
+
+    test('rejects empty passwords', async () => {
+        await expect(hashPassword('')).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('flags hashes made with weaker parameters for rehashing', async () => {
+        const hash = await hashPassword('secret', fast);
+
+        expect(needsRehash(hash, fast)).toBe(false);
+        expect(needsRehash(hash)).toBe(true);
+        expect(needsRehash('not a hash')).toBe(true);
+    });
+});
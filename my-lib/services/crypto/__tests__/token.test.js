@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import { sign, verify, createSignedToken, verifySignedToken, randomToken, randomCode, uuid } from '../token.js';
+
+const key = 'test-hmac-key';
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('sign and verify', () => {
+    test('verifies only the original data with the same key', () => {
+        const signature = sign('payload', { key });
+
+        expect(verify('payload', signature, { key })).toBe(true);
+        expect(verify('payload!', signature, { key })).toBe(false);
+        expect(verify('payload', signature, { key: 'other' })).toBe(false);
+        expect(verify('payload', undefined, { key })).toBe(false);
+    });
+
+    test('needs a key', () => {
+        const previous = process.env['CRYPTO_HMAC_KEY'];
+        delete process.env['CRYPTO_HMAC_KEY'];
+
+        expect(() => sign('payload')).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+
+        if (previous !== undefined) {
+            process.env['CRYPTO_HMAC_KEY'] = previous;
+        }
+    });
+});
+
+describe('signed tokens', () => {
+    test('carry their payload', () => {
+        const token = createSignedToken({ userId: 'u1', purpose: 'unsubscribe' }, { key });
+
+        expect(verifySignedToken(token, { key })).toEqual({ userId: 'u1', purpose: 'unsubscribe' });
+    });
+
+    test.each([
+        ['a tampered payload', (token) => `${Buffer.from('{"userId":"u2"}').toString('base64url')}.${token.split('.')[1]}`],
+        ['a missing signature', (token) => token.split('.')[0]],
+        ['an extra segment', (token) => `${token}.extra`],
+        ['a value that is not a string', () => undefined]
+    ])('reject %s', (_, change) => {
+        const token = createSignedToken({ userId: 'u1' }, { key });
+
+        expect(() => verifySignedToken(change(token), { key })).toThrow(expect.objectContaining({ name: 'UnauthorizedError' }));
+    });
+
+    test('expire after expiresIn seconds', () => {
+        jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+        const token = createSignedToken({ userId: 'u1' }, { key, expiresIn: 60 });
+
+        jest.setSystemTime(new Date('2024-01-01T00:00:59Z'));
+        expect(verifySignedToken(token, { key })).toMatchObject({ userId: 'u1' });
+
+        jest.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+        expect(() => verifySignedToken(token, { key })).toThrow('Token has expired');
+    });
+});
+
+describe('random values', () => {
+    test('randomToken encodes the requested number of bytes', () => {
+        expect(randomToken(16, 'hex')).toMatch(/^[0-9a-f]{32}$/);
+        expect(randomToken()).not.toBe(randomToken());
+    });
+
+    test('randomCode returns zero-padded digits of the requested length', () => {
+        expect(randomCode()).toMatch(/^\d{6}$/);
+        expect(randomCode(10)).toMatch(/^\d{10}$/);
+        expect(() => randomCode(0)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => randomCode(15)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('uuid returns a v4 UUID', () => {
+        expect(uuid()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    });
+});
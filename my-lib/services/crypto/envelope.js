@@ -0,0 +1,128 @@
+import { createCipheriv, createDecipheriv, randomBytes } from "node:crypto";
+import { createErrorClass } from "@myorg/error";
+
+/**
+ * Envelope format for encrypted values
+ * A value is encrypted with AES-256-GCM under a data key, and the data key itself is stored next to
+ * it encrypted by KMS (or by the local key in local mode):
+ *
+ *     enc:v1:<provider>:<encrypted data key>:<iv>:<auth tag>:<ciphertext>
+ *
+ * Every part after the provider is base64url, so the whole value fits in a DynamoDB string attribute.
+ */
+
+export const ENVELOPE_PREFIX = 'enc:v1:';
+export const PROVIDERS = ['kms', 'local'];
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * Raised when a value cannot be decrypted: malformed envelope, wrong key, wrong context or tampering
+ */
+export const DecryptionError = createErrorClass('DecryptionError', 'Value could not be decrypted', 500);
+
+/**
+ * Whether a value is an encrypted envelope
+ * @param {*} value - Value
+ * @returns {boolean} True for envelope strings
+ */
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+
+/**
+ * Stable serialization of an encryption context, used as AES-GCM additional data
+ * @param {Object} context - Encryption context
+ * @returns {Buffer} Serialized context
+ */
+export const canonicalContext = (context = {}) =>
+    Buffer.from(JSON.stringify(Object.keys(context).sort().map((key) => [key, String(context[key])])));
+
+/**
+ * Encrypt with AES-256-GCM
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} aad - Additional authenticated data
+ * @returns {{iv: Buffer, tag: Buffer, ciphertext: Buffer}} Sealed data
+ */
+export const seal = (plaintext, key, aad) => {
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv(ALGORITHM, key, iv);
+    if (aad) {
+        cipher.setAAD(aad);
+    }
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+/**
+ * Decrypt AES-256-GCM data sealed by seal()
+ * @param {{iv: Buffer, tag: Buffer, ciphertext: Buffer}} sealed - Sealed data
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} aad - Additional authenticated data given to seal()
+ * @returns {Buffer} Plaintext
+ * @throws {DecryptionError} When the key, additional data or ciphertext do not match
+ */
+export const open = ({ iv, tag, ciphertext }, key, aad) => {
+    try {
+        const decipher = createDecipheriv(ALGORITHM, key, iv);
+        if (aad) {
+            decipher.setAAD(aad);
+        }
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (error) {
+        throw new DecryptionError('Value could not be decrypted', { reason: error.message });
+    }
+};
+
+/**
+ * Pack sealed data into a single buffer: iv, tag, ciphertext
+ * @param {{iv: Buffer, tag: Buffer, ciphertext: Buffer}} sealed - Sealed data
+ * @returns {Buffer} Packed data
+ */
+export const pack = ({ iv, tag, ciphertext }) => Buffer.concat([iv, tag, ciphertext]);
+
+/**
+ * Reverse pack()
+ * @param {Buffer} buffer - Packed data
+ * @returns {{iv: Buffer, tag: Buffer, ciphertext: Buffer}} Sealed data
+ */
+export const unpack = (buffer) => ({
+    iv: buffer.subarray(0, IV_LENGTH),
+    tag: buffer.subarray(IV_LENGTH, IV_LENGTH + 16),
+    ciphertext: buffer.subarray(IV_LENGTH + 16)
+});
+
+/**
+ * Serialize an envelope
+ * @param {Object} envelope - Envelope
+ * @param {string} envelope.provider - 'kms' or 'local'
+ * @param {Buffer} envelope.encryptedKey - Encrypted data key
+ * @param {Buffer} envelope.iv - AES-GCM IV
+ * @param {Buffer} envelope.tag - AES-GCM auth tag
+ * @param {Buffer} envelope.ciphertext - Encrypted value
+ * @returns {string} Envelope string
+ */
+export const encodeEnvelope = ({ provider, encryptedKey, iv, tag, ciphertext }) =>
+    ENVELOPE_PREFIX + [provider, ...[encryptedKey, iv, tag, ciphertext].map((part) => Buffer.from(part).toString('base64url'))].join(':');
+
+/**
+ * Parse an envelope string
+ * @param {string} value - Envelope string
+ * @returns {{provider: string, encryptedKey: Buffer, iv: Buffer, tag: Buffer, ciphertext: Buffer}} Envelope
+ * @throws {DecryptionError} When the value is not a well-formed envelope
+ */
+export const decodeEnvelope = (value) => {
+    const parts = isEncrypted(value) ? value.slice(ENVELOPE_PREFIX.length).split(':') : [];
+    if (parts.length !== 5 || !PROVIDERS.includes(parts[0])) {
+        throw new DecryptionError('Value is not an encrypted envelope');
+    }
+    const [provider, encryptedKey, iv, tag, ciphertext] = parts;
+    return {
+        provider,
+        encryptedKey: Buffer.from(encryptedKey, 'base64url'),
+        iv: Buffer.from(iv, 'base64url'),
+        tag: Buffer.from(tag, 'base64url'),
+        ciphertext: Buffer.from(ciphertext, 'base64url')
+    };
+};
@@ -0,0 +1,272 @@
+import { KMSClient, GenerateDataKeyCommand, DecryptCommand } from "@aws-sdk/client-kms";
+import { randomBytes } from "node:crypto";
+import { CACHE_CONFIG } from "@myorg/constants";
+import { ValidationError } from "@myorg/error";
+import { DecryptionError, isEncrypted, canonicalContext, seal, open, pack, unpack, encodeEnvelope, decodeEnvelope } from "./envelope.js";
+
+// Plaintext data keys kept in memory at most; the oldest is dropped first
+const MAX_CACHED_KEYS = 100;
+
+const localKeyBuffer = (key) => {
+    const buffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64');
+    if (buffer.length !== 32) {
+        throw new ValidationError('Local key must be 32 bytes, base64 encoded');
+    }
+    return buffer;
+};
+
+class CryptoService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.client - KMSClient to use instead of creating one, e.g. a mock
+     * @param {string} options.region - AWS region (default: REGION or eu-west-1)
+     * @param {Object} options.credentials - Credentials or credential provider
+     * @param {string} options.keyId - KMS key ID, ARN or alias for new data keys (default: CRYPTO_KMS_KEY_ID)
+     * @param {boolean} options.local - Wrap data keys with a local key instead of KMS (default: CRYPTO_LOCAL or IS_OFFLINE)
+     * @param {string|Buffer} options.localKey - 32-byte local key, base64 encoded (default: CRYPTO_LOCAL_KEY, else a random key per instance)
+     * @param {string|number} options.dataKeyTtl - CACHE_CONFIG key or seconds a data key is reused for encryption; 0 generates one per call (default: 'SHORT_TTL')
+     */
+    constructor(options = {}) {
+        this.client = options.client || new KMSClient({
+            region: options.region || process.env['REGION'] || 'eu-west-1',
+            ...(options.credentials && { credentials: options.credentials })
+        });
+        this.keyId = options.keyId || process.env['CRYPTO_KMS_KEY_ID'];
+        this.local = options.local
+            ?? (process.env['CRYPTO_LOCAL'] === 'true' || process.env['IS_OFFLINE'] === 'true');
+        const localKey = options.localKey || process.env['CRYPTO_LOCAL_KEY'];
+        // Without a configured key, local values only decrypt within the same process, which suits tests
+        this.localKey = localKey ? localKeyBuffer(localKey) : randomBytes(32);
+        const dataKeyTtl = options.dataKeyTtl ?? 'SHORT_TTL';
+        if (typeof dataKeyTtl === 'string' && !(dataKeyTtl in CACHE_CONFIG)) {
+            throw new ValidationError(`Unknown TTL '${dataKeyTtl}'`, { allowed: Object.keys(CACHE_CONFIG) });
+        }
+        this.dataKeyTtl = (typeof dataKeyTtl === 'string' ? CACHE_CONFIG[dataKeyTtl] : dataKeyTtl) * 1000;
+        // Data keys by encryption context (for encrypting) and by encrypted key (for decrypting)
+        this.encryptionKeys = new Map();
+        this.decryptionKeys = new Map();
+    }
+
+    handleError(error, methodName, options = {}) {
+        const serviceName = this.constructor.name;
+        console.error(`[${serviceName}.${methodName}] Error:`, {
+            message: error.message,
+            code: error.code || error.name,
+            statusCode: error.$metadata?.httpStatusCode,
+            requestId: error.$metadata?.requestId
+        });
+
+        // If a fallback value is provided, return it instead of throwing
+        if (options.fallback !== undefined) {
+            return options.fallback;
+        }
+
+        throw error;
+    }
+
+    remember(cache, cacheKey, value) {
+        if (this.dataKeyTtl > 0) {
+            if (cache.size >= MAX_CACHED_KEYS) {
+                cache.delete(cache.keys().next().value);
+            }
+            cache.set(cacheKey, { ...value, expiresAt: Date.now() + this.dataKeyTtl });
+        }
+        return value;
+    }
+
+    fresh(cache, cacheKey) {
+        const entry = cache.get(cacheKey);
+        return entry && entry.expiresAt > Date.now() ? entry : null;
+    }
+
+    /**
+     * Get a data key for encryption, reusing a recent one for the same context
+     * @param {Object} context - Encryption context, bound to the key by KMS
+     * @returns {Promise<{provider: string, plaintext: Buffer, encryptedKey: Buffer}>} Data key
+     */
+    async dataKey(context = {}) {
+        const provider = this.local ? 'local' : 'kms';
+        const cacheKey = `${provider}:${canonicalContext(context).toString('base64url')}`;
+        const cached = this.fresh(this.encryptionKeys, cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        if (this.local) {
+            const plaintext = randomBytes(32);
+            const encryptedKey = pack(seal(plaintext, this.localKey, canonicalContext(context)));
+            return this.remember(this.encryptionKeys, cacheKey, { provider, plaintext, encryptedKey });
+        }
+        if (!this.keyId) {
+            throw new ValidationError('KMS key is required: pass options.keyId or set CRYPTO_KMS_KEY_ID');
+        }
+        const data = await this.client.send(new GenerateDataKeyCommand({
+            KeyId: this.keyId,
+            KeySpec: 'AES_256',
+            EncryptionContext: context
+        }));
+        return this.remember(this.encryptionKeys, cacheKey, {
+            provider,
+            plaintext: Buffer.from(data.Plaintext),
+            encryptedKey: Buffer.from(data.CiphertextBlob)
+        });
+    }
+
+    /**
+     * Recover the data key of an envelope
+     * @param {Object} envelope - Decoded envelope
+     * @param {Object} context - Encryption context used when the value was encrypted
+     * @returns {Promise<Buffer>} Plaintext data key
+     * @throws {DecryptionError} When the key cannot be decrypted with this context
+     */
+    async openDataKey(envelope, context = {}) {
+        const aad = canonicalContext(context);
+        const cacheKey = `${envelope.provider}:${envelope.encryptedKey.toString('base64url')}:${aad.toString('base64url')}`;
+        const cached = this.fresh(this.decryptionKeys, cacheKey);
+        if (cached) {
+            return cached.plaintext;
+        }
+
+        if (envelope.provider === 'local') {
+            const plaintext = open(unpack(envelope.encryptedKey), this.localKey, aad);
+            return this.remember(this.decryptionKeys, cacheKey, { plaintext }).plaintext;
+        }
+        try {
+            // No KeyId: the ciphertext names its key, so values written under an earlier key still decrypt
+            const data = await this.client.send(new DecryptCommand({
+                CiphertextBlob: envelope.encryptedKey,
+                EncryptionContext: context
+            }));
+            return this.remember(this.decryptionKeys, cacheKey, { plaintext: Buffer.from(data.Plaintext) }).plaintext;
+        } catch (error) {
+            if (error.name === 'InvalidCiphertextException' || error.name === 'IncorrectKeyException') {
+                throw new DecryptionError('Data key could not be decrypted', { reason: error.name });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Encrypt a value with a KMS data key and AES-256-GCM
+     * @param {*} value - JSON-serializable value
+     * @param {Object} options - Options
+     * @param {Object} options.context - Encryption context, e.g. { userId }; the same context is needed to decrypt
+     * @param {string} options.field - Field name bound to the ciphertext, so values cannot be swapped between fields
+     * @returns {Promise<string>} Envelope string
+     */
+    async encrypt(value, options = {}) {
+        try {
+            const key = await this.dataKey(options.context);
+            const aad = canonicalContext({ ...options.context, ...(options.field && { field: options.field }) });
+            const sealed = seal(Buffer.from(JSON.stringify(value)), key.plaintext, aad);
+            return encodeEnvelope({ provider: key.provider, encryptedKey: key.encryptedKey, ...sealed });
+        } catch (error) {
+            return this.handleError(error, 'encrypt');
+        }
+    }
+
+    /**
+     * Decrypt an envelope from encrypt()
+     * @param {string} envelope - Envelope string
+     * @param {Object} options - Options (context, field), matching encrypt()
+     * @param {*} options.fallback - Value returned instead of throwing when the value cannot be decrypted
+     * @returns {Promise<*>} Decrypted value
+     * @throws {DecryptionError} When the envelope is malformed or the key, context or field do not match
+     */
+    async decrypt(envelope, options = {}) {
+        try {
+            const decoded = decodeEnvelope(envelope);
+            const key = await this.openDataKey(decoded, options.context);
+            const aad = canonicalContext({ ...options.context, ...(options.field && { field: options.field }) });
+            return JSON.parse(open(decoded, key, aad).toString('utf8'));
+        } catch (error) {
+            return this.handleError(error, 'decrypt', { fallback: options.fallback });
+        }
+    }
+
+    /**
+     * Encrypt selected fields of an item, e.g. a user profile before it is written
+     * Empty and already encrypted fields are left as they are.
+     *
+     * @example
+     * const item = await crypto.encryptFields(profile, ['dateOfBirth', 'phone', 'address1'], { context: { userId } });
+     *
+     * @param {Object} item - Item
+     * @param {Array<string>} fields - Fields to encrypt
+     * @param {Object} options - Options (context)
+     * @returns {Promise<Object>} Copy of the item with the fields encrypted
+     */
+    async encryptFields(item, fields, options = {}) {
+        const result = { ...item };
+        for (const field of fields) {
+            const value = result[field];
+            if (value !== undefined && value !== null && value !== '' && !isEncrypted(value)) {
+                result[field] = await this.encrypt(value, { context: options.context, field });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Decrypt selected fields of an item; fields that are not encrypted pass through, so items
+     * written before encryption was enabled still read
+     * @param {Object} item - Item
+     * @param {Array<string>} fields - Fields to decrypt
+     * @param {Object} options - Options (context)
+     * @returns {Promise<Object>} Copy of the item with the fields decrypted
+     */
+    async decryptFields(item, fields, options = {}) {
+        if (!item) {
+            return item;
+        }
+        const result = { ...item };
+        for (const field of fields) {
+            if (isEncrypted(result[field])) {
+                result[field] = await this.decrypt(result[field], { context: options.context, field });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Drop cached data keys
+     */
+    clearCache() {
+        this.encryptionKeys.clear();
+        this.decryptionKeys.clear();
+    }
+}
+
+// Export a singleton instance
+let cryptoService = new CryptoService();
+
+/**
+ * Replace the instance used by the exported functions, e.g. with a local-key instance in tests
+ * @param {CryptoService} service - New default instance
+ * @returns {CryptoService} Previous default instance, to restore afterwards
+ */
+export const setCryptoService = (service) => {
+    const previous = cryptoService;
+    cryptoService = service;
+    return previous;
+};
+export const getCryptoService = () => cryptoService;
+
+/**
+ * Create a CryptoService, e.g. in local mode or with a custom KMS client
+ * @param {Object} options - CryptoService options
+ * @returns {CryptoService} New instance; pass it to setCryptoService() to make it the default
+ */
+export const createCryptoService = (options = {}) => new CryptoService(options);
+
+export const encrypt = (value, options) => cryptoService.encrypt(value, options);
+export const decrypt = (envelope, options) => cryptoService.decrypt(envelope, options);
+export const encryptFields = (item, fields, options) => cryptoService.encryptFields(item, fields, options);
+export const decryptFields = (item, fields, options) => cryptoService.decryptFields(item, fields, options);
+export const clearCache = () => cryptoService.clearCache();
+
+export { DecryptionError, isEncrypted } from './envelope.js';
+export { sign, verify, createSignedToken, verifySignedToken, randomToken, randomCode, uuid } from './token.js';
+export { hashPassword, verifyPassword, needsRehash, PASSWORD_DEFAULTS } from './password.js';
+
+export default CryptoService;
@@ -0,0 +1,84 @@
+import { scrypt, randomBytes, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { ValidationError } from "@myorg/error";
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Password hashing with scrypt
+ * Hashes are self-describing strings, so the cost can be raised later and old hashes still verify:
+ *
+ *     scrypt$<N>$<r>$<p>$<salt>$<hash>
+ */
+
+export const PASSWORD_DEFAULTS = { cost: 16384, blockSize: 8, parallelization: 1, saltLength: 16, keyLength: 64 };
+
+// scrypt needs 128 * N * r bytes; leave headroom over the default 32 MB limit
+const maxmem = ({ cost, blockSize }) => 256 * cost * blockSize;
+
+/**
+ * Hash a password
+ * @param {string} password - Password
+ * @param {Object} options - scrypt parameters (cost, blockSize, parallelization, saltLength, keyLength)
+ * @returns {Promise<string>} Encoded hash
+ */
+export const hashPassword = async (password, options = {}) => {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new ValidationError('Password must be a non-empty string');
+    }
+    const params = { ...PASSWORD_DEFAULTS, ...options };
+    const salt = randomBytes(params.saltLength);
+    const hash = await scryptAsync(password.normalize('NFKC'), salt, params.keyLength, {
+        N: params.cost, r: params.blockSize, p: params.parallelization, maxmem: maxmem(params)
+    });
+    return ['scrypt', params.cost, params.blockSize, params.parallelization, salt.toString('base64url'), hash.toString('base64url')].join('$');
+};
+
+const parseHash = (encoded) => {
+    const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return null;
+    }
+    const [, cost, blockSize, parallelization, salt, hash] = parts;
+    return {
+        cost: Number(cost),
+        blockSize: Number(blockSize),
+        parallelization: Number(parallelization),
+        salt: Buffer.from(salt, 'base64url'),
+        hash: Buffer.from(hash, 'base64url')
+    };
+};
+
+/**
+ * Check a password against a hash in constant time
+ * @param {string} password - Password to check
+ * @param {string} encoded - Hash from hashPassword()
+ * @returns {Promise<boolean>} True when the password matches; false for malformed hashes
+ */
+export const verifyPassword = async (password, encoded) => {
+    const params = parseHash(encoded);
+    if (!params || typeof password !== 'string') {
+        return false;
+    }
+    const hash = await scryptAsync(password.normalize('NFKC'), params.salt, params.hash.length, {
+        N: params.cost, r: params.blockSize, p: params.parallelization, maxmem: maxmem(params)
+    });
+    return timingSafeEqual(hash, params.hash);
+};
+
+/**
+ * Whether a hash was made with weaker parameters than the current ones and should be replaced
+ * after the next successful login
+ * @param {string} encoded - Hash from hashPassword()
+ * @param {Object} options - Current scrypt parameters
+ * @returns {boolean} True when the hash should be recomputed
+ */
+export const needsRehash = (encoded, options = {}) => {
+    const params = parseHash(encoded);
+    const current = { ...PASSWORD_DEFAULTS, ...options };
+    return !params
+        || params.cost < current.cost
+        || params.blockSize < current.blockSize
+        || params.parallelization < current.parallelization
+        || params.hash.length < current.keyLength;
+};
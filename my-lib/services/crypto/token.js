@@ -0,0 +1,103 @@
+import { createHmac, randomBytes, randomInt, randomUUID, timingSafeEqual } from "node:crypto";
+import { UnauthorizedError, ValidationError } from "@myorg/error";
+
+/**
+ * HMAC signatures and random tokens
+ * The HMAC key comes from the `key` option or CRYPTO_HMAC_KEY; load it from @myorg/secret when it
+ * lives in Secrets Manager.
+ */
+
+const hmacKey = (options = {}) => {
+    const key = options.key ?? process.env['CRYPTO_HMAC_KEY'];
+    if (!key) {
+        throw new ValidationError('HMAC key is required: pass options.key or set CRYPTO_HMAC_KEY');
+    }
+    return key;
+};
+
+/**
+ * Sign data with HMAC
+ * @param {string|Buffer} data - Data to sign
+ * @param {Object} options - Options
+ * @param {string|Buffer} options.key - HMAC key (default: CRYPTO_HMAC_KEY)
+ * @param {string} options.algorithm - Digest algorithm (default: 'sha256')
+ * @param {string} options.encoding - Signature encoding (default: 'base64url')
+ * @returns {string} Signature
+ */
+export const sign = (data, options = {}) =>
+    createHmac(options.algorithm || 'sha256', hmacKey(options)).update(data).digest(options.encoding || 'base64url');
+
+/**
+ * Verify an HMAC signature in constant time
+ * @param {string|Buffer} data - Signed data
+ * @param {string} signature - Signature to check
+ * @param {Object} options - sign() options
+ * @returns {boolean} True when the signature matches
+ */
+export const verify = (data, signature, options = {}) => {
+    if (typeof signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(sign(data, options));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+/**
+ * Create a signed, optionally expiring token carrying a JSON payload, e.g. for unsubscribe or
+ * email confirmation links. The payload is signed, not encrypted.
+ * @param {Object} payload - Payload
+ * @param {Object} options - sign() options
+ * @param {number} options.expiresIn - Lifetime in seconds
+ * @returns {string} Token: <base64url payload>.<signature>
+ */
+export const createSignedToken = (payload, options = {}) => {
+    const body = { ...payload, ...(options.expiresIn && { exp: Math.floor(Date.now() / 1000) + options.expiresIn }) };
+    const encoded = Buffer.from(JSON.stringify(body)).toString('base64url');
+    return `${encoded}.${sign(encoded, options)}`;
+};
+
+/**
+ * Verify a token from createSignedToken() and return its payload
+ * @param {string} token - Token
+ * @param {Object} options - sign() options
+ * @returns {Object} Payload
+ * @throws {UnauthorizedError} When the token is malformed, tampered with or expired
+ */
+export const verifySignedToken = (token, options = {}) => {
+    const [encoded, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!encoded || !signature || extra !== undefined || !verify(encoded, signature, options)) {
+        throw new UnauthorizedError('Invalid token');
+    }
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (payload.exp !== undefined && payload.exp <= Math.floor(Date.now() / 1000)) {
+        throw new UnauthorizedError('Token has expired');
+    }
+    return payload;
+};
+
+/**
+ * Cryptographically secure random token
+ * @param {number} bytes - Random bytes (default: 32)
+ * @param {string} encoding - Output encoding (default: 'base64url')
+ * @returns {string} Token
+ */
+export const randomToken = (bytes = 32, encoding = 'base64url') => randomBytes(bytes).toString(encoding);
+
+/**
+ * Cryptographically secure numeric code, e.g. for one-time passcodes
+ * @param {number} length - Digits (default: 6)
+ * @returns {string} Code, zero-padded
+ */
+export const randomCode = (length = 6) => {
+    if (!Number.isInteger(length) || length < 1 || length > 14) {
+        throw new ValidationError('Code length must be an integer between 1 and 14', { length });
+    }
+    return String(randomInt(0, 10 ** length)).padStart(length, '0');
+};
+
+/**
+ * Random UUID v4
+ * @returns {string} UUID
+ */
+export const uuid = () => randomUUID();
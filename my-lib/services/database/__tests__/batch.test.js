@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import { createDatabaseService } from '../index.js';
+
+const throttled = () => Object.assign(new Error('Rate exceeded'), { name: 'ProvisionedThroughputExceededException' });
+
+// Fake DocumentClient that answers each call with the next scripted response
+const scripted = (...responses) => {
+    const calls = [];
+    const docClient = {
+        send: async (command) => {
+            calls.push({ name: command.constructor.name, input: structuredClone(command.input) });
+            const response = responses[Math.min(calls.length, responses.length) - 1];
+            if (response instanceof Error) {
+                throw response;
+            }
+            return typeof response === 'function' ? response(command.input) : response;
+        }
+    };
+    return { calls, service: createDatabaseService({ docClient, metrics: { enabled: false }, batchRetry: { baseDelay: 1, maxDelay: 2 } }) };
+};
+
+const puts = (count, table = 'items') => ({
+    [table]: Array.from({ length: count }, (_, index) => ({ PutRequest: { Item: { id: index } } }))
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('batchWriteAll', () => {
+    test('splits requests into calls of at most 25', async () => {
+        const { calls, service } = scripted({ UnprocessedItems: {} });
+
+        const result = await service.batchWriteAll({ RequestItems: puts(60) });
+
+        expect(calls.map(({ input }) => input.RequestItems.items.length)).toEqual([25, 25, 10]);
+        expect(result).toEqual({ failed: [], successCount: 60, failureCount: 0 });
+    });
+
+    test('retries exactly the UnprocessedItems DynamoDB returns', async () => {
+        const { calls, service } = scripted(
+            ({ RequestItems }) => ({ UnprocessedItems: { items: RequestItems.items.slice(1) } }),
+            ({ RequestItems }) => ({ UnprocessedItems: { items: RequestItems.items.slice(1) } }),
+            { UnprocessedItems: {} }
+        );
+
+        const result = await service.batchWriteAll({ RequestItems: puts(3) });
+
+        expect(calls.map(({ input }) => input.RequestItems.items.map((request) => request.PutRequest.Item.id))).toEqual([[0, 1, 2], [1, 2], [2]]);
+        expect(result.successCount).toBe(3);
+    });
+
+    test('retries throttling errors', async () => {
+        const { calls, service } = scripted(throttled(), { UnprocessedItems: {} });
+
+        const result = await service.batchWriteAll({ RequestItems: puts(2) });
+
+        expect(calls).toHaveLength(2);
+        expect(result.failureCount).toBe(0);
+    });
+
+    test('reports requests still unprocessed after the last retry', async () => {
+        const { calls, service } = scripted(({ RequestItems }) => ({ UnprocessedItems: { items: RequestItems.items.slice(1) } }));
+
+        const result = await service.batchWriteAll({ RequestItems: puts(3) }, { maxRetries: 1 });
+
+        expect(calls).toHaveLength(2);
+        expect(result.successCount).toBe(2);
+        expect(result.failed).toEqual([{
+            table: 'items',
+            request: { PutRequest: { Item: { id: 2 } } },
+            error: expect.objectContaining({ name: 'UnprocessedItem' })
+        }]);
+    });
+
+    test('reports a failed call without retrying errors that are not transient', async () => {
+        const { calls, service } = scripted(Object.assign(new Error('No such table'), { name: 'ResourceNotFoundException' }));
+
+        const result = await service.batchWriteAll({ RequestItems: puts(2) });
+
+        expect(calls).toHaveLength(1);
+        expect(result.failureCount).toBe(2);
+        expect(result.failed[0].error).toEqual({ name: 'ResourceNotFoundException', message: 'No such table' });
+    });
+
+    test('throws instead when throwOnError is set', async () => {
+        const { service } = scripted(Object.assign(new Error('No such table'), { name: 'ResourceNotFoundException' }));
+
+        await expect(service.batchWriteAll({ RequestItems: puts(2) }, { throwOnError: true })).rejects.toThrow();
+    });
+});
+
+describe('batchGetAll', () => {
+    test('collects items across retries and keeps per-table options', async () => {
+        const keys = [{ id: 1 }, { id: 2 }, { id: 3 }];
+        const { calls, service } = scripted(
+            { Responses: { items: [{ id: 1 }] }, UnprocessedKeys: { items: { Keys: [{ id: 2 }, { id: 3 }], ConsistentRead: true } } },
+            { Responses: { items: [{ id: 2 }, { id: 3 }] } }
+        );
+
+        const result = await service.batchGetAll({ RequestItems: { items: { Keys: keys, ConsistentRead: true } } });
+
+        expect(calls[0].input.RequestItems.items).toEqual({ Keys: keys, ConsistentRead: true });
+        expect(calls[1].input.RequestItems.items.Keys).toEqual([{ id: 2 }, { id: 3 }]);
+        expect(result).toEqual({ items: { items: [{ id: 1 }, { id: 2 }, { id: 3 }] }, failed: [], successCount: 3, failureCount: 0 });
+    });
+
+    test('splits keys into calls of at most 100', async () => {
+        const { calls, service } = scripted({ Responses: {} });
+
+        await service.batchGetAll({ RequestItems: { items: { Keys: Array.from({ length: 150 }, (_, id) => ({ id })) } } });
+
+        expect(calls.map(({ input }) => input.RequestItems.items.Keys.length)).toEqual([100, 50]);
+    });
+
+    test('reports keys still unprocessed after the last retry', async () => {
+        const { service } = scripted({ Responses: { items: [] }, UnprocessedKeys: { items: { Keys: [{ id: 1 }] } } });
+
+        const result = await service.batchGetAll({ RequestItems: { items: { Keys: [{ id: 1 }] } } }, { maxRetries: 2 });
+
+        expect(result.failed).toEqual([{ table: 'items', key: { id: 1 }, error: expect.objectContaining({ name: 'UnprocessedItem' }) }]);
+        expect(result.successCount).toBe(0);
+    });
+});
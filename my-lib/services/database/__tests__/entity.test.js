@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import { createDatabaseService } from '../index.js';
+
+// Fake DocumentClient that answers every call with the same response
+const answering = (response) => createDatabaseService({
+    docClient: {
+        send: async () => {
+            if (response instanceof Error) {
+                throw response;
+            }
+            return response;
+        }
+    },
+    metrics: { enabled: false }
+});
+
+const throttled = () => Object.assign(new Error('Rate exceeded'), { name: 'ProvisionedThroughputExceededException' });
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Repository.get', () => {
+    test('returns the stored item', async () => {
+        const users = answering({ Item: { userId: 'u1', name: 'Ada' } }).entity({ table: 'user', key: { partition: 'userId' } });
+
+        await expect(users.get({ userId: 'u1' })).resolves.toEqual({ userId: 'u1', name: 'Ada' });
+    });
+
+    test('returns null for a missing item', async () => {
+        const users = answering({}).entity({ table: 'user', key: { partition: 'userId' } });
+
+        await expect(users.get({ userId: 'u1' })).resolves.toBeNull();
+    });
+
+    test('throws when the read fails instead of reporting the item as missing', async () => {
+        const users = answering(throttled()).entity({ table: 'user', key: { partition: 'userId' } });
+
+        await expect(users.get({ userId: 'u1' })).rejects.toBeDefined();
+    });
+
+    test('returns null on failure only when throwOnError is false', async () => {
+        const users = answering(throttled()).entity({ table: 'user', key: { partition: 'userId' } });
+
+        await expect(users.get({ userId: 'u1' }, { throwOnError: false })).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,103 @@
+import { ExpressionBuilder, conditions } from '../expression.js';
+
+describe('ExpressionBuilder', () => {
+    test('aliases every attribute name, including reserved words and document paths', () => {
+        const params = new ExpressionBuilder()
+            .set('name', 'Ada')
+            .set('address.lines[1]', 'Flat 2')
+            .remove('roles')
+            .build();
+
+        expect(params).toEqual({
+            UpdateExpression: 'SET #n0 = :v0, #n1.#n2[1] = :v1 REMOVE #n3',
+            ExpressionAttributeNames: { '#n0': 'name', '#n1': 'address', '#n2': 'lines', '#n3': 'roles' },
+            ExpressionAttributeValues: { ':v0': 'Ada', ':v1': 'Flat 2' }
+        });
+    });
+
+    test('reuses the alias of a name that appears more than once', () => {
+        const params = new ExpressionBuilder()
+            .increment('count', 2)
+            .condition(conditions.lt('count', 10))
+            .build();
+
+        expect(params.UpdateExpression).toBe('SET #n0 = if_not_exists(#n0, :v0) + :v1');
+        expect(params.ConditionExpression).toBe('#n0 < :v2');
+        expect(params.ExpressionAttributeNames).toEqual({ '#n0': 'count' });
+        expect(params.ExpressionAttributeValues).toEqual({ ':v0': 0, ':v1': 2, ':v2': 10 });
+    });
+
+    test('groups update actions and combines clauses of each expression with AND', () => {
+        const params = new ExpressionBuilder()
+            .add('tags', new Set(['a']))
+            .delete('labels', new Set(['b']))
+            .setIfNotExists('createdAt', 'now')
+            .append('history', ['x'])
+            .keyCondition(conditions.eq('pk', 'user'))
+            .keyCondition(conditions.beginsWith('sk', 'profile#'))
+            .filter(conditions.or(conditions.attributeNotExists('deletedAt'), conditions.not(conditions.eq('status', 'hidden'))))
+            .project('pk', 'sk')
+            .build();
+
+        expect(params.UpdateExpression).toBe('SET #n0 = if_not_exists(#n0, :v0), #n1 = list_append(if_not_exists(#n1, :v1), :v2) ADD #n2 :v3 DELETE #n3 :v4');
+        expect(params.KeyConditionExpression).toBe('#n4 = :v5 AND begins_with(#n5, :v6)');
+        expect(params.FilterExpression).toBe('(attribute_not_exists(#n6) OR NOT #n7 = :v7)');
+        expect(params.ProjectionExpression).toBe('#n4, #n5');
+    });
+
+    test('renders IN and BETWEEN with one placeholder per value', () => {
+        const params = new ExpressionBuilder()
+            .filter(conditions.in('status', ['new', 'open']))
+            .filter(conditions.between('age', 18, 65))
+            .build();
+
+        expect(params.FilterExpression).toBe('#n0 IN (:v0, :v1) AND #n1 BETWEEN :v2 AND :v3');
+        expect(params.ExpressionAttributeValues).toEqual({ ':v0': 'new', ':v1': 'open', ':v2': 18, ':v3': 65 });
+    });
+
+    test('rejects IN without values', () => {
+        const builder = new ExpressionBuilder().filter(conditions.in('status', []));
+
+        expect(() => builder.build()).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('rejects AND and OR groups without clauses', () => {
+        expect(() => new ExpressionBuilder().filter(conditions.and()).build()).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => new ExpressionBuilder().condition(conditions.or()).build()).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('renders a single-clause group without parentheses', () => {
+        const params = new ExpressionBuilder().filter(conditions.or(conditions.eq('status', 'new'))).build();
+
+        expect(params.FilterExpression).toBe('#n0 = :v0');
+    });
+
+    test('skips placeholders already used by the parameters it is merged with', () => {
+        const params = new ExpressionBuilder()
+            .set('name', 'Ada')
+            .build({
+                ExpressionAttributeNames: { '#n0': 'version' },
+                ExpressionAttributeValues: { ':v0': 3 }
+            });
+
+        expect(params.UpdateExpression).toBe('SET #n1 = :v1');
+        expect(params.ExpressionAttributeNames).toEqual({ '#n0': 'version', '#n1': 'name' });
+        expect(params.ExpressionAttributeValues).toEqual({ ':v0': 3, ':v1': 'Ada' });
+    });
+
+    test('fromObject sets defined fields, removes undefined ones and skips ignored ones', () => {
+        const params = ExpressionBuilder.fromObject({ userId: 'u1', city: 'London', about: undefined }, { ignore: ['userId'] }).build();
+
+        expect(params.UpdateExpression).toBe('SET #n0 = :v0 REMOVE #n1');
+        expect(params.ExpressionAttributeNames).toEqual({ '#n0': 'city', '#n1': 'about' });
+    });
+
+    test('leaves out expressions that were not used', () => {
+        expect(new ExpressionBuilder().build()).toEqual({});
+    });
+
+    test('rejects malformed attribute paths', () => {
+        expect(() => new ExpressionBuilder().set('a..b', 1).build()).toThrow(TypeError);
+        expect(() => new ExpressionBuilder().set('', 1).build()).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import { mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+process.env['ENVIRONMENT'] = 'test';
+process.env['APP_NAME'] = 'app';
+process.env['SERVICE_NAME'] = 'core';
+process.env['S3_BUCKET'] = 'bucket';
+
+const { MemoryDatabaseService, tableName, ttlSeconds, expiresAt, isExpired, conditions } = await import('../index.js');
+const { FileSystemStorageService } = await import('@myorg/storage');
+
+const notes = tableName('note');
+
+let database;
+let storage;
+let repository;
+
+beforeEach(async () => {
+    database = new MemoryDatabaseService({
+        metrics: { enabled: false },
+        tables: { [notes]: { partition: 'ownerId', sort: 'noteId' } }
+    });
+    storage = new FileSystemStorageService({ root: await mkdtemp(path.join(tmpdir(), 'storage-')) });
+    repository = database.entity({ table: 'note', key: { partition: 'ownerId', sort: 'noteId' }, versioned: true, softDelete: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await storage.reset();
+});
+
+describe('TTL helpers', () => {
+    test('resolve CACHE_CONFIG keys, seconds and duration objects', () => {
+        expect(ttlSeconds('LONG_TTL')).toBe(3600);
+        expect(ttlSeconds(90.7)).toBe(90);
+        expect(ttlSeconds({ days: 1, hours: 2 })).toBe(93600);
+        expect(() => ttlSeconds('FOREVER')).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => ttlSeconds({ weeks: 1 })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('treat an item as expired from its TTL second onwards', () => {
+        const from = new Date('2026-01-01T00:00:00Z');
+        const item = { expiresAt: expiresAt({ minutes: 1 }, from) };
+
+        expect(isExpired(item, 'expiresAt', new Date('2026-01-01T00:00:59Z'))).toBe(false);
+        expect(isExpired(item, 'expiresAt', new Date('2026-01-01T00:01:00Z'))).toBe(true);
+        expect(isExpired({}, 'expiresAt')).toBe(false);
+    });
+});
+
+describe('soft delete', () => {
+    test('hides soft-deleted items from get, list and query unless includeDeleted is set', async () => {
+        await repository.create({ ownerId: 'u1', noteId: 'n1', text: 'keep' });
+        await repository.create({ ownerId: 'u1', noteId: 'n2', text: 'drop' });
+
+        await repository.delete({ ownerId: 'u1', noteId: 'n2' });
+
+        expect(database.dump(notes)).toEqual(expect.arrayContaining([expect.objectContaining({ noteId: 'n2', deletedAt: expect.any(String) })]));
+        expect(await repository.get({ ownerId: 'u1', noteId: 'n2' })).toBeNull();
+        expect(await repository.get({ ownerId: 'u1', noteId: 'n2' }, { includeDeleted: true })).toMatchObject({ text: 'drop' });
+        expect((await repository.listAll()).map((note) => note.noteId)).toEqual(['n1']);
+        expect((await repository.queryByIndex(null, { ownerId: 'u1' }, { all: true })).map((note) => note.noteId)).toEqual(['n1']);
+        expect(await repository.queryByIndex(null, { ownerId: 'u1' }, { all: true, includeDeleted: true })).toHaveLength(2);
+    });
+
+    test('hides items past their TTL before DynamoDB removes them', async () => {
+        const expiring = database.entity({ table: 'note', key: { partition: 'ownerId', sort: 'noteId' }, ttl: { duration: { minutes: 5 } } });
+        database.seed(notes, [
+            { ownerId: 'u1', noteId: 'old', expiresAt: Math.floor(Date.now() / 1000) - 1 },
+            { ownerId: 'u1', noteId: 'new', expiresAt: Math.floor(Date.now() / 1000) + 60 }
+        ]);
+
+        expect(await expiring.get({ ownerId: 'u1', noteId: 'old' })).toBeNull();
+        expect((await expiring.listAll()).map((note) => note.noteId)).toEqual(['new']);
+    });
+
+    test('reports a missing or already deleted item as not found', async () => {
+        await expect(database.softDelete({ TableName: notes, Key: { ownerId: 'u1', noteId: 'none' } })).rejects.toMatchObject({ name: 'NotFoundError' });
+        expect(await repository.delete({ ownerId: 'u1', noteId: 'none' })).toBeNull();
+    });
+
+    test('restores a soft-deleted item and clears its TTL', async () => {
+        await repository.create({ ownerId: 'u1', noteId: 'n1', text: 'back' });
+        await repository.delete({ ownerId: 'u1', noteId: 'n1' }, { expireAfter: { days: 30 } });
+
+        const restored = await repository.restore({ ownerId: 'u1', noteId: 'n1' });
+
+        expect(restored).not.toHaveProperty('deletedAt');
+        expect(restored).not.toHaveProperty('expiresAt');
+        expect(await repository.get({ ownerId: 'u1', noteId: 'n1' })).toMatchObject({ text: 'back' });
+    });
+
+    test('reports restoring an item that is missing or not deleted as not found', async () => {
+        await repository.create({ ownerId: 'u1', noteId: 'n1' });
+
+        await expect(repository.restore({ ownerId: 'u1', noteId: 'n1' })).rejects.toMatchObject({ name: 'NotFoundError' });
+        await expect(repository.restore({ ownerId: 'u1', noteId: 'none' })).rejects.toMatchObject({ name: 'NotFoundError', resource: 'note' });
+    });
+});
+
+describe('archive', () => {
+    test('writes the item to S3 before removing it from the table', async () => {
+        await repository.create({ ownerId: 'u1', noteId: 'a/b', text: 'old' });
+        const putObject = jest.spyOn(storage, 'putObject');
+        const remove = jest.spyOn(database, 'delete');
+
+        const result = await repository.archive({ ownerId: 'u1', noteId: 'a/b' }, { storage });
+
+        expect(result).toMatchObject({ bucket: 'bucket', key: `test/core/archive/${notes}/u1/a%2Fb.json` });
+        expect(putObject.mock.invocationCallOrder[0]).toBeLessThan(remove.mock.invocationCallOrder[0]);
+        const object = await storage.getObject({ Bucket: result.bucket, Key: result.key });
+        expect(JSON.parse(await object.Body.transformToString())).toMatchObject({ tableName: notes, key: { ownerId: 'u1', noteId: 'a/b' }, item: { text: 'old' } });
+        expect(database.dump(notes)).toEqual([]);
+    });
+
+    test('keeps the item when the upload fails', async () => {
+        await repository.create({ ownerId: 'u1', noteId: 'n1' });
+        jest.spyOn(storage, 'putObject').mockRejectedValue(new Error('Upload failed'));
+
+        await expect(repository.archive({ ownerId: 'u1', noteId: 'n1' }, { storage })).rejects.toThrow('Upload failed');
+        expect(database.dump(notes)).toHaveLength(1);
+    });
+
+    test('returns null for a missing item', async () => {
+        expect(await repository.archive({ ownerId: 'u1', noteId: 'none' }, { storage })).toBeNull();
+    });
+
+    test('archives every matching item, soft-deleted ones included', async () => {
+        await repository.create({ ownerId: 'u1', noteId: 'n1', year: 2020 });
+        await repository.create({ ownerId: 'u1', noteId: 'n2', year: 2020 });
+        await repository.create({ ownerId: 'u1', noteId: 'n3', year: 2026 });
+        await repository.delete({ ownerId: 'u1', noteId: 'n2' });
+
+        const result = await repository.archiveAll({ filter: conditions.lt('year', 2025), storage });
+
+        expect(result.failed).toEqual([]);
+        expect(result.archived.map((archived) => archived.key.split('/').pop())).toEqual(['n1.json', 'n2.json']);
+        expect(database.dump(notes).map((note) => note.noteId)).toEqual(['n3']);
+    });
+});
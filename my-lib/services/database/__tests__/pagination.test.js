@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import { validatePagination } from '@myorg/validation';
+import { createDatabaseService, encodeCursor, decodeCursor } from '../index.js';
+
+// Fake DocumentClient that answers each call with the next scripted response
+const scripted = (...responses) => {
+    const calls = [];
+    const docClient = {
+        send: async (command) => {
+            calls.push({ name: command.constructor.name, input: structuredClone(command.input) });
+            const response = responses[Math.min(calls.length, responses.length) - 1];
+            if (response instanceof Error) {
+                throw response;
+            }
+            return typeof response === 'function' ? response(command.input) : response;
+        }
+    };
+    return { calls, service: createDatabaseService({ docClient, metrics: { enabled: false } }) };
+};
+
+const page = (ids, lastKey) => ({ Items: ids.map((id) => ({ id })), ...(lastKey && { LastEvaluatedKey: { id: lastKey } }) });
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('cursors', () => {
+    test('round-trip a LastEvaluatedKey through a URL-safe string', () => {
+        const key = { userId: 'u1/+=', createdAt: '2026-01-01T00:00:00Z', score: 12.5 };
+
+        const cursor = encodeCursor(key);
+
+        expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(decodeCursor(cursor)).toEqual(key);
+    });
+
+    test('encode no key as null and decode no cursor as the first page', () => {
+        expect(encodeCursor(undefined)).toBeNull();
+        expect(decodeCursor(undefined)).toBeUndefined();
+        expect(decodeCursor('')).toBeUndefined();
+    });
+
+    test('reject cursors that are not an encoded key object', () => {
+        for (const cursor of ['not-a-cursor', Buffer.from('[1]').toString('base64url'), Buffer.from('"id"').toString('base64url')]) {
+            expect(() => decodeCursor(cursor)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        }
+    });
+
+    test('pass validatePagination for the largest index key DynamoDB allows', () => {
+        const cursor = encodeCursor({
+            userId: 'u'.repeat(2048),
+            createdAt: 'c'.repeat(1024),
+            identityId: 'i'.repeat(2048),
+            updatedAt: 'd'.repeat(1024)
+        });
+
+        const result = validatePagination({ limit: 20, lastEvaluatedKey: cursor });
+
+        expect(cursor.length).toBeGreaterThan(1000);
+        expect(result.isValid).toBe(true);
+        expect(decodeCursor(result.value.lastEvaluatedKey).userId).toHaveLength(2048);
+    });
+});
+
+describe('queryPage', () => {
+    test('starts from the decoded cursor and returns the next one', async () => {
+        const { calls, service } = scripted(page(['b', 'c'], 'c'));
+
+        const result = await service.queryPage({ TableName: 'items' }, { limit: 2, lastEvaluatedKey: encodeCursor({ id: 'a' }) });
+
+        expect(calls[0].input).toMatchObject({ Limit: 2, ExclusiveStartKey: { id: 'a' } });
+        expect(result.items).toEqual([{ id: 'b' }, { id: 'c' }]);
+        expect(result.pagination).toEqual({ limit: 2, hasMore: true, lastEvaluatedKey: encodeCursor({ id: 'c' }) });
+    });
+
+    test('reports the last page without a cursor', async () => {
+        const { service } = scripted(page(['z']));
+
+        const result = await service.scanPage({ TableName: 'items' });
+
+        expect(result.pagination).toEqual({ limit: 20, hasMore: false });
+    });
+
+    test('rejects a malformed cursor before calling DynamoDB', async () => {
+        const { calls, service } = scripted(page([]));
+
+        await expect(service.queryPage({ TableName: 'items' }, { lastEvaluatedKey: 'garbage' })).rejects.toMatchObject({ name: 'ValidationError' });
+        expect(calls).toHaveLength(0);
+    });
+});
+
+describe('pages and collect', () => {
+    test('follow LastEvaluatedKey until the last page', async () => {
+        const { calls, service } = scripted(page(['a', 'b'], 'b'), page(['c'], 'c'), page([]));
+
+        const seen = [];
+        for await (const items of service.queryPages({ TableName: 'items' })) {
+            seen.push(items.map((item) => item.id));
+        }
+
+        expect(seen).toEqual([['a', 'b'], ['c'], []]);
+        expect(calls.map(({ input }) => input.ExclusiveStartKey)).toEqual([undefined, { id: 'b' }, { id: 'c' }]);
+    });
+
+    test('stop reading once maxItems have been collected', async () => {
+        const { calls, service } = scripted(page(['a', 'b'], 'b'), page(['c', 'd'], 'd'), page(['e']));
+
+        const items = await service.queryAll({ TableName: 'items' }, { maxItems: 3 });
+
+        expect(items.map((item) => item.id)).toEqual(['a', 'b', 'c']);
+        expect(calls).toHaveLength(2);
+    });
+
+    test('return [] on failure unless throwOnError is set', async () => {
+        const failure = Object.assign(new Error('Denied'), { name: 'AccessDeniedException' });
+
+        await expect(scripted(failure).service.scanAll({ TableName: 'items' })).resolves.toEqual([]);
+        await expect(scripted(failure).service.scanAll({ TableName: 'items' }, { throwOnError: true })).rejects.toMatchObject({ name: 'AccessDeniedException' });
+    });
+});
@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import { MemoryDatabaseService, SequenceService } from '../index.js';
+
+const tableName = 'test-sequence';
+
+let database;
+
+beforeEach(() => {
+    database = new MemoryDatabaseService({ metrics: { enabled: false }, tables: { [tableName]: { partition: 'key' } } });
+});
+
+describe('SequenceService', () => {
+    test('initialises a missing key and counts up from there', async () => {
+        const sequences = new SequenceService(database, { tableName });
+
+        expect(await sequences.current('user_seq')).toBeNull();
+        expect([await sequences.next('user_seq'), await sequences.next('user_seq')]).toEqual([1, 2]);
+        expect(await sequences.current('user_seq')).toBe(2);
+        expect(database.dump(tableName)).toEqual([{ key: 'user_seq', sequence: 2 }]);
+    });
+
+    test('starts after initialValue and keeps keys apart', async () => {
+        const sequences = new SequenceService(database, { tableName, initialValue: 1000 });
+
+        expect(await sequences.next('a')).toBe(1001);
+        expect(await sequences.next('b')).toBe(1001);
+        expect(await sequences.next('a')).toBe(1002);
+    });
+
+    test('reserves contiguous blocks', async () => {
+        const sequences = new SequenceService(database, { tableName });
+
+        expect(await sequences.nextBlock('order_seq', 10)).toEqual({ first: 1, last: 10 });
+        expect(await sequences.nextBlock('order_seq', 5)).toEqual({ first: 11, last: 15 });
+    });
+
+    test('rejects block sizes that are not positive integers', async () => {
+        const sequences = new SequenceService(database, { tableName });
+
+        await expect(sequences.nextBlock('order_seq', 0)).rejects.toMatchObject({ name: 'ValidationError' });
+        await expect(sequences.nextBlock('order_seq', 1.5)).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('serves numbers from the cached block with one update per block', async () => {
+        const update = jest.spyOn(database, 'update');
+        const sequences = new SequenceService(database, { tableName, cacheSize: 3 });
+
+        const numbers = [];
+        for (let i = 0; i < 7; i++) {
+            numbers.push(await sequences.next('user_seq'));
+        }
+
+        expect(numbers).toEqual([1, 2, 3, 4, 5, 6, 7]);
+        expect(update).toHaveBeenCalledTimes(3);
+    });
+
+    test('shares one refill between concurrent callers and never hands out a number twice', async () => {
+        const update = jest.spyOn(database, 'update');
+        const sequences = new SequenceService(database, { tableName, cacheSize: 5 });
+
+        const numbers = await Promise.all(Array.from({ length: 12 }, () => sequences.next('user_seq')));
+
+        expect(new Set(numbers).size).toBe(12);
+        expect([...numbers].sort((a, b) => a - b)).toEqual(Array.from({ length: 12 }, (_, index) => index + 1));
+        expect(update).toHaveBeenCalledTimes(3);
+    });
+
+    test('lets the next caller retry after a failed refill', async () => {
+        const sequences = new SequenceService(database, { tableName, cacheSize: 2 });
+        jest.spyOn(database, 'update').mockRejectedValueOnce(new Error('Throttled'));
+
+        await expect(sequences.next('user_seq')).rejects.toThrow('Throttled');
+        expect(await sequences.next('user_seq')).toBe(1);
+    });
+
+    test('continues from the table after clearCache', async () => {
+        const sequences = new SequenceService(database, { tableName, cacheSize: 10 });
+
+        await sequences.next('user_seq');
+        sequences.clearCache();
+
+        expect(await sequences.next('user_seq')).toBe(11);
+    });
+});
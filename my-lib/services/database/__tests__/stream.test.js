@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { StreamChange, StreamProcessor } from '../stream.js';
+
+const ARN = 'arn:aws:dynamodb:eu-west-1:123456789012:table/app-test-userProfile/stream/2024-01-01T00:00:00.000';
+
+const record = (eventName, { oldImage, newImage, sequenceNumber = '100' } = {}) => ({
+    eventID: `event-${sequenceNumber}`,
+    eventName,
+    eventSourceARN: ARN,
+    dynamodb: {
+        SequenceNumber: sequenceNumber,
+        Keys: marshall({ userId: (newImage || oldImage).userId }),
+        ...(oldImage && { OldImage: marshall(oldImage) }),
+        ...(newImage && { NewImage: marshall(newImage) })
+    }
+});
+
+const profile = { userId: 'u1', email: 'ada@example.com', mailingFlag: true, tags: new Set(['a', 'b']), address: { city: 'London' } };
+
+describe('StreamChange', () => {
+    test('unmarshalls keys and images and reads the table name from the ARN', () => {
+        const change = new StreamChange(record('INSERT', { newImage: profile }));
+
+        expect(change.tableName).toBe('app-test-userProfile');
+        expect(change.keys).toEqual({ userId: 'u1' });
+        expect(change.oldImage).toBeNull();
+        expect(change.newImage).toEqual(profile);
+        expect(change.sequenceNumber).toBe('100');
+    });
+
+    test('lists only attributes whose value differs', () => {
+        const change = new StreamChange(record('MODIFY', {
+            oldImage: profile,
+            newImage: { ...profile, tags: new Set(['b', 'a']), address: { city: 'Paris' }, mailingFlag: false }
+        }));
+
+        expect(change.changedAttributes.sort()).toEqual(['address', 'mailingFlag']);
+        expect(change.hasChanged('email')).toBe(false);
+        expect(change.hasChanged(['email', 'mailingFlag'])).toBe(true);
+        expect(change.change('mailingFlag')).toEqual({ oldValue: true, newValue: false });
+    });
+
+    test('treats every attribute of an inserted or removed item as changed', () => {
+        const change = new StreamChange(record('REMOVE', { oldImage: profile }));
+
+        expect(change.hasChanged('email')).toBe(true);
+        expect(change.change('email')).toEqual({ oldValue: 'ada@example.com', newValue: undefined });
+    });
+});
+
+describe('StreamProcessor', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('routes records by event name and passes the context through', async () => {
+        const seen = [];
+        const processor = new StreamProcessor()
+            .onInsert(async (change, context) => seen.push(['insert', change.keys.userId, context.functionName]))
+            .onModify(async (change) => seen.push(['modify', change.keys.userId]))
+            .onRemove(async (change) => seen.push(['remove', change.keys.userId]));
+
+        const result = await processor.handler()({
+            Records: [
+                record('INSERT', { newImage: profile, sequenceNumber: '1' }),
+                record('MODIFY', { oldImage: profile, newImage: { ...profile, email: 'new@example.com' }, sequenceNumber: '2' }),
+                record('REMOVE', { oldImage: profile, sequenceNumber: '3' })
+            ]
+        }, { functionName: 'sync' });
+
+        expect(seen).toEqual([['insert', 'u1', 'sync'], ['modify', 'u1'], ['remove', 'u1']]);
+        expect(result).toEqual({ batchItemFailures: [] });
+    });
+
+    test('calls onChange callbacks only when a watched attribute changed', async () => {
+        const callback = jest.fn();
+        const processor = new StreamProcessor().onChange(['mailingFlag', 'email'], callback);
+
+        await processor.process({
+            Records: [
+                record('MODIFY', { oldImage: profile, newImage: { ...profile, address: { city: 'Paris' } }, sequenceNumber: '1' }),
+                record('MODIFY', { oldImage: profile, newImage: { ...profile, mailingFlag: false }, sequenceNumber: '2' })
+            ]
+        });
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.mock.calls[0][0].sequenceNumber).toBe('2');
+    });
+
+    test('restricts onChange to the given events', async () => {
+        const callback = jest.fn();
+        const processor = new StreamProcessor().onChange('email', callback, { events: ['MODIFY'] });
+
+        await processor.process({ Records: [record('INSERT', { newImage: profile })] });
+
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('stops at the first failing record and reports it for retry', async () => {
+        const handled = [];
+        const processor = new StreamProcessor().onInsert(async (change) => {
+            if (change.sequenceNumber === '2') {
+                throw new Error('Downstream unavailable');
+            }
+            handled.push(change.sequenceNumber);
+        });
+
+        const result = await processor.process({
+            Records: ['1', '2', '3'].map((sequenceNumber) => record('INSERT', { newImage: profile, sequenceNumber }))
+        });
+
+        expect(handled).toEqual(['1']);
+        expect(result).toEqual({ batchItemFailures: [{ itemIdentifier: '2' }] });
+    });
+
+    test('rejects unknown event names', () => {
+        expect(() => new StreamProcessor().on('UPSERT', () => {})).toThrow('Unknown stream event name(s): UPSERT');
+    });
+});
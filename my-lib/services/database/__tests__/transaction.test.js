@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { ErrorHandler } from '@myorg/error';
+import { createDatabaseService } from '../index.js';
+import { TransactionBuilder, TRANSACTION_LIMIT, classifyTransactionError } from '../transaction.js';
+
+const cancelled = (...codes) => Object.assign(new Error('Transaction cancelled'), {
+    name: 'TransactionCanceledException',
+    CancellationReasons: codes.map((Code) => Code === 'None' ? { Code } : { Code, Message: `${Code} happened` })
+});
+
+// Fake DocumentClient that answers each call with the next scripted response
+const scripted = (...responses) => {
+    const calls = [];
+    const docClient = {
+        send: async (command) => {
+            calls.push({ name: command.constructor.name, input: structuredClone(command.input) });
+            const response = responses[Math.min(calls.length, responses.length) - 1];
+            if (response instanceof Error) {
+                throw response;
+            }
+            return typeof response === 'function' ? response(command.input) : response;
+        }
+    };
+    return { calls, service: createDatabaseService({ docClient, metrics: { enabled: false } }) };
+};
+
+const items = [
+    { Put: { TableName: 'profile', Item: { userId: 'u1' } } },
+    { Update: { TableName: 'sequence', Key: { key: 'user_seq' }, UpdateExpression: 'SET #v = #v + :one' } },
+    { ConditionCheck: { TableName: 'role', Key: { code: 'USER' }, ConditionExpression: 'attribute_exists(code)' } }
+];
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('classifyTransactionError', () => {
+    test('turns a failed condition into a ConflictError describing only the failing actions', () => {
+        const error = classifyTransactionError(cancelled('None', 'ConditionalCheckFailed', 'None'), items);
+
+        expect(error.name).toBe('ConflictError');
+        expect(error.details.reasons).toEqual([
+            { index: 1, action: 'Update', tableName: 'sequence', code: 'ConditionalCheckFailed', message: 'ConditionalCheckFailed happened' }
+        ]);
+        expect(ErrorHandler.handleError(error).statusCode).toBe(409);
+    });
+
+    test('prefers a conflict over throttling when the reasons are mixed', () => {
+        const error = classifyTransactionError(cancelled('ThrottlingError', 'None', 'TransactionConflict'), items);
+
+        expect(error.name).toBe('ConflictError');
+        expect(error.details.reasons.map((reason) => reason.code)).toEqual(['ThrottlingError', 'TransactionConflict']);
+    });
+
+    test('turns throttling into a ThrottlingException answered with 503', () => {
+        const original = cancelled('None', 'ProvisionedThroughputExceeded', 'None');
+
+        const error = classifyTransactionError(original, items);
+
+        expect(error.name).toBe('ThrottlingException');
+        expect(error.cause).toBe(original);
+        expect(ErrorHandler.handleError(error).statusCode).toBe(503);
+    });
+
+    test('turns an invalid request into a ValidationError', () => {
+        const error = classifyTransactionError(cancelled('ValidationError', 'None', 'None'), items);
+
+        expect(error.name).toBe('ValidationError');
+        expect(ErrorHandler.handleError(error).statusCode).toBe(400);
+    });
+
+    test('returns other errors unchanged', () => {
+        const other = Object.assign(new Error('Network'), { name: 'TimeoutError' });
+        const unknown = cancelled('ItemCollectionSizeLimitExceeded');
+
+        expect(classifyTransactionError(other, items)).toBe(other);
+        expect(classifyTransactionError(unknown, items)).toBe(unknown);
+    });
+});
+
+describe('TransactionBuilder', () => {
+    test('builds actions in order with the idempotency token', () => {
+        const params = new TransactionBuilder()
+            .put(items[0].Put)
+            .update(items[1].Update)
+            .delete({ TableName: 'session', Key: { id: 's1' } })
+            .conditionCheck(items[2].ConditionCheck)
+            .idempotent('token-1')
+            .build();
+
+        expect(params.TransactItems.map((item) => Object.keys(item)[0])).toEqual(['Put', 'Update', 'Delete', 'ConditionCheck']);
+        expect(params.ClientRequestToken).toBe('token-1');
+    });
+
+    test('rejects actions without a table and more than the transaction limit', () => {
+        expect(() => new TransactionBuilder().put({ Item: {} })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+
+        const builder = new TransactionBuilder();
+        for (let index = 0; index < TRANSACTION_LIMIT; index++) {
+            builder.conditionCheck({ TableName: 'items', Key: { id: index }, ConditionExpression: 'attribute_exists(id)' });
+        }
+        expect(() => builder.conditionCheck({ TableName: 'items', Key: { id: 'extra' } })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('cannot commit without a DatabaseService', async () => {
+        await expect(new TransactionBuilder().put(items[0].Put).commit()).rejects.toThrow('no DatabaseService');
+    });
+
+    test('commits through the service, versioning the actions that ask for it', async () => {
+        const { calls, service } = scripted({});
+
+        await service.transaction()
+            .put({ TableName: 'profile', Item: { userId: 'u1' } }, { versioned: true })
+            .delete({ TableName: 'session', Key: { id: 's1' } })
+            .commit();
+
+        expect(calls).toHaveLength(1);
+        expect(calls[0].name).toBe('TransactWriteCommand');
+        const [put, remove] = calls[0].input.TransactItems;
+        expect(put.Put.Item).toEqual({ userId: 'u1', version: 1 });
+        expect(put.Put.ConditionExpression).toMatch(/attribute_not_exists/);
+        expect(remove).toEqual({ Delete: { TableName: 'session', Key: { id: 's1' } } });
+    });
+
+    test('surfaces a cancelled commit as a classified error', async () => {
+        const { service } = scripted(cancelled('ConditionalCheckFailed', 'None'));
+
+        const commit = service.transaction()
+            .put(items[0].Put)
+            .conditionCheck(items[2].ConditionCheck)
+            .commit();
+
+        await expect(commit).rejects.toMatchObject({ name: 'ConflictError', details: { reasons: [expect.objectContaining({ index: 0, tableName: 'profile' })] } });
+    });
+
+    test('surfaces throttling from transactGet as a ThrottlingException', async () => {
+        const { service } = scripted(cancelled('None', 'ThrottlingError'));
+
+        await expect(service.transactGet({
+            TransactItems: [{ Get: { TableName: 'profile', Key: { userId: 'u1' } } }, { Get: { TableName: 'role', Key: { code: 'USER' } } }]
+        })).rejects.toMatchObject({ name: 'ThrottlingException', details: { reasons: [expect.objectContaining({ action: 'Get', tableName: 'role' })] } });
+    });
+});
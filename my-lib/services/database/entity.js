@@ -0,0 +1,417 @@
+import { ConflictError, NotFoundError, ValidationError } from "@myorg/error";
+import ValidationHelper from "@myorg/validation";
+import { ExpressionBuilder, conditions } from "./expression.js";
+import { expiresAt, isExpired, notDeleted, notExpired } from "./lifecycle.js";
+
+/**
+ * Repository for a single entity (userProfile, role, community, ...) on top of DatabaseService
+ *
+ * @example
+ * const userProfiles = database.entity({
+ *     name: 'userProfile',
+ *     table: 'userProfile',
+ *     key: { partition: 'userId' },
+ *     indexes: { identityIndex: { partition: 'identityId' } },
+ *     defaults: { mailingFlag: true, updatedAt: () => new Date().toISOString() },
+ *     validators: { email: (value) => validateEmail(value, false) },
+ *     versioned: true,
+ *     softDelete: true,
+ *     ttl: { duration: { days: 30 } }
+ * });
+ * const profile = await userProfiles.get({ userId });
+ */
+export class Repository {
+    /**
+     * @param {Object} database - DatabaseService used for every call
+     * @param {Object} definition - Entity definition
+     * @param {string} definition.name - Entity name used in error messages
+     * @param {string} definition.table - Base table name, resolved through database.tableName()
+     * @param {Object} definition.key - Key schema: { partition, sort }
+     * @param {Object} definition.indexes - GSI/LSI key schemas by index name: { [indexName]: { partition, sort } }
+     * @param {Object} definition.defaults - Default values (or functions of the item) applied on create
+     * @param {Object} definition.validators - Validator functions by field, as used by validateObject
+     * @param {boolean|string} definition.versioned - Optimistic locking for this entity: true for the service's version attribute, or an attribute name
+     * @param {boolean} definition.softDelete - delete() marks items deleted and reads skip them; restore() undoes it
+     * @param {Object} definition.ttl - Expire items through DynamoDB TTL: { duration } as accepted by ttlSeconds
+     */
+    constructor(database, definition = {}) {
+        if (!definition.table || !definition.key || !definition.key.partition) {
+            throw new Error('Entity definition requires a table and a key.partition attribute');
+        }
+        this.database = database;
+        this.name = definition.name || definition.table;
+        this.table = definition.table;
+        this.key = definition.key;
+        this.indexes = definition.indexes || {};
+        this.defaults = definition.defaults || {};
+        this.validators = definition.validators || {};
+        this.versioned = definition.versioned;
+        this.softDelete = !!definition.softDelete;
+        this.ttl = definition.ttl || null;
+    }
+
+    /**
+     * Whether an item should be hidden from reads (soft-deleted or past its TTL)
+     */
+    isHidden(item, options = {}) {
+        if (options.includeDeleted) {
+            return false;
+        }
+        return (this.softDelete && item[this.database.softDeleteAttribute] !== undefined)
+            || (!!this.ttl && isExpired(item, this.database.ttlAttribute));
+    }
+
+    /**
+     * Apply the soft-delete and TTL filters to a read expression
+     */
+    withVisibility(expression, options = {}) {
+        if (options.includeDeleted) {
+            return expression;
+        }
+        if (this.softDelete) {
+            expression.filter(notDeleted(this.database.softDeleteAttribute));
+        }
+        if (this.ttl) {
+            expression.filter(notExpired(this.database.ttlAttribute));
+        }
+        return expression;
+    }
+
+    /**
+     * Resolve the full table name for the current environment
+     * @returns {string} Table name
+     */
+    tableName() {
+        return this.database.tableName(this.table);
+    }
+
+    /**
+     * Extract the primary key from an item or key object
+     * @param {Object} item - Item or key
+     * @returns {Object} Primary key
+     */
+    keyOf(item) {
+        const key = { [this.key.partition]: item[this.key.partition] };
+        if (this.key.sort) {
+            key[this.key.sort] = item[this.key.sort];
+        }
+        if (Object.values(key).some((value) => value === undefined || value === null)) {
+            throw new ValidationError(`${this.name} key is incomplete`, { key: Object.keys(key) });
+        }
+        return key;
+    }
+
+    /**
+     * Format an item's version as an HTTP ETag
+     * @param {Object} item - Item of this entity
+     * @returns {string|null} Quoted ETag, or null when the entity is not versioned
+     */
+    toETag(item) {
+        return this.database.toETag(item, { versioned: this.versioned });
+    }
+
+    keyAttributes() {
+        return [this.key.partition, this.key.sort].filter(Boolean);
+    }
+
+    validate(item, fields = Object.keys(this.validators)) {
+        const validators = Object.fromEntries(fields
+            .filter((field) => this.validators[field])
+            .map((field) => [field, this.validators[field]]));
+        if (Object.keys(validators).length === 0) {
+            return item;
+        }
+
+        const result = ValidationHelper.validateObject(item, validators);
+        if (!result.isValid) {
+            const error = new ValidationError(`Invalid ${this.name}`, result.errors);
+            error.errors = result.errors;
+            throw error;
+        }
+        return { ...item, ...result.value };
+    }
+
+    applyDefaults(item) {
+        const withDefaults = { ...item };
+        Object.entries(this.defaults).forEach(([field, value]) => {
+            if (withDefaults[field] === undefined) {
+                withDefaults[field] = typeof value === 'function' ? value(withDefaults) : value;
+            }
+        });
+        return withDefaults;
+    }
+
+    notFound(key) {
+        const error = new NotFoundError(`${this.name} not found`, { key });
+        error.resource = this.name;
+        error.id = Object.values(key).join('#');
+        return error;
+    }
+
+    /**
+     * Get an item by primary key
+     * @param {Object} key - Primary key (or any object containing it)
+     * @param {Object} options - Options
+     * @param {Array<string>} options.projection - Attributes to return
+     * @param {boolean} options.includeDeleted - Also return soft-deleted and expired items
+     * @param {boolean} options.throwOnError - Set to false to return null instead of throwing when the read fails
+     * @returns {Promise<Object|null>} Item, or null when it does not exist
+     */
+    async get(key, options = {}) {
+        const expression = new ExpressionBuilder();
+        // Lifecycle attributes are read even when not projected, so hidden items can be recognised
+        const lifecycleAttributes = [
+            ...(this.softDelete ? [this.database.softDeleteAttribute] : []),
+            ...(this.ttl ? [this.database.ttlAttribute] : [])
+        ].filter((attribute) => options.projection && !options.projection.includes(attribute));
+        if (options.projection) {
+            expression.project(options.projection, lifecycleAttributes);
+        }
+        const item = await this.database.get({
+            TableName: this.tableName(),
+            Key: this.keyOf(key),
+            ...expression.build(),
+            ...(options.consistentRead && { ConsistentRead: true })
+        }, { throwOnError: options.throwOnError !== false });
+        if (!item || this.isHidden(item, options)) {
+            return null;
+        }
+        lifecycleAttributes.forEach((attribute) => delete item[attribute]);
+        return item;
+    }
+
+    /**
+     * Create a new item after applying defaults and validators
+     * @param {Object} item - Item to create
+     * @returns {Promise<Object>} Created item
+     * @throws {ConflictError} When an item with the same key already exists
+     */
+    async create(item) {
+        const toCreate = this.validate(this.applyDefaults(item));
+        if (this.ttl && toCreate[this.database.ttlAttribute] === undefined) {
+            toCreate[this.database.ttlAttribute] = expiresAt(this.ttl.duration);
+        }
+        const params = {
+            TableName: this.tableName(),
+            Item: toCreate,
+            ...new ExpressionBuilder().condition(conditions.attributeNotExists(this.key.partition)).build()
+        };
+
+        try {
+            await this.database.put(params, { versioned: this.versioned });
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException' || error.name === 'ConflictError') {
+                throw new ConflictError(`${this.name} already exists`, { key: this.keyOf(toCreate) });
+            }
+            throw error;
+        }
+        return params.Item;
+    }
+
+    /**
+     * Update the changed fields of an existing item; undefined values are removed
+     * @param {Object} key - Primary key
+     * @param {Object} changes - Changed fields
+     * @param {Object} options - Options
+     * @param {number} options.expectedVersion - Version for optimistic locking
+     * @param {Function} options.condition - Extra condition built with `conditions`
+     * @returns {Promise<Object>} Updated item
+     * @throws {NotFoundError} When the item does not exist
+     * @throws {ConflictError} When the item exists but the version or `condition` does not match
+     */
+    async update(key, changes, options = {}) {
+        const itemKey = this.keyOf(key);
+        const validated = this.validate(changes, Object.keys(changes).filter((field) => changes[field] !== undefined));
+        // The version attribute is maintained by the database service, never set from changes
+        const versionAttribute = this.database.lockAttribute({ versioned: this.versioned });
+        const expression = ExpressionBuilder.fromObject(validated, { ignore: [...this.keyAttributes(), versionAttribute] })
+            .condition(conditions.attributeExists(this.key.partition));
+        if (this.softDelete) {
+            expression.condition(notDeleted(this.database.softDeleteAttribute));
+        }
+        if (options.condition) {
+            expression.condition(options.condition);
+        }
+
+        try {
+            return await this.database.update({
+                TableName: this.tableName(),
+                Key: itemKey,
+                ...expression.build(),
+                ReturnValues: 'ALL_NEW'
+            }, { expectedVersion: options.expectedVersion, versioned: this.versioned });
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException' && error.name !== 'ConflictError') {
+                throw error;
+            }
+            // One failed condition covers both a missing item and a mismatch, so read the item to tell them apart
+            const current = await this.get(itemKey, { consistentRead: true });
+            if (!current) {
+                throw this.notFound(itemKey);
+            }
+            if (error.name === 'ConflictError') {
+                throw error;
+            }
+            throw new ConflictError(`${this.name} does not meet the update condition`, { key: itemKey });
+        }
+    }
+
+    /**
+     * Delete an item by primary key; soft-deletes when the entity has softDelete enabled
+     * @param {Object} key - Primary key
+     * @param {Object} options - Options
+     * @param {number} options.expectedVersion - Version for optimistic locking
+     * @param {boolean} options.hard - Remove the item even when softDelete is enabled
+     * @param {string|number|Object} options.expireAfter - With soft delete, let DynamoDB TTL purge the item after this duration
+     * @returns {Promise<Object|null>} Deleted item, or null when it did not exist
+     */
+    async delete(key, options = {}) {
+        if (this.softDelete && !options.hard) {
+            try {
+                return await this.database.softDelete({ TableName: this.tableName(), Key: this.keyOf(key) }, {
+                    versioned: this.versioned,
+                    ...options
+                });
+            } catch (error) {
+                if (error.name === 'NotFoundError') {
+                    return null;
+                }
+                throw error;
+            }
+        }
+
+        const data = await this.database.delete({
+            TableName: this.tableName(),
+            Key: this.keyOf(key),
+            ReturnValues: 'ALL_OLD'
+        }, { expectedVersion: options.expectedVersion, versioned: this.versioned });
+        return data && data.Attributes ? data.Attributes : null;
+    }
+
+    /**
+     * Restore a soft-deleted item; entities with a ttl get a fresh expiry
+     * @param {Object} key - Primary key
+     * @param {Object} options - Options (expectedVersion)
+     * @returns {Promise<Object>} Restored item
+     * @throws {NotFoundError} When no soft-deleted item exists for the key
+     */
+    async restore(key, options = {}) {
+        const itemKey = this.keyOf(key);
+        try {
+            return await this.database.restore({ TableName: this.tableName(), Key: itemKey }, {
+                ...(this.ttl && { expireAfter: this.ttl.duration }),
+                versioned: this.versioned,
+                ...options
+            });
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                throw this.notFound(itemKey);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Copy an item to S3 and remove it from the table
+     * @param {Object} key - Primary key
+     * @param {Object} options - DatabaseService.archive options (storage, bucket, prefix)
+     * @returns {Promise<{bucket: string, key: string, item: Object}|null>} Archive location, or null when the item does not exist
+     */
+    async archive(key, options = {}) {
+        return this.database.archive({ TableName: this.tableName(), Key: this.keyOf(key) }, { versioned: this.versioned, ...options });
+    }
+
+    /**
+     * Archive every item matching a filter, including soft-deleted and expired ones
+     * @param {Object} options - Options
+     * @param {Function} options.filter - Filter built with `conditions`
+     * @returns {Promise<{archived: Array, failed: Array}>} Archive locations and per-item failures
+     */
+    async archiveAll(options = {}) {
+        const { filter, ...archiveOptions } = options;
+        return this.database.archiveAll(this.scanParams({ filter, includeDeleted: true }), {
+            versioned: this.versioned,
+            ...archiveOptions,
+            keyAttributes: this.keyAttributes()
+        });
+    }
+
+    scanParams(options) {
+        const expression = this.withVisibility(new ExpressionBuilder(), options);
+        if (options.filter) {
+            expression.filter(options.filter);
+        }
+        if (options.projection) {
+            expression.project(options.projection);
+        }
+        return { TableName: this.tableName(), ...expression.build() };
+    }
+
+    /**
+     * List one page of items
+     * @param {Object} options - Options
+     * @param {number} options.limit - Page size
+     * @param {string} options.lastEvaluatedKey - Cursor from the previous page
+     * @param {Function} options.filter - Filter built with `conditions`
+     * @param {Array<string>} options.projection - Attributes to return
+     * @param {boolean} options.includeDeleted - Also return soft-deleted and expired items
+     * @returns {Promise<{items: Array, pagination: Object}>} Items and pagination metadata
+     */
+    async list(options = {}) {
+        return this.database.scanPage(this.scanParams(options), options);
+    }
+
+    /**
+     * List every item, following all pages
+     * @param {Object} options - Options (filter, projection, maxItems, includeDeleted)
+     * @returns {Promise<Array>} Items
+     */
+    async listAll(options = {}) {
+        return this.database.scanAll(this.scanParams(options), options);
+    }
+
+    /**
+     * Query the base table or an index by key values
+     * @param {string|null} indexName - Index name declared in `indexes`, or null for the base table
+     * @param {Object} keyValues - Partition key value and, optionally, sort key value
+     * @param {Object} options - Options
+     * @param {Function} options.sortCondition - Sort key condition built with `conditions`, instead of an exact sort value
+     * @param {Function} options.filter - Filter built with `conditions`
+     * @param {Array<string>} options.projection - Attributes to return
+     * @param {boolean} options.all - Follow every page and return an array instead of one page
+     * @param {boolean} options.descending - Read in descending sort key order
+     * @param {boolean} options.includeDeleted - Also return soft-deleted and expired items
+     * @returns {Promise<Array|{items: Array, pagination: Object}>} Items, or one page of items
+     */
+    async queryByIndex(indexName, keyValues, options = {}) {
+        const schema = indexName ? this.indexes[indexName] : this.key;
+        if (!schema) {
+            throw new ValidationError(`${this.name} has no index named '${indexName}'`);
+        }
+        if (keyValues[schema.partition] === undefined) {
+            throw new ValidationError(`${this.name} query requires '${schema.partition}'`);
+        }
+
+        const expression = new ExpressionBuilder().keyCondition(conditions.eq(schema.partition, keyValues[schema.partition]));
+        if (schema.sort && keyValues[schema.sort] !== undefined) {
+            expression.keyCondition(conditions.eq(schema.sort, keyValues[schema.sort]));
+        } else if (options.sortCondition) {
+            expression.keyCondition(options.sortCondition);
+        }
+        this.withVisibility(expression, options);
+        if (options.filter) {
+            expression.filter(options.filter);
+        }
+        if (options.projection) {
+            expression.project(options.projection);
+        }
+
+        const params = {
+            TableName: this.tableName(),
+            ...(indexName && { IndexName: indexName }),
+            ...expression.build(),
+            ...(options.descending && { ScanIndexForward: false })
+        };
+        return options.all ? this.database.queryAll(params, options) : this.database.queryPage(params, options);
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * Fluent builder for DynamoDB update, condition, filter, key condition and projection expressions
+ * Every attribute name is aliased through ExpressionAttributeNames, so reserved words such as
+ * `roles`, `name` or `number` never need manual `#` handling
+ */
+import { ValidationError } from "@myorg/error";
+
+/**
+ * Split a document path such as `address.lines[0]` into name segments and list indexes
+ * @param {string} path - Attribute path
+ * @returns {Array<{name: string, indexes: Array<number>}>} Path segments
+ */
+const parsePath = (path) => {
+    if (typeof path !== 'string' || path.length === 0) {
+        throw new TypeError('Attribute path must be a non-empty string');
+    }
+
+    return path.split('.').map((segment) => {
+        const match = segment.match(/^([^\[\]]+)((?:\[\d+\])*)$/);
+        if (!match) {
+            throw new TypeError(`Invalid attribute path segment '${segment}' in '${path}'`);
+        }
+        const indexes = [...match[2].matchAll(/\[(\d+)\]/g)].map((index) => Number(index[1]));
+        return { name: match[1], indexes };
+    });
+};
+
+/**
+ * Placeholder registry shared by every expression of a single request
+ * Placeholders already used by `existing` are skipped, so the output can be merged with hand-written expressions
+ */
+class ExpressionContext {
+    constructor(existing = {}) {
+        this.names = { ...existing.ExpressionAttributeNames };
+        this.values = { ...existing.ExpressionAttributeValues };
+        this.aliases = new Map();
+        this.nameCount = 0;
+        this.valueCount = 0;
+    }
+
+    /**
+     * Alias an attribute path, reusing the alias when the same name appears again
+     * @param {string} path - Attribute path
+     * @returns {string} Aliased path, e.g. `#n0.#n1[2]`
+     */
+    name(path) {
+        return parsePath(path).map(({ name, indexes }) => {
+            if (!this.aliases.has(name)) {
+                let alias;
+                do {
+                    alias = `#n${this.nameCount++}`;
+                } while (alias in this.names);
+                this.aliases.set(name, alias);
+                this.names[alias] = name;
+            }
+            return this.aliases.get(name) + indexes.map((index) => `[${index}]`).join('');
+        }).join('.');
+    }
+
+    /**
+     * Register a value placeholder
+     * @param {*} value - Attribute value
+     * @returns {string} Placeholder, e.g. `:v0`
+     */
+    value(value) {
+        let placeholder;
+        do {
+            placeholder = `:v${this.valueCount++}`;
+        } while (placeholder in this.values);
+        this.values[placeholder] = value;
+        return placeholder;
+    }
+}
+
+const comparison = (operator) => (path, value) => (ctx) => `${ctx.name(path)} ${operator} ${ctx.value(value)}`;
+
+const group = (operator) => (...clauses) => (ctx) => {
+    if (clauses.length === 0) {
+        throw new ValidationError(`${operator} needs at least one clause`);
+    }
+    return clauses.length === 1 ? clauses[0](ctx) : `(${clauses.map((clause) => clause(ctx)).join(` ${operator} `)})`;
+};
+
+/**
+ * Composable condition helpers for condition, filter and key condition expressions
+ * Each helper returns a function that renders itself against an ExpressionContext
+ */
+export const conditions = {
+    eq: comparison('='),
+    ne: comparison('<>'),
+    lt: comparison('<'),
+    lte: comparison('<='),
+    gt: comparison('>'),
+    gte: comparison('>='),
+    between: (path, low, high) => (ctx) => `${ctx.name(path)} BETWEEN ${ctx.value(low)} AND ${ctx.value(high)}`,
+    in: (path, values) => (ctx) => {
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new ValidationError('IN needs a non-empty array of values', { path });
+        }
+        return `${ctx.name(path)} IN (${values.map((value) => ctx.value(value)).join(', ')})`;
+    },
+    beginsWith: (path, prefix) => (ctx) => `begins_with(${ctx.name(path)}, ${ctx.value(prefix)})`,
+    contains: (path, value) => (ctx) => `contains(${ctx.name(path)}, ${ctx.value(value)})`,
+    attributeExists: (path) => (ctx) => `attribute_exists(${ctx.name(path)})`,
+    attributeNotExists: (path) => (ctx) => `attribute_not_exists(${ctx.name(path)})`,
+    attributeType: (path, type) => (ctx) => `attribute_type(${ctx.name(path)}, ${ctx.value(type)})`,
+    sizeEq: (path, size) => (ctx) => `size(${ctx.name(path)}) = ${ctx.value(size)}`,
+    and: group('AND'),
+    or: group('OR'),
+    not: (clause) => (ctx) => `NOT ${clause(ctx)}`
+};
+
+/**
+ * Fluent expression builder
+ *
+ * @example
+ * const params = {
+ *     TableName: table,
+ *     Key: { userId },
+ *     ...new ExpressionBuilder()
+ *         .set('firstName', 'Ada')
+ *         .remove('about')
+ *         .condition(conditions.attributeExists('userId'))
+ *         .build(),
+ *     ReturnValues: 'ALL_NEW'
+ * };
+ */
+export class ExpressionBuilder {
+    constructor() {
+        this.updates = { SET: [], REMOVE: [], ADD: [], DELETE: [] };
+        this.conditionClauses = [];
+        this.filterClauses = [];
+        this.keyConditionClauses = [];
+        this.projection = [];
+    }
+
+    /**
+     * Create an update from a plain object of changed fields
+     * Fields with an undefined value are removed, every other field is set
+     * @param {Object} changes - Changed fields keyed by attribute name
+     * @param {Object} options - Options
+     * @param {Array<string>} options.ignore - Attribute names to skip, e.g. key attributes
+     * @returns {ExpressionBuilder} Builder
+     */
+    static fromObject(changes = {}, options = {}) {
+        const { ignore = [] } = options;
+        const builder = new ExpressionBuilder();
+
+        Object.entries(changes).forEach(([field, value]) => {
+            if (ignore.includes(field)) {
+                return;
+            }
+            if (value === undefined) {
+                builder.remove(field);
+            } else {
+                builder.set(field, value);
+            }
+        });
+
+        return builder;
+    }
+
+    /**
+     * SET an attribute
+     * @param {string} path - Attribute path
+     * @param {*} value - New value
+     * @returns {ExpressionBuilder} Builder
+     */
+    set(path, value) {
+        this.updates.SET.push((ctx) => `${ctx.name(path)} = ${ctx.value(value)}`);
+        return this;
+    }
+
+    /**
+     * SET an attribute only if it does not exist yet
+     * @param {string} path - Attribute path
+     * @param {*} value - Initial value
+     * @returns {ExpressionBuilder} Builder
+     */
+    setIfNotExists(path, value) {
+        this.updates.SET.push((ctx) => {
+            const name = ctx.name(path);
+            return `${name} = if_not_exists(${name}, ${ctx.value(value)})`;
+        });
+        return this;
+    }
+
+    /**
+     * Append values to a list attribute, creating the list when missing
+     * @param {string} path - Attribute path
+     * @param {Array} values - Values to append
+     * @returns {ExpressionBuilder} Builder
+     */
+    append(path, values) {
+        this.updates.SET.push((ctx) => {
+            const name = ctx.name(path);
+            return `${name} = list_append(if_not_exists(${name}, ${ctx.value([])}), ${ctx.value(values)})`;
+        });
+        return this;
+    }
+
+    /**
+     * Increment (or decrement with a negative amount) a numeric attribute via SET
+     * @param {string} path - Attribute path
+     * @param {number} amount - Amount to add
+     * @param {number} start - Value assumed when the attribute does not exist yet
+     * @returns {ExpressionBuilder} Builder
+     */
+    increment(path, amount = 1, start = 0) {
+        this.updates.SET.push((ctx) => {
+            const name = ctx.name(path);
+            return `${name} = if_not_exists(${name}, ${ctx.value(start)}) + ${ctx.value(amount)}`;
+        });
+        return this;
+    }
+
+    /**
+     * REMOVE an attribute
+     * @param {string} path - Attribute path
+     * @returns {ExpressionBuilder} Builder
+     */
+    remove(path) {
+        this.updates.REMOVE.push((ctx) => ctx.name(path));
+        return this;
+    }
+
+    /**
+     * ADD to a number or set attribute
+     * @param {string} path - Attribute path
+     * @param {number|Set} value - Number or set to add
+     * @returns {ExpressionBuilder} Builder
+     */
+    add(path, value) {
+        this.updates.ADD.push((ctx) => `${ctx.name(path)} ${ctx.value(value)}`);
+        return this;
+    }
+
+    /**
+     * DELETE elements from a set attribute
+     * @param {string} path - Attribute path
+     * @param {Set} value - Elements to delete
+     * @returns {ExpressionBuilder} Builder
+     */
+    delete(path, value) {
+        this.updates.DELETE.push((ctx) => `${ctx.name(path)} ${ctx.value(value)}`);
+        return this;
+    }
+
+    /**
+     * Add a ConditionExpression clause; multiple calls are combined with AND
+     * @param {Function} clause - Clause built with `conditions`
+     * @returns {ExpressionBuilder} Builder
+     */
+    condition(clause) {
+        this.conditionClauses.push(clause);
+        return this;
+    }
+
+    /**
+     * Add a FilterExpression clause; multiple calls are combined with AND
+     * @param {Function} clause - Clause built with `conditions`
+     * @returns {ExpressionBuilder} Builder
+     */
+    filter(clause) {
+        this.filterClauses.push(clause);
+        return this;
+    }
+
+    /**
+     * Add a KeyConditionExpression clause; multiple calls are combined with AND
+     * @param {Function} clause - Clause built with `conditions`
+     * @returns {ExpressionBuilder} Builder
+     */
+    keyCondition(clause) {
+        this.keyConditionClauses.push(clause);
+        return this;
+    }
+
+    /**
+     * Restrict the attributes returned
+     * @param {...string} paths - Attribute paths
+     * @returns {ExpressionBuilder} Builder
+     */
+    project(...paths) {
+        this.projection.push(...paths.flat());
+        return this;
+    }
+
+    /**
+     * Render every expression into DynamoDB command parameters
+     * @param {Object} existing - Existing ExpressionAttributeNames/Values to merge with; their placeholders are never reused
+     * @returns {Object} Params fragment to spread into a command
+     */
+    build(existing = {}) {
+        const ctx = new ExpressionContext(existing);
+        const params = {};
+
+        const updateExpression = Object.entries(this.updates)
+            .filter(([, clauses]) => clauses.length > 0)
+            .map(([action, clauses]) => `${action} ${clauses.map((clause) => clause(ctx)).join(', ')}`)
+            .join(' ');
+        if (updateExpression) {
+            params.UpdateExpression = updateExpression;
+        }
+        if (this.keyConditionClauses.length > 0) {
+            params.KeyConditionExpression = this.keyConditionClauses.map((clause) => clause(ctx)).join(' AND ');
+        }
+        if (this.conditionClauses.length > 0) {
+            params.ConditionExpression = this.conditionClauses.map((clause) => clause(ctx)).join(' AND ');
+        }
+        if (this.filterClauses.length > 0) {
+            params.FilterExpression = this.filterClauses.map((clause) => clause(ctx)).join(' AND ');
+        }
+        if (this.projection.length > 0) {
+            params.ProjectionExpression = this.projection.map((path) => ctx.name(path)).join(', ');
+        }
+
+        if (Object.keys(ctx.names).length > 0) {
+            params.ExpressionAttributeNames = ctx.names;
+        }
+        if (Object.keys(ctx.values).length > 0) {
+            params.ExpressionAttributeValues = ctx.values;
+        }
+
+        return params;
+    }
+}
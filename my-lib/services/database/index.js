@@ -1,22 +1,214 @@
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, BatchWriteCommand, BatchGetCommand, QueryCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+import { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand, DeleteCommand, BatchWriteCommand, BatchGetCommand, QueryCommand, ScanCommand, TransactWriteCommand, TransactGetCommand } from "@aws-sdk/lib-dynamodb";
+import { chunk } from "@myorg/array";
+import { PAGINATION, TABLE_PATTERNS, S3_PATTERNS } from "@myorg/constants";
+import { ConflictError, NotFoundError, ValidationError } from "@myorg/error";
+import Logger from "@myorg/logger";
+import { ExpressionBuilder, conditions } from "./expression.js";
+import { TransactionBuilder, classifyTransactionError } from "./transaction.js";
+import { SequenceService } from "./sequence.js";
+import { Repository } from "./entity.js";
+import { MemoryDocumentClient } from "./memory.js";
+import { expiresAt } from "./lifecycle.js";
+
+// DynamoDB per-request limits
+const BATCH_WRITE_LIMIT = 25;
+const BATCH_GET_LIMIT = 100;
+
+const DEFAULT_BATCH_RETRY = {
+    maxRetries: 5,
+    baseDelay: 50,
+    maxDelay: 5000
+};
+
+const RETRYABLE_ERRORS = [
+    'ProvisionedThroughputExceededException',
+    'ThrottlingException',
+    'RequestLimitExceeded',
+    'InternalServerError',
+    'ServiceUnavailableException'
+];
+
+// Attribute used when a call or entity opts into versioning and no service-wide attribute is configured
+const DEFAULT_VERSION_ATTRIBUTE = 'version';
+
+// Failed conditions are an expected outcome (put-if-not-exists, version checks), not an operational error
+const isConditionFailure = (error) => error.name === 'ConditionalCheckFailedException'
+    || error.name === 'ConflictError'
+    || (error.name === 'TransactionCanceledException'
+        && (error.CancellationReasons || []).every((reason) => ['None', 'ConditionalCheckFailed'].includes(reason.Code)));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// SET, REMOVE, ADD and DELETE are reserved words, so unaliased they can only start a clause
+const UPDATE_ACTION = /(^|[\s,)])(SET|REMOVE|ADD|DELETE)(?=\s)/gi;
+
+/**
+ * Split an UpdateExpression into its clauses
+ * @param {string} expression - UpdateExpression, e.g. `SET #a = :a REMOVE #b`
+ * @returns {Object} Clause bodies by action, e.g. { SET: '#a = :a', REMOVE: '#b' }
+ */
+const splitUpdateExpression = (expression = '') => {
+    const matches = [...expression.matchAll(UPDATE_ACTION)];
+    return Object.fromEntries(matches.map((match, index) => {
+        const start = match.index + match[0].length;
+        const end = index + 1 < matches.length ? matches[index + 1].index + matches[index + 1][1].length : expression.length;
+        return [match[2].toUpperCase(), expression.slice(start, end).trim()];
+    }));
+};
 
 class DatabaseService {
-    constructor() {
-        this.client = new DynamoDBClient({
-            region: process.env['REGION'] || 'eu-west-1'
+    /**
+     * @param {Object} options - Service options
+     * @param {string} options.versionAttribute - Attribute used for optimistic locking on every table (default: DB_VERSION_ATTRIBUTE);
+     *   when unset, only calls and entities with `versioned` are locked
+     * @param {Object} options.client - DynamoDBClient to use instead of creating one
+     * @param {Object} options.docClient - Document client to use instead of wrapping `client`, e.g. a mock
+     * @param {string} options.region - AWS region (default: REGION or eu-west-1)
+     * @param {string} options.endpoint - Custom endpoint such as DynamoDB Local (default: DYNAMODB_ENDPOINT)
+     * @param {Object} options.credentials - Credentials or credential provider
+     * @param {number} options.maxAttempts - SDK attempts per request, including the first
+     * @param {string} options.retryMode - SDK retry mode: 'standard' or 'adaptive'
+     * @param {Object} options.retryStrategy - Custom SDK retry strategy
+     * @param {Object} options.translateConfig - marshallOptions/unmarshallOptions for the document client
+     * @param {Object} options.batchRetry - Defaults for batchWriteAll/batchGetAll retries (maxRetries, baseDelay, maxDelay)
+     * @param {string} options.tablePrefix - Replaces the environment.app.service table prefix (default: TABLE_PREFIX)
+     * @param {string} options.softDeleteAttribute - Marker set by softDelete() (default: 'deletedAt')
+     * @param {string} options.ttlAttribute - DynamoDB TTL attribute in epoch seconds (default: DB_TTL_ATTRIBUTE or 'expiresAt')
+     * @param {Object} options.metrics - Instrumentation of every call
+     * @param {boolean} options.metrics.enabled - Log each call through Logger.logDatabaseOperation (default: true)
+     * @param {boolean} options.metrics.emf - Also write CloudWatch Embedded Metric Format lines (default: DB_METRICS_EMF === 'true')
+     * @param {string} options.metrics.namespace - EMF namespace (default: METRICS_NAMESPACE or APP_NAME)
+     * @param {string} options.metrics.returnConsumedCapacity - ReturnConsumedCapacity sent with each call (default: 'TOTAL')
+     * @param {number} options.metrics.slowThreshold - Calls slower than this many ms are logged as warnings (default: DB_SLOW_THRESHOLD_MS)
+     */
+    constructor(options = {}) {
+        const endpoint = options.endpoint || process.env['DYNAMODB_ENDPOINT'];
+        this.client = options.client || new DynamoDBClient({
+            region: options.region || process.env['REGION'] || 'eu-west-1',
+            ...(endpoint && { endpoint }),
+            ...(options.credentials && { credentials: options.credentials }),
+            ...(options.maxAttempts && { maxAttempts: options.maxAttempts }),
+            ...(options.retryMode && { retryMode: options.retryMode }),
+            ...(options.retryStrategy && { retryStrategy: options.retryStrategy })
         });
-        this.docClient = DynamoDBDocumentClient.from(this.client);
+        this.docClient = options.docClient || DynamoDBDocumentClient.from(this.client, options.translateConfig);
+        this.versionAttribute = options.versionAttribute || process.env['DB_VERSION_ATTRIBUTE'] || null;
+        this.batchRetry = { ...DEFAULT_BATCH_RETRY, ...options.batchRetry };
+        this.tablePrefix = options.tablePrefix || null;
+        this.softDeleteAttribute = options.softDeleteAttribute || 'deletedAt';
+        this.ttlAttribute = options.ttlAttribute || process.env['DB_TTL_ATTRIBUTE'] || 'expiresAt';
+        const slowThreshold = process.env['DB_SLOW_THRESHOLD_MS'] ? Number(process.env['DB_SLOW_THRESHOLD_MS']) : undefined;
+        this.metrics = {
+            enabled: true,
+            emf: process.env['DB_METRICS_EMF'] === 'true',
+            namespace: process.env['METRICS_NAMESPACE'] || process.env['APP_NAME'] || 'myapp',
+            returnConsumedCapacity: 'TOTAL',
+            slowThreshold,
+            ...options.metrics
+        };
     }
 
-    handleError(error, methodName, options = {}) {
-        const serviceName = this.constructor.name;
-        console.error(`[${serviceName}.${methodName}] Error:`, {
-            message: error.message,
-            code: error.code || error.name,
-            statusCode: error.$metadata?.httpStatusCode,
-            requestId: error.$metadata?.requestId
+    /**
+     * Send a command through the document client, recording duration, capacity and item counts
+     * @param {Object} command - lib-dynamodb command
+     * @returns {Promise<Object>} Command output
+     */
+    async send(command) {
+        if (!this.metrics.enabled) {
+            return this.docClient.send(command);
+        }
+
+        const operation = command.constructor.name.replace(/Command$/, '');
+        const input = this.metrics.returnConsumedCapacity && command.input.ReturnConsumedCapacity === undefined
+            ? { ...command.input, ReturnConsumedCapacity: this.metrics.returnConsumedCapacity }
+            : command.input;
+        const instrumented = input === command.input ? command : new command.constructor(input);
+        const start = Date.now();
+        try {
+            const data = await this.docClient.send(instrumented);
+            this.recordOperation(operation, input, Date.now() - start, data);
+            return data;
+        } catch (error) {
+            this.recordOperation(operation, input, Date.now() - start, null, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Log one call and, when enabled, emit it as EMF metrics dimensioned by table and operation
+     */
+    recordOperation(operation, input, duration, data, error = null) {
+        const tables = input.TableName
+            ? [input.TableName]
+            : input.RequestItems
+                ? Object.keys(input.RequestItems)
+                : [...new Set((input.TransactItems || []).map((item) => Object.values(item)[0].TableName))];
+        const tableName = tables.join(',');
+        const conditionFailed = !!error && isConditionFailure(error);
+        const details = {};
+
+        if (data) {
+            const capacity = [data.ConsumedCapacity].flat().filter(Boolean);
+            if (capacity.length > 0) {
+                details.consumedCapacity = capacity.reduce((total, entry) => total + (entry.CapacityUnits || 0), 0);
+            }
+            if (data.Count !== undefined) {
+                details.itemCount = data.Count;
+                details.scannedCount = data.ScannedCount;
+            } else if (data.Item || data.Attributes) {
+                details.itemCount = 1;
+            } else if (data.Responses) {
+                details.itemCount = Array.isArray(data.Responses)
+                    ? data.Responses.filter((response) => response && response.Item).length
+                    : Object.values(data.Responses).reduce((total, items) => total + items.length, 0);
+            } else if (input.RequestItems) {
+                details.itemCount = Object.values(input.RequestItems).reduce((total, requests) => total + requests.length, 0);
+            } else if (input.TransactItems) {
+                details.itemCount = input.TransactItems.length;
+            } else {
+                details.itemCount = operation === 'Get' ? 0 : 1;
+            }
+        }
+
+        Logger.logDatabaseOperation(operation, tableName, input, duration, !error, error, {
+            ...details,
+            ...(conditionFailed && { conditionFailed }),
+            ...(this.metrics.slowThreshold !== undefined && { slowThreshold: this.metrics.slowThreshold })
         });
+
+        if (this.metrics.emf) {
+            Logger.logEmbeddedMetrics(this.metrics.namespace, {
+                Duration: { value: duration, unit: 'Milliseconds' },
+                ...(details.consumedCapacity !== undefined && { ConsumedCapacity: { value: details.consumedCapacity, unit: 'Count' } }),
+                ...(details.itemCount !== undefined && { ItemCount: { value: details.itemCount, unit: 'Count' } }),
+                ...(details.scannedCount !== undefined && { ScannedCount: { value: details.scannedCount, unit: 'Count' } }),
+                [error ? (conditionFailed ? 'ConditionFailures' : 'Errors') : 'Successes']: { value: 1, unit: 'Count' }
+            }, {
+                TableName: tables.length === 1 ? tableName : 'Multiple',
+                Operation: operation
+            }, {
+                ...(tables.length > 1 && { tables }),
+                ...(error && { errorName: error.name })
+            });
+        }
+    }
+
+    handleError(error, methodName, options = {}) {
+        // With metrics enabled send() has already logged the failed call
+        if (!this.metrics.enabled) {
+            const serviceName = this.constructor.name;
+            const level = isConditionFailure(error) ? 'warn' : 'error';
+            Logger[level](`[${serviceName}.${methodName}] ${level === 'warn' ? 'Condition not met' : 'Error'}`, {
+                error: {
+                    name: error.name,
+                    message: error.message,
+                    code: error.code || error.name
+                },
+                statusCode: error.$metadata?.httpStatusCode,
+                awsRequestId: error.$metadata?.requestId
+            });
+        }
         
         if (options.fallback !== undefined) {
             return options.fallback;
@@ -25,45 +217,185 @@ class DatabaseService {
         throw error;
     }
 
-    async put(params) {
-        const command = new PutCommand(params);
+    /**
+     * Resolve the version attribute for one call
+     * @param {Object} options - Call options; `versioned` opts in (true or an attribute name) or out (false)
+     * @returns {string|null} Attribute name, or null when the call is not versioned
+     */
+    lockAttribute(options = {}) {
+        if (options.versioned === false) {
+            return null;
+        }
+        if (typeof options.versioned === 'string') {
+            return options.versioned;
+        }
+        return options.versioned ? this.versionAttribute || DEFAULT_VERSION_ATTRIBUTE : this.versionAttribute;
+    }
+
+    /**
+     * Format an item's version as an HTTP ETag
+     * @param {Object} item - Item read from a versioned table
+     * @param {Object} options - Options (versioned)
+     * @returns {string|null} Quoted ETag, or null when versioning is disabled or the item has no version
+     */
+    toETag(item, options = {}) {
+        const attribute = this.lockAttribute(options);
+        const version = attribute && item ? item[attribute] : undefined;
+        return version === undefined || version === null ? null : `"${version}"`;
+    }
+
+    /**
+     * Parse an If-Match/ETag header back into an expected version
+     * @param {string} etag - Header value, e.g. `"3"` or `W/"3"`
+     * @returns {number|undefined} Expected version, or undefined when the header is absent or `*`
+     * @throws {ValidationError} When the header is not a version ETag, so a precondition is never silently dropped
+     */
+    static fromETag(etag) {
+        const value = etag === undefined || etag === null ? '' : String(etag).trim();
+        if (value === '' || value === '*') {
+            return undefined;
+        }
+        const match = value.match(/^(?:W\/)?"?(\d+)"?$/);
+        if (!match) {
+            throw new ValidationError('If-Match must be an ETag returned by this API', { etag: value });
+        }
+        return Number(match[1]);
+    }
+
+    withLockCondition(params, clause) {
+        const { ConditionExpression, ...names } = new ExpressionBuilder().condition(clause).build(params);
+        return {
+            ...params,
+            ...names,
+            ConditionExpression: params.ConditionExpression ? `(${params.ConditionExpression}) AND ${ConditionExpression}` : ConditionExpression
+        };
+    }
+
+    withPutVersion(params, options) {
+        const attribute = this.lockAttribute(options);
+        if (!attribute) {
+            return params;
+        }
+        const current = options.expectedVersion ?? params.Item[attribute];
+        const versioned = { ...params, Item: { ...params.Item, [attribute]: Number(current ?? 0) + 1 } };
+
+        if (current === undefined || current === null) {
+            return this.withLockCondition(versioned, conditions.attributeNotExists(attribute));
+        }
+        return this.withLockCondition(versioned, conditions.eq(attribute, Number(current)));
+    }
+
+    withUpdateVersion(params, options) {
+        const attribute = this.lockAttribute(options);
+        if (!attribute) {
+            return params;
+        }
+        // Placeholders are generated around the ones already in params, and the increment joins the existing SET clause
+        const { UpdateExpression, ...names } = new ExpressionBuilder().increment(attribute).build(params);
+        const clauses = splitUpdateExpression(params.UpdateExpression);
+        const increment = UpdateExpression.replace(/^SET /, '');
+        clauses.SET = clauses.SET ? `${increment}, ${clauses.SET}` : increment;
+        const versioned = {
+            ...params,
+            ...names,
+            UpdateExpression: Object.entries(clauses).map(([action, clause]) => `${action} ${clause}`).join(' ')
+        };
+
+        if (options.expectedVersion === undefined || options.expectedVersion === null) {
+            return versioned;
+        }
+        return this.withLockCondition(versioned, conditions.eq(attribute, Number(options.expectedVersion)));
+    }
+
+    withDeleteVersion(params, options) {
+        const attribute = this.lockAttribute(options);
+        if (!attribute || options.expectedVersion === undefined || options.expectedVersion === null) {
+            return params;
+        }
+        return this.withLockCondition(params, conditions.eq(attribute, Number(options.expectedVersion)));
+    }
+
+    /**
+     * Map a failed version check to ConflictError
+     * Puts always check the version; updates and deletes only when given an expectedVersion,
+     * otherwise a failure comes from the caller's own condition and is passed through
+     */
+    versionConflict(error, options, checked = true) {
+        const attribute = this.lockAttribute(options);
+        if (!attribute || !checked || error.name !== 'ConditionalCheckFailedException') {
+            return error;
+        }
+        return new ConflictError('Item has been modified by another request', {
+            versionAttribute: attribute,
+            expectedVersion: options.expectedVersion
+        });
+    }
+
+    /**
+     * Put an item; with versioning enabled the item's version is checked and incremented
+     * @param {Object} params - PutCommand parameters
+     * @param {Object} options - Options
+     * @param {number} options.expectedVersion - Version the caller last read; defaults to Item[versionAttribute]
+     * @param {boolean|string} options.versioned - Lock this call (true or an attribute name) or skip locking (false)
+     * @returns {Promise<Object>} PutCommand output
+     * @throws {ConflictError} When the stored version does not match
+     */
+    async put(params, options = {}) {
+        const command = new PutCommand(this.withPutVersion(params, options));
 
         try {
-            return await this.docClient.send(command);
+            return await this.send(command);
         } catch (error) {
-            this.handleError(error, 'put');
+            this.handleError(this.versionConflict(error, options), 'put');
         }
     }
 
-    async get(params) {
+    /**
+     * Get an item
+     * @param {Object} params - GetCommand parameters
+     * @param {Object} options - Options
+     * @param {boolean} options.throwOnError - Throw instead of returning null when the call fails
+     * @returns {Promise<Object|null>} Item, undefined when it does not exist, or null when the call failed
+     */
+    async get(params, options = {}) {
         const command = new GetCommand(params);
 
         try {
-            const data = await this.docClient.send(command);
+            const data = await this.send(command);
             return data.Item;
         } catch (error) {
-            return this.handleError(error, 'get', { fallback: null });
+            return this.handleError(error, 'get', { fallback: options.throwOnError ? undefined : null });
         }
     }
 
-    async update(params) {
-        const command = new UpdateCommand(params);
+    /**
+     * Update an item; with versioning enabled the version is always incremented and,
+     * when an expected version is given, checked
+     * @param {Object} params - UpdateCommand parameters
+     * @param {Object} options - Options
+     * @param {number} options.expectedVersion - Version the caller last read
+     * @param {boolean|string} options.versioned - Lock this call (true or an attribute name) or skip locking (false)
+     * @returns {Promise<Object>} Returned attributes
+     * @throws {ConflictError} When the stored version does not match
+     */
+    async update(params, options = {}) {
+        const command = new UpdateCommand(this.withUpdateVersion(params, options));
 
         try {
-            const data = await this.docClient.send(command);
+            const data = await this.send(command);
             return data.Attributes;
         } catch (error) {
-            this.handleError(error, 'update');
+            this.handleError(this.versionConflict(error, options, options.expectedVersion !== undefined && options.expectedVersion !== null), 'update');
         }
     }
 
-    async delete(params) {
-        const command = new DeleteCommand(params);
+    async delete(params, options = {}) {
+        const command = new DeleteCommand(this.withDeleteVersion(params, options));
 
         try {
-            return await this.docClient.send(command);
+            return await this.send(command);
         } catch (error) {
-            this.handleError(error, 'delete');
+            this.handleError(this.versionConflict(error, options, options.expectedVersion !== undefined && options.expectedVersion !== null), 'delete');
         }
     }
 
@@ -71,7 +403,7 @@ class DatabaseService {
         const command = new BatchWriteCommand(params);
 
         try {
-            return await this.docClient.send(command);
+            return await this.send(command);
         } catch (error) {
             this.handleError(error, 'batchWrite');
         }
@@ -81,7 +413,7 @@ class DatabaseService {
         const command = new BatchGetCommand(params);
 
         try {
-            const data = await this.docClient.send(command);
+            const data = await this.send(command);
             return data.Responses[table].map((item) => {
                 return item;
             });
@@ -90,34 +422,636 @@ class DatabaseService {
         }
     }
 
-    async query(params) {
+    /**
+     * Compute a full-jitter exponential backoff delay
+     * @param {number} attempt - Zero-based retry attempt
+     * @param {Object} retry - Retry options
+     * @returns {number} Delay in ms
+     */
+    backoffDelay(attempt, retry) {
+        const ceiling = Math.min(retry.maxDelay, retry.baseDelay * 2 ** attempt);
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    /**
+     * Send a batch request, retrying whatever DynamoDB returns as unprocessed
+     * @param {Object} requestItems - RequestItems of the first call
+     * @param {Function} send - Sends RequestItems and resolves to the unprocessed RequestItems
+     * @param {string} methodName - Method name for logging
+     * @param {Object} options - Retry options
+     * @returns {Promise<{unprocessed: Object, error: Object|null}>} RequestItems still unprocessed after the last attempt and why
+     */
+    async retryBatch(requestItems, send, methodName, options = {}) {
+        const retry = { ...this.batchRetry, ...options };
+        let pending = requestItems;
+        let attempt = 0;
+
+        while (Object.keys(pending).length > 0) {
+            let unprocessed;
+            try {
+                unprocessed = (await send(pending)) || {};
+            } catch (error) {
+                if (!RETRYABLE_ERRORS.includes(error.name) || attempt >= retry.maxRetries) {
+                    this.handleError(error, methodName, { fallback: retry.throwOnError ? undefined : null });
+                    return { unprocessed: pending, error: { name: error.name, message: error.message } };
+                }
+                unprocessed = pending;
+            }
+
+            if (Object.keys(unprocessed).length > 0 && attempt >= retry.maxRetries) {
+                return {
+                    unprocessed,
+                    error: { name: 'UnprocessedItem', message: `Still unprocessed after ${retry.maxRetries} retries` }
+                };
+            }
+            if (Object.keys(unprocessed).length > 0) {
+                await sleep(this.backoffDelay(attempt, retry));
+                attempt++;
+            }
+            pending = unprocessed;
+        }
+
+        return { unprocessed: {}, error: null };
+    }
+
+    /**
+     * Write any number of put/delete requests, chunked to the DynamoDB limit of 25
+     * per call, retrying UnprocessedItems and throttling errors with jittered backoff
+     * @param {Object} params - BatchWriteCommand parameters; RequestItems may be any size
+     * @param {Object} options - Retry options (maxRetries, baseDelay, maxDelay), and throwOnError to throw
+     *   when a call fails outright instead of reporting its requests as failed
+     * @returns {Promise<{failed: Array, successCount: number, failureCount: number}>} Requests still unprocessed after the last attempt, as { table, request, error }
+     */
+    async batchWriteAll(params, options = {}) {
+        const { RequestItems = {}, ...rest } = params;
+        const entries = Object.entries(RequestItems)
+            .flatMap(([table, requests]) => requests.map((request) => ({ table, request })));
+        const failed = [];
+
+        for (const batch of chunk(entries, BATCH_WRITE_LIMIT)) {
+            const requestItems = {};
+            batch.forEach(({ table, request }) => {
+                (requestItems[table] = requestItems[table] || []).push(request);
+            });
+            const { unprocessed, error } = await this.retryBatch(requestItems, async (pending) => {
+                const data = await this.send(new BatchWriteCommand({ ...rest, RequestItems: pending }));
+                return data.UnprocessedItems;
+            }, 'batchWriteAll', options);
+
+            Object.entries(unprocessed).forEach(([table, requests]) => {
+                requests.forEach((request) => failed.push({ table, request, error }));
+            });
+        }
+
+        return {
+            failed,
+            successCount: entries.length - failed.length,
+            failureCount: failed.length
+        };
+    }
+
+    /**
+     * Read any number of keys, chunked to the DynamoDB limit of 100 per call,
+     * retrying UnprocessedKeys and throttling errors with jittered backoff
+     * @param {Object} params - BatchGetCommand parameters; each table's Keys may be any size
+     * @param {Object} options - Retry options (maxRetries, baseDelay, maxDelay), and throwOnError to throw
+     *   when a call fails outright instead of reporting its keys as failed
+     * @returns {Promise<{items: Object, failed: Array, successCount: number, failureCount: number}>} Items by table and keys still unprocessed after the last attempt
+     */
+    async batchGetAll(params, options = {}) {
+        const { RequestItems = {}, ...rest } = params;
+        const entries = Object.entries(RequestItems)
+            .flatMap(([table, { Keys = [] }]) => Keys.map((key) => ({ table, key })));
+        const items = Object.fromEntries(Object.keys(RequestItems).map((table) => [table, []]));
+        const failed = [];
+
+        for (const batch of chunk(entries, BATCH_GET_LIMIT)) {
+            const requestItems = {};
+            batch.forEach(({ table, key }) => {
+                if (!requestItems[table]) {
+                    const { Keys, ...tableOptions } = RequestItems[table];
+                    requestItems[table] = { ...tableOptions, Keys: [] };
+                }
+                requestItems[table].Keys.push(key);
+            });
+            const { unprocessed, error } = await this.retryBatch(requestItems, async (pending) => {
+                const data = await this.send(new BatchGetCommand({ ...rest, RequestItems: pending }));
+                Object.entries(data.Responses || {}).forEach(([table, tableItems]) => {
+                    items[table].push(...tableItems);
+                });
+                return data.UnprocessedKeys;
+            }, 'batchGetAll', options);
+
+            Object.entries(unprocessed).forEach(([table, { Keys = [] }]) => {
+                Keys.forEach((key) => failed.push({ table, key, error }));
+            });
+        }
+
+        return {
+            items,
+            failed,
+            successCount: entries.length - failed.length,
+            failureCount: failed.length
+        };
+    }
+
+    /**
+     * Start a transaction that commits through this service
+     * @returns {TransactionBuilder} Transaction builder
+     */
+    transaction() {
+        return new TransactionBuilder(this);
+    }
+
+    withTransactionVersions(input, itemOptions = []) {
+        return {
+            ...input,
+            TransactItems: input.TransactItems.map((item, index) => {
+                const options = itemOptions[index] || {};
+                if (item.Put) {
+                    return { Put: this.withPutVersion(item.Put, options) };
+                }
+                if (item.Update) {
+                    return { Update: this.withUpdateVersion(item.Update, options) };
+                }
+                return item;
+            })
+        };
+    }
+
+    /**
+     * Write up to 100 put/update/delete/conditionCheck actions atomically
+     * @param {Object|TransactionBuilder} params - TransactWriteCommand parameters or a builder
+     * @returns {Promise<Object>} TransactWriteCommand output
+     * @throws {ConflictError} When a condition check fails or another transaction interferes
+     */
+    async transactWrite(params) {
+        const input = params instanceof TransactionBuilder
+            ? this.withTransactionVersions(params.build(), params.itemOptions)
+            : this.withTransactionVersions(params);
+        const command = new TransactWriteCommand(input);
+
+        try {
+            return await this.send(command);
+        } catch (error) {
+            this.handleError(classifyTransactionError(error, input.TransactItems), 'transactWrite');
+        }
+    }
+
+    /**
+     * Read up to 100 items atomically
+     * @param {Object} params - TransactGetCommand parameters
+     * @returns {Promise<Array>} Items in request order; missing items are undefined
+     */
+    async transactGet(params) {
+        const command = new TransactGetCommand(params);
+
+        try {
+            const data = await this.send(command);
+            return (data.Responses || []).map((response) => response.Item);
+        } catch (error) {
+            this.handleError(classifyTransactionError(error, params.TransactItems), 'transactGet');
+        }
+    }
+
+    /**
+     * Resolve a base table name to its full name for the current environment
+     * @param {string} table - Base table name, e.g. 'userProfile'
+     * @param {Object} overrides - prefix, environment, appName or serviceName overrides; any of them wins over the service's tablePrefix
+     * @returns {string} Full table name, e.g. 'dev.myapp.auth.userProfile'
+     */
+    tableName(table, overrides = {}) {
+        const segmentOverride = overrides.environment || overrides.appName || overrides.serviceName;
+        return TABLE_PATTERNS.getTableName(table, {
+            ...(this.tablePrefix && !segmentOverride && { prefix: this.tablePrefix }),
+            ...overrides
+        });
+    }
+
+    /**
+     * Declare an entity and get a repository for it
+     * @param {Object} definition - Entity definition (name, table, key, indexes, defaults, validators)
+     * @returns {Repository} Repository with get/create/update/delete/list/queryByIndex
+     */
+    entity(definition) {
+        return new Repository(this, definition);
+    }
+
+    /**
+     * Create an atomic counter allocator backed by the sequence table
+     * Keep the returned instance at module scope to reuse cached blocks across invocations
+     * @param {Object} options - SequenceService options (tableName, cacheSize, ...)
+     * @returns {SequenceService} Sequence service
+     */
+    sequence(options = {}) {
+        return new SequenceService(this, options);
+    }
+
+    /**
+     * Mark an item deleted by setting the soft-delete attribute instead of removing it
+     * @param {Object} params - TableName and Key
+     * @param {Object} options - Options
+     * @param {number} options.expectedVersion - Version for optimistic locking
+     * @param {boolean|string} options.versioned - Whether the table is versioned, as for update()
+     * @param {string|number|Object} options.expireAfter - Also set the TTL attribute so DynamoDB purges the item later
+     * @returns {Promise<Object>} Item as stored after the update
+     * @throws {NotFoundError} When the item does not exist or is already deleted
+     */
+    async softDelete(params, options = {}) {
+        const expression = new ExpressionBuilder()
+            .set(this.softDeleteAttribute, new Date().toISOString())
+            .condition(conditions.attributeExists(Object.keys(params.Key)[0]))
+            .condition(conditions.attributeNotExists(this.softDeleteAttribute));
+        if (options.expireAfter !== undefined) {
+            expression.set(this.ttlAttribute, expiresAt(options.expireAfter));
+        }
+
+        try {
+            return await this.update({
+                TableName: params.TableName,
+                Key: params.Key,
+                ...expression.build(),
+                ReturnValues: 'ALL_NEW'
+            }, { expectedVersion: options.expectedVersion, versioned: options.versioned });
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+            throw new NotFoundError(`Item not found in ${params.TableName}`, { key: params.Key });
+        }
+    }
+
+    /**
+     * Undo a soft delete; the TTL attribute is removed, or reset when `expireAfter` is given
+     * @param {Object} params - TableName and Key
+     * @param {Object} options - Options
+     * @param {number} options.expectedVersion - Version for optimistic locking
+     * @param {boolean|string} options.versioned - Whether the table is versioned, as for update()
+     * @param {string|number|Object} options.expireAfter - New TTL for the restored item
+     * @returns {Promise<Object>} Restored item
+     * @throws {NotFoundError} When no soft-deleted item exists for the key
+     */
+    async restore(params, options = {}) {
+        const expression = new ExpressionBuilder()
+            .remove(this.softDeleteAttribute)
+            .condition(conditions.attributeExists(this.softDeleteAttribute));
+        if (options.expireAfter !== undefined) {
+            expression.set(this.ttlAttribute, expiresAt(options.expireAfter));
+        } else {
+            expression.remove(this.ttlAttribute);
+        }
+
+        try {
+            return await this.update({
+                TableName: params.TableName,
+                Key: params.Key,
+                ...expression.build(),
+                ReturnValues: 'ALL_NEW'
+            }, { expectedVersion: options.expectedVersion, versioned: options.versioned });
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+            throw new NotFoundError(`Deleted item not found in ${params.TableName}`, { key: params.Key });
+        }
+    }
+
+    /**
+     * Copy an item to S3 as JSON, then delete it from the table
+     * The delete is skipped when the upload fails, and with versioning enabled it only succeeds
+     * if the item was not modified in between
+     * @param {Object} params - TableName and Key
+     * @param {Object} options - Options
+     * @param {Object} options.storage - StorageService to upload with (default: the @myorg/storage default instance)
+     * @param {boolean|string} options.versioned - Whether the table is versioned, as for put()
+     * @param {string} options.bucket - Bucket (default: S3_BUCKET)
+     * @param {string} options.prefix - Key prefix (default: S3_PATTERNS.getKey('archive/<TableName>'))
+     * @returns {Promise<{bucket: string, key: string, item: Object}|null>} Archive location, or null when the item does not exist
+     */
+    async archive(params, options = {}) {
+        const item = await this.get({ TableName: params.TableName, Key: params.Key, ConsistentRead: true });
+        if (!item) {
+            return null;
+        }
+
+        // Loaded on demand so functions that never archive do not pay for the S3 client
+        const storage = options.storage || (await import('@myorg/storage')).getStorageService();
+        const bucket = options.bucket || process.env['S3_BUCKET'];
+        const prefix = options.prefix || S3_PATTERNS.getKey(`archive/${params.TableName}`);
+        const attribute = this.lockAttribute(options);
+        const key = `${prefix}/${Object.values(params.Key).map((value) => encodeURIComponent(String(value))).join('/')}.json`;
+        const body = {
+            tableName: params.TableName,
+            key: params.Key,
+            archivedAt: new Date().toISOString(),
+            item
+        };
+
+        await storage.putObject({
+            Bucket: bucket,
+            Key: key,
+            Body: JSON.stringify(body, (field, value) => value instanceof Set ? [...value] : value),
+            ContentType: 'application/json'
+        });
+        await this.delete({
+            TableName: params.TableName,
+            Key: params.Key
+        }, { expectedVersion: attribute ? item[attribute] : undefined, versioned: options.versioned });
+
+        return { bucket, key, item };
+    }
+
+    /**
+     * Archive every item matched by a query or scan
+     * @param {Object} params - QueryCommand (with KeyConditionExpression) or ScanCommand parameters
+     * @param {Object} options - archive() options plus `keyAttributes`, the table's key attribute names
+     * @returns {Promise<{archived: Array, failed: Array}>} Archive locations and per-item failures
+     */
+    async archiveAll(params, options = {}) {
+        const { keyAttributes, ...archiveOptions } = options;
+        if (!keyAttributes || keyAttributes.length === 0) {
+            throw new ValidationError('archiveAll requires the table keyAttributes');
+        }
+        const Command = params.KeyConditionExpression ? QueryCommand : ScanCommand;
+        const archived = [];
+        const failed = [];
+
+        for await (const page of this.pages(Command, params, 'archiveAll')) {
+            for (const item of page) {
+                const Key = Object.fromEntries(keyAttributes.map((attribute) => [attribute, item[attribute]]));
+                try {
+                    const result = await this.archive({ TableName: params.TableName, Key }, archiveOptions);
+                    if (result) {
+                        archived.push({ bucket: result.bucket, key: result.key });
+                    }
+                } catch (error) {
+                    failed.push({ key: Key, name: error.name, message: error.message });
+                }
+            }
+        }
+        return { archived, failed };
+    }
+
+    /**
+     * Query the first page of items
+     * @param {Object} params - QueryCommand parameters
+     * @param {Object} options - Options
+     * @param {boolean} options.throwOnError - Throw instead of returning [] when the call fails
+     * @returns {Promise<Array>} Items
+     */
+    async query(params, options = {}) {
         const command = new QueryCommand(params);
 
         try {
-            const data = await this.docClient.send(command);
+            const data = await this.send(command);
             return data.Items.map((item) => {
                 return item;
             });
         } catch (error) {
-            return this.handleError(error, 'query', { fallback: [] });
+            return this.handleError(error, 'query', { fallback: options.throwOnError ? undefined : [] });
         }
     }
 
-    async scan(params) {
+    /**
+     * Scan the first page of items
+     * @param {Object} params - ScanCommand parameters
+     * @param {Object} options - Options
+     * @param {boolean} options.throwOnError - Throw instead of returning [] when the call fails
+     * @returns {Promise<Array>} Items
+     */
+    async scan(params, options = {}) {
         const command = new ScanCommand(params);
 
         try {
-            const data = await this.docClient.send(command);
+            const data = await this.send(command);
             return data.Items.map((item) => {
                 return item;
             });
         } catch (error) {
-            return this.handleError(error, 'scan', { fallback: [] });
+            return this.handleError(error, 'scan', { fallback: options.throwOnError ? undefined : [] });
         }
     }
 
-    async operation(action, table, data) {
-        let tableName = process.env['ENVIRONMENT'] + '.' + process.env['APP_NAME'] + '.' + process.env['SERVICE_NAME'] + '.' + table;
+    /**
+     * Encode a LastEvaluatedKey as an opaque, URL-safe pagination cursor
+     * @param {Object} key - LastEvaluatedKey returned by DynamoDB
+     * @returns {string|null} Cursor string, or null when there are no more pages
+     */
+    static encodeCursor(key) {
+        if (!key) {
+            return null;
+        }
+        return Buffer.from(JSON.stringify(key)).toString('base64url');
+    }
+
+    /**
+     * Decode a pagination cursor back into an ExclusiveStartKey
+     * @param {string} cursor - Cursor produced by encodeCursor
+     * @returns {Object|undefined} ExclusiveStartKey, or undefined for the first page
+     * @throws {ValidationError} When the cursor is malformed
+     */
+    static decodeCursor(cursor) {
+        if (!cursor) {
+            return undefined;
+        }
+        try {
+            const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (!key || typeof key !== 'object' || Array.isArray(key)) {
+                throw new Error('Cursor is not a key object');
+            }
+            return key;
+        } catch (error) {
+            throw new ValidationError('Invalid pagination cursor', { lastEvaluatedKey: error.message });
+        }
+    }
+
+    async *pages(Command, params, methodName) {
+        let exclusiveStartKey = params.ExclusiveStartKey;
+
+        try {
+            do {
+                const command = new Command({ ...params, ExclusiveStartKey: exclusiveStartKey });
+                const data = await this.send(command);
+                exclusiveStartKey = data.LastEvaluatedKey;
+                yield data.Items || [];
+            } while (exclusiveStartKey);
+        } catch (error) {
+            this.handleError(error, methodName);
+        }
+    }
+
+    async collect(Command, params, methodName, options = {}) {
+        const { maxItems = Infinity } = options;
+        const items = [];
+
+        try {
+            for await (const page of this.pages(Command, params, methodName)) {
+                items.push(...page);
+                if (items.length >= maxItems) {
+                    break;
+                }
+            }
+            return items.slice(0, maxItems);
+        } catch (error) {
+            // Already logged by pages()
+            if (options.throwOnError) {
+                throw error;
+            }
+            return [];
+        }
+    }
+
+    async page(Command, params, methodName, options = {}) {
+        const limit = options.limit || params.Limit || PAGINATION.DEFAULT_LIMIT;
+        const exclusiveStartKey = DatabaseService.decodeCursor(options.lastEvaluatedKey);
+        const command = new Command({ ...params, Limit: limit, ExclusiveStartKey: exclusiveStartKey });
+
+        try {
+            const data = await this.send(command);
+            const lastEvaluatedKey = DatabaseService.encodeCursor(data.LastEvaluatedKey);
+            return {
+                items: data.Items || [],
+                pagination: {
+                    limit,
+                    hasMore: lastEvaluatedKey !== null,
+                    ...(lastEvaluatedKey && { lastEvaluatedKey })
+                }
+            };
+        } catch (error) {
+            return this.handleError(error, methodName, { fallback: { items: [], pagination: { limit, hasMore: false } } });
+        }
+    }
+
+    /**
+     * Iterate over every page of a query
+     * @param {Object} params - QueryCommand parameters
+     * @returns {AsyncGenerator<Array>} One array of items per page
+     */
+    queryPages(params) {
+        return this.pages(QueryCommand, params, 'queryPages');
+    }
+
+    /**
+     * Iterate over every page of a scan
+     * @param {Object} params - ScanCommand parameters
+     * @returns {AsyncGenerator<Array>} One array of items per page
+     */
+    scanPages(params) {
+        return this.pages(ScanCommand, params, 'scanPages');
+    }
+
+    /**
+     * Fetch all items matching a query, following every page
+     * @param {Object} params - QueryCommand parameters
+     * @param {Object} options - Options
+     * @param {number} options.maxItems - Stop once this many items have been read
+     * @param {boolean} options.throwOnError - Throw instead of returning [] when a call fails
+     * @returns {Promise<Array>} Items
+     */
+    async queryAll(params, options = {}) {
+        return this.collect(QueryCommand, params, 'queryAll', options);
+    }
+
+    /**
+     * Fetch all items of a scan, following every page
+     * @param {Object} params - ScanCommand parameters
+     * @param {Object} options - Options
+     * @param {number} options.maxItems - Stop once this many items have been read
+     * @param {boolean} options.throwOnError - Throw instead of returning [] when a call fails
+     * @returns {Promise<Array>} Items
+     */
+    async scanAll(params, options = {}) {
+        return this.collect(ScanCommand, params, 'scanAll', options);
+    }
+
+    /**
+     * Fetch a single page of a query
+     * @param {Object} params - QueryCommand parameters
+     * @param {Object} options - Pagination options, as returned by validatePagination
+     * @param {number} options.limit - Page size
+     * @param {string} options.lastEvaluatedKey - Cursor from the previous page
+     * @returns {Promise<{items: Array, pagination: Object}>} Items and pagination metadata for createPaginatedResponse
+     */
+    async queryPage(params, options = {}) {
+        return this.page(QueryCommand, params, 'queryPage', options);
+    }
+
+    /**
+     * Fetch a single page of a scan
+     * @param {Object} params - ScanCommand parameters
+     * @param {Object} options - Pagination options, as returned by validatePagination
+     * @param {number} options.limit - Page size
+     * @param {string} options.lastEvaluatedKey - Cursor from the previous page
+     * @returns {Promise<{items: Array, pagination: Object}>} Items and pagination metadata for createPaginatedResponse
+     */
+    async scanPage(params, options = {}) {
+        return this.page(ScanCommand, params, 'scanPage', options);
+    }
+
+    /**
+     * Count matching items without returning them, following every page
+     * Uses a query when a KeyConditionExpression is given, otherwise a scan
+     * @param {Object} params - QueryCommand or ScanCommand parameters
+     * @returns {Promise<number>} Number of matching items
+     */
+    async count(params) {
+        const Command = params.KeyConditionExpression ? QueryCommand : ScanCommand;
+        let exclusiveStartKey = params.ExclusiveStartKey;
+        let total = 0;
+
+        try {
+            do {
+                const command = new Command({ ...params, Select: 'COUNT', ExclusiveStartKey: exclusiveStartKey });
+                const data = await this.send(command);
+                total += data.Count || 0;
+                exclusiveStartKey = data.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+            return total;
+        } catch (error) {
+            this.handleError(error, 'count');
+        }
+    }
+
+    /**
+     * Map raw DynamoDB errors to our error classes so callers and ErrorHandler see a consistent type
+     * @param {Error} error - Error thrown by a database call
+     * @param {string} tableName - Table the call targeted
+     * @returns {Error} Classified error
+     */
+    classifyError(error, tableName) {
+        switch (error.name) {
+            case 'ConditionalCheckFailedException':
+                return new ConflictError('Resource has been modified by another request', { tableName });
+            case 'ResourceNotFoundException': {
+                const notFound = new NotFoundError(`Table ${tableName} not found`, { tableName });
+                notFound.resource = 'Table';
+                notFound.id = tableName;
+                return notFound;
+            }
+            case 'ValidationException':
+                return new ValidationError('Invalid request parameters', { tableName, dynamoDbError: error.message });
+            default:
+                return error;
+        }
+    }
+
+    /**
+     * Run a named database action against a table resolved with TABLE_PATTERNS.getTableName
+     * @param {string} action - getItem, getItems, writeItem, writeItems, createItem, upsertItem, updateItem,
+     *   updateItems, deleteItem, deleteItems, queryItems, queryAllItems, scanItems, scanAllItems, countItems, transactItems
+     * @param {string} table - Base table name
+     * @param {*} data - Action specific payload
+     * @param {Object} options - Options
+     * @param {string} options.tableName - Use this full table name instead of resolving `table`
+     * @param {string} options.environment - Override the environment segment of the table name
+     * @param {string} options.appName - Override the app name segment of the table name
+     * @param {string} options.serviceName - Override the service name segment of the table name
+     * @param {number} options.maxItems - Item cap for queryAllItems/scanAllItems
+     * @returns {Promise<*>} Action result
+     * @throws {Error} Classified error when the action fails
+     */
+    async operation(action, table, data, options = {}) {
+        let tableName = options.tableName || this.tableName(table, options);
         let response;
         let params;
         try {
@@ -125,7 +1059,7 @@ class DatabaseService {
                 case 'getItem':
                     data.TableName = tableName;
                     params = data;
-                    response = await get(params);
+                    response = await this.get(params, { throwOnError: true });
                     break;
                 case 'getItems':
                     params = {
@@ -135,12 +1069,12 @@ class DatabaseService {
                             }
                         }
                     }
-                    response = await batchGet(params, tableName);
+                    response = (await this.batchGetAll(params, { throwOnError: true })).items[tableName];
                     break;
                 case 'writeItem':
                     data.TableName = tableName;
                     params = data;
-                    response = await put(params);
+                    response = await this.put(params);
                     break;
                 case 'writeItems':
                     params = {
@@ -148,12 +1082,32 @@ class DatabaseService {
                             [tableName]: data
                         }
                     }
-                    response = await batchWrite(params);
+                    response = await this.batchWriteAll(params, { throwOnError: true });
+                    break;
+                case 'createItem':
+                    params = {
+                        TableName: tableName,
+                        Item: { ...data.Item, ...data.Key },
+                        ...new ExpressionBuilder()
+                            .condition(conditions.and(...Object.keys(data.Key).map((attribute) => conditions.attributeNotExists(attribute))))
+                            .build()
+                    }
+                    await this.put(params);
+                    response = params.Item;
+                    break;
+                case 'upsertItem':
+                    params = {
+                        TableName: tableName,
+                        Key: data.Key,
+                        ...ExpressionBuilder.fromObject(data.Item, { ignore: Object.keys(data.Key) }).build(),
+                        ReturnValues: 'ALL_NEW'
+                    }
+                    response = await this.update(params);
                     break;
                 case 'updateItem':
                     data.TableName = tableName;
                     params = data;
-                    response = await update(params);
+                    response = await this.update(params);
                     break;
                 case 'updateItems':
                     params = {
@@ -161,12 +1115,12 @@ class DatabaseService {
                             [tableName]: data
                         }
                     }
-                    response = await batchWrite(params);
+                    response = await this.batchWriteAll(params, { throwOnError: true });
                     break;
                 case 'deleteItem':
                     data.TableName = tableName;
                     params = data;
-                    response = await deleteItem(params);
+                    response = await this.delete(params);
                     break;
                 case 'deleteItems':
                     params = {
@@ -174,39 +1128,160 @@ class DatabaseService {
                             [tableName]: data
                         }
                     }
-                    response = await batchWrite(params);
+                    response = await this.batchWriteAll(params, { throwOnError: true });
                     break;
                 case 'queryItems':
                     data.TableName = tableName
                     params = data;
-                    response = await query(params);
+                    response = await this.query(params, { throwOnError: true });
+                    break;
+                case 'queryAllItems':
+                    params = { ...data, TableName: tableName };
+                    response = await this.queryAll(params, { ...options, throwOnError: true });
                     break;
                 case 'scanItems':
                     data.TableName = tableName
                     params = data;
-                    response = await scan(params);
+                    response = await this.scan(params, { throwOnError: true });
                     break;
-                default:
+                case 'scanAllItems':
+                    params = { ...data, TableName: tableName };
+                    response = await this.scanAll(params, { ...options, throwOnError: true });
+                    break;
+                case 'countItems':
+                    params = { ...data, TableName: tableName };
+                    response = await this.count(params);
+                    break;
+                case 'transactItems':
+                    // Actions without a TableName default to this operation's table
+                    params = {
+                        TransactItems: data.map((item) => {
+                            const [type, actionParams] = Object.entries(item)[0];
+                            return { [type]: { TableName: tableName, ...actionParams } };
+                        })
+                    }
+                    response = await this.transactWrite(params);
                     break;
+                default:
+                    throw new ValidationError(`Unknown database operation '${action}'`);
             }
             return response;
         } catch (error) {
-            console.error(error);
+            throw this.classifyError(error, tableName);
         }
     }
 }
 
+/**
+ * DatabaseService backed by in-memory tables instead of DynamoDB
+ * Only the document client is replaced, so versioning, pagination, transactions, entities and
+ * sequences behave exactly as they do against AWS. Tables must be created with their key schema.
+ *
+ * @example
+ * const memory = new MemoryDatabaseService({
+ *     tables: { [tableName('userProfile')]: { partition: 'userId', indexes: { identityIndex: { partition: 'identityId' } } } }
+ * });
+ * const previous = setDatabaseService(memory);
+ */
+class MemoryDatabaseService extends DatabaseService {
+    /**
+     * @param {Object} options - DatabaseService options plus `tables`, key schemas by full table name
+     */
+    constructor(options = {}) {
+        super({ ...options, docClient: new MemoryDocumentClient(options) });
+    }
+
+    createTable(tableName, schema) {
+        this.docClient.createTable(tableName, schema);
+        return this;
+    }
+
+    seed(tableName, items) {
+        this.docClient.seed(tableName, items);
+        return this;
+    }
+
+    dump(tableName) {
+        return this.docClient.dump(tableName);
+    }
+
+    reset() {
+        this.docClient.reset();
+    }
+}
+
 // Export a singleton instance
-const databaseService = new DatabaseService();
-export const put = (params) => databaseService.put(params);
-export const get = (params) => databaseService.get(params);
-export const update = (params) => databaseService.update(params);
-export const deleteItem = (params) => databaseService.delete(params);
+let databaseService = new DatabaseService();
+
+/**
+ * Replace the instance used by the exported functions, e.g. with a MemoryDatabaseService in tests
+ * @param {DatabaseService} service - New default instance
+ * @returns {DatabaseService} Previous default instance, to restore afterwards
+ */
+export const setDatabaseService = (service) => {
+    const previous = databaseService;
+    databaseService = service;
+    return previous;
+};
+export const getDatabaseService = () => databaseService;
+
+/**
+ * Create a DatabaseService, e.g. against DynamoDB Local or with a custom client
+ * @param {Object} options - DatabaseService options
+ * @returns {DatabaseService} New instance; pass it to setDatabaseService() to make it the default
+ */
+export const createDatabaseService = (options = {}) => new DatabaseService(options);
+
+// Entities and sequences created through the exported functions usually live at module scope,
+// so they resolve the default instance on every call instead of capturing it
+const defaultDatabase = new Proxy({}, {
+    get: (target, property) => {
+        const value = databaseService[property];
+        return typeof value === 'function' ? value.bind(databaseService) : value;
+    }
+});
+
+export const put = (params, options) => databaseService.put(params, options);
+export const get = (params, options) => databaseService.get(params, options);
+export const update = (params, options) => databaseService.update(params, options);
+export const deleteItem = (params, options) => databaseService.delete(params, options);
 export const batchWrite = (params) => databaseService.batchWrite(params);
 export const batchGet = (params, table) => databaseService.batchGet(params, table);
-export const query = (params) => databaseService.query(params);
-export const scan = (params) => databaseService.scan(params);
-export const operation = (action, table, data) => databaseService.operation(action, table, data);
+export const batchWriteAll = (params, options) => databaseService.batchWriteAll(params, options);
+export const batchGetAll = (params, options) => databaseService.batchGetAll(params, options);
+export const query = (params, options) => databaseService.query(params, options);
+export const scan = (params, options) => databaseService.scan(params, options);
+export const transaction = () => databaseService.transaction();
+export const transactWrite = (params) => databaseService.transactWrite(params);
+export const transactGet = (params) => databaseService.transactGet(params);
+export const sequence = (options) => new SequenceService(defaultDatabase, options);
+export const entity = (definition) => new Repository(defaultDatabase, definition);
+export const tableName = (table, overrides) => databaseService.tableName(table, overrides);
+export const count = (params) => databaseService.count(params);
+export const softDelete = (params, options) => databaseService.softDelete(params, options);
+export const restore = (params, options) => databaseService.restore(params, options);
+export const archive = (params, options) => databaseService.archive(params, options);
+export const archiveAll = (params, options) => databaseService.archiveAll(params, options);
+export const queryPages = (params) => databaseService.queryPages(params);
+export const scanPages = (params) => databaseService.scanPages(params);
+export const queryAll = (params, options) => databaseService.queryAll(params, options);
+export const scanAll = (params, options) => databaseService.scanAll(params, options);
+export const queryPage = (params, options) => databaseService.queryPage(params, options);
+export const scanPage = (params, options) => databaseService.scanPage(params, options);
+export const encodeCursor = (key) => DatabaseService.encodeCursor(key);
+export const decodeCursor = (cursor) => DatabaseService.decodeCursor(cursor);
+export const toETag = (item, options) => databaseService.toETag(item, options);
+export const fromETag = (etag) => DatabaseService.fromETag(etag);
+export const operation = (action, table, data, options) => databaseService.operation(action, table, data, options);
+
+// Expression builder for update, condition, filter and key condition expressions
+export { ExpressionBuilder, conditions } from './expression.js';
+export { TransactionBuilder, classifyTransactionError } from './transaction.js';
+export { SequenceService } from './sequence.js';
+export { Repository } from './entity.js';
+export { MemoryDocumentClient } from './memory.js';
+export { StreamProcessor, StreamChange } from './stream.js';
+export { ttlSeconds, expiresAt, isExpired, notExpired, notDeleted } from './lifecycle.js';
 
 // Also export the class for backward compatibility
-export { DatabaseService as Database };
\ No newline at end of file
+export { DatabaseService as Database, MemoryDatabaseService };
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { CACHE_CONFIG } from "@myorg/constants";
+import { ValidationError } from "@myorg/error";
+import { conditions } from "./expression.js";
+
+/**
+ * Item lifecycle helpers: DynamoDB TTL expiry values and soft-delete filters
+ * DynamoDB TTL attributes hold epoch seconds and expired items can linger for up to 48 hours
+ * before DynamoDB removes them, so reads should still filter them out.
+ */
+
+const SECONDS = { days: 86400, hours: 3600, minutes: 60, seconds: 1 };
+
+/**
+ * Resolve a duration to seconds
+ * @param {string|number|Object} duration - CACHE_CONFIG key (e.g. 'LONG_TTL'), seconds, or { days, hours, minutes, seconds }
+ * @returns {number} Duration in seconds
+ */
+export const ttlSeconds = (duration = 'DEFAULT_TTL') => {
+    if (typeof duration === 'string') {
+        if (!(duration in CACHE_CONFIG)) {
+            throw new ValidationError(`Unknown TTL '${duration}'`, { allowed: Object.keys(CACHE_CONFIG) });
+        }
+        return CACHE_CONFIG[duration];
+    }
+    if (typeof duration === 'number' && Number.isFinite(duration) && duration >= 0) {
+        return Math.floor(duration);
+    }
+    if (duration && typeof duration === 'object') {
+        return Object.entries(duration).reduce((total, [unit, amount]) => {
+            if (!(unit in SECONDS)) {
+                throw new ValidationError(`Unknown TTL unit '${unit}'`, { allowed: Object.keys(SECONDS) });
+            }
+            return total + amount * SECONDS[unit];
+        }, 0);
+    }
+    throw new ValidationError('TTL must be a CACHE_CONFIG key, a number of seconds or a duration object');
+};
+
+/**
+ * Epoch-second expiry for a DynamoDB TTL attribute
+ * @param {string|number|Object} duration - See ttlSeconds
+ * @param {Date} from - Start time (default: now)
+ * @returns {number} Expiry in epoch seconds
+ */
+export const expiresAt = (duration, from = new Date()) => Math.floor(from.getTime() / 1000) + ttlSeconds(duration);
+
+/**
+ * Whether an item's TTL has passed, even if DynamoDB has not removed it yet
+ * @param {Object} item - Item
+ * @param {string} attribute - TTL attribute (default: 'expiresAt')
+ * @param {Date} now - Current time
+ * @returns {boolean} True when the item has expired
+ */
+export const isExpired = (item, attribute = 'expiresAt', now = new Date()) =>
+    !!item && typeof item[attribute] === 'number' && item[attribute] <= Math.floor(now.getTime() / 1000);
+
+/**
+ * Filter clause excluding expired items
+ * @param {string} attribute - TTL attribute (default: 'expiresAt')
+ * @param {Date} now - Current time
+ * @returns {Function} Clause for ExpressionBuilder.filter()
+ */
+export const notExpired = (attribute = 'expiresAt', now = new Date()) =>
+    conditions.or(conditions.attributeNotExists(attribute), conditions.gt(attribute, Math.floor(now.getTime() / 1000)));
+
+/**
+ * Filter clause excluding soft-deleted items
+ * @param {string} attribute - Soft-delete marker attribute (default: 'deletedAt')
+ * @returns {Function} Clause for ExpressionBuilder.filter()
+ */
+export const notDeleted = (attribute = 'deletedAt') => conditions.attributeNotExists(attribute);
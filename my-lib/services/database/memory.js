@@ -0,0 +1,1000 @@
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { PutCommand, GetCommand, UpdateCommand, DeleteCommand, BatchWriteCommand, BatchGetCommand, QueryCommand, ScanCommand, TransactWriteCommand, TransactGetCommand } from "@aws-sdk/lib-dynamodb";
+
+/**
+ * In-memory stand-in for DynamoDBDocumentClient
+ * Implements the commands used by DatabaseService against plain in-process tables, including
+ * condition, filter, key condition, update and projection expressions, so handlers can run
+ * without DynamoDB. Items go through the same marshalling as the real document client, which
+ * keeps unsupported values (undefined, class instances) failing the way they would in AWS.
+ *
+ * Not emulated: capacity, throttling, the 1 MB page limit, parallel scan segments and streams.
+ */
+
+const BATCH_WRITE_LIMIT = 25;
+const BATCH_GET_LIMIT = 100;
+const TRANSACTION_LIMIT = 100;
+const ITEM_SIZE_LIMIT = 400 * 1024;
+
+const awsError = (name, message, extra = {}) => {
+    const error = new Error(message);
+    error.name = name;
+    error.$fault = 'client';
+    error.$metadata = { httpStatusCode: 400 };
+    return Object.assign(error, extra);
+};
+
+const validationError = (message) => awsError('ValidationException', message);
+
+// Type tagged serialisation used for equality and item identity
+const serialize = (value) => {
+    if (value === undefined) {
+        return 'U';
+    }
+    if (value === null) {
+        return 'NULL';
+    }
+    if (value instanceof Set) {
+        return `Set(${[...value].map(serialize).sort().join(',')})`;
+    }
+    if (value instanceof Uint8Array) {
+        return `B(${Buffer.from(value).toString('base64')})`;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(serialize).join(',')}]`;
+    }
+    if (typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${serialize(value[key])}`).join(',')}}`;
+    }
+    return `${typeof value}(${JSON.stringify(String(value))})`;
+};
+
+const typeOf = (value) => {
+    if (value === null) {
+        return 'NULL';
+    }
+    if (typeof value === 'string') {
+        return 'S';
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        return 'N';
+    }
+    if (typeof value === 'boolean') {
+        return 'BOOL';
+    }
+    if (value instanceof Uint8Array) {
+        return 'B';
+    }
+    if (value instanceof Set) {
+        const first = value.values().next().value;
+        return typeof first === 'string' ? 'SS' : first instanceof Uint8Array ? 'BS' : 'NS';
+    }
+    return Array.isArray(value) ? 'L' : 'M';
+};
+
+const isScalarKey = (value) => ['S', 'N', 'B'].includes(typeOf(value)) && value !== undefined;
+
+// Ordering used by <, <=, >, >=, BETWEEN and sort keys; undefined when the values are not comparable
+const compare = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    if (typeof a === 'string' && typeof b === 'string') {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    if (a instanceof Uint8Array && b instanceof Uint8Array) {
+        return Buffer.compare(Buffer.from(a), Buffer.from(b));
+    }
+    return undefined;
+};
+
+const sizeOf = (value) => {
+    if (typeof value === 'string' || value instanceof Uint8Array || Array.isArray(value)) {
+        return value.length;
+    }
+    if (value instanceof Set) {
+        return value.size;
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).length;
+    }
+    return undefined;
+};
+
+const getPath = (item, steps) => steps.reduce((current, step) => {
+    if (current === undefined || current === null) {
+        return undefined;
+    }
+    if (typeof step === 'number') {
+        return Array.isArray(current) ? current[step] : undefined;
+    }
+    return typeof current === 'object' && !Array.isArray(current) && !(current instanceof Set) ? current[step] : undefined;
+}, item);
+
+const invalidPath = () => validationError('The document path provided in the update expression is invalid for update');
+
+const setPath = (item, steps, value) => {
+    const parent = getPath(item, steps.slice(0, -1));
+    const last = steps[steps.length - 1];
+    if (typeof last === 'number') {
+        if (!Array.isArray(parent)) {
+            throw invalidPath();
+        }
+        parent[Math.min(last, parent.length)] = value;
+    } else {
+        if (!parent || typeof parent !== 'object' || Array.isArray(parent) || parent instanceof Set) {
+            throw invalidPath();
+        }
+        parent[last] = value;
+    }
+};
+
+const removePath = (item, steps) => {
+    const parent = getPath(item, steps.slice(0, -1));
+    const last = steps[steps.length - 1];
+    if (typeof last === 'number') {
+        if (Array.isArray(parent) && last < parent.length) {
+            parent.splice(last, 1);
+        }
+    } else if (parent && typeof parent === 'object') {
+        delete parent[last];
+    }
+};
+
+const TOKEN = /\s*(?:(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|(<>|<=|>=|[=<>()[\],.+-])|([A-Za-z_][A-Za-z0-9_]*)|(\d+))/y;
+
+const tokenize = (expression) => {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) {
+            break;
+        }
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(expression);
+        if (!match) {
+            throw validationError(`Invalid expression: Syntax error; token: "${expression.slice(start).trim().split(/\s/)[0]}"`);
+        }
+        const [, name, value, punct, word, number] = match;
+        if (name) tokens.push({ type: 'name', text: name });
+        else if (value) tokens.push({ type: 'value', text: value });
+        else if (punct) tokens.push({ type: 'punct', text: punct });
+        else if (word) tokens.push({ type: 'word', text: word });
+        else tokens.push({ type: 'number', text: number });
+    }
+    return tokens;
+};
+
+const CONDITION_FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+
+/**
+ * Placeholders of one request, shared by all of its expressions so unused ones can be reported
+ */
+class ExpressionScope {
+    constructor(params = {}) {
+        this.names = params.ExpressionAttributeNames || {};
+        this.values = params.ExpressionAttributeValues ? unmarshall(marshall(params.ExpressionAttributeValues)) : {};
+        this.usedNames = new Set();
+        this.usedValues = new Set();
+    }
+
+    parse(expression) {
+        return new ExpressionParser(expression, this);
+    }
+
+    condition(expression) {
+        return expression ? this.parse(expression).parseCondition() : null;
+    }
+
+    update(expression) {
+        return this.parse(expression).parseUpdate();
+    }
+
+    projection(expression) {
+        return expression ? this.parse(expression).parseProjection() : null;
+    }
+
+    checkUnused() {
+        const unusedNames = Object.keys(this.names).filter((name) => !this.usedNames.has(name));
+        if (unusedNames.length > 0) {
+            throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(', ')}}`);
+        }
+        const unusedValues = Object.keys(this.values).filter((value) => !this.usedValues.has(value));
+        if (unusedValues.length > 0) {
+            throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(', ')}}`);
+        }
+    }
+}
+
+/**
+ * Recursive descent parser turning expressions into functions of an item
+ */
+class ExpressionParser {
+    constructor(expression, scope) {
+        this.expression = expression;
+        this.scope = scope;
+        this.tokens = tokenize(expression);
+        this.position = 0;
+    }
+
+    fail(message) {
+        return validationError(`Invalid expression '${this.expression}': ${message}`);
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    isWord(text, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'word' && token.text.toUpperCase() === text.toUpperCase();
+    }
+
+    isPunct(text, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'punct' && token.text === text;
+    }
+
+    accept(type, text) {
+        const token = this.peek();
+        if (token && token.type === type && (text === undefined || token.text.toUpperCase() === text.toUpperCase())) {
+            this.position++;
+            return token;
+        }
+        return null;
+    }
+
+    expect(type, text) {
+        const token = this.accept(type, text);
+        if (!token) {
+            const found = this.peek();
+            throw this.fail(`Syntax error; expected ${text || type}, found ${found ? `"${found.text}"` : 'end of expression'}`);
+        }
+        return token;
+    }
+
+    end() {
+        if (this.position < this.tokens.length) {
+            throw this.fail(`Syntax error; token: "${this.peek().text}"`);
+        }
+    }
+
+    segment() {
+        const name = this.accept('name');
+        if (name) {
+            if (!(name.text in this.scope.names)) {
+                throw this.fail(`An expression attribute name used in the document path is not defined; attribute name: ${name.text}`);
+            }
+            this.scope.usedNames.add(name.text);
+            return this.scope.names[name.text];
+        }
+        return this.expect('word').text;
+    }
+
+    path() {
+        const steps = [this.segment()];
+        while (true) {
+            if (this.accept('punct', '.')) {
+                steps.push(this.segment());
+            } else if (this.accept('punct', '[')) {
+                steps.push(Number(this.expect('number').text));
+                this.expect('punct', ']');
+            } else {
+                return steps;
+            }
+        }
+    }
+
+    value() {
+        const token = this.expect('value');
+        if (!(token.text in this.scope.values)) {
+            throw this.fail(`An expression attribute value used in expression is not defined; attribute value: ${token.text}`);
+        }
+        this.scope.usedValues.add(token.text);
+        const value = this.scope.values[token.text];
+        return () => value;
+    }
+
+    operand() {
+        if (this.peek() && this.peek().type === 'value') {
+            return this.value();
+        }
+        if (this.isWord('size') && this.isPunct('(', 1)) {
+            this.position += 2;
+            const steps = this.path();
+            this.expect('punct', ')');
+            return (item) => sizeOf(getPath(item, steps));
+        }
+        const steps = this.path();
+        return (item) => getPath(item, steps);
+    }
+
+    parseCondition() {
+        const condition = this.or();
+        this.end();
+        return condition;
+    }
+
+    or() {
+        let left = this.and();
+        while (this.accept('word', 'OR')) {
+            const [a, b] = [left, this.and()];
+            left = (item) => a(item) || b(item);
+        }
+        return left;
+    }
+
+    and() {
+        let left = this.not();
+        while (this.accept('word', 'AND')) {
+            const [a, b] = [left, this.not()];
+            left = (item) => a(item) && b(item);
+        }
+        return left;
+    }
+
+    not() {
+        if (this.accept('word', 'NOT')) {
+            const clause = this.not();
+            return (item) => !clause(item);
+        }
+        return this.primary();
+    }
+
+    primary() {
+        if (this.accept('punct', '(')) {
+            const clause = this.or();
+            this.expect('punct', ')');
+            return clause;
+        }
+        const token = this.peek();
+        if (token && token.type === 'word' && CONDITION_FUNCTIONS.includes(token.text) && this.isPunct('(', 1)) {
+            return this.conditionFunction();
+        }
+
+        const left = this.operand();
+        const comparator = this.peek();
+        if (comparator && comparator.type === 'punct' && ['=', '<>', '<', '<=', '>', '>='].includes(comparator.text)) {
+            this.position++;
+            const right = this.operand();
+            return (item) => this.compareWith(comparator.text, left(item), right(item));
+        }
+        if (this.accept('word', 'BETWEEN')) {
+            const low = this.operand();
+            this.expect('word', 'AND');
+            const high = this.operand();
+            return (item) => {
+                const value = left(item);
+                return compare(value, low(item)) >= 0 && compare(value, high(item)) <= 0;
+            };
+        }
+        if (this.accept('word', 'IN')) {
+            this.expect('punct', '(');
+            const candidates = [this.operand()];
+            while (this.accept('punct', ',')) {
+                candidates.push(this.operand());
+            }
+            this.expect('punct', ')');
+            return (item) => {
+                const value = left(item);
+                return value !== undefined && candidates.some((candidate) => serialize(candidate(item)) === serialize(value));
+            };
+        }
+        throw this.fail(`Syntax error; expected a comparison${comparator ? `, found "${comparator.text}"` : ''}`);
+    }
+
+    compareWith(operator, a, b) {
+        if (a === undefined || b === undefined) {
+            return false;
+        }
+        if (operator === '=') {
+            return serialize(a) === serialize(b);
+        }
+        if (operator === '<>') {
+            return serialize(a) !== serialize(b);
+        }
+        const order = compare(a, b);
+        if (order === undefined) {
+            return false;
+        }
+        return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[operator];
+    }
+
+    conditionFunction() {
+        const name = this.expect('word').text;
+        this.expect('punct', '(');
+        const steps = this.path();
+        const argument = name === 'attribute_exists' || name === 'attribute_not_exists' ? null : (this.expect('punct', ','), this.operand());
+        this.expect('punct', ')');
+
+        switch (name) {
+            case 'attribute_exists':
+                return (item) => getPath(item, steps) !== undefined;
+            case 'attribute_not_exists':
+                return (item) => getPath(item, steps) === undefined;
+            case 'attribute_type':
+                return (item) => {
+                    const value = getPath(item, steps);
+                    return value !== undefined && typeOf(value) === argument(item);
+                };
+            case 'begins_with':
+                return (item) => {
+                    const value = getPath(item, steps);
+                    const prefix = argument(item);
+                    return typeof value === 'string' && typeof prefix === 'string' && value.startsWith(prefix);
+                };
+            default:
+                return (item) => {
+                    const value = getPath(item, steps);
+                    const operand = argument(item);
+                    if (typeof value === 'string') {
+                        return typeof operand === 'string' && value.includes(operand);
+                    }
+                    if (value instanceof Set || Array.isArray(value)) {
+                        return [...value].some((element) => serialize(element) === serialize(operand));
+                    }
+                    return false;
+                };
+        }
+    }
+
+    setOperand() {
+        if (this.peek() && this.peek().type === 'value') {
+            return this.value();
+        }
+        if (this.isWord('if_not_exists') && this.isPunct('(', 1)) {
+            this.position += 2;
+            const steps = this.path();
+            this.expect('punct', ',');
+            const fallback = this.setOperand();
+            this.expect('punct', ')');
+            return (item) => {
+                const value = getPath(item, steps);
+                return value !== undefined ? value : fallback(item);
+            };
+        }
+        if (this.isWord('list_append') && this.isPunct('(', 1)) {
+            this.position += 2;
+            const first = this.setOperand();
+            this.expect('punct', ',');
+            const second = this.setOperand();
+            this.expect('punct', ')');
+            return (item) => {
+                const [a, b] = [first(item), second(item)];
+                if (!Array.isArray(a) || !Array.isArray(b)) {
+                    throw validationError('An operand in the update expression has an incorrect data type');
+                }
+                return [...a, ...b];
+            };
+        }
+        const steps = this.path();
+        return (item) => {
+            const value = getPath(item, steps);
+            if (value === undefined) {
+                throw validationError('The provided expression refers to an attribute that does not exist in the item');
+            }
+            return value;
+        };
+    }
+
+    setValue() {
+        const left = this.setOperand();
+        const operator = this.accept('punct', '+') || this.accept('punct', '-');
+        if (!operator) {
+            return left;
+        }
+        const right = this.setOperand();
+        return (item) => {
+            const [a, b] = [left(item), right(item)];
+            if (typeof a !== 'number' || typeof b !== 'number') {
+                throw validationError('An operand in the update expression has an incorrect data type');
+            }
+            return operator.text === '+' ? a + b : a - b;
+        };
+    }
+
+    /**
+     * @returns {Array<{action: string, steps: Array, value: Function}>} Update actions in expression order
+     */
+    parseUpdate() {
+        const actions = [];
+        while (this.position < this.tokens.length) {
+            const clause = this.expect('word').text.toUpperCase();
+            if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+                throw this.fail(`Syntax error; token: "${clause}"`);
+            }
+            do {
+                const steps = this.path();
+                if (clause === 'SET') {
+                    this.expect('punct', '=');
+                    actions.push({ action: clause, steps, value: this.setValue() });
+                } else if (clause === 'REMOVE') {
+                    actions.push({ action: clause, steps });
+                } else {
+                    actions.push({ action: clause, steps, value: this.value() });
+                }
+            } while (this.accept('punct', ','));
+        }
+        if (actions.length === 0) {
+            throw this.fail('The expression can not be empty');
+        }
+        return actions;
+    }
+
+    parseProjection() {
+        const paths = [this.path()];
+        while (this.accept('punct', ',')) {
+            paths.push(this.path());
+        }
+        this.end();
+        return (item) => {
+            const projected = {};
+            paths.forEach((steps) => {
+                const value = getPath(item, steps);
+                if (value === undefined) {
+                    return;
+                }
+                let target = projected;
+                steps.forEach((step, index) => {
+                    if (index === steps.length - 1) {
+                        if (Array.isArray(target)) target.push(value);
+                        else target[step] = value;
+                        return;
+                    }
+                    const container = typeof steps[index + 1] === 'number' ? [] : {};
+                    if (Array.isArray(target)) {
+                        target.push(container);
+                        target = container;
+                    } else {
+                        target[step] = target[step] || container;
+                        target = target[step];
+                    }
+                });
+            });
+            return projected;
+        };
+    }
+}
+
+/**
+ * Apply parsed update actions; every right-hand side is evaluated against the item before the update
+ * @returns {{item: Object, updated: Array<string>}} Updated copy and the top-level attributes touched
+ */
+const applyUpdate = (item, actions, keyAttributes) => {
+    const next = structuredClone(item);
+    const resolved = actions.map((action) => ({ ...action, resolved: action.value ? action.value(item) : undefined }));
+    const updated = new Set();
+
+    resolved.forEach(({ action, steps }) => {
+        if (keyAttributes.includes(steps[0])) {
+            throw validationError(`One or more parameter values were invalid: Cannot update attribute ${steps[0]}. This attribute is part of the key`);
+        }
+        updated.add(steps[0]);
+    });
+
+    resolved.filter(({ action }) => action === 'SET').forEach(({ steps, resolved: value }) => setPath(next, steps, structuredClone(value)));
+    resolved.filter(({ action }) => action === 'REMOVE')
+        .sort((a, b) => (typeof b.steps.at(-1) === 'number' ? b.steps.at(-1) : -1) - (typeof a.steps.at(-1) === 'number' ? a.steps.at(-1) : -1))
+        .forEach(({ steps }) => removePath(next, steps));
+    resolved.filter(({ action }) => action === 'ADD' || action === 'DELETE').forEach(({ action, steps, resolved: value }) => {
+        const current = getPath(next, steps);
+        if (action === 'ADD' && typeof value === 'number' && (current === undefined || typeof current === 'number')) {
+            setPath(next, steps, (current || 0) + value);
+        } else if (value instanceof Set && (current === undefined || (current instanceof Set && typeOf(current) === typeOf(value)))) {
+            const elements = new Map([...(current || [])].map((element) => [serialize(element), element]));
+            value.forEach((element) => action === 'ADD' ? elements.set(serialize(element), element) : elements.delete(serialize(element)));
+            if (elements.size > 0) {
+                setPath(next, steps, new Set(elements.values()));
+            } else {
+                removePath(next, steps);
+            }
+        } else {
+            throw validationError('An operand in the update expression has an incorrect data type');
+        }
+    });
+
+    return { item: next, updated: [...updated] };
+};
+
+const pick = (item, attributes) => Object.fromEntries(attributes.filter((attribute) => item[attribute] !== undefined).map((attribute) => [attribute, item[attribute]]));
+
+/**
+ * One in-memory table; items are kept marshalled, as DynamoDB would store them
+ */
+class MemoryTable {
+    constructor(name, schema) {
+        this.name = name;
+        this.partition = schema.partition;
+        this.sort = schema.sort;
+        this.indexes = schema.indexes || {};
+        this.items = new Map();
+    }
+
+    keyAttributes() {
+        return [this.partition, this.sort].filter(Boolean);
+    }
+
+    /**
+     * Validate a Key parameter and return its identity
+     */
+    idOfKey(key = {}) {
+        const attributes = this.keyAttributes();
+        if (Object.keys(key).length !== attributes.length || !attributes.every((attribute) => isScalarKey(key[attribute]))) {
+            throw validationError('The provided key element does not match the schema');
+        }
+        return serialize(attributes.map((attribute) => key[attribute]));
+    }
+
+    /**
+     * Validate an item's key attributes and return its identity
+     */
+    idOfItem(item) {
+        this.keyAttributes().forEach((attribute) => {
+            if (!isScalarKey(item[attribute])) {
+                throw validationError(`One or more parameter values were invalid: Missing the key ${attribute} in the item`);
+            }
+        });
+        return serialize(this.keyAttributes().map((attribute) => item[attribute]));
+    }
+
+    read(id) {
+        const stored = this.items.get(id);
+        return stored ? unmarshall(stored) : undefined;
+    }
+
+    write(id, item) {
+        if (item === undefined) {
+            this.items.delete(id);
+            return;
+        }
+        const stored = marshall(item);
+        if (Buffer.byteLength(JSON.stringify(stored)) > ITEM_SIZE_LIMIT) {
+            throw validationError('Item size has exceeded the maximum allowed size');
+        }
+        this.items.set(id, stored);
+    }
+
+    all() {
+        return [...this.items.values()].map((stored) => unmarshall(stored));
+    }
+}
+
+export class MemoryDocumentClient {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.tables - Key schemas by full table name: { [tableName]: { partition, sort, indexes } }
+     */
+    constructor(options = {}) {
+        this.tables = new Map();
+        Object.entries(options.tables || {}).forEach(([tableName, schema]) => this.createTable(tableName, schema));
+    }
+
+    /**
+     * Create (or replace) a table
+     * @param {string} tableName - Full table name
+     * @param {Object} schema - Key schema: { partition, sort, indexes: { [indexName]: { partition, sort } } }
+     * @returns {MemoryDocumentClient} Client
+     */
+    createTable(tableName, schema = {}) {
+        if (!schema.partition) {
+            throw new Error(`Table ${tableName} requires a partition key attribute`);
+        }
+        this.tables.set(tableName, new MemoryTable(tableName, schema));
+        return this;
+    }
+
+    deleteTable(tableName) {
+        this.tables.delete(tableName);
+        return this;
+    }
+
+    /**
+     * Insert items without conditions
+     * @param {string} tableName - Full table name
+     * @param {Array<Object>} items - Items to store
+     * @returns {MemoryDocumentClient} Client
+     */
+    seed(tableName, items = []) {
+        const table = this.table(tableName);
+        items.forEach((item) => table.write(table.idOfItem(item), item));
+        return this;
+    }
+
+    /**
+     * Read every item of a table, e.g. to assert on state in a test
+     * @param {string} tableName - Full table name
+     * @returns {Array<Object>} Items
+     */
+    dump(tableName) {
+        return this.table(tableName).all();
+    }
+
+    /**
+     * Remove every item while keeping the tables
+     */
+    reset() {
+        this.tables.forEach((table) => table.items.clear());
+    }
+
+    table(tableName) {
+        const table = this.tables.get(tableName);
+        if (!table) {
+            throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`);
+        }
+        return table;
+    }
+
+    async send(command) {
+        const input = structuredClone(command.input);
+        if (command instanceof PutCommand) return this.put(input);
+        if (command instanceof GetCommand) return this.get(input);
+        if (command instanceof UpdateCommand) return this.update(input);
+        if (command instanceof DeleteCommand) return this.delete(input);
+        if (command instanceof BatchWriteCommand) return this.batchWrite(input);
+        if (command instanceof BatchGetCommand) return this.batchGet(input);
+        if (command instanceof QueryCommand) return this.query(input);
+        if (command instanceof ScanCommand) return this.scan(input);
+        if (command instanceof TransactWriteCommand) return this.transactWrite(input);
+        if (command instanceof TransactGetCommand) return this.transactGet(input);
+        throw new Error(`MemoryDocumentClient does not support ${command.constructor.name}`);
+    }
+
+    destroy() {}
+
+    // Each plan resolves the item before and after a write and whether its condition passed,
+    // so single writes and transactions share the same checks
+    planPut(params) {
+        const table = this.table(params.TableName);
+        const scope = new ExpressionScope(params);
+        const condition = scope.condition(params.ConditionExpression);
+        scope.checkUnused();
+        const item = unmarshall(marshall(params.Item || {}));
+        const id = table.idOfItem(item);
+        const before = table.read(id);
+        return { table, id, before, after: item, passed: !condition || condition(before || {}) };
+    }
+
+    planUpdate(params) {
+        const table = this.table(params.TableName);
+        const id = table.idOfKey(params.Key);
+        const scope = new ExpressionScope(params);
+        const actions = scope.update(params.UpdateExpression || '');
+        const condition = scope.condition(params.ConditionExpression);
+        scope.checkUnused();
+        const before = table.read(id);
+        const passed = !condition || condition(before || {});
+        const { item: after, updated } = passed
+            ? applyUpdate(before || { ...params.Key }, actions, table.keyAttributes())
+            : { item: before, updated: [] };
+        return { table, id, before, after, updated, passed };
+    }
+
+    planDelete(params) {
+        const table = this.table(params.TableName);
+        const id = table.idOfKey(params.Key);
+        const scope = new ExpressionScope(params);
+        const condition = scope.condition(params.ConditionExpression);
+        scope.checkUnused();
+        const before = table.read(id);
+        return { table, id, before, after: undefined, passed: !condition || condition(before || {}) };
+    }
+
+    planConditionCheck(params) {
+        if (!params.ConditionExpression) {
+            throw validationError('ConditionCheck requires a ConditionExpression');
+        }
+        const plan = this.planDelete(params);
+        return { ...plan, after: plan.before, check: true };
+    }
+
+    conditionFailed() {
+        return awsError('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+
+    async put(params) {
+        const plan = this.planPut(params);
+        if (!plan.passed) {
+            throw this.conditionFailed();
+        }
+        plan.table.write(plan.id, plan.after);
+        return params.ReturnValues === 'ALL_OLD' && plan.before ? { Attributes: plan.before } : {};
+    }
+
+    async get(params) {
+        const table = this.table(params.TableName);
+        const scope = new ExpressionScope(params);
+        const projection = scope.projection(params.ProjectionExpression);
+        scope.checkUnused();
+        const item = table.read(table.idOfKey(params.Key));
+        return item ? { Item: projection ? projection(item) : item } : {};
+    }
+
+    async update(params) {
+        const plan = this.planUpdate(params);
+        if (!plan.passed) {
+            throw this.conditionFailed();
+        }
+        plan.table.write(plan.id, plan.after);
+
+        switch (params.ReturnValues) {
+            case 'ALL_NEW':
+                return { Attributes: plan.after };
+            case 'ALL_OLD':
+                return plan.before ? { Attributes: plan.before } : {};
+            case 'UPDATED_NEW':
+                return { Attributes: pick(plan.after, plan.updated) };
+            case 'UPDATED_OLD':
+                return plan.before ? { Attributes: pick(plan.before, plan.updated) } : {};
+            default:
+                return {};
+        }
+    }
+
+    async delete(params) {
+        const plan = this.planDelete(params);
+        if (!plan.passed) {
+            throw this.conditionFailed();
+        }
+        plan.table.write(plan.id, undefined);
+        return params.ReturnValues === 'ALL_OLD' && plan.before ? { Attributes: plan.before } : {};
+    }
+
+    async batchWrite(params) {
+        const requests = Object.entries(params.RequestItems || {})
+            .flatMap(([tableName, entries]) => entries.map((entry) => ({ tableName, entry })));
+        if (requests.length === 0 || requests.length > BATCH_WRITE_LIMIT) {
+            throw validationError(`Member must have length less than or equal to ${BATCH_WRITE_LIMIT}`);
+        }
+
+        const plans = requests.map(({ tableName, entry }) => entry.PutRequest
+            ? this.planPut({ TableName: tableName, Item: entry.PutRequest.Item })
+            : this.planDelete({ TableName: tableName, Key: entry.DeleteRequest.Key }));
+        const ids = plans.map((plan) => `${plan.table.name}|${plan.id}`);
+        if (new Set(ids).size !== ids.length) {
+            throw validationError('Provided list of item keys contains duplicates');
+        }
+        plans.forEach((plan) => plan.table.write(plan.id, plan.after));
+        return { UnprocessedItems: {} };
+    }
+
+    async batchGet(params) {
+        const entries = Object.entries(params.RequestItems || {});
+        const keyCount = entries.reduce((total, [, request]) => total + (request.Keys || []).length, 0);
+        if (keyCount === 0 || keyCount > BATCH_GET_LIMIT) {
+            throw validationError('Too many items requested for the BatchGetItem call');
+        }
+
+        const Responses = {};
+        entries.forEach(([tableName, request]) => {
+            const table = this.table(tableName);
+            const scope = new ExpressionScope(request);
+            const projection = scope.projection(request.ProjectionExpression);
+            scope.checkUnused();
+            const ids = request.Keys.map((key) => table.idOfKey(key));
+            if (new Set(ids).size !== ids.length) {
+                throw validationError('Provided list of item keys contains duplicates');
+            }
+            Responses[tableName] = ids
+                .map((id) => table.read(id))
+                .filter(Boolean)
+                .map((item) => projection ? projection(item) : item);
+        });
+        return { Responses, UnprocessedKeys: {} };
+    }
+
+    async query(params) {
+        if (!params.KeyConditionExpression) {
+            throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+        }
+        const table = this.table(params.TableName);
+        const scope = new ExpressionScope(params);
+        const keyCondition = scope.condition(params.KeyConditionExpression);
+        return this.read(table, scope, params, keyCondition);
+    }
+
+    async scan(params) {
+        const table = this.table(params.TableName);
+        return this.read(table, new ExpressionScope(params), params, null);
+    }
+
+    /**
+     * Shared query/scan evaluation: Limit counts evaluated items before the filter, as in DynamoDB
+     */
+    read(table, scope, params, keyCondition) {
+        const schema = params.IndexName ? table.indexes[params.IndexName] : table;
+        if (!schema) {
+            throw validationError(`The table does not have the specified index: ${params.IndexName}`);
+        }
+        const filter = scope.condition(params.FilterExpression);
+        const projection = scope.projection(params.ProjectionExpression);
+        scope.checkUnused();
+
+        const keyAttributes = [...new Set([schema.partition, schema.sort, ...table.keyAttributes()].filter(Boolean))];
+        const tableKey = (item) => serialize(table.keyAttributes().map((attribute) => item[attribute]));
+        const order = (a, b) => {
+            const bySortKey = schema.sort && keyCondition ? compare(a[schema.sort], b[schema.sort]) : 0;
+            if (bySortKey) {
+                return bySortKey;
+            }
+            const [x, y] = [tableKey(a), tableKey(b)];
+            return x < y ? -1 : x > y ? 1 : 0;
+        };
+        const direction = params.ScanIndexForward === false ? -1 : 1;
+
+        const candidates = table.all()
+            .filter((item) => keyAttributes.every((attribute) => item[attribute] !== undefined))
+            .filter((item) => !keyCondition || keyCondition(item))
+            .sort((a, b) => direction * order(a, b));
+
+        let start = 0;
+        if (params.ExclusiveStartKey) {
+            start = candidates.findIndex((item) => direction * order(item, params.ExclusiveStartKey) > 0);
+            start = start === -1 ? candidates.length : start;
+        }
+        const limit = params.Limit ?? Infinity;
+        const evaluated = candidates.slice(start, start + limit);
+        const matched = filter ? evaluated.filter(filter) : evaluated;
+
+        const result = { Count: matched.length, ScannedCount: evaluated.length };
+        if (params.Select !== 'COUNT') {
+            result.Items = matched.map((item) => projection ? projection(item) : item);
+        }
+        if (start + limit < candidates.length && evaluated.length > 0) {
+            result.LastEvaluatedKey = pick(evaluated[evaluated.length - 1], keyAttributes);
+        }
+        return result;
+    }
+
+    async transactWrite(params) {
+        const items = params.TransactItems || [];
+        if (items.length === 0 || items.length > TRANSACTION_LIMIT) {
+            throw validationError(`Member must have length less than or equal to ${TRANSACTION_LIMIT}`);
+        }
+
+        const plans = items.map((item) => {
+            const [action, actionParams] = Object.entries(item)[0];
+            switch (action) {
+                case 'Put':
+                    return this.planPut(actionParams);
+                case 'Update':
+                    return this.planUpdate(actionParams);
+                case 'Delete':
+                    return this.planDelete(actionParams);
+                case 'ConditionCheck':
+                    return this.planConditionCheck(actionParams);
+                default:
+                    throw validationError(`Unsupported transaction action ${action}`);
+            }
+        });
+        const ids = plans.map((plan) => `${plan.table.name}|${plan.id}`);
+        if (new Set(ids).size !== ids.length) {
+            throw validationError('Transaction request cannot include multiple operations on one item');
+        }
+
+        const reasons = plans.map((plan) => plan.passed
+            ? { Code: 'None' }
+            : { Code: 'ConditionalCheckFailed', Message: 'The conditional request failed' });
+        if (reasons.some((reason) => reason.Code !== 'None')) {
+            throw awsError(
+                'TransactionCanceledException',
+                `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map((reason) => reason.Code).join(', ')}]`,
+                { CancellationReasons: reasons }
+            );
+        }
+
+        plans.filter((plan) => !plan.check).forEach((plan) => plan.table.write(plan.id, plan.after));
+        return {};
+    }
+
+    async transactGet(params) {
+        const items = params.TransactItems || [];
+        if (items.length === 0 || items.length > TRANSACTION_LIMIT) {
+            throw validationError(`Member must have length less than or equal to ${TRANSACTION_LIMIT}`);
+        }
+        const Responses = [];
+        for (const { Get } of items) {
+            Responses.push(await this.get(Get));
+        }
+        return { Responses };
+    }
+}
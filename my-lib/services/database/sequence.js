@@ -0,0 +1,111 @@
+import { ValidationError } from "@myorg/error";
+import { ExpressionBuilder } from "./expression.js";
+
+/**
+ * Atomic counters backed by the sequence table
+ * Each named key (e.g. `user_seq`) holds the last number handed out. Numbers are allocated with
+ * a single atomic UpdateItem, so concurrent Lambdas never receive the same number.
+ * Missing keys are initialised on first use.
+ *
+ * With `cacheSize` > 1 a block of numbers is reserved per container and served from memory.
+ * Numbers then stay unique but are no longer strictly ordered across containers, and any
+ * unused part of a block is lost when the container is recycled.
+ */
+export class SequenceService {
+    /**
+     * @param {Object} database - DatabaseService used for the updates
+     * @param {Object} options - Options
+     * @param {string} options.tableName - Sequence table; defaults to database.tableName('sequence')
+     * @param {string} options.keyAttribute - Partition key attribute (default: 'key')
+     * @param {string} options.valueAttribute - Counter attribute (default: 'sequence')
+     * @param {number} options.initialValue - Value of a new counter before the first allocation (default: 0)
+     * @param {number} options.cacheSize - Numbers to reserve per round trip and cache in the container (default: 1, no caching)
+     */
+    constructor(database, options = {}) {
+        this.database = database;
+        this.tableName = options.tableName || database.tableName('sequence');
+        this.keyAttribute = options.keyAttribute || 'key';
+        this.valueAttribute = options.valueAttribute || 'sequence';
+        this.initialValue = options.initialValue ?? 0;
+        this.cacheSize = Math.max(1, options.cacheSize || 1);
+        this.cache = new Map();
+        this.refills = new Map();
+    }
+
+    /**
+     * Reserve a contiguous block of numbers
+     * @param {string} key - Sequence name
+     * @param {number} count - Number of values to reserve
+     * @returns {Promise<{first: number, last: number}>} Inclusive range of reserved numbers
+     */
+    async nextBlock(key, count = 1) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new ValidationError('Sequence block size must be a positive integer', { count });
+        }
+
+        const attributes = await this.database.update({
+            TableName: this.tableName,
+            Key: { [this.keyAttribute]: key },
+            ...new ExpressionBuilder().increment(this.valueAttribute, count, this.initialValue).build(),
+            ReturnValues: 'UPDATED_NEW'
+        });
+        const last = attributes[this.valueAttribute];
+
+        return { first: last - count + 1, last };
+    }
+
+    /**
+     * Allocate the next number, served from the container cache when enabled
+     * @param {string} key - Sequence name
+     * @returns {Promise<number>} Next number
+     */
+    async next(key) {
+        if (this.cacheSize === 1) {
+            return (await this.nextBlock(key, 1)).last;
+        }
+
+        let block = this.cache.get(key);
+        while (!block || block.next > block.last) {
+            await this.refill(key);
+            block = this.cache.get(key);
+        }
+        return block.next++;
+    }
+
+    /**
+     * Reserve a new block for a key; concurrent callers share the one in-flight reservation
+     * @param {string} key - Sequence name
+     * @returns {Promise<void>} Resolves once the cache holds the new block
+     */
+    refill(key) {
+        if (!this.refills.has(key)) {
+            const refill = this.nextBlock(key, this.cacheSize)
+                .then((reserved) => {
+                    this.cache.set(key, { next: reserved.first, last: reserved.last });
+                })
+                .finally(() => this.refills.delete(key));
+            this.refills.set(key, refill);
+        }
+        return this.refills.get(key);
+    }
+
+    /**
+     * Read the last allocated number without changing it
+     * @param {string} key - Sequence name
+     * @returns {Promise<number|null>} Last allocated number, or null when the sequence was never used
+     */
+    async current(key) {
+        const item = await this.database.get({
+            TableName: this.tableName,
+            Key: { [this.keyAttribute]: key }
+        });
+        return item ? item[this.valueAttribute] : null;
+    }
+
+    /**
+     * Drop cached blocks, e.g. between tests
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+}
@@ -0,0 +1,175 @@
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+
+const EVENT_NAMES = ['INSERT', 'MODIFY', 'REMOVE'];
+
+const isEqual = (a, b) => {
+    if (a === b) {
+        return true;
+    }
+    if (a instanceof Set && b instanceof Set) {
+        return a.size === b.size && [...a].every((value) => b.has(value));
+    }
+    if (a instanceof Uint8Array && b instanceof Uint8Array) {
+        return Buffer.compare(Buffer.from(a), Buffer.from(b)) === 0;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, index) => isEqual(value, b[index]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)
+        && !(a instanceof Set) && !(b instanceof Set)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((key) => isEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+/**
+ * One DynamoDB Stream record with unmarshalled keys and images
+ */
+export class StreamChange {
+    /**
+     * @param {Object} record - Raw record from a DynamoDB Stream Lambda event
+     */
+    constructor(record) {
+        const { dynamodb = {} } = record;
+        this.record = record;
+        this.eventId = record.eventID;
+        this.eventName = record.eventName;
+        this.sequenceNumber = dynamodb.SequenceNumber;
+        // arn:aws:dynamodb:region:account:table/<tableName>/stream/<timestamp>
+        this.tableName = record.eventSourceARN ? record.eventSourceARN.split(':table/')[1]?.split('/stream/')[0] : undefined;
+        this.keys = dynamodb.Keys ? unmarshall(dynamodb.Keys) : {};
+        this.oldImage = dynamodb.OldImage ? unmarshall(dynamodb.OldImage) : null;
+        this.newImage = dynamodb.NewImage ? unmarshall(dynamodb.NewImage) : null;
+        this.changedAttributes = this.diff();
+    }
+
+    diff() {
+        const oldImage = this.oldImage || {};
+        const newImage = this.newImage || {};
+        return [...new Set([...Object.keys(oldImage), ...Object.keys(newImage)])]
+            .filter((attribute) => !isEqual(oldImage[attribute], newImage[attribute]));
+    }
+
+    /**
+     * Whether any of the given top-level attributes differs between the old and new image
+     * INSERT and REMOVE count every attribute present in the image as changed
+     * @param {...string} attributes - Attribute names
+     * @returns {boolean} True when at least one attribute changed
+     */
+    hasChanged(...attributes) {
+        return attributes.flat().some((attribute) => this.changedAttributes.includes(attribute));
+    }
+
+    /**
+     * Old and new value of one attribute
+     * @param {string} attribute - Attribute name
+     * @returns {{oldValue: *, newValue: *}} Values, undefined when absent from an image
+     */
+    change(attribute) {
+        return {
+            oldValue: this.oldImage ? this.oldImage[attribute] : undefined,
+            newValue: this.newImage ? this.newImage[attribute] : undefined
+        };
+    }
+}
+
+/**
+ * Route DynamoDB Stream records to callbacks and report partial batch failures
+ * Records are handled in order. The first record whose callbacks throw is reported in
+ * `batchItemFailures` and processing stops there, because Lambda retries the batch from the
+ * lowest reported sequence number; the event source mapping needs
+ * `functionResponseType: ReportBatchItemFailures` and a NEW_AND_OLD_IMAGES stream.
+ *
+ * @example
+ * const processor = new StreamProcessor()
+ *     .onChange('mailingFlag', async (change) => syncMailingList(change.newImage))
+ *     .onRemove(async (change) => unsubscribe(change.oldImage));
+ * export const handler = processor.handler();
+ */
+export class StreamProcessor {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Register a callback for one or more event names
+     * @param {string|Array<string>} eventNames - INSERT, MODIFY and/or REMOVE
+     * @param {Function} callback - async (change: StreamChange, context) => void
+     * @returns {StreamProcessor} Processor
+     */
+    on(eventNames, callback) {
+        const events = [eventNames].flat();
+        const unknown = events.filter((eventName) => !EVENT_NAMES.includes(eventName));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown stream event name(s): ${unknown.join(', ')}`);
+        }
+        this.routes.push({ events, callback });
+        return this;
+    }
+
+    onInsert(callback) {
+        return this.on('INSERT', callback);
+    }
+
+    onModify(callback) {
+        return this.on('MODIFY', callback);
+    }
+
+    onRemove(callback) {
+        return this.on('REMOVE', callback);
+    }
+
+    /**
+     * Register a callback for records where any of the given attributes changed
+     * @param {string|Array<string>} attributes - Top-level attribute names
+     * @param {Function} callback - async (change: StreamChange, context) => void
+     * @param {Object} options - Options
+     * @param {Array<string>} options.events - Event names to consider (default: all)
+     * @returns {StreamProcessor} Processor
+     */
+    onChange(attributes, callback, options = {}) {
+        const watched = [attributes].flat();
+        return this.on(options.events || EVENT_NAMES, async (change, context) => {
+            if (change.hasChanged(watched)) {
+                await callback(change, context);
+            }
+        });
+    }
+
+    /**
+     * Process a DynamoDB Stream Lambda event
+     * @param {Object} event - Lambda event with Records
+     * @param {Object} context - Lambda context, passed through to callbacks
+     * @returns {Promise<{batchItemFailures: Array<{itemIdentifier: string}>}>} Partial batch response
+     */
+    async process(event, context) {
+        for (const record of event.Records || []) {
+            try {
+                const change = new StreamChange(record);
+                for (const route of this.routes) {
+                    if (route.events.includes(change.eventName)) {
+                        await route.callback(change, context);
+                    }
+                }
+            } catch (error) {
+                console.error('[StreamProcessor.process] Error:', {
+                    message: error.message,
+                    code: error.code || error.name,
+                    eventId: record.eventID,
+                    sequenceNumber: record.dynamodb?.SequenceNumber
+                });
+                return { batchItemFailures: [{ itemIdentifier: record.dynamodb?.SequenceNumber }] };
+            }
+        }
+        return { batchItemFailures: [] };
+    }
+
+    /**
+     * Lambda handler bound to this processor
+     * @returns {Function} async (event, context) => partial batch response
+     */
+    handler() {
+        return (event, context) => this.process(event, context);
+    }
+}
@@ -0,0 +1,160 @@
+import { ConflictError, ValidationError } from "@myorg/error";
+
+// DynamoDB limit on the number of actions in a single transaction
+export const TRANSACTION_LIMIT = 100;
+
+// Cancellation reason codes that ErrorHandler should report as 503
+const THROTTLING_CODES = ['ThrottlingError', 'ProvisionedThroughputExceeded', 'RequestLimitExceeded'];
+
+// Cancellation reason codes caused by a failed condition or a competing write
+const CONFLICT_CODES = ['ConditionalCheckFailed', 'TransactionConflict'];
+
+/**
+ * Translate a TransactionCanceledException into one of our error classes
+ * ConditionalCheckFailed/TransactionConflict become ConflictError (409), throttling becomes
+ * a ThrottlingException (503) and ValidationError becomes ValidationError (400)
+ * @param {Error} error - Error thrown by TransactWriteItems/TransactGetItems
+ * @param {Array} transactItems - The TransactItems that were sent, used to describe each reason
+ * @returns {Error} Classified error, or the original error when it is not a cancellation
+ */
+export const classifyTransactionError = (error, transactItems = []) => {
+    if (error.name !== 'TransactionCanceledException') {
+        return error;
+    }
+
+    const reasons = (error.CancellationReasons || [])
+        .map((reason, index) => {
+            const item = transactItems[index] || {};
+            const action = Object.keys(item)[0];
+            return {
+                index,
+                action,
+                tableName: action ? item[action].TableName : undefined,
+                code: reason.Code,
+                message: reason.Message
+            };
+        })
+        .filter((reason) => reason.code && reason.code !== 'None');
+    const codes = reasons.map((reason) => reason.code);
+    const details = { reasons };
+
+    if (codes.some((code) => CONFLICT_CODES.includes(code))) {
+        return new ConflictError('Transaction cancelled because a condition check failed', details);
+    }
+    if (codes.some((code) => THROTTLING_CODES.includes(code))) {
+        const throttled = new Error('Transaction cancelled because the table is throttled', { cause: error });
+        throttled.name = 'ThrottlingException';
+        throttled.details = details;
+        return throttled;
+    }
+    if (codes.includes('ValidationError')) {
+        return new ValidationError('Transaction cancelled because a request is invalid', details);
+    }
+
+    return error;
+};
+
+/**
+ * Builder for TransactWriteItems requests mixing put/update/delete/conditionCheck across tables
+ *
+ * @example
+ * await database.transaction()
+ *     .put({ TableName: profileTable, Item: profile, ConditionExpression: 'attribute_not_exists(userId)' })
+ *     .update({ TableName: sequenceTable, Key: { key: 'user_seq' }, UpdateExpression: 'SET #s = #s + :one', ... })
+ *     .commit();
+ */
+export class TransactionBuilder {
+    /**
+     * @param {Object} service - DatabaseService used by commit()
+     */
+    constructor(service = null) {
+        this.service = service;
+        this.items = [];
+        this.itemOptions = [];
+        this.clientRequestToken = undefined;
+    }
+
+    add(action, params, options = {}) {
+        if (this.items.length >= TRANSACTION_LIMIT) {
+            throw new ValidationError(`A transaction supports at most ${TRANSACTION_LIMIT} actions`);
+        }
+        if (!params || !params.TableName) {
+            throw new ValidationError(`${action} requires a TableName`);
+        }
+        this.items.push({ [action]: params });
+        this.itemOptions.push(options);
+        return this;
+    }
+
+    /**
+     * Add a Put action
+     * @param {Object} params - TableName, Item and optional ConditionExpression
+     * @param {Object} options - Options
+     * @param {boolean|string} options.versioned - Version the item, as DatabaseService.put() does
+     * @returns {TransactionBuilder} Builder
+     */
+    put(params, options) {
+        return this.add('Put', params, options);
+    }
+
+    /**
+     * Add an Update action
+     * @param {Object} params - TableName, Key, UpdateExpression and optional ConditionExpression
+     * @param {Object} options - Options
+     * @param {boolean|string} options.versioned - Increment the item's version, as DatabaseService.update() does
+     * @returns {TransactionBuilder} Builder
+     */
+    update(params, options) {
+        return this.add('Update', params, options);
+    }
+
+    /**
+     * Add a Delete action
+     * @param {Object} params - TableName, Key and optional ConditionExpression
+     * @returns {TransactionBuilder} Builder
+     */
+    delete(params) {
+        return this.add('Delete', params);
+    }
+
+    /**
+     * Add a ConditionCheck action
+     * @param {Object} params - TableName, Key and ConditionExpression
+     * @returns {TransactionBuilder} Builder
+     */
+    conditionCheck(params) {
+        return this.add('ConditionCheck', params);
+    }
+
+    /**
+     * Make the transaction idempotent for 10 minutes
+     * @param {string} token - Client request token
+     * @returns {TransactionBuilder} Builder
+     */
+    idempotent(token) {
+        this.clientRequestToken = token;
+        return this;
+    }
+
+    /**
+     * Render the TransactWriteCommand parameters
+     * @returns {Object} TransactWriteCommand parameters
+     */
+    build() {
+        return {
+            TransactItems: [...this.items],
+            ...(this.clientRequestToken && { ClientRequestToken: this.clientRequestToken })
+        };
+    }
+
+    /**
+     * Send the transaction through the owning DatabaseService
+     * @returns {Promise<Object>} TransactWriteCommand output
+     */
+    async commit() {
+        if (!this.service) {
+            throw new Error('TransactionBuilder has no DatabaseService to commit with');
+        }
+        return this.service.transactWrite(this);
+    }
+}
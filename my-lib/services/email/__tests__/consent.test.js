@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { createEmailService, hasMarketingConsent, parseAddress } from '../index.js';
+
+// Transport that keeps every envelope instead of sending it
+const capture = () => ({
+    sent: [],
+    async send(envelope) {
+        this.sent.push(envelope);
+        return { messageId: `<${this.sent.length}@test>` };
+    }
+});
+
+const subscribed = { userId: 'u1', email: 'ann@example.com', firstName: 'Ann', mailingFlag: true };
+const unsubscribed = { userId: 'u2', email: 'bob@example.com', firstName: 'Bob', mailingFlag: false };
+
+const news = { category: 'marketing', subject: 'News', text: 'Hello {{recipient.firstName}}' };
+
+let transport;
+let email;
+
+beforeEach(() => {
+    transport = capture();
+    email = createEmailService({ transport, from: 'news@example.com' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('hasMarketingConsent', () => {
+    test.each([
+        [{ mailingFlag: true }, true],
+        [{ mailingFlag: 'TRUE' }, true],
+        [{ mailingFlag: 'true' }, true],
+        [{ subscribed: true }, true],
+        [{ mailingFlag: false }, false],
+        [{ mailingFlag: 'FALSE' }, false],
+        [{ mailingFlag: false, subscribed: true }, false],
+        [{}, false]
+    ])('reads %j as %s', (profile, expected) => {
+        expect(hasMarketingConsent({ email: 'a@example.com', profile })).toBe(expected);
+    });
+
+    test('never treats a plain address as consent', () => {
+        expect(hasMarketingConsent(parseAddress('a@example.com'))).toBe(false);
+    });
+});
+
+describe('EmailService consent handling', () => {
+    test('delivers marketing mail only to recipients who opted in', async () => {
+        const result = await email.send({ ...news, to: [subscribed, unsubscribed], bcc: 'plain@example.com' });
+
+        expect(result.accepted).toEqual(['ann@example.com']);
+        expect(result.skipped).toEqual([
+            { email: 'bob@example.com', reason: 'unsubscribed' },
+            { email: 'plain@example.com', reason: 'unsubscribed' }
+        ]);
+        expect(transport.sent).toHaveLength(1);
+        expect(transport.sent[0].recipients).toEqual(['ann@example.com']);
+    });
+
+    test('sends nothing when no recipient opted in', async () => {
+        const result = await email.send({ ...news, to: unsubscribed });
+
+        expect(result).toEqual({ messageId: null, accepted: [], skipped: [{ email: 'bob@example.com', reason: 'unsubscribed' }] });
+        expect(transport.sent).toHaveLength(0);
+    });
+
+    test('ignores consent for transactional mail', async () => {
+        const result = await email.send({ subject: 'Your receipt', text: 'Thanks', to: [unsubscribed, 'plain@example.com'] });
+
+        expect(result.accepted).toEqual(['bob@example.com', 'plain@example.com']);
+        expect(result.skipped).toEqual([]);
+    });
+
+    test('adds one-click List-Unsubscribe headers to marketing mail only', async () => {
+        await email.send({ ...news, to: subscribed, unsubscribeUrl: (recipient) => `https://example.com/unsubscribe?u=${recipient.userId}` });
+        await email.send({ subject: 'Receipt', text: 'Thanks', to: subscribed, unsubscribeUrl: 'https://example.com/unsubscribe' });
+
+        expect(transport.sent[0].message.headers).toEqual({
+            'List-Unsubscribe': '<https://example.com/unsubscribe?u=u1>',
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        });
+        expect(transport.sent[0].raw.toString()).toContain('List-Unsubscribe: <https://example.com/unsubscribe?u=u1>');
+        expect(transport.sent[1].message.headers).toEqual({});
+    });
+
+    test('rejects unknown categories', async () => {
+        await expect(email.send({ ...news, category: 'promotional', to: subscribed })).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('sendBulk reports sent, skipped and failed recipients separately', async () => {
+        const result = await email.sendBulk(news, [subscribed, unsubscribed, { email: 'cy@example.com', subscribed: true }, 'not-an-address'], { concurrency: 2 });
+
+        expect(result.sent.map(({ email: address }) => address).sort()).toEqual(['ann@example.com', 'cy@example.com']);
+        expect(result.skipped).toEqual([{ email: 'bob@example.com', reason: 'unsubscribed' }]);
+        expect(result.failed).toEqual([expect.objectContaining({ email: 'not-an-address', code: 'ValidationError' })]);
+        expect(transport.sent.map(({ recipients }) => recipients[0]).sort()).toEqual(['ann@example.com', 'cy@example.com']);
+    });
+});
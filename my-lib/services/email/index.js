@@ -0,0 +1,304 @@
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { NotFoundError, ValidationError } from "@myorg/error";
+import * as storage from "@myorg/storage";
+import { TemplateStore, render, htmlToText } from "./template.js";
+import { parseAddress, buildMessage } from "./mime.js";
+import { SesTransport, SmtpTransport, FileTransport } from "./transport.js";
+
+export const CATEGORIES = ['transactional', 'marketing'];
+
+const createTransport = (transport, options) => {
+    if (transport && typeof transport === 'object') {
+        return transport;
+    }
+    const transports = { ses: SesTransport, smtp: SmtpTransport, file: FileTransport };
+    if (!transports[transport]) {
+        throw new ValidationError(`Unknown email transport '${transport}'`, { allowed: Object.keys(transports) });
+    }
+    return new transports[transport](options);
+};
+
+/**
+ * Normalize a recipient: an address string, { email, name } or a userProfile item
+ * @param {string|Object} recipient - Recipient
+ * @returns {{email: string, name: string, profile: Object}} Recipient; profile is the original object, if any
+ */
+const toRecipient = (recipient) => {
+    if (recipient && typeof recipient === 'object') {
+        const name = recipient.name || [recipient.firstName, recipient.lastName].filter(Boolean).join(' ');
+        return { ...parseAddress({ email: recipient.email, name }), profile: recipient };
+    }
+    return parseAddress(recipient);
+};
+
+const toList = (value) => (value === undefined || value === null ? [] : [value].flat()).map(toRecipient);
+
+/**
+ * Whether a recipient has opted in to marketing mail, from a userProfile `mailingFlag` or a mailingList `subscribed`
+ * Plain addresses carry no consent and are never sent marketing mail.
+ * @param {Object} recipient - Normalized recipient
+ * @returns {boolean} True when marketing mail may be sent
+ */
+export const hasMarketingConsent = (recipient) => {
+    const profile = recipient.profile;
+    if (!profile) {
+        return false;
+    }
+    const flag = profile.mailingFlag ?? profile.subscribed;
+    return flag === true || (typeof flag === 'string' && flag.toUpperCase() === 'TRUE');
+};
+
+class EmailService {
+    /**
+     * @param {Object} options - Service options
+     * @param {string|Object} options.transport - 'ses', 'smtp', 'file' or a transport object (default: EMAIL_TRANSPORT or 'ses')
+     * @param {string|Object} options.from - Default sender (default: EMAIL_FROM)
+     * @param {string|Object} options.replyTo - Default Reply-To (default: EMAIL_REPLY_TO)
+     * @param {Object} options.templates - TemplateStore, or TemplateStore options (dir, bucket, prefix, ttl)
+     * @param {Object} options.storage - StorageService for S3 templates and attachments (default: the @myorg/storage singleton)
+     * Other options (client, region, host, port, dir...) are passed to the transport.
+     */
+    constructor(options = {}) {
+        this.transport = createTransport(options.transport || process.env['EMAIL_TRANSPORT'] || 'ses', options);
+        this.from = options.from || process.env['EMAIL_FROM'];
+        this.replyTo = options.replyTo || process.env['EMAIL_REPLY_TO'];
+        this.storage = options.storage || storage;
+        this.templates = options.templates instanceof TemplateStore
+            ? options.templates
+            : new TemplateStore({ storage: this.storage, ...options.templates });
+    }
+
+    handleError(error, methodName, options = {}) {
+        const serviceName = this.constructor.name;
+        console.error(`[${serviceName}.${methodName}] Error:`, {
+            message: error.message,
+            code: error.code || error.name,
+            statusCode: error.$metadata?.httpStatusCode,
+            requestId: error.$metadata?.requestId
+        });
+
+        // If a fallback value is provided, return it instead of throwing
+        if (options.fallback !== undefined) {
+            return options.fallback;
+        }
+
+        throw error;
+    }
+
+    /**
+     * Render a named template
+     * @param {string} name - Template name
+     * @param {Object} variables - Template variables
+     * @returns {Promise<{subject: string, html: string, text: string, from: string, category: string}>} Rendered template
+     */
+    async renderTemplate(name, variables = {}) {
+        const template = await this.templates.load(name);
+        return {
+            ...template,
+            subject: template.subject ? render(template.subject, variables) : undefined,
+            html: template.html !== null ? render(template.html, variables, { escape: true }) : undefined,
+            text: template.text !== null ? render(template.text, variables) : undefined
+        };
+    }
+
+    /**
+     * Load attachment content from inline data, a local path or S3
+     * @param {Array<Object>} attachments - { filename, content } | { path } | { bucket, key }, each with optional contentType and cid
+     * @returns {Promise<Array<{filename: string, content: Buffer, contentType: string, cid: string}>>} Attachments with content
+     */
+    async resolveAttachments(attachments = []) {
+        return Promise.all(attachments.map(async ({ path, bucket, key, ...attachment }) => {
+            if (attachment.content !== undefined) {
+                return { ...attachment, content: Buffer.from(attachment.content) };
+            }
+            if (path) {
+                return { filename: basename(path), ...attachment, content: await readFile(path) };
+            }
+            if (key) {
+                const data = await this.storage.getObject({ Bucket: bucket || process.env['S3_BUCKET'], Key: key });
+                if (!data) {
+                    throw new NotFoundError(`Attachment ${key} not found`);
+                }
+                return {
+                    filename: basename(key),
+                    contentType: data.ContentType,
+                    ...attachment,
+                    content: Buffer.from(await data.Body.transformToByteArray())
+                };
+            }
+            throw new ValidationError('Attachment needs content, path or key', { filename: attachment.filename });
+        }));
+    }
+
+    /**
+     * Send one message, rendered from a template or given as subject/html/text
+     * Marketing mail is only delivered to recipients whose userProfile has `mailingFlag` set; the
+     * others are returned in `skipped`.
+     *
+     * @example
+     * await email.send({ template: 'welcome', to: profile, variables: { community: 'Family' } });
+     *
+     * @param {Object} message - Message
+     * @param {string} message.template - Template name
+     * @param {Object} message.variables - Template variables; a single `to` recipient is also available as `recipient`
+     * @param {string|Object|Array} message.to - Recipients: addresses, { email, name } or userProfile items
+     * @param {string|Object|Array} message.cc - Copy recipients
+     * @param {string|Object|Array} message.bcc - Blind copy recipients
+     * @param {string|Object} message.from - Sender (default: template, then service default)
+     * @param {string|Object} message.replyTo - Reply-To
+     * @param {string} message.subject - Subject, overriding the template's
+     * @param {string} message.html - HTML body when no template is used
+     * @param {string} message.text - Text body; derived from the HTML when missing
+     * @param {Array<Object>} message.attachments - Attachments, see resolveAttachments()
+     * @param {string} message.category - 'transactional' or 'marketing' (default: template, then 'transactional')
+     * @param {string|Function} message.unsubscribeUrl - Marketing unsubscribe link, or (recipient) => link; sent as List-Unsubscribe
+     * @param {Object} message.headers - Extra headers
+     * @param {Object} message.tags - SES message tags
+     * @returns {Promise<{messageId: string, accepted: Array<string>, skipped: Array<{email: string, reason: string}>}>} Result
+     */
+    async send(message) {
+        try {
+            const template = message.template ? await this.templates.load(message.template) : {};
+            const category = message.category || template.category || 'transactional';
+            if (!CATEGORIES.includes(category)) {
+                throw new ValidationError(`Unknown email category '${category}'`, { allowed: CATEGORIES });
+            }
+
+            const skipped = [];
+            const consented = (recipients) => recipients.filter((recipient) => {
+                if (category === 'marketing' && !hasMarketingConsent(recipient)) {
+                    skipped.push({ email: recipient.email, reason: 'unsubscribed' });
+                    return false;
+                }
+                return true;
+            });
+            const to = consented(toList(message.to));
+            const cc = consented(toList(message.cc));
+            const bcc = consented(toList(message.bcc));
+            if (to.length + cc.length + bcc.length === 0) {
+                if (skipped.length > 0) {
+                    return { messageId: null, accepted: [], skipped };
+                }
+                throw new ValidationError('Email needs at least one recipient');
+            }
+
+            const recipient = to.length === 1 ? { name: to[0].name, email: to[0].email, ...to[0].profile } : undefined;
+            const unsubscribeUrl = typeof message.unsubscribeUrl === 'function' ? message.unsubscribeUrl(recipient) : message.unsubscribeUrl;
+            const variables = { recipient, unsubscribeUrl, ...message.variables };
+            const rendered = message.template ? await this.renderTemplate(message.template, variables) : {};
+            const html = message.html ?? rendered.html;
+            const text = message.text ?? rendered.text ?? (html ? htmlToText(html) : undefined);
+            const subject = message.subject !== undefined ? render(message.subject, variables) : rendered.subject;
+            const sender = message.from || template.from || this.from;
+            if (!sender) {
+                throw new ValidationError('Sender is required: pass message.from or set EMAIL_FROM');
+            }
+            if (!html && !text) {
+                throw new ValidationError('Email needs a template, html or text');
+            }
+
+            const normalized = {
+                from: parseAddress(sender),
+                to,
+                cc,
+                bcc,
+                replyTo: (message.replyTo || this.replyTo) ? parseAddress(message.replyTo || this.replyTo) : undefined,
+                subject,
+                html,
+                text,
+                attachments: await this.resolveAttachments(message.attachments),
+                headers: {
+                    ...(category === 'marketing' && unsubscribeUrl && {
+                        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                    }),
+                    ...message.headers
+                },
+                tags: message.tags,
+                template: message.template,
+                category
+            };
+            const { raw, messageId } = buildMessage(normalized);
+            const recipients = [...to, ...cc, ...bcc].map(({ email }) => email);
+            const result = await this.transport.send({ from: normalized.from.email, recipients, raw, messageId, message: normalized });
+            return { messageId: result.messageId, accepted: recipients, skipped };
+        } catch (error) {
+            return this.handleError(error, 'send');
+        }
+    }
+
+    /**
+     * Send a personalised copy of a message to each recipient
+     * Each recipient gets its own message with the shared variables, its own `variables` and itself as
+     * `recipient`. Failures are collected rather than thrown, so one bad address does not stop the run.
+     * @param {Object} message - send() message without `to`
+     * @param {Array<string|Object>} recipients - Addresses, userProfile items or { email, name, variables }
+     * @param {Object} options - Options
+     * @param {number} options.concurrency - Messages sent in parallel (default: 5)
+     * @returns {Promise<{sent: Array<Object>, skipped: Array<Object>, failed: Array<Object>}>} Results by email
+     */
+    async sendBulk(message, recipients, options = {}) {
+        const sent = [];
+        const skipped = [];
+        const failed = [];
+        const attachments = await this.resolveAttachments(message.attachments);
+        const queue = [...recipients];
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const recipient = queue.shift();
+                const email = typeof recipient === 'object' ? recipient?.email : recipient;
+                try {
+                    const result = await this.send({
+                        ...message,
+                        to: recipient,
+                        attachments,
+                        variables: { ...message.variables, ...(typeof recipient === 'object' && recipient?.variables) }
+                    });
+                    skipped.push(...result.skipped);
+                    if (result.messageId) {
+                        sent.push({ email, messageId: result.messageId });
+                    }
+                } catch (error) {
+                    failed.push({ email, code: error.code || error.name, message: error.message });
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.max(1, options.concurrency || 5) }, worker));
+        return { sent, skipped, failed };
+    }
+}
+
+// Export a singleton instance; EMAIL_TRANSPORT=file writes .eml files instead of sending, e.g. under serverless-offline
+let emailService = new EmailService();
+
+/**
+ * Replace the instance used by the exported functions, e.g. with a file transport in tests
+ * @param {EmailService} service - New default instance
+ * @returns {EmailService} Previous default instance, to restore afterwards
+ */
+export const setEmailService = (service) => {
+    const previous = emailService;
+    emailService = service;
+    return previous;
+};
+export const getEmailService = () => emailService;
+
+/**
+ * Create an EmailService, e.g. with an SMTP transport or a local template directory
+ * @param {Object} options - EmailService options
+ * @returns {EmailService} New instance; pass it to setEmailService() to make it the default
+ */
+export const createEmailService = (options = {}) => new EmailService(options);
+
+export const send = (message) => emailService.send(message);
+export const sendBulk = (message, recipients, options) => emailService.sendBulk(message, recipients, options);
+export const renderTemplate = (name, variables) => emailService.renderTemplate(name, variables);
+
+export { TemplateStore, TemplateError, render, escapeHtml, htmlToText } from './template.js';
+export { SesTransport, SmtpTransport, FileTransport } from './transport.js';
+export { SmtpError } from './smtp.js';
+export { parseAddress, formatAddress, buildMessage } from './mime.js';
+
+export default EmailService;
@@ -0,0 +1,152 @@
+import { randomUUID } from "node:crypto";
+import { PATTERNS } from "@myorg/constants";
+import { ValidationError } from "@myorg/error";
+
+/**
+ * MIME (RFC 5322 / 2045) message building for the transports
+ * Bodies and attachments are base64 encoded, and non-ASCII header values use RFC 2047 encoded words.
+ */
+
+const ATTACHMENT_TYPES = {
+    pdf: 'application/pdf',
+    csv: 'text/csv',
+    txt: 'text/plain',
+    html: 'text/html',
+    json: 'application/json',
+    ics: 'text/calendar',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    zip: 'application/zip'
+};
+
+const isAscii = (value) => /^[\x20-\x7e]*$/.test(value);
+
+/**
+ * Encode a header value, using RFC 2047 for non-ASCII text
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+export const encodeHeader = (value) => (isAscii(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+/**
+ * Normalize an address
+ * @param {string|Object} address - 'user@example.com', 'Name <user@example.com>' or { email, name }
+ * @returns {{email: string, name: string}} Address
+ * @throws {ValidationError} When the email is not valid
+ */
+export const parseAddress = (address) => {
+    let email;
+    let name;
+    if (typeof address === 'string') {
+        const match = address.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+        [email, name] = match ? [match[2], match[1].replace(/^"|"$/g, '')] : [address.trim(), undefined];
+    } else if (address && typeof address === 'object') {
+        email = address.email;
+        name = address.name;
+    }
+    if (typeof email !== 'string' || !PATTERNS.EMAIL.test(email) || /[\r\n]/.test(email)) {
+        throw new ValidationError('Invalid email address', { address: typeof address === 'string' ? address : email });
+    }
+    return { email: email.trim(), name: name ? String(name).replace(/[\r\n]+/g, ' ') : undefined };
+};
+
+/**
+ * Format an address for a header
+ * @param {{email: string, name: string}} address - Address
+ * @returns {string} Header value
+ */
+export const formatAddress = ({ email, name }) => {
+    if (!name) {
+        return email;
+    }
+    return isAscii(name) ? `"${name.replace(/(["\\])/g, '\\$1')}" <${email}>` : `${encodeHeader(name)} <${email}>`;
+};
+
+const wrap = (base64) => base64.replace(/.{1,76}/g, '$&\r\n');
+
+const part = (contentType, body, headers = {}) => [
+    `Content-Type: ${contentType}`,
+    'Content-Transfer-Encoding: base64',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    '',
+    wrap(Buffer.from(body).toString('base64'))
+].join('\r\n');
+
+const multipart = (subtype, parts) => {
+    const boundary = `----=_Part_${randomUUID()}`;
+    return [
+        `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+        '',
+        ...parts.map((content) => `--${boundary}\r\n${content}`),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+};
+
+/**
+ * Content type of an attachment, from its contentType or file extension
+ * @param {Object} attachment - Attachment
+ * @returns {string} Content type
+ */
+export const attachmentType = (attachment) => {
+    const extension = (attachment.filename || '').toLowerCase().match(/\.([a-z0-9]+)$/)?.[1];
+    return attachment.contentType || ATTACHMENT_TYPES[extension] || 'application/octet-stream';
+};
+
+/**
+ * Build a MIME message
+ * Bcc recipients are not written to the headers; transports pass them in the envelope.
+ * @param {Object} message - Message
+ * @param {Object} message.from - Sender address
+ * @param {Array<Object>} message.to - Recipient addresses
+ * @param {Array<Object>} message.cc - Copy addresses
+ * @param {Object} message.replyTo - Reply-To address
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain-text body
+ * @param {string} message.html - HTML body
+ * @param {Array<{filename: string, content: Buffer, contentType: string, cid: string}>} message.attachments - Attachments; a cid makes the part inline
+ * @param {Object} message.headers - Extra headers
+ * @returns {{raw: Buffer, messageId: string}} Message and its Message-ID
+ */
+export const buildMessage = (message) => {
+    const domain = message.from.email.split('@')[1];
+    const messageId = `<${randomUUID()}@${domain}>`;
+    const headers = {
+        'From': formatAddress(message.from),
+        ...(message.to?.length && { 'To': message.to.map(formatAddress).join(', ') }),
+        ...(message.cc?.length && { 'Cc': message.cc.map(formatAddress).join(', ') }),
+        ...(message.replyTo && { 'Reply-To': formatAddress(message.replyTo) }),
+        'Subject': encodeHeader(message.subject || ''),
+        'Date': new Date().toUTCString().replace('GMT', '+0000'),
+        'Message-ID': messageId,
+        'MIME-Version': '1.0'
+    };
+    for (const [name, value] of Object.entries(message.headers || {})) {
+        if (!/^[\x21-\x39\x3b-\x7e]+$/.test(name) || /[\r\n]/.test(String(value))) {
+            throw new ValidationError(`Invalid header '${name}'`);
+        }
+        headers[name] = encodeHeader(String(value));
+    }
+
+    const bodies = [
+        ...(message.text ? [part('text/plain; charset=UTF-8', message.text)] : []),
+        ...(message.html ? [part('text/html; charset=UTF-8', message.html)] : [])
+    ];
+    let body = bodies.length === 1 ? bodies[0] : multipart('alternative', bodies);
+
+    const attachments = message.attachments || [];
+    if (attachments.length > 0) {
+        body = multipart('mixed', [body, ...attachments.map((attachment) => {
+            const filename = encodeHeader(attachment.filename || 'attachment').replace(/"/g, '');
+            return part(`${attachmentType(attachment)}; name="${filename}"`, attachment.content, {
+                'Content-Disposition': `${attachment.cid ? 'inline' : 'attachment'}; filename="${filename}"`,
+                ...(attachment.cid && { 'Content-ID': `<${attachment.cid}>` })
+            });
+        })]);
+    }
+
+    const head = Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\r\n');
+    return { raw: Buffer.from(`${head}\r\n${body}`), messageId };
+};
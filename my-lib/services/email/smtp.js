@@ -0,0 +1,164 @@
+import net from "node:net";
+import tls from "node:tls";
+import { createErrorClass } from "@myorg/error";
+
+/**
+ * Raised when an SMTP server rejects a command; `details` carries the command and server reply
+ */
+export const SmtpError = createErrorClass('SmtpError', 'SMTP server rejected the message', 502);
+
+/**
+ * Minimal SMTP client: one message per connection, STARTTLS and AUTH PLAIN/LOGIN
+ */
+export class SmtpConnection {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.host - Server host
+     * @param {number} options.port - Server port
+     * @param {boolean} options.secure - Connect with TLS (port 465) instead of upgrading with STARTTLS
+     * @param {boolean} options.requireTls - Refuse to send credentials or mail over an unencrypted connection
+     * @param {number} options.timeout - Socket timeout in ms
+     * @param {Object} options.tls - Extra tls.connect options, e.g. { rejectUnauthorized: false } for a local server
+     */
+    constructor(options) {
+        this.options = options;
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(this.options.timeout);
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('timeout', () => socket.destroy(new SmtpError('SMTP connection timed out', { host: this.options.host })));
+        socket.on('error', (error) => this.fail(error));
+        socket.on('close', () => this.fail(new SmtpError('SMTP connection closed', { host: this.options.host })));
+    }
+
+    async connect() {
+        const { host, port, secure } = this.options;
+        const greeting = await new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host, ...this.options.tls })
+                : net.connect({ host, port });
+            this.waiting = { resolve, reject };
+            this.attach(socket);
+        });
+        if (greeting.code !== 220) {
+            this.socket.destroy();
+            throw new SmtpError(`SMTP server refused the connection: ${greeting.code} ${greeting.lines.join(' ')}`, { host, code: greeting.code });
+        }
+    }
+
+    receive(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+            // The last line of a reply has a space after the code; continuation lines have a dash
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines: this.lines.map((text) => text.slice(4)) };
+                this.lines = [];
+                const waiting = this.waiting;
+                this.waiting = null;
+                waiting?.resolve(reply);
+            }
+        }
+    }
+
+    fail(error) {
+        const waiting = this.waiting;
+        this.waiting = null;
+        waiting?.reject(error);
+    }
+
+    /**
+     * Send a command and wait for the reply
+     * @param {string} command - Command without CRLF
+     * @param {Array<number>} expected - Accepted reply codes
+     * @param {string} label - Command name for errors, so credentials are never logged
+     * @returns {Promise<{code: number, lines: Array<string>}>} Reply
+     */
+    async command(command, expected, label = command) {
+        const reply = await new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.socket.write(`${command}\r\n`);
+        });
+        if (!expected.includes(reply.code)) {
+            throw new SmtpError(`SMTP ${label.split(' ')[0]} failed: ${reply.code} ${reply.lines.join(' ')}`, {
+                command: label, code: reply.code, reply: reply.lines.join('\n')
+            });
+        }
+        return reply;
+    }
+
+    async startTls() {
+        await this.command('STARTTLS', [220]);
+        this.socket.removeAllListeners();
+        const secured = tls.connect({ socket: this.socket, servername: this.options.host, ...this.options.tls });
+        await new Promise((resolve, reject) => {
+            secured.once('secureConnect', resolve);
+            secured.once('error', reject);
+        });
+        this.secure = true;
+        this.attach(secured);
+    }
+
+    async authenticate(user, pass, mechanisms) {
+        if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+            const token = Buffer.from(`\u0000${user}\u0000${pass}`).toString('base64');
+            await this.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+            return;
+        }
+        await this.command('AUTH LOGIN', [334]);
+        await this.command(Buffer.from(user).toString('base64'), [334], 'AUTH LOGIN username');
+        await this.command(Buffer.from(pass).toString('base64'), [235], 'AUTH LOGIN password');
+    }
+
+    /**
+     * Deliver one message
+     * @param {Object} envelope - Envelope
+     * @param {string} envelope.from - MAIL FROM address
+     * @param {Array<string>} envelope.recipients - RCPT TO addresses
+     * @param {Buffer} raw - MIME message
+     * @param {Object} credentials - { user, pass }, optional
+     * @returns {Promise<string>} Final server reply
+     */
+    async deliver({ from, recipients }, raw, credentials = {}) {
+        await this.connect();
+        this.secure = !!this.options.secure;
+        try {
+            const name = this.options.name || 'localhost';
+            let reply = await this.command(`EHLO ${name}`, [250]);
+            const extensions = reply.lines.map((line) => line.toUpperCase());
+            if (!this.secure && extensions.includes('STARTTLS')) {
+                await this.startTls();
+                reply = await this.command(`EHLO ${name}`, [250]);
+            }
+            if (!this.secure && this.options.requireTls) {
+                throw new SmtpError('SMTP server does not offer STARTTLS', { host: this.options.host });
+            }
+            if (credentials.user) {
+                const auth = reply.lines.find((line) => line.toUpperCase().startsWith('AUTH'));
+                await this.authenticate(credentials.user, credentials.pass, auth ? auth.toUpperCase().split(/[ =]/).slice(1) : []);
+            }
+
+            await this.command(`MAIL FROM:<${from}>`, [250]);
+            for (const recipient of recipients) {
+                await this.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await this.command('DATA', [354]);
+            // Dot-stuffing: a line starting with '.' gets a second one so it cannot end the data early
+            const data = raw.toString('utf8').replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+            reply = await this.command(`${data}${data.endsWith('\r\n') ? '' : '\r\n'}.`, [250], 'DATA');
+            await this.command('QUIT', [221]).catch(() => undefined);
+            return reply.lines.join(' ');
+        } finally {
+            this.socket.removeAllListeners('close');
+            this.socket.end();
+        }
+    }
+}
@@ -0,0 +1,197 @@
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { CACHE_CONFIG, S3_PATTERNS } from "@myorg/constants";
+import { createErrorClass, NotFoundError, ValidationError } from "@myorg/error";
+import * as storage from "@myorg/storage";
+
+/**
+ * Raised when a template cannot be rendered, e.g. an unclosed section
+ */
+export const TemplateError = createErrorClass('TemplateError', 'Template could not be rendered', 500);
+
+const TEMPLATE_NAME = /^[A-Za-z0-9][\w-]*(\/[A-Za-z0-9][\w-]*)*$/;
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (character) => HTML_ESCAPES[character]);
+
+const lookup = (scopes, path) => {
+    if (path === '.') {
+        return scopes[0];
+    }
+    for (const scope of scopes) {
+        const value = path.split('.').reduce((current, part) => (current === undefined || current === null ? undefined : current[part]), scope);
+        if (value !== undefined) {
+            return value;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Render a Mustache-style template
+ * Supports {{name}} and {{user.firstName}} (escaped when `escape` is set), {{{name}}} (never escaped),
+ * sections {{#items}}...{{/items}} that repeat for arrays and render once for truthy values,
+ * and inverted sections {{^items}}...{{/items}} that render when the value is empty or falsy.
+ * @param {string} template - Template text
+ * @param {Object} variables - Values
+ * @param {Object} options - Options
+ * @param {boolean} options.escape - HTML-escape {{name}} values (default: false)
+ * @returns {string} Rendered text
+ */
+export const render = (template, variables = {}, options = {}) => renderScopes(template, [variables], options);
+
+const renderScopes = (template, scopes, options) => {
+    let output = '';
+    let position = 0;
+    const tag = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+    let match;
+
+    while ((match = tag.exec(template)) !== null) {
+        output += template.slice(position, match.index);
+        position = tag.lastIndex;
+
+        if (match[1]) {
+            output += lookup(scopes, match[1]) ?? '';
+            continue;
+        }
+        const [, , kind, name] = match;
+        if (kind === '/') {
+            throw new TemplateError(`Unexpected {{/${name}}}`, { name });
+        }
+        if (!kind) {
+            const value = lookup(scopes, name) ?? '';
+            output += options.escape ? escapeHtml(value) : value;
+            continue;
+        }
+
+        const end = findSectionEnd(template, name, position);
+        const inner = template.slice(position, end.index);
+        position = end.lastIndex;
+        tag.lastIndex = position;
+
+        const value = lookup(scopes, name);
+        const empty = !value || (Array.isArray(value) && value.length === 0);
+        if (kind === '^') {
+            output += empty ? renderScopes(inner, scopes, options) : '';
+        } else if (Array.isArray(value)) {
+            output += value.map((item) => renderScopes(inner, [item, ...scopes], options)).join('');
+        } else if (!empty) {
+            output += renderScopes(inner, typeof value === 'object' ? [value, ...scopes] : scopes, options);
+        }
+    }
+    return output + template.slice(position);
+};
+
+const findSectionEnd = (template, name, from) => {
+    const tag = /\{\{\s*([#^/])\s*([\w.]+)\s*\}\}/g;
+    tag.lastIndex = from;
+    let depth = 1;
+    let match;
+    while ((match = tag.exec(template)) !== null) {
+        if (match[2] === name) {
+            depth += match[1] === '/' ? -1 : 1;
+            if (depth === 0) {
+                return { index: match.index, lastIndex: tag.lastIndex };
+            }
+        }
+    }
+    throw new TemplateError(`Section {{#${name}}} is not closed`, { name });
+};
+
+/**
+ * Plain-text fallback for an HTML body
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+export const htmlToText = (html) => html
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ({ '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" })[entity])
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Load named templates from a local directory or S3, cached for the lifetime of the container
+ * A template `welcome` is made of `welcome.html`, `welcome.txt` and `welcome.json`; any of the first
+ * two may be missing, and the JSON file holds defaults such as { subject, from, category }.
+ */
+export class TemplateStore {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.dir - Local directory (default: EMAIL_TEMPLATE_DIR); S3 is used when unset
+     * @param {string} options.bucket - Bucket (default: EMAIL_TEMPLATE_BUCKET or S3_BUCKET)
+     * @param {string} options.prefix - Folder under ENVIRONMENT/SERVICE_NAME/ (default: EMAIL_TEMPLATE_PREFIX or 'email/templates')
+     * @param {string|number} options.ttl - CACHE_CONFIG key or seconds templates stay cached (default: 'DEFAULT_TTL')
+     * @param {Object} options.storage - StorageService to read S3 templates with (default: the @myorg/storage singleton)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir ?? process.env['EMAIL_TEMPLATE_DIR'];
+        this.bucket = options.bucket || process.env['EMAIL_TEMPLATE_BUCKET'] || process.env['S3_BUCKET'];
+        this.prefix = options.prefix || process.env['EMAIL_TEMPLATE_PREFIX'] || 'email/templates';
+        const ttl = options.ttl ?? 'DEFAULT_TTL';
+        this.ttl = (typeof ttl === 'string' ? CACHE_CONFIG[ttl] : ttl) * 1000;
+        this.storage = options.storage || storage;
+        this.cache = new Map();
+    }
+
+    async read(fileName) {
+        if (this.dir) {
+            try {
+                return await readFile(join(this.dir, fileName), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        }
+        const data = await this.storage.getObject({ Bucket: this.bucket, Key: S3_PATTERNS.getKey(`${this.prefix}/${fileName}`) });
+        return data ? data.Body.transformToString() : null;
+    }
+
+    /**
+     * Load a template
+     * @param {string} name - Template name, e.g. 'welcome' or 'marketing/newsletter'
+     * @returns {Promise<{name: string, subject: string, html: string, text: string, from: string, category: string}>} Template
+     * @throws {NotFoundError} When neither an HTML nor a text variant exists
+     */
+    async load(name) {
+        if (typeof name !== 'string' || !TEMPLATE_NAME.test(name)) {
+            throw new ValidationError('Template name may only contain letters, digits, -, _ and /', { name });
+        }
+        const cached = this.cache.get(name);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.template;
+        }
+
+        const [html, text, meta] = await Promise.all([
+            this.read(`${name}.html`),
+            this.read(`${name}.txt`),
+            this.read(`${name}.json`)
+        ]);
+        if (html === null && text === null) {
+            throw new NotFoundError(`Email template '${name}' not found`);
+        }
+        let defaults = {};
+        try {
+            defaults = meta ? JSON.parse(meta) : {};
+        } catch (error) {
+            throw new TemplateError(`Email template '${name}' has invalid ${name}.json`, { name, reason: error.message });
+        }
+
+        const template = { ...defaults, name, html, text };
+        if (this.ttl > 0) {
+            this.cache.set(name, { template, expiresAt: Date.now() + this.ttl });
+        }
+        return template;
+    }
+
+    clear() {
+        this.cache.clear();
+    }
+}
@@ -0,0 +1,113 @@
+import { SESv2Client, SendEmailCommand } from "@aws-sdk/client-sesv2";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { SmtpConnection } from "./smtp.js";
+
+/**
+ * Transports deliver messages built by EmailService
+ * A transport has send(envelope) => { messageId }, where the envelope holds from and recipients
+ * (every To, Cc and Bcc address), the MIME message as `raw` and the normalized `message`.
+ */
+
+/**
+ * Send through Amazon SES (v2 API)
+ */
+export class SesTransport {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.client - SESv2Client to use instead of creating one, e.g. a mock
+     * @param {string} options.region - AWS region (default: SES_REGION, REGION or eu-west-1)
+     * @param {Object} options.credentials - Credentials or credential provider
+     * @param {string} options.configurationSet - SES configuration set (default: EMAIL_CONFIGURATION_SET)
+     */
+    constructor(options = {}) {
+        this.client = options.client || new SESv2Client({
+            region: options.region || process.env['SES_REGION'] || process.env['REGION'] || 'eu-west-1',
+            ...(options.credentials && { credentials: options.credentials })
+        });
+        this.configurationSet = options.configurationSet || process.env['EMAIL_CONFIGURATION_SET'];
+    }
+
+    async send({ from, raw, message }) {
+        const data = await this.client.send(new SendEmailCommand({
+            FromEmailAddress: from,
+            Destination: {
+                ToAddresses: message.to.map(({ email }) => email),
+                CcAddresses: message.cc.map(({ email }) => email),
+                BccAddresses: message.bcc.map(({ email }) => email)
+            },
+            Content: { Raw: { Data: raw } },
+            ...(this.configurationSet && { ConfigurationSetName: this.configurationSet }),
+            ...(message.tags && { EmailTags: Object.entries(message.tags).map(([Name, Value]) => ({ Name, Value: String(Value) })) })
+        }));
+        return { messageId: data.MessageId };
+    }
+}
+
+/**
+ * Send through an SMTP server, e.g. a relay or a local Mailpit/MailHog
+ */
+export class SmtpTransport {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.host - Server host (default: EMAIL_SMTP_HOST or localhost)
+     * @param {number} options.port - Server port (default: EMAIL_SMTP_PORT, or 465 when secure, else 587)
+     * @param {boolean} options.secure - Connect with TLS instead of STARTTLS (default: EMAIL_SMTP_SECURE)
+     * @param {string} options.user - Username (default: EMAIL_SMTP_USER)
+     * @param {string} options.pass - Password (default: EMAIL_SMTP_PASS)
+     * @param {boolean} options.requireTls - Refuse unencrypted connections (default: true when a user is set)
+     * @param {string} options.name - Host name sent with EHLO (default: localhost)
+     * @param {number} options.timeout - Socket timeout in ms (default: 30000)
+     * @param {Object} options.tls - Extra tls.connect options
+     */
+    constructor(options = {}) {
+        const secure = options.secure ?? process.env['EMAIL_SMTP_SECURE'] === 'true';
+        this.credentials = {
+            user: options.user ?? process.env['EMAIL_SMTP_USER'],
+            pass: options.pass ?? process.env['EMAIL_SMTP_PASS']
+        };
+        this.options = {
+            host: options.host || process.env['EMAIL_SMTP_HOST'] || 'localhost',
+            port: Number(options.port || process.env['EMAIL_SMTP_PORT']) || (secure ? 465 : 587),
+            secure,
+            requireTls: options.requireTls ?? !!this.credentials.user,
+            name: options.name,
+            timeout: options.timeout || 30000,
+            tls: options.tls
+        };
+    }
+
+    async send({ from, recipients, raw, messageId }) {
+        await new SmtpConnection(this.options).deliver({ from, recipients }, raw, this.credentials);
+        return { messageId };
+    }
+}
+
+/**
+ * Write each message to a directory as an .eml file instead of sending it, for local runs
+ * Files can be opened in any mail client; a .json file next to each one holds the envelope.
+ */
+export class FileTransport {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.dir - Directory (default: EMAIL_DROP_DIR or '.email')
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || process.env['EMAIL_DROP_DIR'] || '.email';
+    }
+
+    async send({ from, recipients, raw, messageId, message }) {
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.slice(1, 9)}`;
+        await mkdir(this.dir, { recursive: true });
+        await writeFile(join(this.dir, `${name}.eml`), raw);
+        await writeFile(join(this.dir, `${name}.json`), JSON.stringify({
+            messageId,
+            from,
+            recipients,
+            subject: message.subject,
+            template: message.template,
+            category: message.category
+        }, null, 2));
+        return { messageId, path: join(this.dir, `${name}.eml`) };
+    }
+}
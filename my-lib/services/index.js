@@ -1,15 +1,7 @@
 // Aggregate exports for all service packages
-export * as channel from '@myorg/channel';
 export * as crypto from '@myorg/crypto';
 export * as database from '@myorg/database';
-export * as drive from '@myorg/drive';
 export * as email from '@myorg/email';
-export * as gmail from '@myorg/gmail';
-export * as identity from '@myorg/identity';
-export * as message from '@myorg/message';
 export * as notification from '@myorg/notification';
 export * as secret from '@myorg/secret';
-export * as storage from '@myorg/storage';
-export * as tickettailor from '@myorg/tickettailor';
-export * as whatsapp from '@myorg/whatsapp';
-export * as workbook from '@myorg/workbook';
\ No newline at end of file
+export * as storage from '@myorg/storage';
\ No newline at end of file
@@ -0,0 +1,45 @@
+import { buildEntry, entrySize, MAX_MESSAGE_SIZE } from '../message.js';
+
+const standard = 'arn:aws:sns:eu-west-1:123456789012:userEvents';
+const fifo = 'arn:aws:sns:eu-west-1:123456789012:userEvents.fifo';
+
+describe('buildEntry', () => {
+    test('wraps the payload in an envelope and sends the type as an attribute', () => {
+        const entry = buildEntry(standard, 'userProfile.created', { userId: 'u1' }, { id: 'e1', source: 'auth', attributes: { communityCount: 2 } });
+
+        expect(JSON.parse(entry.Message)).toMatchObject({ id: 'e1', type: 'userProfile.created', source: 'auth', data: { userId: 'u1' } });
+        expect(entry.MessageAttributes).toEqual({
+            communityCount: { DataType: 'Number', StringValue: '2' },
+            type: { DataType: 'String', StringValue: 'userProfile.created' }
+        });
+        expect(entry).not.toHaveProperty('MessageGroupId');
+    });
+
+    test('defaults the FIFO group to the event type and the deduplication ID to the event ID', () => {
+        const entry = buildEntry(fifo, 'userProfile.created', {}, { id: 'e1' });
+
+        expect(entry).toMatchObject({ MessageGroupId: 'userProfile.created', MessageDeduplicationId: 'e1' });
+    });
+
+    test('uses the FIFO group and deduplication ID it is given', () => {
+        const entry = buildEntry(fifo, 'userProfile.created', {}, { groupId: 'u1', deduplicationId: 'd1' });
+
+        expect(entry).toMatchObject({ MessageGroupId: 'u1', MessageDeduplicationId: 'd1' });
+    });
+
+    test('rejects FIFO options on a standard topic', () => {
+        expect(() => buildEntry(standard, 'userProfile.created', {}, { groupId: 'u1' })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => buildEntry(standard, 'userProfile.created', {}, { deduplicationId: 'd1' })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('rejects a missing type and an oversized message', () => {
+        expect(() => buildEntry(standard, '', {})).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => buildEntry(standard, 'big', 'x'.repeat(MAX_MESSAGE_SIZE))).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('counts attribute names, types and values towards the size', () => {
+        const entry = buildEntry(standard, 'a', null, { attributes: { b: 'cd' } });
+
+        expect(entrySize(entry)).toBe(Buffer.byteLength(entry.Message) + 'bStringcd'.length + 'typeStringa'.length);
+    });
+});
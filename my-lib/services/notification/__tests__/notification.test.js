@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import { createNotificationService, MAX_MESSAGE_SIZE } from '../index.js';
+
+const topic = 'arn:aws:sns:eu-west-1:123456789012:userEvents';
+
+// Transport that records every batch and fails the entries whose event ID is listed
+const recording = (failIds = []) => {
+    const calls = [];
+    return {
+        calls,
+        publish: async () => ({ messageId: 'm' }),
+        publishBatch: async (topicArn, entries) => {
+            calls.push({ topicArn, entries });
+            return {
+                successful: entries.filter((entry) => !failIds.includes(entry.Id)).map((entry) => ({ id: entry.Id, messageId: `m-${entry.Id}` })),
+                failed: entries.filter((entry) => failIds.includes(entry.Id)).map((entry) => ({ id: entry.Id, code: 'InternalError', message: 'Failed', senderFault: false }))
+            };
+        }
+    };
+};
+
+const events = (count, data = {}) => Array.from({ length: count }, (_, index) => ({ type: 'userProfile.created', data, id: `e${index}` }));
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('publishBatch', () => {
+    test('splits events into batches of at most 10', async () => {
+        const transport = recording();
+        const service = createNotificationService({ transport, topic });
+
+        const result = await service.publishBatch(events(23));
+
+        expect(transport.calls.map(({ entries }) => entries.length)).toEqual([10, 10, 3]);
+        expect(result.published).toHaveLength(23);
+        expect(result.failed).toEqual([]);
+    });
+
+    test('starts a new batch before the total size passes the SNS limit', async () => {
+        const transport = recording();
+        const service = createNotificationService({ transport, topic });
+
+        await service.publishBatch(events(3, 'x'.repeat(MAX_MESSAGE_SIZE / 2 - 1000)));
+
+        expect(transport.calls.map(({ entries }) => entries.length)).toEqual([2, 1]);
+    });
+
+    test('groups events by topic', async () => {
+        const transport = recording();
+        const service = createNotificationService({ transport, topic });
+
+        await service.publishBatch([
+            { type: 'a', data: {} },
+            { type: 'b', data: {}, topic: 'arn:aws:sns:eu-west-1:123456789012:audit' },
+            { type: 'c', data: {} }
+        ]);
+
+        expect(transport.calls.map(({ topicArn, entries }) => [topicArn, entries.length])).toEqual([
+            [topic, 2],
+            ['arn:aws:sns:eu-west-1:123456789012:audit', 1]
+        ]);
+    });
+
+    test('returns rejected events in failed with their type and topic instead of throwing', async () => {
+        const service = createNotificationService({ transport: recording(['e1']), topic });
+
+        const result = await service.publishBatch(events(3));
+
+        expect(result.published.map((item) => item.id)).toEqual(['e0', 'e2']);
+        expect(result.failed).toEqual([{ id: 'e1', code: 'InternalError', message: 'Failed', senderFault: false, type: 'userProfile.created', topicArn: topic }]);
+    });
+
+    test('maps the SNS PublishBatch response onto successful and failed entries', async () => {
+        const client = {
+            send: jest.fn(async () => ({
+                Successful: [{ Id: 'e0', MessageId: 'm0' }],
+                Failed: [{ Id: 'e1', Code: 'InvalidParameter', Message: 'Bad attribute', SenderFault: true }]
+            }))
+        };
+        const service = createNotificationService({ transport: 'sns', client, topic });
+
+        const result = await service.publishBatch(events(2));
+
+        expect(client.send.mock.calls[0][0].input.PublishBatchRequestEntries.map((entry) => entry.Id)).toEqual(['e0', 'e1']);
+        expect(result.published).toEqual([{ id: 'e0', messageId: 'm0', sequenceNumber: undefined, type: 'userProfile.created', topicArn: topic }]);
+        expect(result.failed).toEqual([{ id: 'e1', code: 'InvalidParameter', message: 'Bad attribute', senderFault: true, type: 'userProfile.created', topicArn: topic }]);
+    });
+});
@@ -0,0 +1,71 @@
+import { Notification, NotificationSubscriber } from '../subscriber.js';
+import { buildEntry } from '../message.js';
+import { toSnsRecord } from '../transport.js';
+
+const topic = 'arn:aws:sns:eu-west-1:123456789012:userEvents';
+const entry = buildEntry(topic, 'userProfile.created', { userId: 'u1' }, { id: 'e1', source: 'auth', attributes: { communityCount: 2 } });
+
+const sqsRecord = (body, extra = {}) => ({
+    eventSource: 'aws:sqs',
+    messageId: 'q1',
+    body,
+    eventSourceARN: 'arn:aws:sqs:eu-west-1:123456789012:userEvents',
+    ...extra
+});
+
+describe('Notification', () => {
+    test('parses an SNS record published by NotificationService', () => {
+        const notification = new Notification(toSnsRecord(entry, 'm1'));
+
+        expect(notification).toMatchObject({
+            id: 'e1',
+            messageId: 'm1',
+            topicArn: topic,
+            type: 'userProfile.created',
+            source: 'auth',
+            data: { userId: 'u1' },
+            attributes: { communityCount: 2, type: 'userProfile.created' }
+        });
+    });
+
+    test('unwraps the SNS envelope an SQS queue receives without raw delivery', () => {
+        const { Sns } = toSnsRecord(entry, 'm1');
+
+        const notification = new Notification(sqsRecord(JSON.stringify(Sns)));
+
+        expect(notification).toMatchObject({ id: 'e1', messageId: 'm1', type: 'userProfile.created', data: { userId: 'u1' }, attributes: { communityCount: 2 } });
+    });
+
+    test('reads a raw SQS delivery with SQS-style attributes', () => {
+        const notification = new Notification(sqsRecord(entry.Message, {
+            messageAttributes: { type: { dataType: 'String', stringValue: 'userProfile.created' } }
+        }));
+
+        expect(notification).toMatchObject({ id: 'e1', messageId: 'q1', type: 'userProfile.created', data: { userId: 'u1' } });
+    });
+
+    test('passes a message without an envelope through as data', () => {
+        const notification = new Notification(sqsRecord('plain text', { messageAttributes: {} }));
+
+        expect(notification).toMatchObject({ id: 'q1', data: 'plain text' });
+    });
+
+    test('rejects a record that is neither SNS nor SQS', () => {
+        expect(() => new Notification({ eventSource: 'aws:dynamodb' })).toThrow('Record is not an SNS notification');
+    });
+});
+
+describe('NotificationSubscriber', () => {
+    test('routes by exact type, prefix and wildcard', async () => {
+        const seen = [];
+        const subscriber = new NotificationSubscriber()
+            .on('userProfile.created', async () => seen.push('exact'))
+            .on('userProfile.*', async () => seen.push('prefix'))
+            .on('order.*', async () => seen.push('other'))
+            .on('*', async () => seen.push('all'));
+
+        await subscriber.process({ Records: [toSnsRecord(entry)] });
+
+        expect(seen).toEqual(['exact', 'prefix', 'all']);
+    });
+});
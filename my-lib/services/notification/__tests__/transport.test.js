@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import { MemoryTransport } from '../transport.js';
+import { buildEntry } from '../message.js';
+
+const topic = 'arn:aws:sns:eu-west-1:123456789012:userEvents';
+const fifo = 'arn:aws:sns:eu-west-1:123456789012:userEvents.fifo';
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('MemoryTransport', () => {
+    test('delivers each message to the handlers subscribed to its topic as an SNS event', async () => {
+        const transport = new MemoryTransport();
+        const received = [];
+        transport.subscribe('userEvents', async (event) => received.push(...event.Records));
+        transport.subscribe('audit', async (event) => received.push(...event.Records));
+
+        const { messageId } = await transport.publish(buildEntry(topic, 'userProfile.created', { userId: 'u1' }));
+
+        expect(received).toHaveLength(1);
+        expect(received[0].Sns).toMatchObject({ MessageId: messageId, TopicArn: topic });
+        expect(transport.published('userEvents')).toEqual([expect.objectContaining({ type: 'userProfile.created', data: { userId: 'u1' }, topicArn: topic })]);
+    });
+
+    test('stops delivering after unsubscribe', async () => {
+        const transport = new MemoryTransport();
+        const handler = jest.fn(async () => {});
+        const unsubscribe = transport.subscribe('userEvents', handler);
+
+        unsubscribe();
+        await transport.publish(buildEntry(topic, 'userProfile.created', {}));
+
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('keeps subscriber errors in deliveryErrors without failing the publish', async () => {
+        const transport = new MemoryTransport();
+        transport.subscribe('userEvents', async () => {
+            throw new Error('Subscriber failed');
+        });
+
+        const { messageId } = await transport.publish(buildEntry(topic, 'userProfile.created', {}));
+
+        expect(transport.deliveryErrors).toEqual([{ topic: 'userEvents', messageId, error: expect.objectContaining({ message: 'Subscriber failed' }) }]);
+    });
+
+    test('drops a repeated FIFO deduplication ID within five minutes', async () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        const transport = new MemoryTransport();
+
+        await transport.publish(buildEntry(fifo, 'userProfile.created', {}, { deduplicationId: 'd1' }));
+        jest.setSystemTime(new Date('2026-01-01T00:04:59Z'));
+        await transport.publish(buildEntry(fifo, 'userProfile.created', {}, { deduplicationId: 'd1' }));
+        await transport.publish(buildEntry(fifo, 'userProfile.created', {}, { deduplicationId: 'd2' }));
+
+        expect(transport.messages.map((message) => message.MessageDeduplicationId)).toEqual(['d1', 'd2']);
+    });
+
+    test('accepts a deduplication ID again once the five minutes have passed', async () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        const transport = new MemoryTransport();
+
+        await transport.publish(buildEntry(fifo, 'userProfile.created', {}, { deduplicationId: 'd1' }));
+        jest.setSystemTime(new Date('2026-01-01T00:05:00Z'));
+        await transport.publish(buildEntry(fifo, 'userProfile.created', {}, { deduplicationId: 'd1' }));
+
+        expect(transport.messages).toHaveLength(2);
+        expect(transport.deduplicationIds.size).toBe(1);
+    });
+
+    test('clear() forgets messages, errors and deduplication IDs', async () => {
+        const transport = new MemoryTransport();
+        await transport.publish(buildEntry(fifo, 'userProfile.created', {}, { deduplicationId: 'd1' }));
+
+        transport.clear();
+        await transport.publish(buildEntry(fifo, 'userProfile.created', {}, { deduplicationId: 'd1' }));
+
+        expect(transport.messages).toHaveLength(1);
+    });
+});
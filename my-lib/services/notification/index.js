@@ -0,0 +1,176 @@
+import { ValidationError } from "@myorg/error";
+import { MAX_MESSAGE_SIZE, MAX_BATCH_SIZE, topicArn, buildEntry, entrySize } from "./message.js";
+import { SnsTransport, MemoryTransport } from "./transport.js";
+
+const createTransport = (transport, options) => {
+    if (transport && typeof transport === 'object') {
+        return transport;
+    }
+    if (transport === 'memory') {
+        return new MemoryTransport();
+    }
+    if (transport === 'sns') {
+        return new SnsTransport(options);
+    }
+    throw new ValidationError(`Unknown notification transport '${transport}'`, { allowed: ['sns', 'memory'] });
+};
+
+/**
+ * Split entries into PublishBatch calls within the SNS count and size limits
+ * @param {Array<Object>} entries - Publish entries for one topic
+ * @returns {Array<Array<Object>>} Batches
+ */
+const batches = (entries) => {
+    const result = [];
+    let current = [];
+    let size = 0;
+    for (const entry of entries) {
+        const length = entrySize(entry);
+        if (current.length === MAX_BATCH_SIZE || (current.length > 0 && size + length > MAX_MESSAGE_SIZE)) {
+            result.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(entry);
+        size += length;
+    }
+    if (current.length > 0) {
+        result.push(current);
+    }
+    return result;
+};
+
+class NotificationService {
+    /**
+     * @param {Object} options - Service options
+     * @param {string|Object} options.transport - 'sns', 'memory' or a transport object (default: NOTIFICATION_TRANSPORT or 'sns')
+     * @param {Object} options.client - SNSClient for the SNS transport, e.g. a mock
+     * @param {string} options.region - AWS region (default: REGION or eu-west-1)
+     * @param {Object} options.credentials - Credentials or credential provider
+     * @param {string} options.accountId - AWS account ID for resolving topic names (default: AWS_ACCOUNT_ID)
+     * @param {string} options.topic - Default topic ARN or name (default: NOTIFICATION_TOPIC, else EMAIL_NOTIFICATION_TOPIC)
+     */
+    constructor(options = {}) {
+        this.transport = createTransport(options.transport || process.env['NOTIFICATION_TRANSPORT'] || 'sns', options);
+        this.accountId = options.accountId;
+        this.topic = options.topic;
+    }
+
+    handleError(error, methodName, options = {}) {
+        const serviceName = this.constructor.name;
+        console.error(`[${serviceName}.${methodName}] Error:`, {
+            message: error.message,
+            code: error.code || error.name,
+            statusCode: error.$metadata?.httpStatusCode,
+            requestId: error.$metadata?.requestId
+        });
+
+        // If a fallback value is provided, return it instead of throwing
+        if (options.fallback !== undefined) {
+            return options.fallback;
+        }
+
+        throw error;
+    }
+
+    /**
+     * Resolve a topic ARN or name against the service defaults
+     * @param {string} topic - Topic ARN or name; omit for the default topic
+     * @returns {string} Topic ARN
+     */
+    topicArn(topic) {
+        return topicArn(topic || this.topic, this.accountId || process.env['AWS_ACCOUNT_ID']);
+    }
+
+    /**
+     * Publish a typed event
+     *
+     * @example
+     * await notification.publish('userProfile.created', { userId }, { topic: 'userEvents', attributes: { communityCount: 2 } });
+     *
+     * @param {string} type - Event type, sent in the envelope and as the `type` attribute
+     * @param {*} data - Event payload
+     * @param {Object} options - Options
+     * @param {string} options.topic - Topic ARN or name (default: the service topic)
+     * @param {Object} options.attributes - Extra message attributes for subscription filter policies
+     * @param {string} options.subject - Subject, used by email subscriptions
+     * @param {string} options.groupId - FIFO message group (default: the event type)
+     * @param {string} options.deduplicationId - FIFO deduplication ID (default: the event ID)
+     * @param {string} options.id - Event ID (default: random UUID)
+     * @param {string} options.source - Publishing service (default: SERVICE_NAME)
+     * @returns {Promise<{id: string, messageId: string, sequenceNumber: string, topicArn: string}>} Publish result
+     */
+    async publish(type, data, options = {}) {
+        try {
+            const entry = buildEntry(this.topicArn(options.topic), type, data, options);
+            const result = await this.transport.publish(entry);
+            return { id: entry.Id, topicArn: entry.TopicArn, ...result };
+        } catch (error) {
+            return this.handleError(error, 'publish', { fallback: options.fallback });
+        }
+    }
+
+    /**
+     * Publish several events, grouped by topic into PublishBatch calls
+     * Events that SNS rejects are returned in `failed` rather than thrown, so the caller can retry them.
+     * @param {Array<{type: string, data: *}>} events - Events, each with the publish() options it needs (topic, attributes, groupId...)
+     * @param {Object} options - Defaults applied to every event (topic, attributes, source)
+     * @returns {Promise<{published: Array<Object>, failed: Array<Object>}>} Results with the event id, type and topicArn
+     */
+    async publishBatch(events, options = {}) {
+        const published = [];
+        const failed = [];
+
+        try {
+            const byTopic = new Map();
+            for (const { type, data, ...eventOptions } of events) {
+                const merged = { ...options, ...eventOptions, attributes: { ...options.attributes, ...eventOptions.attributes } };
+                const entry = buildEntry(this.topicArn(merged.topic), type, data, merged);
+                byTopic.set(entry.TopicArn, [...(byTopic.get(entry.TopicArn) || []), { entry, type }]);
+            }
+
+            for (const [arn, items] of byTopic) {
+                const types = new Map(items.map(({ entry, type }) => [entry.Id, type]));
+                for (const batch of batches(items.map(({ entry }) => entry))) {
+                    const result = await this.transport.publishBatch(arn, batch);
+                    published.push(...result.successful.map((item) => ({ ...item, type: types.get(item.id), topicArn: arn })));
+                    failed.push(...result.failed.map((item) => ({ ...item, type: types.get(item.id), topicArn: arn })));
+                }
+            }
+            return { published, failed };
+        } catch (error) {
+            return this.handleError(error, 'publishBatch');
+        }
+    }
+}
+
+// Export a singleton instance; NOTIFICATION_TRANSPORT=memory keeps messages in the container, e.g. under serverless-offline
+let notificationService = new NotificationService();
+
+/**
+ * Replace the instance used by the exported functions, e.g. with a memory transport in tests
+ * @param {NotificationService} service - New default instance
+ * @returns {NotificationService} Previous default instance, to restore afterwards
+ */
+export const setNotificationService = (service) => {
+    const previous = notificationService;
+    notificationService = service;
+    return previous;
+};
+export const getNotificationService = () => notificationService;
+
+/**
+ * Create a NotificationService, e.g. with a memory transport or a default topic
+ * @param {Object} options - NotificationService options
+ * @returns {NotificationService} New instance; pass it to setNotificationService() to make it the default
+ */
+export const createNotificationService = (options = {}) => new NotificationService(options);
+
+export const publish = (type, data, options) => notificationService.publish(type, data, options);
+export const publishBatch = (events, options) => notificationService.publishBatch(events, options);
+
+export { SnsTransport, MemoryTransport, toSnsRecord } from './transport.js';
+export { Notification, NotificationSubscriber, parseEvent } from './subscriber.js';
+export { topicArn, encodeAttributes, decodeAttributes, MAX_MESSAGE_SIZE } from './message.js';
+
+export default NotificationService;
@@ -0,0 +1,131 @@
+import { randomUUID } from "node:crypto";
+import { SNS_PATTERNS } from "@myorg/constants";
+import { ValidationError } from "@myorg/error";
+
+// SNS limits: 256 KB per message and per batch, 10 messages per batch, 10 attributes per message
+export const MAX_MESSAGE_SIZE = 256 * 1024;
+export const MAX_BATCH_SIZE = 10;
+export const MAX_ATTRIBUTES = 10;
+
+/**
+ * Resolve a topic to its ARN
+ * @param {string} topic - Topic ARN or name; omit for NOTIFICATION_TOPIC, else the email notification topic
+ * @param {string} accountId - AWS account ID (default: AWS_ACCOUNT_ID)
+ * @returns {string} Topic ARN
+ */
+export const topicArn = (topic, accountId = process.env['AWS_ACCOUNT_ID']) => {
+    if (typeof topic === 'string' && topic.startsWith('arn:')) {
+        return topic;
+    }
+    const name = topic || process.env['NOTIFICATION_TOPIC'];
+    if (!name && !process.env['EMAIL_NOTIFICATION_TOPIC']) {
+        throw new ValidationError('Topic is required: pass a topic or set NOTIFICATION_TOPIC');
+    }
+    if (!accountId) {
+        throw new ValidationError('AWS account ID is required to resolve a topic name: set AWS_ACCOUNT_ID', { topic: name });
+    }
+    return name ? SNS_PATTERNS.getTopicArn(name, accountId) : SNS_PATTERNS.getEmailNotificationArn(accountId);
+};
+
+export const isFifoTopic = (arn) => arn.endsWith('.fifo');
+
+/**
+ * Encode attribute values as SNS MessageAttributes
+ * Strings, numbers, booleans (as strings), arrays (String.Array) and Buffers (Binary) are supported;
+ * undefined and null values are left out.
+ * @param {Object} attributes - Values by attribute name
+ * @returns {Object} SNS MessageAttributes
+ */
+export const encodeAttributes = (attributes = {}) => {
+    const entries = Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length > MAX_ATTRIBUTES) {
+        throw new ValidationError(`A message can carry at most ${MAX_ATTRIBUTES} attributes`, { attributes: entries.map(([name]) => name) });
+    }
+    return Object.fromEntries(entries.map(([name, value]) => {
+        if (typeof value === 'number') {
+            return [name, { DataType: 'Number', StringValue: String(value) }];
+        }
+        if (Array.isArray(value)) {
+            return [name, { DataType: 'String.Array', StringValue: JSON.stringify(value) }];
+        }
+        if (value instanceof Uint8Array) {
+            return [name, { DataType: 'Binary', BinaryValue: value }];
+        }
+        return [name, { DataType: 'String', StringValue: String(value) }];
+    }));
+};
+
+/**
+ * Decode message attributes as delivered to Lambda by SNS ({ Type, Value }) or SQS ({ dataType, stringValue })
+ * @param {Object} attributes - Delivered attributes
+ * @returns {Object} Values by attribute name
+ */
+export const decodeAttributes = (attributes = {}) => Object.fromEntries(Object.entries(attributes).map(([name, attribute]) => {
+    const type = attribute.Type || attribute.dataType || attribute.DataType;
+    const value = attribute.Value ?? attribute.stringValue ?? attribute.StringValue;
+    if (type === 'Number') {
+        return [name, Number(value)];
+    }
+    if (type === 'String.Array') {
+        return [name, JSON.parse(value)];
+    }
+    if (type === 'Binary') {
+        return [name, Buffer.from(value ?? attribute.binaryValue ?? attribute.BinaryValue, 'base64')];
+    }
+    return [name, value];
+}));
+
+/**
+ * Build an SNS publish entry for a typed event
+ * The body is a JSON envelope { id, type, source, occurredAt, data }, and `type` is also sent as a
+ * message attribute so subscriptions can filter on it.
+ * @param {string} arn - Topic ARN
+ * @param {string} type - Event type, e.g. 'userProfile.created'
+ * @param {*} data - Event payload
+ * @param {Object} options - Options
+ * @param {Object} options.attributes - Extra message attributes
+ * @param {string} options.subject - Subject, used by email subscriptions
+ * @param {string} options.id - Event ID (default: random UUID)
+ * @param {string} options.groupId - FIFO message group (default: the event type)
+ * @param {string} options.deduplicationId - FIFO deduplication ID (default: the event ID)
+ * @returns {Object} Entry with TopicArn, Message, MessageAttributes and FIFO fields
+ */
+export const buildEntry = (arn, type, data, options = {}) => {
+    if (!type || typeof type !== 'string') {
+        throw new ValidationError('Event type is required');
+    }
+    const id = options.id || randomUUID();
+    const message = JSON.stringify({
+        id,
+        type,
+        source: options.source || process.env['SERVICE_NAME'],
+        occurredAt: new Date().toISOString(),
+        data
+    });
+    const entry = {
+        Id: id,
+        TopicArn: arn,
+        Message: message,
+        MessageAttributes: encodeAttributes({ ...options.attributes, type }),
+        ...(options.subject && { Subject: options.subject })
+    };
+    if (isFifoTopic(arn)) {
+        entry.MessageGroupId = options.groupId || type;
+        entry.MessageDeduplicationId = options.deduplicationId || id;
+    } else if (options.groupId || options.deduplicationId) {
+        throw new ValidationError('groupId and deduplicationId only apply to FIFO topics', { topicArn: arn });
+    }
+    if (entrySize(entry) > MAX_MESSAGE_SIZE) {
+        throw new ValidationError(`Message exceeds ${MAX_MESSAGE_SIZE} bytes`, { type, size: entrySize(entry) });
+    }
+    return entry;
+};
+
+/**
+ * Size SNS counts towards the message limit: body plus attribute names, types and values
+ * @param {Object} entry - Publish entry
+ * @returns {number} Size in bytes
+ */
+export const entrySize = (entry) => Buffer.byteLength(entry.Message) + Object.entries(entry.MessageAttributes || {})
+    .reduce((total, [name, attribute]) => total + Buffer.byteLength(name) + Buffer.byteLength(attribute.DataType)
+        + (attribute.BinaryValue ? attribute.BinaryValue.length : Buffer.byteLength(attribute.StringValue)), 0);
@@ -0,0 +1,138 @@
+import { decodeAttributes } from "./message.js";
+
+const parseBody = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+};
+
+/**
+ * One notification delivered to Lambda, directly by SNS or through an SQS queue subscribed to the topic
+ */
+export class Notification {
+    /**
+     * @param {Object} record - Record from an SNS or SQS Lambda event
+     */
+    constructor(record) {
+        this.record = record;
+        let sns = record.Sns;
+        if (!sns && record.eventSource === 'aws:sqs') {
+            const body = parseBody(record.body);
+            // Without raw message delivery SQS receives the SNS envelope; with it, the bare message
+            sns = body && body.Type === 'Notification' && typeof body.Message === 'string'
+                ? body
+                : { MessageId: record.messageId, Message: record.body, MessageAttributes: record.messageAttributes };
+        }
+        if (!sns) {
+            throw new Error('Record is not an SNS notification');
+        }
+
+        this.messageId = sns.MessageId;
+        this.topicArn = sns.TopicArn;
+        this.subject = sns.Subject ?? undefined;
+        this.timestamp = sns.Timestamp;
+        this.attributes = decodeAttributes(sns.MessageAttributes);
+        this.body = parseBody(sns.Message);
+
+        // Messages published by NotificationService carry an envelope; anything else is passed through as data
+        const envelope = this.body && typeof this.body === 'object' && 'type' in this.body && 'data' in this.body;
+        this.id = envelope ? this.body.id : this.messageId;
+        this.type = envelope ? this.body.type : (this.attributes.type ?? this.subject);
+        this.source = envelope ? this.body.source : undefined;
+        this.occurredAt = envelope ? this.body.occurredAt : this.timestamp;
+        this.data = envelope ? this.body.data : this.body;
+    }
+}
+
+/**
+ * Parse the notifications in an SNS or SQS Lambda event
+ * @param {Object} event - Lambda event with Records
+ * @returns {Array<Notification>} Notifications in delivery order
+ */
+export const parseEvent = (event) => (event.Records || []).map((record) => new Notification(record));
+
+/**
+ * Route notifications to callbacks by event type
+ * Direct SNS invocations are retried by Lambda as a whole, so the first failure is rethrown. Through
+ * SQS, failed messages are reported in `batchItemFailures` (the event source mapping needs
+ * `functionResponseType: ReportBatchItemFailures`); on a FIFO queue everything after the first
+ * failure is reported too, to keep each group in order.
+ *
+ * @example
+ * const subscriber = new NotificationSubscriber()
+ *     .on('userProfile.created', async (notification) => sendWelcome(notification.data))
+ *     .on('*', async (notification) => audit(notification));
+ * export const handler = subscriber.handler();
+ */
+export class NotificationSubscriber {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Register a callback for one or more event types
+     * @param {string|Array<string>} types - Event types; '*' matches every type and a trailing '.*' matches a prefix
+     * @param {Function} callback - async (notification: Notification, context) => void
+     * @returns {NotificationSubscriber} Subscriber
+     */
+    on(types, callback) {
+        const patterns = [types].flat();
+        this.routes.push({
+            matches: (type) => patterns.some((pattern) => pattern === '*' || pattern === type
+                || (pattern.endsWith('.*') && typeof type === 'string' && type.startsWith(pattern.slice(0, -1)))),
+            callback
+        });
+        return this;
+    }
+
+    async dispatch(record, context) {
+        const notification = new Notification(record);
+        for (const route of this.routes) {
+            if (route.matches(notification.type)) {
+                await route.callback(notification, context);
+            }
+        }
+    }
+
+    /**
+     * Process an SNS or SQS Lambda event
+     * @param {Object} event - Lambda event with Records
+     * @param {Object} context - Lambda context, passed through to callbacks
+     * @returns {Promise<{batchItemFailures: Array<{itemIdentifier: string}>}>} Partial batch response for SQS
+     */
+    async process(event, context) {
+        const records = event.Records || [];
+        const failures = [];
+
+        for (const [index, record] of records.entries()) {
+            try {
+                await this.dispatch(record, context);
+            } catch (error) {
+                console.error('[NotificationSubscriber.process] Error:', {
+                    message: error.message,
+                    code: error.code || error.name,
+                    messageId: record.Sns?.MessageId || record.messageId
+                });
+                if (record.eventSource !== 'aws:sqs') {
+                    throw error;
+                }
+                if (record.eventSourceARN?.endsWith('.fifo')) {
+                    failures.push(...records.slice(index).map((failed) => ({ itemIdentifier: failed.messageId })));
+                    break;
+                }
+                failures.push({ itemIdentifier: record.messageId });
+            }
+        }
+        return { batchItemFailures: failures };
+    }
+
+    /**
+     * Lambda handler bound to this subscriber
+     * @returns {Function} async (event, context) => partial batch response
+     */
+    handler() {
+        return (event, context) => this.process(event, context);
+    }
+}
@@ -0,0 +1,165 @@
+import { SNSClient, PublishCommand, PublishBatchCommand } from "@aws-sdk/client-sns";
+import { randomUUID } from "node:crypto";
+
+/**
+ * Transports deliver publish entries built by NotificationService
+ * A transport has publish(entry) => { messageId, sequenceNumber } and
+ * publishBatch(topicArn, entries) => { successful: [{ id, messageId }], failed: [{ id, code, message }] }.
+ */
+
+const publishParams = ({ Id, ...entry }) => entry;
+
+/**
+ * Publish to Amazon SNS
+ */
+export class SnsTransport {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.client - SNSClient to use instead of creating one, e.g. a mock
+     * @param {string} options.region - AWS region (default: REGION or eu-west-1)
+     * @param {Object} options.credentials - Credentials or credential provider
+     */
+    constructor(options = {}) {
+        this.client = options.client || new SNSClient({
+            region: options.region || process.env['REGION'] || 'eu-west-1',
+            ...(options.credentials && { credentials: options.credentials })
+        });
+    }
+
+    async publish(entry) {
+        const data = await this.client.send(new PublishCommand(publishParams(entry)));
+        return { messageId: data.MessageId, sequenceNumber: data.SequenceNumber };
+    }
+
+    async publishBatch(topicArn, entries) {
+        const data = await this.client.send(new PublishBatchCommand({
+            TopicArn: topicArn,
+            PublishBatchRequestEntries: entries.map(({ TopicArn, ...entry }) => entry)
+        }));
+        return {
+            successful: (data.Successful || []).map((result) => ({ id: result.Id, messageId: result.MessageId, sequenceNumber: result.SequenceNumber })),
+            failed: (data.Failed || []).map((result) => ({ id: result.Id, code: result.Code, message: result.Message, senderFault: result.SenderFault }))
+        };
+    }
+}
+
+/**
+ * Lambda SNS event record for a publish entry, as SNS would deliver it
+ * @param {Object} entry - Publish entry
+ * @param {string} messageId - Message ID
+ * @returns {Object} Record for event.Records
+ */
+export const toSnsRecord = (entry, messageId = randomUUID()) => ({
+    EventSource: 'aws:sns',
+    EventVersion: '1.0',
+    EventSubscriptionArn: `${entry.TopicArn}:${randomUUID()}`,
+    Sns: {
+        Type: 'Notification',
+        MessageId: messageId,
+        TopicArn: entry.TopicArn,
+        Subject: entry.Subject ?? null,
+        Message: entry.Message,
+        Timestamp: new Date().toISOString(),
+        MessageAttributes: Object.fromEntries(Object.entries(entry.MessageAttributes || {}).map(([name, attribute]) => [name, {
+            Type: attribute.DataType,
+            Value: attribute.BinaryValue ? Buffer.from(attribute.BinaryValue).toString('base64') : attribute.StringValue
+        }]))
+    }
+});
+
+// SNS FIFO topics drop a repeated deduplication ID for five minutes after the first publish
+const DEDUPLICATION_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Keep published messages in memory, for tests and local runs
+ * Handlers subscribed to a topic receive each message as an SNS Lambda event; FIFO deduplication
+ * IDs are honoured like SNS does within its five-minute window. As with SNS, a failing subscriber
+ * never fails the publish; its error is kept in `deliveryErrors` instead.
+ *
+ * @example
+ * const transport = new MemoryTransport();
+ * const notification = createNotificationService({ transport });
+ * transport.subscribe('userEvents', subscriber.handler());
+ */
+export class MemoryTransport {
+    constructor() {
+        this.messages = [];
+        this.subscriptions = [];
+        this.deduplicationIds = new Map();
+        this.deliveryErrors = [];
+    }
+
+    /**
+     * Deliver messages published to a topic to a Lambda-style handler
+     * @param {string} topic - Topic ARN or name (matched against the end of the ARN)
+     * @param {Function} handler - async (event) => void
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(topic, handler) {
+        const subscription = { topic, handler };
+        this.subscriptions.push(subscription);
+        return () => {
+            this.subscriptions = this.subscriptions.filter((existing) => existing !== subscription);
+        };
+    }
+
+    async publish(entry) {
+        const messageId = randomUUID();
+        const deduplicationKey = entry.MessageDeduplicationId && `${entry.TopicArn}/${entry.MessageDeduplicationId}`;
+        if (deduplicationKey) {
+            const now = Date.now();
+            for (const [key, publishedAt] of this.deduplicationIds) {
+                if (now - publishedAt >= DEDUPLICATION_WINDOW_MS) {
+                    this.deduplicationIds.delete(key);
+                }
+            }
+            if (this.deduplicationIds.has(deduplicationKey)) {
+                return { messageId };
+            }
+            this.deduplicationIds.set(deduplicationKey, now);
+        }
+
+        this.messages.push({ ...entry, MessageId: messageId });
+        const record = toSnsRecord(entry, messageId);
+        for (const { topic, handler } of this.subscriptions) {
+            if (entry.TopicArn === topic || entry.TopicArn.endsWith(`:${topic}`)) {
+                try {
+                    await handler({ Records: [record] });
+                } catch (error) {
+                    this.deliveryErrors.push({ topic, messageId, error });
+                }
+            }
+        }
+        return { messageId };
+    }
+
+    async publishBatch(topicArn, entries) {
+        const successful = [];
+        const failed = [];
+        for (const entry of entries) {
+            try {
+                successful.push({ id: entry.Id, ...(await this.publish({ ...entry, TopicArn: topicArn })) });
+            } catch (error) {
+                failed.push({ id: entry.Id, code: error.name, message: error.message, senderFault: false });
+            }
+        }
+        return { successful, failed };
+    }
+
+    /**
+     * Published messages with their envelope parsed
+     * @param {string} topic - Only messages for this topic ARN or name
+     * @returns {Array<Object>} Envelopes ({ id, type, source, occurredAt, data }) with topicArn
+     */
+    published(topic) {
+        return this.messages
+            .filter((message) => !topic || message.TopicArn === topic || message.TopicArn.endsWith(`:${topic}`))
+            .map((message) => ({ ...JSON.parse(message.Message), topicArn: message.TopicArn }));
+    }
+
+    clear() {
+        this.messages = [];
+        this.deliveryErrors = [];
+        this.deduplicationIds.clear();
+    }
+}
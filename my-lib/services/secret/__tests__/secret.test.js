@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createSecretService } from '../index.js';
+
+const notFound = () => Object.assign(new Error('Not found'), { name: 'ResourceNotFoundException' });
+
+// Fake SDK client that answers each command type with a function of its input
+const client = (handlers) => {
+    const calls = [];
+    return {
+        calls,
+        send: async (command) => {
+            const name = command.constructor.name;
+            calls.push({ name, input: command.input });
+            return handlers[name](command.input, calls.filter((call) => call.name === name).length);
+        }
+    };
+};
+
+const secrets = (values) => client({
+    GetSecretValueCommand: ({ SecretId }) => {
+        if (!(SecretId in values)) {
+            throw notFound();
+        }
+        return { SecretString: values[SecretId], VersionId: `v-${values[SecretId]}` };
+    }
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('getSecret', () => {
+    test('parses JSON objects and returns other values as strings', async () => {
+        const secretsClient = secrets({ db: '{"user":"app","password":"p"}', token: 'abc' });
+        const service = createSecretService({ secretsClient, local: false });
+
+        await expect(service.getSecret('db')).resolves.toEqual({ user: 'app', password: 'p' });
+        await expect(service.getSecret('db', { key: 'password' })).resolves.toBe('p');
+        await expect(service.getSecret('db', { json: false, refresh: true })).resolves.toBe('{"user":"app","password":"p"}');
+        await expect(service.getSecret('token')).resolves.toBe('abc');
+    });
+
+    test('raises SecretParseError without the value when JSON was required', async () => {
+        const service = createSecretService({ secretsClient: secrets({ broken: '{"password":' }), local: false });
+
+        const error = await service.getSecret('broken', { json: true }).catch((caught) => caught);
+
+        expect(error.name).toBe('SecretParseError');
+        expect(JSON.stringify(error.details)).not.toContain('password');
+    });
+
+    test('raises NotFoundError for a missing secret unless a fallback is given', async () => {
+        const service = createSecretService({ secretsClient: secrets({}), local: false });
+
+        await expect(service.getSecret('missing')).rejects.toMatchObject({ name: 'NotFoundError' });
+        await expect(service.getSecret('missing', { fallback: 'default' })).resolves.toBe('default');
+    });
+
+    test('serves the cached value until the TTL has passed', async () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        const secretsClient = secrets({ token: 'abc' });
+        const service = createSecretService({ secretsClient, local: false, ttl: 60 });
+
+        await service.getSecret('token');
+        jest.setSystemTime(new Date('2026-01-01T00:00:59Z'));
+        await service.getSecret('token');
+        expect(secretsClient.calls).toHaveLength(1);
+
+        jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+        await service.getSecret('token');
+        expect(secretsClient.calls).toHaveLength(2);
+    });
+
+    test('does not cache with a TTL of 0', async () => {
+        const secretsClient = secrets({ token: 'abc' });
+        const service = createSecretService({ secretsClient, local: false, ttl: 0 });
+
+        await service.getSecret('token');
+        await service.getSecret('token');
+
+        expect(secretsClient.calls).toHaveLength(2);
+    });
+});
+
+describe('withRotation', () => {
+    const unauthorized = () => Object.assign(new Error('Access denied'), { name: 'AccessDeniedException' });
+
+    test('retries once with the fresh value when the secret has been rotated', async () => {
+        const values = { db: 'old' };
+        const service = createSecretService({ secretsClient: secrets(values), local: false });
+        await service.getSecret('db');
+        values.db = 'new';
+
+        const seen = [];
+        const result = await service.withRotation('db', async (value) => {
+            seen.push(value);
+            if (value === 'old') {
+                throw unauthorized();
+            }
+            return 'ok';
+        });
+
+        expect(result).toBe('ok');
+        expect(seen).toEqual(['old', 'new']);
+    });
+
+    test('rethrows when the fresh value is the same', async () => {
+        const service = createSecretService({ secretsClient: secrets({ db: 'same' }), local: false });
+        const callback = jest.fn(async () => {
+            throw unauthorized();
+        });
+
+        await expect(service.withRotation('db', callback)).rejects.toMatchObject({ name: 'AccessDeniedException' });
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not refresh for errors unrelated to authentication', async () => {
+        const secretsClient = secrets({ db: 'old' });
+        const service = createSecretService({ secretsClient, local: false });
+
+        await expect(service.withRotation('db', async () => {
+            throw new Error('Query failed');
+        })).rejects.toThrow('Query failed');
+        expect(secretsClient.calls).toHaveLength(1);
+    });
+});
+
+describe('getSecrets', () => {
+    test('fetches uncached secrets in batches of 20 and reports missing ones', async () => {
+        const secretsClient = client({
+            BatchGetSecretValueCommand: ({ SecretIdList }) => ({
+                SecretValues: SecretIdList.filter((id) => id !== 's3').map((id) => ({ Name: id, SecretString: `value-${id}` })),
+                Errors: SecretIdList.filter((id) => id === 's3').map((id) => ({ SecretId: id, ErrorCode: 'ResourceNotFoundException' }))
+            })
+        });
+        const service = createSecretService({ secretsClient, local: false });
+        const ids = Array.from({ length: 25 }, (_, index) => `s${index}`);
+
+        const result = await service.getSecrets(ids, { allowMissing: true });
+
+        expect(secretsClient.calls.map(({ input }) => input.SecretIdList.length)).toEqual([20, 5]);
+        expect(Object.keys(result)).toHaveLength(24);
+        expect(result.s0).toBe('value-s0');
+        await expect(service.getSecrets(['s3'])).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+});
+
+describe('getParametersByPath', () => {
+    test('follows every page, keys values by relative name and caches each parameter', async () => {
+        const ssmClient = client({
+            GetParametersByPathCommand: ({ NextToken }) => NextToken
+                ? { Parameters: [{ Name: '/app/prod/db/password', Type: 'SecureString', Value: 'p', Version: 1 }] }
+                : { Parameters: [{ Name: '/app/prod/hosts', Type: 'StringList', Value: 'a,b', Version: 1 }], NextToken: 'next' }
+        });
+        const service = createSecretService({ ssmClient, local: false });
+
+        const result = await service.getParametersByPath('/app/prod');
+
+        expect(result).toEqual({ hosts: ['a', 'b'], 'db/password': 'p' });
+        expect(ssmClient.calls.map(({ input }) => input.NextToken)).toEqual([undefined, 'next']);
+        await expect(service.getParameter('/app/prod/db/password')).resolves.toBe('p');
+        expect(ssmClient.calls).toHaveLength(2);
+    });
+});
+
+describe('local mode', () => {
+    let root;
+
+    beforeEach(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'secret-'));
+    });
+
+    afterEach(async () => {
+        delete process.env['PROD_API_KEY'];
+        delete process.env['APP_PROD_REGION'];
+        await rm(root, { recursive: true, force: true });
+    });
+
+    test('reads the secret file first, then the environment', async () => {
+        const file = path.join(root, 'secrets.json');
+        await writeFile(file, JSON.stringify({ 'prod/db': { user: 'app' }, '/app/prod/name': 'web' }));
+        process.env['PROD_API_KEY'] = 'from-env';
+        process.env['APP_PROD_REGION'] = 'eu-west-1';
+        const service = createSecretService({ local: true, file });
+
+        await expect(service.getSecret('prod/db')).resolves.toEqual({ user: 'app' });
+        await expect(service.getSecret('prod/api-key')).resolves.toBe('from-env');
+        await expect(service.getParametersByPath('/app/prod')).resolves.toEqual({ name: 'web', region: 'eu-west-1' });
+        await expect(service.getSecret('prod/missing')).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+
+    test('treats a missing secret file as empty', async () => {
+        process.env['PROD_API_KEY'] = 'from-env';
+        const service = createSecretService({ local: true, file: path.join(root, 'absent.json') });
+
+        await expect(service.getSecret('prod/api-key')).resolves.toBe('from-env');
+    });
+});
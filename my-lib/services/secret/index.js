@@ -0,0 +1,451 @@
+import { SecretsManagerClient, GetSecretValueCommand, BatchGetSecretValueCommand } from "@aws-sdk/client-secrets-manager";
+import { SSMClient, GetParameterCommand, GetParametersCommand, GetParametersByPathCommand } from "@aws-sdk/client-ssm";
+import { chunk } from "@myorg/array";
+import { CACHE_CONFIG } from "@myorg/constants";
+import { createErrorClass, NotFoundError, ValidationError } from "@myorg/error";
+import { LocalSecretSource } from "./local.js";
+
+// API limits: BatchGetSecretValue takes 20 IDs per call and GetParameters 10 names
+const MAX_SECRET_BATCH = 20;
+const MAX_PARAMETER_BATCH = 10;
+
+const NOT_FOUND_ERRORS = ['ResourceNotFoundException', 'ParameterNotFound', 'ParameterVersionNotFound'];
+const ROTATION_ERRORS = ['AccessDeniedException', 'UnrecognizedClientException', 'InvalidSignatureException', 'AuthenticationFailed', 'Unauthorized'];
+
+/**
+ * Raised when a value read as JSON does not parse; `details` carries the name but never the value
+ */
+export const SecretParseError = createErrorClass('SecretParseError', 'Secret is not valid JSON', 500);
+
+/**
+ * Resolve a cache TTL to milliseconds
+ * @param {string|number} ttl - CACHE_CONFIG key or seconds; 0 disables caching
+ * @returns {number} TTL in milliseconds
+ */
+const cacheTtl = (ttl) => {
+    if (typeof ttl === 'string') {
+        if (ttl in CACHE_CONFIG) {
+            return CACHE_CONFIG[ttl] * 1000;
+        }
+        if (!Number.isFinite(Number(ttl))) {
+            throw new ValidationError(`Unknown TTL '${ttl}'`, { allowed: Object.keys(CACHE_CONFIG) });
+        }
+        ttl = Number(ttl);
+    }
+    return Math.max(0, ttl) * 1000;
+};
+
+/**
+ * Decode a secret or parameter value
+ * @param {string|Array<string>} value - Raw value
+ * @param {string} name - Secret ID or parameter name, for errors
+ * @param {Object} options - Options
+ * @param {boolean|string} options.json - true to require JSON, false for the raw string, 'auto' to parse JSON objects and arrays (default: 'auto')
+ * @param {string} options.key - Field to return from a JSON object
+ * @returns {*} Decoded value
+ */
+const decode = (value, name, options = {}) => {
+    const json = options.json ?? 'auto';
+    let decoded = value;
+
+    if (typeof value === 'string' && (json === true || options.key || (json === 'auto' && /^\s*[[{]/.test(value)))) {
+        try {
+            decoded = JSON.parse(value);
+        } catch (error) {
+            throw new SecretParseError(`Secret '${name}' is not valid JSON`, { name, reason: error.message });
+        }
+    }
+    if (options.key) {
+        if (!decoded || typeof decoded !== 'object' || !(options.key in decoded)) {
+            throw new NotFoundError(`Key '${options.key}' not found in secret '${name}'`);
+        }
+        return decoded[options.key];
+    }
+    return decoded;
+};
+
+class SecretService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.secretsClient - SecretsManagerClient to use instead of creating one, e.g. a mock
+     * @param {Object} options.ssmClient - SSMClient to use instead of creating one
+     * @param {string} options.region - AWS region (default: REGION or eu-west-1)
+     * @param {Object} options.credentials - Credentials or credential provider
+     * @param {string|number} options.ttl - CACHE_CONFIG key or seconds values stay cached (default: SECRET_CACHE_TTL or 'DEFAULT_TTL')
+     * @param {boolean} options.local - Read from the secret file and environment instead of AWS (default: SECRET_LOCAL or IS_OFFLINE)
+     * @param {string} options.file - JSON file of local values (default: SECRET_FILE)
+     */
+    constructor(options = {}) {
+        const clientConfig = {
+            region: options.region || process.env['REGION'] || 'eu-west-1',
+            ...(options.credentials && { credentials: options.credentials })
+        };
+        this.secretsClient = options.secretsClient || new SecretsManagerClient(clientConfig);
+        this.ssmClient = options.ssmClient || new SSMClient(clientConfig);
+        this.ttl = options.ttl ?? process.env['SECRET_CACHE_TTL'] ?? 'DEFAULT_TTL';
+        this.local = options.local
+            ?? (process.env['SECRET_LOCAL'] === 'true' || process.env['IS_OFFLINE'] === 'true');
+        this.localSource = new LocalSecretSource({ file: options.file || process.env['SECRET_FILE'] });
+        // Raw values by secret ID or parameter name; lives as long as the Lambda container
+        this.cache = new Map();
+    }
+
+    handleError(error, methodName, options = {}) {
+        const serviceName = this.constructor.name;
+        console.error(`[${serviceName}.${methodName}] Error:`, {
+            message: error.message,
+            code: error.code || error.name,
+            statusCode: error.$metadata?.httpStatusCode,
+            requestId: error.$metadata?.requestId
+        });
+
+        // If a fallback value is provided, return it instead of throwing
+        if (options.fallback !== undefined) {
+            return options.fallback;
+        }
+
+        throw error;
+    }
+
+    cached(cacheKey, options) {
+        const entry = this.cache.get(cacheKey);
+        return entry && entry.expiresAt > Date.now() && !options.refresh ? entry : null;
+    }
+
+    remember(cacheKey, entry, options) {
+        const ttl = cacheTtl(options.ttl ?? this.ttl);
+        if (ttl > 0) {
+            this.cache.set(cacheKey, { ...entry, expiresAt: Date.now() + ttl });
+        }
+        return entry;
+    }
+
+    /**
+     * Read a Secrets Manager secret, cached for the TTL
+     * @param {string} secretId - Secret name or ARN
+     * @param {Object} options - Options
+     * @param {boolean|string} options.json - true to require JSON, false for the raw string (default: 'auto')
+     * @param {string} options.key - Field to return from a JSON secret
+     * @param {string} options.versionStage - Version stage (default: AWSCURRENT)
+     * @param {string|number} options.ttl - CACHE_CONFIG key or seconds; 0 disables caching
+     * @param {boolean} options.refresh - Fetch again even if the cached value is still fresh
+     * @param {*} options.fallback - Value returned instead of throwing when the secret cannot be read
+     * @returns {Promise<*>} Secret value
+     * @throws {NotFoundError} When the secret does not exist and no fallback is given
+     * @throws {SecretParseError} When JSON was expected and the value does not parse
+     */
+    async getSecret(secretId, options = {}) {
+        try {
+            const entry = await this.fetchSecret(secretId, options);
+            return decode(entry.value, secretId, options);
+        } catch (error) {
+            return this.handleError(error, 'getSecret', { fallback: options.fallback });
+        }
+    }
+
+    async fetchSecret(secretId, options = {}) {
+        const versionStage = options.versionStage || 'AWSCURRENT';
+        const cacheKey = `secret:${secretId}:${versionStage}`;
+        const cached = this.cached(cacheKey, options);
+        if (cached) {
+            return cached;
+        }
+        if (this.local) {
+            return this.remember(cacheKey, { value: this.localSource.get(secretId), versionId: 'local' }, options);
+        }
+
+        try {
+            const data = await this.secretsClient.send(new GetSecretValueCommand({ SecretId: secretId, VersionStage: versionStage }));
+            const value = data.SecretString ?? Buffer.from(data.SecretBinary).toString('utf8');
+            return this.remember(cacheKey, { value, versionId: data.VersionId }, options);
+        } catch (error) {
+            if (NOT_FOUND_ERRORS.includes(error.name)) {
+                throw new NotFoundError(`Secret '${secretId}' not found`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read several secrets, fetching the uncached ones in batches
+     * @param {Array<string>} secretIds - Secret names or ARNs
+     * @param {Object} options - Options (json, ttl, refresh)
+     * @param {boolean} options.allowMissing - Leave missing secrets out instead of throwing
+     * @returns {Promise<Object>} Values by secret ID
+     * @throws {NotFoundError} When a secret does not exist and allowMissing is not set
+     */
+    async getSecrets(secretIds, options = {}) {
+        const result = {};
+
+        try {
+            const pending = [];
+            for (const secretId of secretIds) {
+                const cached = this.cached(`secret:${secretId}:AWSCURRENT`, options);
+                if (cached) {
+                    result[secretId] = decode(cached.value, secretId, options);
+                } else {
+                    pending.push(secretId);
+                }
+            }
+
+            const missing = [];
+            for (const batch of chunk(pending, MAX_SECRET_BATCH)) {
+                if (this.local) {
+                    for (const secretId of batch) {
+                        try {
+                            result[secretId] = decode((await this.fetchSecret(secretId, options)).value, secretId, options);
+                        } catch (error) {
+                            if (!(error instanceof NotFoundError)) {
+                                throw error;
+                            }
+                            missing.push(secretId);
+                        }
+                    }
+                    continue;
+                }
+                let nextToken;
+                do {
+                    const data = await this.secretsClient.send(new BatchGetSecretValueCommand({ SecretIdList: batch, NextToken: nextToken }));
+                    for (const secret of data.SecretValues || []) {
+                        const secretId = batch.find((id) => id === secret.Name || id === secret.ARN) || secret.Name;
+                        const value = secret.SecretString ?? Buffer.from(secret.SecretBinary).toString('utf8');
+                        this.remember(`secret:${secretId}:AWSCURRENT`, { value, versionId: secret.VersionId }, options);
+                        result[secretId] = decode(value, secretId, options);
+                    }
+                    for (const error of data.Errors || []) {
+                        if (!NOT_FOUND_ERRORS.includes(error.ErrorCode)) {
+                            throw Object.assign(new Error(error.Message), { name: error.ErrorCode });
+                        }
+                        missing.push(error.SecretId);
+                    }
+                    nextToken = data.NextToken;
+                } while (nextToken);
+            }
+
+            if (missing.length > 0 && !options.allowMissing) {
+                throw new NotFoundError(`Secrets not found: ${missing.join(', ')}`);
+            }
+            return result;
+        } catch (error) {
+            return this.handleError(error, 'getSecrets');
+        }
+    }
+
+    /**
+     * Read an SSM parameter, cached for the TTL
+     * @param {string} name - Parameter name, e.g. '/taleofddh/prod/api-key'
+     * @param {Object} options - Options (json, key, ttl, refresh, fallback)
+     * @param {boolean} options.decrypt - Decrypt SecureString values (default: true)
+     * @returns {Promise<*>} Parameter value; StringList values are returned as arrays
+     * @throws {NotFoundError} When the parameter does not exist and no fallback is given
+     */
+    async getParameter(name, options = {}) {
+        const cacheKey = `parameter:${name}`;
+
+        try {
+            let entry = this.cached(cacheKey, options);
+            if (!entry && this.local) {
+                entry = this.remember(cacheKey, { value: this.localSource.get(name) }, options);
+            } else if (!entry) {
+                try {
+                    const data = await this.ssmClient.send(new GetParameterCommand({ Name: name, WithDecryption: options.decrypt ?? true }));
+                    entry = this.remember(cacheKey, this.parameterEntry(data.Parameter), options);
+                } catch (error) {
+                    if (NOT_FOUND_ERRORS.includes(error.name)) {
+                        throw new NotFoundError(`Parameter '${name}' not found`);
+                    }
+                    throw error;
+                }
+            }
+            return decode(entry.value, name, options);
+        } catch (error) {
+            return this.handleError(error, 'getParameter', { fallback: options.fallback });
+        }
+    }
+
+    parameterEntry(parameter) {
+        return {
+            value: parameter.Type === 'StringList' ? parameter.Value.split(',') : parameter.Value,
+            versionId: parameter.Version
+        };
+    }
+
+    /**
+     * Read several SSM parameters, fetching the uncached ones in batches
+     * @param {Array<string>} names - Parameter names
+     * @param {Object} options - Options (json, decrypt, ttl, refresh)
+     * @param {boolean} options.allowMissing - Leave missing parameters out instead of throwing
+     * @returns {Promise<Object>} Values by parameter name
+     * @throws {NotFoundError} When a parameter does not exist and allowMissing is not set
+     */
+    async getParameters(names, options = {}) {
+        const result = {};
+
+        try {
+            const pending = [];
+            for (const name of names) {
+                const cached = this.cached(`parameter:${name}`, options);
+                if (cached) {
+                    result[name] = decode(cached.value, name, options);
+                } else {
+                    pending.push(name);
+                }
+            }
+
+            const missing = [];
+            for (const batch of chunk(pending, MAX_PARAMETER_BATCH)) {
+                if (this.local) {
+                    for (const name of batch) {
+                        try {
+                            const entry = this.remember(`parameter:${name}`, { value: this.localSource.get(name) }, options);
+                            result[name] = decode(entry.value, name, options);
+                        } catch (error) {
+                            if (!(error instanceof NotFoundError)) {
+                                throw error;
+                            }
+                            missing.push(name);
+                        }
+                    }
+                    continue;
+                }
+                const data = await this.ssmClient.send(new GetParametersCommand({ Names: batch, WithDecryption: options.decrypt ?? true }));
+                for (const parameter of data.Parameters || []) {
+                    const entry = this.remember(`parameter:${parameter.Name}`, this.parameterEntry(parameter), options);
+                    result[parameter.Name] = decode(entry.value, parameter.Name, options);
+                }
+                missing.push(...(data.InvalidParameters || []));
+            }
+
+            if (missing.length > 0 && !options.allowMissing) {
+                throw new NotFoundError(`Parameters not found: ${missing.join(', ')}`);
+            }
+            return result;
+        } catch (error) {
+            return this.handleError(error, 'getParameters');
+        }
+    }
+
+    /**
+     * Read every SSM parameter under a path
+     * Results are cached per parameter, so later getParameter calls for them are served from the cache.
+     * @param {string} path - Parameter path, e.g. '/taleofddh/prod/'
+     * @param {Object} options - Options (json, decrypt, ttl)
+     * @param {boolean} options.recursive - Include nested paths (default: true)
+     * @returns {Promise<Object>} Values keyed by name relative to the path, e.g. { 'db/password': '...' }
+     */
+    async getParametersByPath(path, options = {}) {
+        const prefix = path.endsWith('/') ? path : `${path}/`;
+        const result = {};
+
+        try {
+            if (this.local) {
+                for (const { name, value } of this.localSource.byPath(prefix)) {
+                    result[name.slice(prefix.length)] = decode(value, name, options);
+                }
+                return result;
+            }
+
+            let nextToken;
+            do {
+                const data = await this.ssmClient.send(new GetParametersByPathCommand({
+                    Path: path,
+                    Recursive: options.recursive ?? true,
+                    WithDecryption: options.decrypt ?? true,
+                    NextToken: nextToken
+                }));
+                for (const parameter of data.Parameters || []) {
+                    const entry = this.remember(`parameter:${parameter.Name}`, this.parameterEntry(parameter), options);
+                    result[parameter.Name.startsWith(prefix) ? parameter.Name.slice(prefix.length) : parameter.Name] =
+                        decode(entry.value, parameter.Name, options);
+                }
+                nextToken = data.NextToken;
+            } while (nextToken);
+            return result;
+        } catch (error) {
+            return this.handleError(error, 'getParametersByPath', { fallback: options.fallback });
+        }
+    }
+
+    /**
+     * Run a callback with a secret, retrying once with a fresh value if the secret has been rotated
+     * When the callback fails with an authentication error the secret is fetched again, bypassing
+     * the cache; if its version changed the callback is retried with the new value.
+     *
+     * @example
+     * const rows = await secret.withRotation('prod/db-credentials', (credentials) => query(credentials, sql));
+     *
+     * @param {string} secretId - Secret name or ARN
+     * @param {Function} callback - Called with the decoded secret value
+     * @param {Object} options - getSecret options (json, key, ttl)
+     * @param {Function} options.isRotationError - Decide whether an error means the secret is stale
+     * @returns {Promise<*>} Callback result
+     */
+    async withRotation(secretId, callback, options = {}) {
+        const { isRotationError = (error) => ROTATION_ERRORS.includes(error.name) || [401, 403].includes(error.statusCode), ...secretOptions } = options;
+        const entry = await this.fetchSecret(secretId, secretOptions);
+
+        try {
+            return await callback(decode(entry.value, secretId, secretOptions));
+        } catch (error) {
+            if (!isRotationError(error)) {
+                throw error;
+            }
+            const fresh = await this.fetchSecret(secretId, { ...secretOptions, refresh: true });
+            if (fresh.versionId === entry.versionId && fresh.value === entry.value) {
+                throw error;
+            }
+            return callback(decode(fresh.value, secretId, secretOptions));
+        }
+    }
+
+    /**
+     * Drop cached values
+     * @param {string} name - Secret ID or parameter name to drop; omit to clear everything
+     */
+    clearCache(name) {
+        if (name === undefined) {
+            this.cache.clear();
+            this.localSource.clear();
+            return;
+        }
+        for (const cacheKey of this.cache.keys()) {
+            if (cacheKey === `parameter:${name}` || cacheKey.startsWith(`secret:${name}:`)) {
+                this.cache.delete(cacheKey);
+            }
+        }
+    }
+}
+
+// Export a singleton instance
+let secretService = new SecretService();
+
+/**
+ * Replace the instance used by the exported functions, e.g. with a mock in tests
+ * @param {SecretService} service - New default instance
+ * @returns {SecretService} Previous default instance, to restore afterwards
+ */
+export const setSecretService = (service) => {
+    const previous = secretService;
+    secretService = service;
+    return previous;
+};
+export const getSecretService = () => secretService;
+
+/**
+ * Create a SecretService, e.g. in local mode or with custom clients
+ * @param {Object} options - SecretService options
+ * @returns {SecretService} New instance; pass it to setSecretService() to make it the default
+ */
+export const createSecretService = (options = {}) => new SecretService(options);
+
+export const getSecret = (secretId, options) => secretService.getSecret(secretId, options);
+export const getSecrets = (secretIds, options) => secretService.getSecrets(secretIds, options);
+export const getParameter = (name, options) => secretService.getParameter(name, options);
+export const getParameters = (names, options) => secretService.getParameters(names, options);
+export const getParametersByPath = (path, options) => secretService.getParametersByPath(path, options);
+export const withRotation = (secretId, callback, options) => secretService.withRotation(secretId, callback, options);
+export const clearCache = (name) => secretService.clearCache(name);
+
+export { LocalSecretSource, envName } from './local.js';
+
+export default SecretService;
@@ -0,0 +1,99 @@
+import { readFileSync } from "node:fs";
+import { NotFoundError, ValidationError } from "@myorg/error";
+
+/**
+ * Local secret source for serverless-offline and scripts
+ * Values come from a JSON file mapping secret IDs and parameter names to values, then from
+ * environment variables: 'prod/db-credentials' is read from PROD_DB_CREDENTIALS and
+ * '/taleofddh/api-key' from TALEOFDDH_API_KEY.
+ */
+
+/**
+ * Environment variable name for a secret ID or parameter name
+ * @param {string} name - Secret ID or parameter name
+ * @returns {string} Variable name
+ */
+export const envName = (name) => name.replace(/^\/+/, '').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase();
+
+export class LocalSecretSource {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.file - JSON file of values by secret ID or parameter name
+     * @param {Object} options.env - Environment to read from (default: process.env)
+     */
+    constructor(options = {}) {
+        this.file = options.file;
+        this.env = options.env || process.env;
+        this.values = null;
+    }
+
+    load() {
+        if (this.values) {
+            return this.values;
+        }
+        if (!this.file) {
+            this.values = {};
+            return this.values;
+        }
+        try {
+            this.values = JSON.parse(readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.values = {};
+                return this.values;
+            }
+            throw new ValidationError(`Secret file ${this.file} is not valid JSON`, { file: this.file, reason: error.message });
+        }
+        return this.values;
+    }
+
+    /**
+     * Read a value
+     * @param {string} name - Secret ID or parameter name
+     * @returns {string} Value; objects from the file are returned as JSON text, like Secrets Manager
+     * @throws {NotFoundError} When neither the file nor the environment has the value
+     */
+    get(name) {
+        const values = this.load();
+        if (name in values) {
+            const value = values[name];
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        }
+        const variable = envName(name);
+        if (this.env[variable] !== undefined) {
+            return this.env[variable];
+        }
+        throw new NotFoundError(`Secret '${name}' not found in ${this.file || 'the secret file'} or ${variable}`);
+    }
+
+    /**
+     * Read every value whose name starts with a path
+     * @param {string} path - Parameter path, e.g. '/taleofddh/prod/'
+     * @returns {Array<{name: string, value: string}>} Matching values from the file and environment
+     */
+    byPath(path) {
+        const prefix = path.endsWith('/') ? path : `${path}/`;
+        const envPrefix = envName(prefix).replace(/_*$/, '_');
+        const found = new Map();
+
+        for (const name of Object.keys(this.load())) {
+            if (name.startsWith(prefix)) {
+                found.set(name, this.get(name));
+            }
+        }
+        for (const [variable, value] of Object.entries(this.env)) {
+            if (variable.startsWith(envPrefix)) {
+                // Variable names lose the original separators, so nested names come back flattened
+                const name = `${prefix}${variable.slice(envPrefix.length).toLowerCase()}`;
+                if (!found.has(name)) {
+                    found.set(name, value);
+                }
+            }
+        }
+        return [...found].map(([name, value]) => ({ name, value }));
+    }
+
+    clear() {
+        this.values = null;
+    }
+}
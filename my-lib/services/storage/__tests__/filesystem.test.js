@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, writeFile, mkdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+
+process.env['ENVIRONMENT'] = 'test';
+process.env['SERVICE_NAME'] = 'core';
+process.env['S3_BUCKET'] = 'bucket';
+
+const { FileSystemStorageService, FileSystemS3Client, SelectQuery, where } = await import('../index.js');
+
+let root;
+let storage;
+
+beforeEach(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'storage-'));
+    storage = new FileSystemStorageService({ root });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await storage.reset();
+});
+
+describe('FileSystemS3Client', () => {
+    test('stores objects as plain files under <root>/<bucket>/<key>', async () => {
+        await storage.putObject({ Bucket: 'bucket', Key: 'test/core/a/b.txt', Body: 'hello', ContentType: 'text/plain' });
+
+        expect(await readFile(path.join(root, 'bucket', 'test', 'core', 'a', 'b.txt'), 'utf8')).toBe('hello');
+        const object = await storage.getObject({ Bucket: 'bucket', Key: 'test/core/a/b.txt' });
+        expect(object.ContentType).toBe('text/plain');
+        expect(object.ETag).toBe('"5d41402abc4b2a76b9719d911017c592"');
+        expect(await object.Body.transformToString()).toBe('hello');
+    });
+
+    test('reads files dropped into the directory by hand', async () => {
+        await mkdir(path.join(root, 'bucket', 'seed'), { recursive: true });
+        await writeFile(path.join(root, 'bucket', 'seed', 'data.json'), '{"a":1}');
+
+        const object = await storage.headObject({ Bucket: 'bucket', Key: 'seed/data.json' });
+
+        expect(object).toMatchObject({ ContentLength: 7, ContentType: 'application/octet-stream', VersionId: 'null' });
+    });
+
+    test('answers like S3 for missing objects and failed preconditions', async () => {
+        const client = new FileSystemS3Client({ root });
+        await client.putObject({ Bucket: 'bucket', Key: 'a.txt', Body: 'a' });
+
+        await expect(client.getObject({ Bucket: 'bucket', Key: 'missing.txt' })).rejects.toMatchObject({ name: 'NoSuchKey', $metadata: { httpStatusCode: 404 } });
+        await expect(client.headObject({ Bucket: 'bucket', Key: 'missing.txt' })).rejects.toMatchObject({ name: 'NotFound' });
+        await expect(client.getObject({ Bucket: 'bucket', Key: 'a.txt', IfMatch: '"other"' })).rejects.toMatchObject({ name: 'PreconditionFailed' });
+        await expect(client.putObject({ Bucket: 'bucket', Key: 'a.txt', Body: 'b', IfNoneMatch: '*' })).rejects.toMatchObject({ name: 'PreconditionFailed' });
+    });
+
+    test('refuses keys that would escape the bucket directory', async () => {
+        const client = new FileSystemS3Client({ root });
+
+        await expect(client.putObject({ Bucket: 'bucket', Key: '../outside.txt', Body: 'x' })).rejects.toMatchObject({ name: 'InvalidArgument' });
+        await expect(client.putObject({ Bucket: '.s3meta', Key: 'a.txt', Body: 'x' })).rejects.toMatchObject({ name: 'InvalidBucketName' });
+    });
+
+    test('lists keys in order with delimiters and continuation tokens', async () => {
+        const client = new FileSystemS3Client({ root });
+        await client.seed('bucket', { 'a/1.json': {}, 'a/2.json': {}, 'b/1.json': {}, 'c.json': {} });
+
+        const folders = await client.listObjects({ Bucket: 'bucket', Delimiter: '/' });
+        expect(folders.CommonPrefixes).toEqual([{ Prefix: 'a/' }, { Prefix: 'b/' }]);
+        expect(folders.Contents.map((object) => object.Key)).toEqual(['c.json']);
+
+        const first = await client.listObjects({ Bucket: 'bucket', MaxKeys: 3 });
+        const second = await client.listObjects({ Bucket: 'bucket', MaxKeys: 3, ContinuationToken: first.NextContinuationToken });
+        expect(first.IsTruncated).toBe(true);
+        expect([...first.Contents, ...second.Contents].map((object) => object.Key)).toEqual(['a/1.json', 'a/2.json', 'b/1.json', 'c.json']);
+        expect(second.IsTruncated).toBe(false);
+    });
+
+    test('rejects commands it does not emulate', async () => {
+        await expect(new FileSystemS3Client({ root }).send({ input: {} })).rejects.toMatchObject({ name: 'NotImplemented' });
+    });
+});
+
+describe('FileSystemStorageService', () => {
+    test('round-trips JSON through putJson and getJson', async () => {
+        await storage.seed('bucket', { 'test/core/menu.json': [{ active: true }] });
+        expect(await storage.getJson('menu.json')).toEqual([{ active: true }]);
+
+        await storage.putJson('menu.json', [{ active: false }]);
+
+        expect(await storage.getJson('menu.json', { refresh: true })).toEqual([{ active: false }]);
+    });
+
+    test('copies and deletes objects', async () => {
+        await storage.seed('bucket', { 'a.json': { a: 1 } });
+
+        await storage.copyObject({ Bucket: 'bucket', Key: 'b.json', CopySource: { Bucket: 'bucket', Key: 'a.json' } });
+        await storage.deleteObject({ Bucket: 'bucket', Key: 'a.json' });
+
+        expect(await storage.listFolder({ Bucket: 'bucket' })).toEqual(['b.json']);
+        expect(await (await storage.getObject({ Bucket: 'bucket', Key: 'b.json' })).Body.transformToString()).toBe('{"a":1}');
+    });
+
+    test('runs S3 Select queries against JSON documents', async () => {
+        await storage.seed('bucket', {
+            'countries.json': [
+                { code: 'GB', name: 'United Kingdom', population: 67 },
+                { code: 'FR', name: 'France', population: 68 },
+                { code: 'CI', name: "Côte d'Ivoire", population: 28 }
+            ]
+        });
+        const query = new SelectQuery()
+            .from('S3Object[*][*]')
+            .select('code')
+            .where(where.or(where.eq('name', "Côte d'Ivoire"), where.gt('population', 67)));
+
+        const { rows, rowCount } = await storage.select({ Bucket: 'bucket', Key: 'countries.json' }, query);
+
+        expect(rows).toEqual([{ code: 'FR' }, { code: 'CI' }]);
+        expect(rowCount).toBe(2);
+    });
+
+    test('assembles multipart uploads into one object', async () => {
+        const part = 5 * 1024 * 1024;
+        const body = Buffer.concat([Buffer.alloc(part, 1), Buffer.alloc(part, 2), Buffer.alloc(10, 3)]);
+
+        const result = await storage.upload({ Bucket: 'bucket', Key: 'big.bin', Body: Readable.from([body]) }, { partSize: part });
+
+        expect(result.ETag).toMatch(/-3"$/);
+        expect((await readFile(path.join(root, 'bucket', 'big.bin'))).equals(body)).toBe(true);
+        expect(await storage.listParts({ Bucket: 'bucket', Key: 'big.bin', UploadId: result.UploadId }).catch((error) => error.name)).toBe('NoSuchUpload');
+    });
+
+    test('stores an empty stream as an empty object', async () => {
+        const result = await storage.upload({ Bucket: 'bucket', Key: 'empty.txt', Body: Readable.from([]) });
+
+        expect(result.ETag).toBe('"d41d8cd98f00b204e9800998ecf8427e"');
+        expect((await storage.headObject({ Bucket: 'bucket', Key: 'empty.txt' })).ContentLength).toBe(0);
+    });
+
+    test('presigns file URLs, or URLs on a local server when a base URL is set', async () => {
+        const local = new FileSystemStorageService({ root, baseUrl: 'http://localhost:4569/' });
+
+        expect(await storage.getObjectSignedUrl({ Bucket: 'bucket', Key: 'a b.json' })).toBe(`file://${path.join(root, 'bucket', 'a%20b.json')}`);
+        expect(await local.putObjectSignedUrl({ Bucket: 'bucket', Key: 'a b.json' })).toBe('http://localhost:4569/bucket/a%20b.json');
+    });
+});
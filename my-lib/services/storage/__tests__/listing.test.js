@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+
+process.env['ENVIRONMENT'] = 'test';
+process.env['SERVICE_NAME'] = 'core';
+process.env['S3_BUCKET'] = 'bucket';
+
+const { createStorageService } = await import('../index.js');
+
+// Fake S3 client answering ListObjectsV2 with the given pages, or failing with an error
+const listing = (...pages) => {
+    const calls = [];
+    const client = {
+        send: async (command) => {
+            calls.push(command.input);
+            const page = pages[calls.length - 1];
+            if (page instanceof Error) {
+                throw page;
+            }
+            return page;
+        }
+    };
+    return { calls, storage: createStorageService({ client }) };
+};
+
+let error;
+
+beforeEach(() => {
+    error = jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('listBucket and listFolder', () => {
+    test('return folder and object names relative to the prefix across pages', async () => {
+        const { calls, storage } = listing(
+            { CommonPrefixes: [{ Prefix: 'test/core/a/' }], Contents: [{ Key: 'test/core/' }, { Key: 'test/core/menu.json' }], IsTruncated: true, NextContinuationToken: 't' },
+            { CommonPrefixes: [{ Prefix: 'test/core/b/' }], Contents: [{ Key: 'test/core/notes.txt' }] }
+        );
+
+        expect(await storage.listBucket({ Bucket: 'bucket', Prefix: 'test/core/' })).toEqual(['a', 'b']);
+        expect(calls.map((input) => input.ContinuationToken)).toEqual([undefined, 't']);
+        expect(calls[0].Delimiter).toBe('/');
+    });
+
+    test('filter object names with a glob', async () => {
+        const { storage } = listing({ Contents: [{ Key: 'test/core/menu.json' }, { Key: 'test/core/notes.txt' }] });
+
+        expect(await storage.listFolder({ Bucket: 'bucket', Prefix: 'test/core/' }, { pattern: '*.json' })).toEqual(['menu.json']);
+    });
+
+    test('log a failed listing once and return no names', async () => {
+        const denied = Object.assign(new Error('Access Denied'), { name: 'AccessDenied' });
+
+        expect(await listing(denied).storage.listBucket({ Bucket: 'bucket' })).toEqual([]);
+        expect(error).toHaveBeenCalledTimes(1);
+        expect(await listing(denied).storage.listFolder({ Bucket: 'bucket' })).toEqual([]);
+        expect(error).toHaveBeenCalledTimes(2);
+        expect(error.mock.calls.map(([label]) => label)).toEqual(['[StorageService.listObjects] Error:', '[StorageService.listObjects] Error:']);
+    });
+});
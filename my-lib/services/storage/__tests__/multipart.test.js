@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import { Readable } from 'node:stream';
+
+process.env['ENVIRONMENT'] = 'test';
+process.env['SERVICE_NAME'] = 'core';
+process.env['S3_BUCKET'] = 'bucket';
+
+const { createStorageService } = await import('../index.js');
+const { MIN_PART_SIZE, MAX_PARTS, resolvePartSize } = await import('../multipart.js');
+
+// Fake S3 client that records every command and answers from per-command handlers
+const recording = (handlers = {}) => {
+    const calls = [];
+    const client = {
+        send: async (command) => {
+            const name = command.constructor.name.replace(/Command$/, '');
+            calls.push({ name, input: command.input });
+            const handler = handlers[name];
+            return handler ? handler(command.input) : {};
+        }
+    };
+    return {
+        calls,
+        names: () => calls.map((call) => call.name),
+        storage: createStorageService({ client, tags: false, inferContentType: false })
+    };
+};
+
+const multipart = (overrides = {}) => recording({
+    CreateMultipartUpload: () => ({ UploadId: 'upload-1' }),
+    UploadPart: ({ PartNumber }) => ({ ETag: `"part-${PartNumber}"` }),
+    CompleteMultipartUpload: () => ({ ETag: '"whole"', Location: 'https://bucket/key' }),
+    PutObject: () => ({ ETag: '"single"' }),
+    ...overrides
+});
+
+const params = (Body) => ({ Bucket: 'bucket', Key: 'test/core/file.bin', Body });
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('resolvePartSize', () => {
+    test('rejects parts below the S3 minimum', () => {
+        expect(() => resolvePartSize(MIN_PART_SIZE - 1)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('grows the part size so a large upload stays within MAX_PARTS', () => {
+        expect(resolvePartSize(MIN_PART_SIZE, MIN_PART_SIZE * MAX_PARTS * 2)).toBe(MIN_PART_SIZE * 2);
+        expect(resolvePartSize(MIN_PART_SIZE, 1024)).toBe(MIN_PART_SIZE);
+    });
+});
+
+describe('upload', () => {
+    test('sends a small in-memory body with a single PutObject', async () => {
+        const { names, storage } = multipart();
+
+        const result = await storage.upload(params('hello'));
+
+        expect(names()).toEqual(['PutObject']);
+        expect(result).toEqual({ Bucket: 'bucket', Key: 'test/core/file.bin', ETag: '"single"' });
+    });
+
+    test('splits a stream into full parts plus a shorter last part and reports progress', async () => {
+        const { calls, names, storage } = multipart();
+        const body = Buffer.alloc(MIN_PART_SIZE * 2 + 10, 1);
+        const progress = [];
+
+        const result = await storage.upload(params(Readable.from([body.subarray(0, 1000), body.subarray(1000)])), {
+            partSize: MIN_PART_SIZE,
+            onProgress: (state) => progress.push(state.loadedBytes)
+        });
+
+        expect(names()).toEqual(['CreateMultipartUpload', 'UploadPart', 'UploadPart', 'UploadPart', 'CompleteMultipartUpload']);
+        expect(calls.filter((call) => call.name === 'UploadPart').map((call) => call.input.ContentLength)).toEqual([MIN_PART_SIZE, MIN_PART_SIZE, 10]);
+        expect(calls.at(-1).input.MultipartUpload.Parts).toEqual([
+            { PartNumber: 1, ETag: '"part-1"' },
+            { PartNumber: 2, ETag: '"part-2"' },
+            { PartNumber: 3, ETag: '"part-3"' }
+        ]);
+        expect(progress.at(-1)).toBe(body.length);
+        expect(result).toMatchObject({ ETag: '"whole"', UploadId: 'upload-1' });
+    });
+
+    test('aborts the multipart upload and writes an empty object for an empty stream', async () => {
+        const { calls, names, storage } = multipart();
+
+        const result = await storage.upload(params(Readable.from([])));
+
+        expect(names()).toEqual(['CreateMultipartUpload', 'AbortMultipartUpload', 'PutObject']);
+        expect(calls[1].input).toMatchObject({ UploadId: 'upload-1' });
+        expect(calls[2].input).toMatchObject({ Key: 'test/core/file.bin', Body: '' });
+        expect(result).toEqual({ Bucket: 'bucket', Key: 'test/core/file.bin', ETag: '"single"' });
+    });
+
+    test('aborts on a failed part and reports the upload for resuming', async () => {
+        const { names, storage } = multipart({
+            UploadPart: ({ PartNumber }) => {
+                if (PartNumber === 2) {
+                    throw new Error('Connection reset');
+                }
+                return { ETag: `"part-${PartNumber}"` };
+            }
+        });
+
+        const error = await storage.upload(params(Readable.from([Buffer.alloc(MIN_PART_SIZE * 2)])), { partSize: MIN_PART_SIZE, concurrency: 1 })
+            .catch((caught) => caught);
+
+        expect(error).toMatchObject({ message: 'Connection reset', uploadId: 'upload-1', partSize: MIN_PART_SIZE });
+        expect(names()).toContain('AbortMultipartUpload');
+        expect(names()).not.toContain('CompleteMultipartUpload');
+    });
+
+    test('keeps a resumable upload and skips the parts already in S3 when resumed', async () => {
+        const failing = multipart({ UploadPart: () => { throw new Error('Timeout'); } });
+        await expect(failing.storage.upload(params(Readable.from([Buffer.alloc(10)])), { resumable: true })).rejects.toThrow('Timeout');
+        expect(failing.names()).not.toContain('AbortMultipartUpload');
+
+        const { calls, names, storage } = multipart({
+            ListParts: () => ({ Parts: [{ PartNumber: 1, ETag: '"kept"', Size: MIN_PART_SIZE }] })
+        });
+        await storage.upload(params(Readable.from([Buffer.alloc(MIN_PART_SIZE + 5)])), { uploadId: 'upload-1', partSize: MIN_PART_SIZE });
+
+        expect(names()).toEqual(['ListParts', 'UploadPart', 'CompleteMultipartUpload']);
+        expect(calls[1].input.PartNumber).toBe(2);
+        expect(calls[2].input.MultipartUpload.Parts).toEqual([{ PartNumber: 1, ETag: '"kept"' }, { PartNumber: 2, ETag: '"part-2"' }]);
+    });
+});
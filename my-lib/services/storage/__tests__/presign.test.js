@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+
+process.env['ENVIRONMENT'] = 'test';
+process.env['SERVICE_NAME'] = 'core';
+process.env['S3_BUCKET'] = 'bucket';
+
+const { createStorageService, scopedKey, identityId } = await import('../index.js');
+const { resolveExpiry, contentDisposition, MAX_URL_EXPIRY } = await import('../presign.js');
+
+// Service whose signer hands back the policy it was asked to sign
+const signing = (options = {}) => {
+    const storage = createStorageService({ tags: false, ...options });
+    const signPost = jest.spyOn(storage, 'signPost').mockImplementation(async (params) => ({ url: 'https://bucket.s3', fields: params.Fields }));
+    const signUrl = jest.spyOn(storage, 'signUrl').mockImplementation(async (command) => `https://bucket.s3/${command.input.Key}`);
+    return { storage, signPost, signUrl };
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('presign helpers', () => {
+    test('bound URL lifetimes to the SigV4 maximum', () => {
+        expect(resolveExpiry(undefined)).toBe(3600);
+        expect(resolveExpiry(MAX_URL_EXPIRY)).toBe(MAX_URL_EXPIRY);
+        for (const expiresIn of [0, MAX_URL_EXPIRY + 1, 1.5]) {
+            expect(() => resolveExpiry(expiresIn)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        }
+    });
+
+    test('scope keys to an identity and refuse path traversal', () => {
+        expect(scopedKey('eu-west-1:abc', 'photos/me.png')).toBe('test/core/private/eu-west-1:abc/photos/me.png');
+        expect(scopedKey('eu-west-1:abc', 'me.png', { folder: '' })).toBe('test/core/eu-west-1:abc/me.png');
+        expect(() => scopedKey(undefined, 'me.png')).toThrow(expect.objectContaining({ name: 'UnauthorizedError' }));
+        expect(() => scopedKey('eu-west-1:abc', '../other/me.png')).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('read the identity from identity pool and user pool requests', () => {
+        expect(identityId({ requestContext: { identity: { cognitoIdentityId: 'pool-id' } } })).toBe('pool-id');
+        expect(identityId({ requestContext: { authorizer: { claims: { sub: 'user-sub' } } } })).toBe('user-sub');
+        expect(identityId({})).toBeUndefined();
+    });
+
+    test('render Content-Disposition with an ASCII fallback and a UTF-8 file name', () => {
+        expect(contentDisposition('inline')).toBe('inline');
+        expect(contentDisposition('attachment', 'résumé "v2".pdf'))
+            .toBe('attachment; filename="r_sum_ _v2_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%22v2%22.pdf');
+    });
+});
+
+describe('createPresignedPost', () => {
+    test('limits the size with content-length-range', async () => {
+        const { storage, signPost } = signing();
+
+        await storage.createPresignedPost({ Bucket: 'bucket', Key: 'upload.csv' }, { minSize: 10, maxSize: 2048 });
+
+        expect(signPost.mock.calls[0][0].Conditions).toEqual([['content-length-range', 10, 2048]]);
+    });
+
+    test('applies a preset to an identity-scoped key and pins the exact content type', async () => {
+        const { storage, signPost } = signing();
+
+        const post = await storage.createPresignedPost(
+            { Bucket: 'bucket', Key: 'me.png', ContentType: 'image/png' },
+            { policy: 'avatar', identityId: 'eu-west-1:abc' }
+        );
+
+        expect(post.key).toBe('test/core/avatar/eu-west-1:abc/me.png');
+        expect(post.fields['Content-Type']).toBe('image/png');
+        expect(signPost.mock.calls[0][0]).toMatchObject({ Key: post.key, Conditions: [['content-length-range', 1, 5 * 1024 * 1024]] });
+    });
+
+    test('rejects a content type outside the allowed list', async () => {
+        const { storage, signPost } = signing();
+
+        await expect(storage.createPresignedPost({ Bucket: 'bucket', Key: 'me.svg', ContentType: 'image/svg+xml' }, { policy: 'avatar', identityId: 'id' }))
+            .rejects.toMatchObject({ name: 'ValidationError' });
+        expect(signPost).not.toHaveBeenCalled();
+    });
+
+    test('turns a single type family into a starts-with condition', async () => {
+        const { storage, signPost } = signing();
+
+        await storage.createPresignedPost({ Bucket: 'bucket', Key: 'photo' }, { contentTypes: ['image/*'] });
+
+        expect(signPost.mock.calls[0][0].Conditions).toContainEqual(['starts-with', '$Content-Type', 'image/']);
+    });
+
+    test('needs the content type up front when several types are allowed', async () => {
+        const { storage } = signing();
+
+        await expect(storage.createPresignedPost({ Bucket: 'bucket', Key: 'file' }, { policy: 'document' }))
+            .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    test('rejects an unknown preset and a scoped upload without an identity', async () => {
+        const { storage } = signing();
+
+        await expect(storage.createPresignedPost({ Bucket: 'bucket', Key: 'a' }, { policy: 'video' })).rejects.toMatchObject({ name: 'ValidationError' });
+        await expect(storage.createPresignedPost({ Bucket: 'bucket', Key: 'a' }, { identityId: undefined })).rejects.toMatchObject({ name: 'UnauthorizedError' });
+    });
+
+    test('signs a policy S3 will enforce', async () => {
+        const storage = createStorageService({ tags: false, region: 'eu-west-1', credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret' } });
+
+        const post = await storage.createPresignedPost({ Bucket: 'bucket', Key: 'me.png', ContentType: 'image/png' }, { maxSize: 1024, expiresIn: 60 });
+
+        const policy = JSON.parse(Buffer.from(post.fields.Policy, 'base64').toString('utf8'));
+        expect(policy.conditions).toEqual(expect.arrayContaining([
+            ['content-length-range', 1, 1024],
+            { 'Content-Type': 'image/png' },
+            { key: 'me.png' }
+        ]));
+        expect(new Date(policy.expiration).getTime() - Date.now()).toBeLessThanOrEqual(60 * 1000);
+    });
+});
+
+describe('getObjectSignedUrl', () => {
+    test('asks S3 to respond with a download file name and content type', async () => {
+        const { storage, signUrl } = signing();
+
+        await storage.getObjectSignedUrl({ Bucket: 'bucket', Key: 'report' }, { fileName: 'report.pdf', contentType: 'application/pdf', expiresIn: 60 });
+
+        expect(signUrl.mock.calls[0][0].input).toMatchObject({
+            ResponseContentDisposition: 'attachment; filename="report.pdf"; filename*=UTF-8\'\'report.pdf',
+            ResponseContentType: 'application/pdf'
+        });
+        expect(signUrl.mock.calls[0][1]).toEqual({ expiresIn: 60 });
+    });
+});
@@ -0,0 +1,139 @@
+import { SelectQuery, where, literal, readSelectStream } from '../select.js';
+
+const encoder = new TextEncoder();
+const records = (text) => ({ Records: { Payload: encoder.encode(text) } });
+
+async function* events(...items) {
+    yield* items;
+}
+
+describe('literal', () => {
+    test('renders each supported type as an SQL literal', () => {
+        expect(literal("O'Brien")).toBe("'O''Brien'");
+        expect(literal(42.5)).toBe('42.5');
+        expect(literal(false)).toBe('FALSE');
+        expect(literal(null)).toBe('NULL');
+        expect(literal(new Date('2024-01-02T03:04:05.000Z'))).toBe("CAST('2024-01-02T03:04:05.000Z' AS TIMESTAMP)");
+    });
+
+    test('rejects values that have no safe literal', () => {
+        expect(() => literal(undefined)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => literal(Number.NaN)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => literal({ a: 1 })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+});
+
+describe('SelectQuery', () => {
+    test('selects everything from the document by default', () => {
+        expect(new SelectQuery().toExpression()).toBe('SELECT * FROM S3Object s');
+    });
+
+    test('quotes column paths and keeps positional CSV columns as they are', () => {
+        const query = new SelectQuery().select('code', 'address.city', 'tags[0]', '_1', 'say "hi"');
+
+        expect(query.toExpression()).toBe('SELECT s."code", s."address"."city", s."tags"[0], s._1, s."say ""hi""" FROM S3Object s');
+    });
+
+    test('combines where() calls with AND and groups nested clauses', () => {
+        const query = new SelectQuery()
+            .from('S3Object[*][*]')
+            .where(where.eq('country', 'GB'))
+            .where(where.or(where.gte('age', 18), where.not(where.isMissing('guardian'))))
+            .limit(10);
+
+        expect(query.toExpression()).toBe(
+            `SELECT * FROM S3Object[*][*] s WHERE s."country" = 'GB' AND (s."age" >= 18 OR NOT s."guardian" IS MISSING) LIMIT 10`
+        );
+    });
+
+    test('keeps request input inside literals', () => {
+        const query = new SelectQuery().where(where.eq('code', "x' OR '1'='1"));
+
+        expect(query.toExpression()).toBe(`SELECT * FROM S3Object s WHERE s."code" = 'x'' OR ''1''=''1'`);
+    });
+
+    test('escapes LIKE wildcards in startsWith and contains', () => {
+        expect(new SelectQuery().where(where.startsWith('name', '50%_off')).toExpression())
+            .toBe(`SELECT * FROM S3Object s WHERE s."name" LIKE '50\\%\\_off%' ESCAPE '\\'`);
+        expect(new SelectQuery().where(where.contains('name', 'a_b')).toExpression())
+            .toBe(`SELECT * FROM S3Object s WHERE s."name" LIKE '%a\\_b%' ESCAPE '\\'`);
+    });
+
+    test('renders IN, BETWEEN and CAST comparisons', () => {
+        const query = new SelectQuery()
+            .where(where.in('status', ['new', 'open']))
+            .where(where.between('score', 1, 5))
+            .where(where.cast('_3', 'INT', '>', 100));
+
+        expect(query.toExpression()).toBe(
+            `SELECT * FROM S3Object s WHERE s."status" IN ('new', 'open') AND s."score" BETWEEN 1 AND 5 AND CAST(s._3 AS INT) > 100`
+        );
+    });
+
+    test.each([
+        ['an empty IN', where.in('status', [])],
+        ['an empty AND', where.and()],
+        ['an empty OR', where.or()],
+        ['an unknown cast type', where.cast('a', 'DATE', '=', 1)],
+        ['an unknown cast operator', where.cast('a', 'INT', 'LIKE', 1)]
+    ])('rejects %s', (_, clause) => {
+        expect(() => new SelectQuery().where(clause).toExpression()).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('rejects invalid sources, limits and column paths', () => {
+        expect(() => new SelectQuery().from('S3Object; DROP')).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => new SelectQuery().limit(0)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => new SelectQuery().select('a..b').toExpression()).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    test('builds command parameters with the chosen input format and JSON lines output', () => {
+        const params = new SelectQuery().csv({ header: 'NONE', delimiter: ';' }).build({ Bucket: 'bucket', Key: 'data.csv' });
+
+        expect(params).toEqual({
+            Bucket: 'bucket',
+            Key: 'data.csv',
+            ExpressionType: 'SQL',
+            Expression: 'SELECT * FROM S3Object s',
+            InputSerialization: { CompressionType: 'NONE', CSV: { FileHeaderInfo: 'NONE', FieldDelimiter: ';', QuoteCharacter: '"' } },
+            OutputSerialization: { JSON: { RecordDelimiter: '\n' } }
+        });
+        expect(new SelectQuery().json({ type: 'LINES', compression: 'GZIP' }).build().InputSerialization)
+            .toEqual({ CompressionType: 'GZIP', JSON: { Type: 'LINES' } });
+        expect(new SelectQuery().parquet().build().InputSerialization).toEqual({ CompressionType: 'NONE', Parquet: {} });
+    });
+});
+
+describe('readSelectStream', () => {
+    test('reassembles rows split across record events', async () => {
+        const rows = [];
+        const progress = [];
+
+        const result = await readSelectStream(events(
+            records('{"code":"GB"}\n{"co'),
+            { Progress: { Details: { BytesScanned: 10, BytesProcessed: 10, BytesReturned: 5 } } },
+            records('de":"FR"}\n'),
+            { Stats: { Details: { BytesScanned: 20, BytesProcessed: 20, BytesReturned: 28 } } },
+            { End: {} }
+        ), { onRow: (row) => rows.push(row), onProgress: (details) => progress.push(details) });
+
+        expect(result).toEqual({
+            rows: [{ code: 'GB' }, { code: 'FR' }],
+            rowCount: 2,
+            stats: { bytesScanned: 20, bytesProcessed: 20, bytesReturned: 28 }
+        });
+        expect(rows).toEqual(result.rows);
+        expect(progress).toEqual([{ bytesScanned: 10, bytesProcessed: 10, bytesReturned: 5 }]);
+    });
+
+    test('counts rows without keeping them when collect is false', async () => {
+        const result = await readSelectStream(events(records('{"a":1}\n{"a":2}'), { End: {} }), { collect: false });
+
+        expect(result.rows).toEqual([]);
+        expect(result.rowCount).toBe(2);
+    });
+
+    test('fails when the stream ends before its End event', async () => {
+        await expect(readSelectStream(events(records('{"a":1}\n')), { location: { Bucket: 'bucket', Key: 'data.json' } }))
+            .rejects.toMatchObject({ name: 'SelectStreamError', details: { Bucket: 'bucket', Key: 'data.json', rowCount: 1 } });
+    });
+});
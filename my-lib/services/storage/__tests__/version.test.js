@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+
+process.env['ENVIRONMENT'] = 'test';
+process.env['SERVICE_NAME'] = 'core';
+process.env['S3_BUCKET'] = 'bucket';
+
+const { createStorageService, copySource } = await import('../index.js');
+const { MAX_DELETE_BATCH } = await import('../version.js');
+
+// Fake S3 client that records every command and answers from per-command handlers
+const recording = (handlers = {}) => {
+    const calls = [];
+    const client = {
+        send: async (command) => {
+            const name = command.constructor.name.replace(/Command$/, '');
+            calls.push({ name, input: command.input });
+            const handler = handlers[name];
+            return handler ? handler(command.input) : {};
+        }
+    };
+    return { calls, storage: createStorageService({ client, tags: false }) };
+};
+
+const version = (VersionId, LastModified, IsLatest = false) => ({ Key: 'test/core/menu.json', VersionId, LastModified: new Date(LastModified), IsLatest, Size: 1 });
+const marker = (VersionId, LastModified, IsLatest = false) => ({ Key: 'test/core/menu.json', VersionId, LastModified: new Date(LastModified), IsLatest });
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('copySource', () => {
+    test('encodes each key segment and appends the version', () => {
+        expect(copySource({ Bucket: 'bucket', Key: 'a b/c+d.json', VersionId: 'v/1' })).toBe('bucket/a%20b/c%2Bd.json?versionId=v%2F1');
+    });
+});
+
+describe('deleteObjects', () => {
+    test('sends at most 1000 keys per request and merges the results', async () => {
+        const { calls, storage } = recording({
+            DeleteObjects: ({ Delete }) => ({
+                Deleted: Delete.Objects.filter((object) => object.Key !== 'k5').map(({ Key }) => ({ Key })),
+                Errors: Delete.Objects.filter((object) => object.Key === 'k5').map(({ Key }) => ({ Key, Code: 'AccessDenied' }))
+            })
+        });
+        const keys = Array.from({ length: MAX_DELETE_BATCH * 2 + 1 }, (_, index) => `k${index}`);
+
+        const result = await storage.deleteObjects({ Bucket: 'bucket', Objects: [...keys.slice(0, -1), { Key: keys.at(-1), VersionId: 'v1' }] });
+
+        expect(calls.map((call) => call.input.Delete.Objects.length)).toEqual([1000, 1000, 1]);
+        expect(calls[2].input.Delete.Objects).toEqual([{ Key: keys.at(-1), VersionId: 'v1' }]);
+        expect(result.deleted).toHaveLength(keys.length - 1);
+        expect(result.errors).toEqual([{ Key: 'k5', Code: 'AccessDenied' }]);
+    });
+
+    test('sends nothing for an empty list', async () => {
+        const { calls, storage } = recording();
+
+        expect(await storage.deleteObjects({ Bucket: 'bucket', Objects: [] })).toEqual({ deleted: [], errors: [] });
+        expect(calls).toHaveLength(0);
+    });
+});
+
+describe('listObjectVersions', () => {
+    test('follows the markers and orders versions newest first', async () => {
+        const { calls, storage } = recording({
+            ListObjectVersions: ({ KeyMarker }) => KeyMarker
+                ? { Versions: [version('v1', '2026-01-01')] }
+                : { Versions: [version('v3', '2026-03-01', true)], DeleteMarkers: [marker('m2', '2026-02-01')], IsTruncated: true, NextKeyMarker: 'k', NextVersionIdMarker: 'm2' }
+        });
+
+        const versions = await storage.listObjectVersions({ Bucket: 'bucket', Prefix: 'test/core/menu.json' });
+
+        expect(calls.map((call) => call.input.VersionIdMarker)).toEqual([undefined, 'm2']);
+        expect(versions.map((entry) => [entry.versionId, entry.isDeleteMarker])).toEqual([['v3', false], ['m2', true], ['v1', false]]);
+    });
+});
+
+describe('rollback', () => {
+    const rollbackTo = (...entries) => recording({
+        ListObjectVersions: () => ({
+            Versions: entries.filter((entry) => entry.Size !== undefined),
+            DeleteMarkers: entries.filter((entry) => entry.Size === undefined)
+        }),
+        CopyObject: () => ({ VersionId: 'v-new' })
+    });
+
+    test('copies the version before the latest over the object', async () => {
+        const { calls, storage } = rollbackTo(version('v1', '2026-01-01'), version('v3', '2026-03-01', true), version('v2', '2026-02-01'));
+
+        const result = await storage.rollback({ Bucket: 'bucket', Key: 'test/core/menu.json' });
+
+        expect(result).toEqual({ versionId: 'v-new', restoredVersionId: 'v2' });
+        expect(calls.at(-1)).toEqual({ name: 'CopyObject', input: expect.objectContaining({ Key: 'test/core/menu.json', CopySource: 'bucket/test/core/menu.json?versionId=v2' }) });
+    });
+
+    test('restores the newest real version when the object was deleted', async () => {
+        const { storage } = rollbackTo(marker('m3', '2026-03-01', true), version('v2', '2026-02-01'), version('v1', '2026-01-01'));
+
+        expect((await storage.rollback({ Bucket: 'bucket', Key: 'test/core/menu.json' })).restoredVersionId).toBe('v2');
+    });
+
+    test('skips delete markers between the latest version and the one it restores', async () => {
+        const { storage } = rollbackTo(version('v3', '2026-03-01', true), marker('m2', '2026-02-01'), version('v1', '2026-01-01'));
+
+        expect((await storage.rollback({ Bucket: 'bucket', Key: 'test/core/menu.json' })).restoredVersionId).toBe('v1');
+    });
+
+    test('restores a chosen version', async () => {
+        const { storage } = rollbackTo(version('v3', '2026-03-01', true), version('v2', '2026-02-01'), version('v1', '2026-01-01'));
+
+        expect((await storage.rollback({ Bucket: 'bucket', Key: 'test/core/menu.json' }, { versionId: 'v1' })).restoredVersionId).toBe('v1');
+    });
+
+    test('raises NotFoundError when there is nothing earlier to restore', async () => {
+        const { calls, storage } = rollbackTo(version('v1', '2026-01-01', true));
+
+        await expect(storage.rollback({ Bucket: 'bucket', Key: 'test/core/menu.json' })).rejects.toMatchObject({ name: 'NotFoundError' });
+        await expect(storage.rollback({ Bucket: 'bucket', Key: 'test/core/menu.json' }, { versionId: 'missing' })).rejects.toMatchObject({ name: 'NotFoundError' });
+        expect(calls.map((call) => call.name)).not.toContain('CopyObject');
+    });
+});
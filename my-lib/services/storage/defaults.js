@@ -0,0 +1,130 @@
+import { ENVIRONMENT, MEDIA_TYPES } from "@myorg/constants";
+
+/**
+ * Service-level defaults for object writes: SSE-KMS, tags, Cache-Control and Content-Type
+ * Anything set explicitly in the command parameters always wins over these defaults.
+ */
+
+const EXTENSION_TYPES = {
+    json: MEDIA_TYPES.JSON,
+    xml: MEDIA_TYPES.XML,
+    txt: MEDIA_TYPES.TEXT,
+    csv: MEDIA_TYPES.CSV,
+    html: MEDIA_TYPES.HTML,
+    htm: MEDIA_TYPES.HTML,
+    pdf: MEDIA_TYPES.PDF,
+    jpg: MEDIA_TYPES.IMAGE_JPEG,
+    jpeg: MEDIA_TYPES.IMAGE_JPEG,
+    png: MEDIA_TYPES.IMAGE_PNG,
+    gif: MEDIA_TYPES.IMAGE_GIF
+};
+
+// Request headers S3 must receive as signed headers rather than query parameters on presigned PUTs
+export const ENCRYPTION_HEADERS = [
+    'x-amz-server-side-encryption',
+    'x-amz-server-side-encryption-aws-kms-key-id',
+    'x-amz-server-side-encryption-bucket-key-enabled'
+];
+
+/**
+ * Infer a Content-Type from a key's extension
+ * @param {string} key - Object key
+ * @returns {string|undefined} Media type, or undefined for unknown extensions
+ */
+export const contentTypeFor = (key = '') => {
+    const match = key.toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? EXTENSION_TYPES[match[1]] : undefined;
+};
+
+/**
+ * Default object tags; off unless enabled, since tagging on write needs s3:PutObjectTagging
+ * @param {Object|boolean} tags - Explicit tags, true for environment, service and S3_OBJECT_OWNER as owner, or false
+ * @returns {Object} Tags
+ */
+const defaultTags = (tags) => {
+    if (tags !== true) {
+        return tags || {};
+    }
+    const owner = process.env['S3_OBJECT_OWNER'];
+    return {
+        environment: process.env['ENVIRONMENT'] || ENVIRONMENT.STAGE,
+        service: process.env['SERVICE_NAME'] || ENVIRONMENT.SERVICE_NAME,
+        ...(owner && { owner })
+    };
+};
+
+/**
+ * Resolve the write defaults of a StorageService from its options and the environment
+ * @param {Object} options - StorageService options
+ * @returns {Object} Defaults
+ */
+export const resolveWriteDefaults = (options = {}) => {
+    const kmsKeyId = options.kmsKeyId ?? process.env['S3_KMS_KEY_ID'];
+    return {
+        serverSideEncryption: options.serverSideEncryption ?? (process.env['S3_SSE'] || (kmsKeyId ? 'aws:kms' : undefined)),
+        kmsKeyId,
+        bucketKeyEnabled: options.bucketKeyEnabled ?? true,
+        tags: defaultTags(options.tags ?? process.env['S3_DEFAULT_TAGS'] === 'true'),
+        cacheControl: options.cacheControl ?? process.env['S3_CACHE_CONTROL'],
+        inferContentType: options.inferContentType ?? true
+    };
+};
+
+/**
+ * Encryption parameters for a write
+ * @param {Object} defaults - Resolved write defaults
+ * @param {Object} overrides - Per-call overrides (serverSideEncryption, kmsKeyId, encrypt: false)
+ * @returns {Object} ServerSideEncryption, SSEKMSKeyId and BucketKeyEnabled, or nothing
+ */
+export const encryptionParams = (defaults, overrides = {}) => {
+    const serverSideEncryption = overrides.serverSideEncryption ?? defaults.serverSideEncryption;
+    if (overrides.encrypt === false || !serverSideEncryption) {
+        return {};
+    }
+    const kmsKeyId = overrides.kmsKeyId ?? defaults.kmsKeyId;
+    return {
+        ServerSideEncryption: serverSideEncryption,
+        ...(serverSideEncryption.startsWith('aws:kms') && kmsKeyId && { SSEKMSKeyId: kmsKeyId }),
+        ...(serverSideEncryption.startsWith('aws:kms') && { BucketKeyEnabled: defaults.bucketKeyEnabled })
+    };
+};
+
+/**
+ * Apply the write defaults to PutObject or CreateMultipartUpload parameters
+ * Tagging on write needs s3:PutObjectTagging as well as s3:PutObject.
+ * @param {Object} params - Command parameters; explicit values win
+ * @param {Object} defaults - Resolved write defaults
+ * @param {Object} overrides - Per-call overrides
+ * @param {Object|false} overrides.tags - Tags merged over the default tags, or false for none
+ * @param {string} overrides.cacheControl - Cache-Control for this object
+ * @param {string} overrides.serverSideEncryption - 'aws:kms', 'aws:kms:dsse' or 'AES256'
+ * @param {string} overrides.kmsKeyId - KMS key for this object
+ * @param {boolean} overrides.encrypt - false to rely on the bucket's default encryption
+ * @returns {Object} Command parameters
+ */
+export const writeParams = (params, defaults, overrides = {}) => {
+    const tags = overrides.tags === false ? {} : { ...defaults.tags, ...overrides.tags };
+    const tagging = new URLSearchParams(Object.entries(tags).filter(([, value]) => value !== undefined && value !== '')).toString();
+    const cacheControl = overrides.cacheControl ?? defaults.cacheControl;
+    const contentType = defaults.inferContentType ? contentTypeFor(params.Key) : undefined;
+
+    return {
+        ...encryptionParams(defaults, overrides),
+        ...(tagging && { Tagging: tagging }),
+        ...(cacheControl && { CacheControl: cacheControl }),
+        ...(contentType && { ContentType: contentType }),
+        ...params
+    };
+};
+
+/**
+ * Headers a client must send with a presigned PUT, matching the signed encryption parameters
+ * @param {Object} input - PutObjectCommand input
+ * @returns {Object} Header values by name
+ */
+export const signedHeaders = (input) => ({
+    ...(input.ServerSideEncryption && { 'x-amz-server-side-encryption': input.ServerSideEncryption }),
+    ...(input.SSEKMSKeyId && { 'x-amz-server-side-encryption-aws-kms-key-id': input.SSEKMSKeyId }),
+    ...(input.BucketKeyEnabled !== undefined && { 'x-amz-server-side-encryption-bucket-key-enabled': String(input.BucketKeyEnabled) }),
+    ...(input.ContentType && { 'Content-Type': input.ContentType })
+});
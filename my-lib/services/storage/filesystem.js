@@ -0,0 +1,940 @@
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readFile, writeFile, rm, stat, readdir } from "node:fs/promises";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { pathToFileURL } from "node:url";
+import { ListObjectsV2Command, ListObjectVersionsCommand, GetObjectCommand, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, SelectObjectContentCommand, HeadObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand, ListPartsCommand } from "@aws-sdk/client-s3";
+
+/**
+ * Local directory stand-in for S3Client
+ * Objects live at <root>/<bucket>/<key>, so seed data can be dropped in with any file manager.
+ * Content type, cache headers, tags and user metadata are kept in <root>/.s3meta and in-progress
+ * multipart uploads in <root>/.s3uploads. S3 Select handles JSON input with the SQL subset that
+ * SelectQuery produces (plus hand-written equivalents).
+ *
+ * Not emulated: versioning (every object has the single version 'null'), ranges, ACLs, encryption
+ * and CSV or Parquet input for S3 Select.
+ */
+
+const META_DIR = '.s3meta';
+const UPLOAD_DIR = '.s3uploads';
+const DEFAULT_MAX_KEYS = 1000;
+const RECORD_CHUNK_SIZE = 64 * 1024;
+
+const awsError = (name, message, statusCode = 400, extra = {}) => {
+    const error = new Error(message);
+    error.name = name;
+    error.Code = name;
+    error.$fault = 'client';
+    error.$metadata = { httpStatusCode: statusCode };
+    return Object.assign(error, extra);
+};
+
+const md5 = (data) => createHash('md5').update(data).digest();
+
+const toBuffer = async (body) => {
+    if (body === undefined || body === null) {
+        return Buffer.alloc(0);
+    }
+    if (typeof body === 'string' || body instanceof Uint8Array) {
+        return Buffer.from(body);
+    }
+    if (typeof body[Symbol.asyncIterator] === 'function') {
+        const chunks = [];
+        for await (const chunk of body) {
+            chunks.push(Buffer.from(chunk));
+        }
+        return Buffer.concat(chunks);
+    }
+    throw awsError('InvalidArgument', 'Body must be a string, Buffer, Uint8Array or stream');
+};
+
+// Readable stream with the SDK's payload helpers, like the Body of a real GetObject response
+const responseBody = (data) => Object.assign(Readable.from([data]), {
+    transformToString: async (encoding = 'utf-8') => data.toString(encoding),
+    transformToByteArray: async () => new Uint8Array(data),
+    transformToWebStream: () => Readable.toWeb(Readable.from([data]))
+});
+
+const exists = async (file) => {
+    try {
+        return (await stat(file)).isFile();
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+const walk = async (directory, prefix = '') => {
+    let entries;
+    try {
+        entries = await readdir(directory, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    const keys = await Promise.all(entries.map((entry) => (entry.isDirectory()
+        ? walk(path.join(directory, entry.name), `${prefix}${entry.name}/`)
+        : [`${prefix}${entry.name}`])));
+    return keys.flat();
+};
+
+// S3 orders keys by their UTF-8 bytes
+const byKey = (a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b));
+
+const TOKEN = /\s*(?:'((?:[^']|'')*)'|"((?:[^"]|"")*)"|(\d+(?:\.\d+)?)|(<>|!=|<=|>=|[=<>()[\],.*-])|([A-Za-z_][A-Za-z0-9_]*))/y;
+const MISSING = undefined;
+
+const selectError = (name, message) => awsError(name, message);
+
+const tokenize = (expression) => {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) {
+            break;
+        }
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(expression);
+        if (!match) {
+            throw selectError('ParseInvalidTypeParam', `Unexpected character at position ${start} of the S3 Select expression`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'string', text: match[1].replace(/''/g, "'") });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'quoted', text: match[2].replace(/""/g, '"') });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'number', text: match[3] });
+        } else if (match[4] !== undefined) {
+            tokens.push({ type: 'punct', text: match[4] });
+        } else {
+            tokens.push({ type: 'word', text: match[5] });
+        }
+    }
+    return tokens;
+};
+
+const CASTS = {
+    INT: (value) => Math.trunc(Number(value)),
+    INTEGER: (value) => Math.trunc(Number(value)),
+    FLOAT: Number,
+    DECIMAL: Number,
+    NUMERIC: Number,
+    STRING: String,
+    BOOL: (value) => (typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value)),
+    TIMESTAMP: (value) => new Date(value).toISOString()
+};
+
+const compareValues = (operator, left, right) => {
+    if (left === null || left === MISSING || right === null || right === MISSING) {
+        return null;
+    }
+    switch (operator) {
+        case '=': return left === right;
+        case '<>':
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+    }
+};
+
+const likePattern = (pattern, escape) => {
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (escape && char === escape && index + 1 < pattern.length) {
+            source += pattern[++index].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            source += '[\\s\\S]*';
+        } else if (char === '_') {
+            source += '[\\s\\S]';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Recursive-descent parser turning an S3 Select expression into evaluator functions
+ */
+class SelectParser {
+    constructor(expression) {
+        this.tokens = tokenize(expression);
+        this.position = 0;
+        this.alias = null;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    isWord(text) {
+        const token = this.peek();
+        return !!token && token.type === 'word' && token.text.toUpperCase() === text;
+    }
+
+    isPunct(text) {
+        const token = this.peek();
+        return !!token && token.type === 'punct' && token.text === text;
+    }
+
+    acceptWord(text) {
+        if (this.isWord(text)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    acceptPunct(text) {
+        if (this.isPunct(text)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expectWord(text) {
+        if (!this.acceptWord(text)) {
+            throw this.unexpected(text);
+        }
+    }
+
+    expectPunct(text) {
+        if (!this.acceptPunct(text)) {
+            throw this.unexpected(text);
+        }
+    }
+
+    unexpected(expected) {
+        const token = this.peek();
+        return selectError('ParseUnexpectedToken', `Expected ${expected} but found ${token ? `'${token.text}'` : 'end of expression'}`);
+    }
+
+    parse() {
+        this.expectWord('SELECT');
+        const projection = this.projection();
+        this.expectWord('FROM');
+        const source = this.source();
+        this.acceptWord('AS');
+        const token = this.peek();
+        if (token && token.type === 'word' && !['WHERE', 'LIMIT'].includes(token.text.toUpperCase())) {
+            this.alias = token.text;
+            this.position++;
+        }
+        const condition = this.acceptWord('WHERE') ? this.expression() : null;
+        let limit = null;
+        if (this.acceptWord('LIMIT')) {
+            const count = this.peek();
+            if (!count || count.type !== 'number' || !/^\d+$/.test(count.text)) {
+                throw this.unexpected('a row count');
+            }
+            limit = Number(count.text);
+            this.position++;
+        }
+        if (this.position < this.tokens.length) {
+            throw this.unexpected('end of expression');
+        }
+        return { projection, source, condition, limit };
+    }
+
+    projection() {
+        if (this.acceptPunct('*')) {
+            return null;
+        }
+        const columns = [];
+        do {
+            const evaluate = this.operand();
+            // Paths are named after their last segment, other expressions positionally
+            let name = evaluate.columnName || `_${columns.length + 1}`;
+            if (this.acceptWord('AS')) {
+                name = this.identifier();
+            }
+            columns.push({ name, evaluate });
+        } while (this.acceptPunct(','));
+        return columns;
+    }
+
+    identifier() {
+        const token = this.peek();
+        if (!token || !['word', 'quoted'].includes(token.type)) {
+            throw this.unexpected('an identifier');
+        }
+        this.position++;
+        return token.text;
+    }
+
+    // S3Object, then [*] to iterate and .name to descend; the first [*] iterates the top-level values
+    source() {
+        if (!this.acceptWord('S3OBJECT')) {
+            throw this.unexpected('S3Object');
+        }
+        const steps = [];
+        let first = true;
+        while (this.isPunct('[') || this.isPunct('.')) {
+            if (this.acceptPunct('[')) {
+                this.expectPunct('*');
+                this.expectPunct(']');
+                if (!first) {
+                    steps.push({ unnest: true });
+                }
+            } else {
+                this.position++;
+                steps.push({ name: this.identifier() });
+            }
+            first = false;
+        }
+        return (records) => steps.reduce((current, step) => (step.unnest
+            ? current.flatMap((value) => (Array.isArray(value) ? value : []))
+            : current.map((value) => (value && typeof value === 'object' ? value[step.name] : MISSING)).filter((value) => value !== MISSING)), records);
+    }
+
+    expression() {
+        let left = this.conjunction();
+        while (this.acceptWord('OR')) {
+            const a = left;
+            const b = this.conjunction();
+            left = (record) => {
+                const x = a(record);
+                const y = b(record);
+                return x === true || y === true ? true : (x === false && y === false ? false : null);
+            };
+        }
+        return left;
+    }
+
+    conjunction() {
+        let left = this.negation();
+        while (this.acceptWord('AND')) {
+            const a = left;
+            const b = this.negation();
+            left = (record) => {
+                const x = a(record);
+                const y = b(record);
+                return x === false || y === false ? false : (x === true && y === true ? true : null);
+            };
+        }
+        return left;
+    }
+
+    negation() {
+        if (this.acceptWord('NOT')) {
+            const clause = this.negation();
+            return (record) => {
+                const value = clause(record);
+                return typeof value === 'boolean' ? !value : null;
+            };
+        }
+        return this.predicate();
+    }
+
+    predicate() {
+        const left = this.operand();
+        const token = this.peek();
+
+        if (token && token.type === 'punct' && ['=', '<>', '!=', '<', '<=', '>', '>='].includes(token.text)) {
+            this.position++;
+            const right = this.operand();
+            return (record) => compareValues(token.text, left(record), right(record));
+        }
+        if (this.acceptWord('IS')) {
+            const negate = this.acceptWord('NOT');
+            const missing = this.acceptWord('MISSING');
+            if (!missing) {
+                this.expectWord('NULL');
+            }
+            return (record) => {
+                const value = left(record);
+                const matches = missing ? value === MISSING : value === null || value === MISSING;
+                return negate ? !matches : matches;
+            };
+        }
+        const negate = this.acceptWord('NOT');
+        if (this.acceptWord('IN')) {
+            this.expectPunct('(');
+            const values = [];
+            do {
+                values.push(this.operand());
+            } while (this.acceptPunct(','));
+            this.expectPunct(')');
+            return (record) => {
+                const value = left(record);
+                if (value === null || value === MISSING) {
+                    return null;
+                }
+                const found = values.some((candidate) => candidate(record) === value);
+                return negate ? !found : found;
+            };
+        }
+        if (this.acceptWord('BETWEEN')) {
+            const low = this.operand();
+            this.expectWord('AND');
+            const high = this.operand();
+            return (record) => {
+                const value = left(record);
+                const result = compareValues('>=', value, low(record)) && compareValues('<=', value, high(record));
+                return typeof result === 'boolean' && negate ? !result : result;
+            };
+        }
+        if (this.acceptWord('LIKE')) {
+            const pattern = this.operand();
+            const escape = this.acceptWord('ESCAPE') ? this.operand() : () => null;
+            return (record) => {
+                const value = left(record);
+                if (typeof value !== 'string') {
+                    return null;
+                }
+                const matches = likePattern(pattern(record), escape(record)).test(value);
+                return negate ? !matches : matches;
+            };
+        }
+        if (negate) {
+            throw this.unexpected('IN, BETWEEN or LIKE');
+        }
+        return left;
+    }
+
+    operand() {
+        const token = this.peek();
+        if (!token) {
+            throw this.unexpected('a value');
+        }
+        if (this.acceptPunct('(')) {
+            const inner = this.expression();
+            this.expectPunct(')');
+            return inner;
+        }
+        if (this.acceptPunct('-')) {
+            const value = this.operand();
+            return (record) => -value(record);
+        }
+        if (token.type === 'string' || token.type === 'number') {
+            this.position++;
+            const value = token.type === 'number' ? Number(token.text) : token.text;
+            return () => value;
+        }
+        if (this.acceptWord('TRUE')) {
+            return () => true;
+        }
+        if (this.acceptWord('FALSE')) {
+            return () => false;
+        }
+        if (this.acceptWord('NULL')) {
+            return () => null;
+        }
+        if (this.acceptWord('CAST')) {
+            this.expectPunct('(');
+            const value = this.expression();
+            this.expectWord('AS');
+            const type = this.identifier().toUpperCase();
+            this.expectPunct(')');
+            if (!CASTS[type]) {
+                throw selectError('UnsupportedSyntax', `Unsupported CAST type ${type}`);
+            }
+            return (record) => {
+                const input = value(record);
+                return input === null || input === MISSING ? input : CASTS[type](input);
+            };
+        }
+        if (token.type === 'word' && ['LOWER', 'UPPER'].includes(token.text.toUpperCase()) && this.tokens[this.position + 1]?.text === '(') {
+            this.position += 2;
+            const value = this.expression();
+            this.expectPunct(')');
+            const lower = token.text.toUpperCase() === 'LOWER';
+            return (record) => {
+                const input = value(record);
+                return typeof input === 'string' ? (lower ? input.toLowerCase() : input.toUpperCase()) : input;
+            };
+        }
+        return this.path();
+    }
+
+    path() {
+        const first = this.peek();
+        const segments = [{ name: this.identifier(), alias: first.type === 'word' }];
+        while (this.isPunct('.') || this.isPunct('[')) {
+            if (this.acceptPunct('.')) {
+                segments.push({ name: this.identifier() });
+            } else {
+                this.position++;
+                const index = this.peek();
+                if (!index || index.type !== 'number') {
+                    throw this.unexpected('an array index');
+                }
+                this.position++;
+                this.expectPunct(']');
+                segments.push({ index: Number(index.text) });
+            }
+        }
+        const evaluate = (record) => {
+            // The FROM alias is resolved lazily because the projection is parsed before FROM
+            const steps = segments[0].alias && this.alias && segments[0].name.toLowerCase() === this.alias.toLowerCase()
+                ? segments.slice(1)
+                : segments;
+            return steps.reduce((value, step) => {
+                if (value === null || value === MISSING || typeof value !== 'object') {
+                    return MISSING;
+                }
+                return step.index !== undefined ? (Array.isArray(value) ? value[step.index] : MISSING) : value[step.name];
+            }, record);
+        };
+        evaluate.columnName = segments.filter((segment) => segment.name !== undefined).at(-1).name;
+        return evaluate;
+    }
+}
+
+const topLevelValues = (text, type) => {
+    if (type === 'LINES') {
+        return text.split('\n').filter((line) => line.trim() !== '').map((line) => JSON.parse(line));
+    }
+    return [JSON.parse(text)];
+};
+
+async function* selectEvents(lines, details, progress) {
+    if (progress) {
+        yield { Progress: { Details: details } };
+    }
+    const payload = Buffer.from(lines.map((line) => `${line}\n`).join(''));
+    for (let offset = 0; offset < payload.length; offset += RECORD_CHUNK_SIZE) {
+        yield { Records: { Payload: new Uint8Array(payload.subarray(offset, offset + RECORD_CHUNK_SIZE)) } };
+    }
+    yield { Stats: { Details: { ...details, BytesReturned: payload.length } } };
+    yield { End: {} };
+}
+
+export class FileSystemS3Client {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.root - Directory holding one sub-directory per bucket (default: S3_LOCAL_DIR or .s3)
+     */
+    constructor(options = {}) {
+        this.root = path.resolve(options.root || process.env['S3_LOCAL_DIR'] || '.s3');
+        this.config = {};
+    }
+
+    /**
+     * File path of an object
+     * @param {string} bucket - Bucket
+     * @param {string} key - Key
+     * @returns {string} Absolute path under the root
+     */
+    file(bucket, key) {
+        if (!bucket || bucket.startsWith('.') || bucket.includes('/')) {
+            throw awsError('InvalidBucketName', `The specified bucket is not valid: ${bucket}`);
+        }
+        if (!key || key.startsWith('/') || key.split('/').some((segment) => segment === '.' || segment === '..')) {
+            throw awsError('InvalidArgument', `Key '${key}' cannot be stored in a local directory`);
+        }
+        return path.join(this.root, bucket, ...key.split('/'));
+    }
+
+    metaFile(bucket, key) {
+        return `${path.join(this.root, META_DIR, bucket, ...key.split('/'))}.json`;
+    }
+
+    /**
+     * URL of an object: `${baseUrl}/<bucket>/<key>` when a base URL is given, otherwise a file:// URL
+     * @param {{Bucket: string, Key: string}} input - Command input
+     * @param {string} baseUrl - Base URL of a local HTTP server
+     * @returns {string} URL
+     */
+    url(input, baseUrl) {
+        if (baseUrl) {
+            const key = input.Key ? `/${input.Key.split('/').map(encodeURIComponent).join('/')}` : '';
+            return `${baseUrl.replace(/\/$/, '')}/${input.Bucket}${key}`;
+        }
+        return pathToFileURL(input.Key ? this.file(input.Bucket, input.Key) : path.join(this.root, input.Bucket)).href;
+    }
+
+    async send(command) {
+        const input = command.input;
+        if (command instanceof GetObjectCommand) return this.getObject(input);
+        if (command instanceof HeadObjectCommand) return this.headObject(input);
+        if (command instanceof PutObjectCommand) return this.putObject(input);
+        if (command instanceof CopyObjectCommand) return this.copyObject(input);
+        if (command instanceof DeleteObjectCommand) return this.deleteObject(input);
+        if (command instanceof DeleteObjectsCommand) return this.deleteObjects(input);
+        if (command instanceof ListObjectsV2Command) return this.listObjects(input);
+        if (command instanceof ListObjectVersionsCommand) return this.listObjectVersions(input);
+        if (command instanceof SelectObjectContentCommand) return this.selectObjectContent(input);
+        if (command instanceof CreateMultipartUploadCommand) return this.createMultipartUpload(input);
+        if (command instanceof UploadPartCommand) return this.uploadPart(input);
+        if (command instanceof ListPartsCommand) return this.listParts(input);
+        if (command instanceof CompleteMultipartUploadCommand) return this.completeMultipartUpload(input);
+        if (command instanceof AbortMultipartUploadCommand) return this.abortMultipartUpload(input);
+        throw awsError('NotImplemented', `${command.constructor.name} is not supported by FileSystemS3Client`, 501);
+    }
+
+    async readMeta(bucket, key, data) {
+        try {
+            return JSON.parse(await readFile(this.metaFile(bucket, key), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            // Files dropped in by hand have no metadata yet
+            return { ETag: `"${md5(data ?? await readFile(this.file(bucket, key))).toString('hex')}"` };
+        }
+    }
+
+    async write(bucket, key, data, meta) {
+        const file = this.file(bucket, key);
+        try {
+            await mkdir(path.dirname(file), { recursive: true });
+            await writeFile(file, data);
+        } catch (error) {
+            if (['EEXIST', 'ENOTDIR', 'EISDIR'].includes(error.code)) {
+                throw awsError('InvalidArgument', `Key '${key}' conflicts with an existing object or folder in the local directory`);
+            }
+            throw error;
+        }
+        const metaFile = this.metaFile(bucket, key);
+        await mkdir(path.dirname(metaFile), { recursive: true });
+        await writeFile(metaFile, JSON.stringify(meta));
+    }
+
+    async load(input) {
+        const file = this.file(input.Bucket, input.Key);
+        if (input.VersionId && input.VersionId !== 'null') {
+            throw awsError('NoSuchVersion', 'The specified version does not exist.', 404);
+        }
+        if (!(await exists(file))) {
+            throw awsError('NoSuchKey', 'The specified key does not exist.', 404);
+        }
+        const data = await readFile(file);
+        const meta = await this.readMeta(input.Bucket, input.Key, data);
+        const { mtime } = await stat(file);
+        if (input.IfMatch && input.IfMatch !== meta.ETag) {
+            throw awsError('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold', 412);
+        }
+        if (input.IfNoneMatch && input.IfNoneMatch === meta.ETag) {
+            throw awsError('NotModified', 'Not Modified', 304);
+        }
+        return { data, meta, lastModified: mtime };
+    }
+
+    describe(data, meta, lastModified) {
+        return {
+            ContentLength: data.length,
+            ContentType: meta.ContentType || 'application/octet-stream',
+            ETag: meta.ETag,
+            LastModified: lastModified,
+            VersionId: 'null',
+            ...(meta.CacheControl && { CacheControl: meta.CacheControl }),
+            ...(meta.ContentDisposition && { ContentDisposition: meta.ContentDisposition }),
+            ...(meta.ServerSideEncryption && { ServerSideEncryption: meta.ServerSideEncryption }),
+            ...(meta.SSEKMSKeyId && { SSEKMSKeyId: meta.SSEKMSKeyId }),
+            Metadata: meta.Metadata || {},
+            $metadata: { httpStatusCode: 200 }
+        };
+    }
+
+    async getObject(input) {
+        const { data, meta, lastModified } = await this.load(input);
+        return {
+            ...this.describe(data, meta, lastModified),
+            ...(input.ResponseContentType && { ContentType: input.ResponseContentType }),
+            ...(input.ResponseContentDisposition && { ContentDisposition: input.ResponseContentDisposition }),
+            Body: responseBody(data)
+        };
+    }
+
+    async headObject(input) {
+        try {
+            const { data, meta, lastModified } = await this.load(input);
+            return this.describe(data, meta, lastModified);
+        } catch (error) {
+            // HEAD responses have no body, so S3 reports a bare NotFound
+            throw error.name === 'NoSuchKey' ? awsError('NotFound', 'Not Found', 404) : error;
+        }
+    }
+
+    objectMeta(input, etag) {
+        return {
+            ETag: etag,
+            ...(input.ContentType && { ContentType: input.ContentType }),
+            ...(input.CacheControl && { CacheControl: input.CacheControl }),
+            ...(input.ContentDisposition && { ContentDisposition: input.ContentDisposition }),
+            ...(input.Tagging && { Tagging: input.Tagging }),
+            ...(input.ServerSideEncryption && { ServerSideEncryption: input.ServerSideEncryption }),
+            ...(input.SSEKMSKeyId && { SSEKMSKeyId: input.SSEKMSKeyId }),
+            ...(input.Metadata && { Metadata: input.Metadata })
+        };
+    }
+
+    async putObject(input) {
+        const data = await toBuffer(input.Body);
+        if (input.Key?.endsWith('/') && data.length === 0) {
+            // Folder markers become plain directories
+            await mkdir(this.file(input.Bucket, input.Key.slice(0, -1)), { recursive: true });
+            return { ETag: `"${md5(data).toString('hex')}"`, $metadata: { httpStatusCode: 200 } };
+        }
+        if (input.IfNoneMatch === '*' && await exists(this.file(input.Bucket, input.Key))) {
+            throw awsError('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold', 412);
+        }
+        const etag = `"${md5(data).toString('hex')}"`;
+        await this.write(input.Bucket, input.Key, data, this.objectMeta(input, etag));
+        return { ETag: etag, VersionId: 'null', $metadata: { httpStatusCode: 200 } };
+    }
+
+    async copyObject(input) {
+        const [sourcePath, query = ''] = input.CopySource.replace(/^\//, '').split('?');
+        const [sourceBucket, ...keyParts] = sourcePath.split('/');
+        const versionId = new URLSearchParams(query).get('versionId');
+        const source = await this.load({
+            Bucket: decodeURIComponent(sourceBucket),
+            Key: keyParts.map(decodeURIComponent).join('/'),
+            VersionId: versionId || undefined
+        });
+        const meta = input.MetadataDirective === 'REPLACE'
+            ? this.objectMeta(input, source.meta.ETag)
+            : { ...source.meta, ...this.objectMeta({ ServerSideEncryption: input.ServerSideEncryption, SSEKMSKeyId: input.SSEKMSKeyId }, source.meta.ETag) };
+        await this.write(input.Bucket, input.Key, source.data, meta);
+        return {
+            CopyObjectResult: { ETag: meta.ETag, LastModified: new Date() },
+            VersionId: 'null',
+            $metadata: { httpStatusCode: 200 }
+        };
+    }
+
+    async deleteObject(input) {
+        await rm(this.file(input.Bucket, input.Key), { force: true });
+        await rm(this.metaFile(input.Bucket, input.Key), { force: true });
+        return { $metadata: { httpStatusCode: 204 } };
+    }
+
+    async deleteObjects(input) {
+        const deleted = [];
+        for (const object of input.Delete?.Objects || []) {
+            await this.deleteObject({ Bucket: input.Bucket, Key: object.Key });
+            deleted.push({ Key: object.Key, ...(object.VersionId && { VersionId: object.VersionId }) });
+        }
+        return { Deleted: deleted, Errors: [], $metadata: { httpStatusCode: 200 } };
+    }
+
+    async objects(bucket, prefix = '') {
+        const keys = (await walk(path.join(this.root, bucket)))
+            .filter((key) => key.startsWith(prefix))
+            .sort(byKey);
+        return Promise.all(keys.map(async (key) => {
+            const file = this.file(bucket, key);
+            const { size, mtime } = await stat(file);
+            const meta = await this.readMeta(bucket, key);
+            return { Key: key, Size: size, ETag: meta.ETag, LastModified: mtime, StorageClass: 'STANDARD' };
+        }));
+    }
+
+    async listObjects(input) {
+        const prefix = input.Prefix || '';
+        const after = input.ContinuationToken
+            ? Buffer.from(input.ContinuationToken, 'base64').toString('utf8')
+            : input.StartAfter;
+        const maxKeys = input.MaxKeys ?? DEFAULT_MAX_KEYS;
+        const contents = [];
+        const commonPrefixes = [];
+        let last = null;
+        let truncated = false;
+
+        for (const object of await this.objects(input.Bucket, prefix)) {
+            const delimiterAt = input.Delimiter ? object.Key.indexOf(input.Delimiter, prefix.length) : -1;
+            const commonPrefix = delimiterAt >= 0 ? object.Key.slice(0, delimiterAt + input.Delimiter.length) : null;
+            const position = commonPrefix || object.Key;
+            if (after && byKey(position, after) <= 0) {
+                continue;
+            }
+            if (commonPrefix && commonPrefixes.at(-1)?.Prefix === commonPrefix) {
+                continue;
+            }
+            if (contents.length + commonPrefixes.length >= maxKeys) {
+                truncated = true;
+                break;
+            }
+            if (commonPrefix) {
+                commonPrefixes.push({ Prefix: commonPrefix });
+            } else {
+                contents.push(object);
+            }
+            last = position;
+        }
+
+        return {
+            Name: input.Bucket,
+            Prefix: prefix,
+            KeyCount: contents.length + commonPrefixes.length,
+            MaxKeys: maxKeys,
+            IsTruncated: truncated,
+            ...(truncated && { NextContinuationToken: Buffer.from(last).toString('base64') }),
+            ...(contents.length > 0 && { Contents: contents }),
+            ...(commonPrefixes.length > 0 && { CommonPrefixes: commonPrefixes }),
+            $metadata: { httpStatusCode: 200 }
+        };
+    }
+
+    async listObjectVersions(input) {
+        const objects = await this.objects(input.Bucket, input.Prefix || '');
+        return {
+            Versions: objects.map((object) => ({ ...object, VersionId: 'null', IsLatest: true })),
+            IsTruncated: false,
+            $metadata: { httpStatusCode: 200 }
+        };
+    }
+
+    async selectObjectContent(input) {
+        if (input.ExpressionType !== 'SQL') {
+            throw selectError('InvalidExpressionType', 'The ExpressionType must be SQL');
+        }
+        const serialization = input.InputSerialization || {};
+        if (!serialization.JSON || (serialization.CompressionType && serialization.CompressionType !== 'NONE')) {
+            throw selectError('UnsupportedSyntax', 'FileSystemS3Client only evaluates uncompressed JSON input');
+        }
+        const { projection, source, condition, limit } = new SelectParser(input.Expression).parse();
+        const { data } = await this.load(input);
+
+        let values;
+        try {
+            values = topLevelValues(data.toString('utf8'), serialization.JSON.Type);
+        } catch (error) {
+            throw selectError('JSONParsingError', `Error parsing JSON file: ${error.message}`);
+        }
+
+        const lines = [];
+        for (const record of source(values)) {
+            if (limit !== null && lines.length >= limit) {
+                break;
+            }
+            if (condition && condition(record) !== true) {
+                continue;
+            }
+            const row = projection
+                ? Object.fromEntries(projection
+                    .map(({ name, evaluate }) => [name, evaluate(record)])
+                    .filter(([, value]) => value !== MISSING))
+                : (record && typeof record === 'object' && !Array.isArray(record) ? record : { _1: record });
+            lines.push(JSON.stringify(row));
+        }
+
+        const details = { BytesScanned: data.length, BytesProcessed: data.length, BytesReturned: 0 };
+        return {
+            Payload: selectEvents(lines, details, input.RequestProgress?.Enabled),
+            $metadata: { httpStatusCode: 200 }
+        };
+    }
+
+    uploadDir(uploadId) {
+        if (!/^[0-9a-f-]+$/.test(uploadId || '')) {
+            throw awsError('NoSuchUpload', 'The specified upload does not exist.', 404);
+        }
+        return path.join(this.root, UPLOAD_DIR, uploadId);
+    }
+
+    async upload(input) {
+        const directory = this.uploadDir(input.UploadId);
+        try {
+            return { directory, meta: JSON.parse(await readFile(path.join(directory, 'upload.json'), 'utf8')) };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw awsError('NoSuchUpload', 'The specified upload does not exist.', 404);
+            }
+            throw error;
+        }
+    }
+
+    async createMultipartUpload(input) {
+        this.file(input.Bucket, input.Key);
+        const uploadId = randomUUID();
+        const directory = this.uploadDir(uploadId);
+        await mkdir(directory, { recursive: true });
+        await writeFile(path.join(directory, 'upload.json'), JSON.stringify({ Bucket: input.Bucket, Key: input.Key, meta: this.objectMeta(input) }));
+        return { Bucket: input.Bucket, Key: input.Key, UploadId: uploadId, $metadata: { httpStatusCode: 200 } };
+    }
+
+    async uploadPart(input) {
+        const { directory } = await this.upload(input);
+        const data = await toBuffer(input.Body);
+        const etag = `"${md5(data).toString('hex')}"`;
+        await writeFile(path.join(directory, `${input.PartNumber}.part`), data);
+        await writeFile(path.join(directory, `${input.PartNumber}.json`), JSON.stringify({ ETag: etag, Size: data.length }));
+        return { ETag: etag, $metadata: { httpStatusCode: 200 } };
+    }
+
+    async listParts(input) {
+        const { directory } = await this.upload(input);
+        const numbers = (await readdir(directory))
+            .filter((name) => name.endsWith('.part'))
+            .map((name) => Number(name.slice(0, -5)))
+            .sort((a, b) => a - b);
+        const parts = await Promise.all(numbers.map(async (number) => ({
+            PartNumber: number,
+            ...JSON.parse(await readFile(path.join(directory, `${number}.json`), 'utf8'))
+        })));
+        return { Parts: parts, IsTruncated: false, $metadata: { httpStatusCode: 200 } };
+    }
+
+    async completeMultipartUpload(input) {
+        const { directory, meta } = await this.upload(input);
+        const buffers = [];
+        const digests = [];
+        for (const part of input.MultipartUpload?.Parts || []) {
+            let stored;
+            try {
+                stored = JSON.parse(await readFile(path.join(directory, `${part.PartNumber}.json`), 'utf8'));
+            } catch (error) {
+                stored = null;
+            }
+            if (!stored || stored.ETag !== part.ETag) {
+                throw awsError('InvalidPart', 'One or more of the specified parts could not be found.');
+            }
+            const data = await readFile(path.join(directory, `${part.PartNumber}.part`));
+            buffers.push(data);
+            digests.push(md5(data));
+        }
+        const etag = `"${md5(Buffer.concat(digests)).toString('hex')}-${digests.length}"`;
+        await this.write(meta.Bucket, meta.Key, Buffer.concat(buffers), { ...meta.meta, ETag: etag });
+        await rm(directory, { recursive: true, force: true });
+        return {
+            Bucket: meta.Bucket,
+            Key: meta.Key,
+            ETag: etag,
+            Location: this.url({ Bucket: meta.Bucket, Key: meta.Key }),
+            $metadata: { httpStatusCode: 200 }
+        };
+    }
+
+    async abortMultipartUpload(input) {
+        await rm(this.uploadDir(input.UploadId), { recursive: true, force: true });
+        return { $metadata: { httpStatusCode: 204 } };
+    }
+
+    /**
+     * Seed objects, e.g. fixtures for a test
+     * @param {string} bucket - Bucket
+     * @param {Object} objects - Bodies by key; non-string, non-binary values are stored as JSON
+     * @returns {Promise<FileSystemS3Client>} Client
+     */
+    async seed(bucket, objects = {}) {
+        for (const [key, value] of Object.entries(objects)) {
+            const json = typeof value !== 'string' && !(value instanceof Uint8Array);
+            await this.putObject({
+                Bucket: bucket,
+                Key: key,
+                Body: json ? JSON.stringify(value) : value,
+                ...(json && { ContentType: 'application/json' })
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Remove every bucket, object and pending upload under the root
+     */
+    async reset() {
+        await rm(this.root, { recursive: true, force: true });
+    }
+}
@@ -1,11 +1,53 @@
-import { S3Client, ListObjectsV2Command, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, SelectObjectContentCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
+import { S3Client, ListObjectsV2Command, ListObjectVersionsCommand, GetObjectCommand, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, SelectObjectContentCommand, HeadObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand, ListPartsCommand } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createPresignedPost as presignPost } from "@aws-sdk/s3-presigned-post";
+import { FILE_LIMITS, MEDIA_TYPES } from "@myorg/constants";
+import { NotFoundError, ValidationError } from "@myorg/error";
+import { MultipartUploader, resolvePartSize } from "./multipart.js";
+import { globToRegExp, buildTree } from "./listing.js";
+import { jsonLocation, cacheTtl, parseJson } from "./json.js";
+import { SelectQuery, readSelectStream } from "./select.js";
+import { MAX_DELETE_BATCH, copySource, versionEntries, newestFirst } from "./version.js";
+import { ENCRYPTION_HEADERS, resolveWriteDefaults, encryptionParams, writeParams, signedHeaders } from "./defaults.js";
+import { DEFAULT_URL_EXPIRY, UPLOAD_POLICIES, resolveExpiry, scopedKey, contentTypeAllowed, contentDisposition } from "./presign.js";
+import { FileSystemS3Client } from "./filesystem.js";
 
 class StorageService {
-    constructor() {
-        this.client = new S3Client({
-            region: process.env['REGION'] || 'eu-west-1'
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.client - S3Client to use instead of creating one, e.g. a mock
+     * @param {string} options.region - AWS region (default: REGION or eu-west-1)
+     * @param {string} options.endpoint - Custom endpoint such as MinIO (default: S3_ENDPOINT)
+     * @param {boolean} options.forcePathStyle - Path-style URLs (default: S3_FORCE_PATH_STYLE, or true with a custom endpoint)
+     * @param {Object} options.credentials - Credentials or credential provider
+     * @param {number} options.maxAttempts - SDK attempts per request, including the first
+     * @param {string} options.retryMode - SDK retry mode: 'standard' or 'adaptive'
+     * @param {Object} options.retryStrategy - Custom SDK retry strategy
+     * @param {string} options.kmsKeyId - Default SSE-KMS key for writes (default: S3_KMS_KEY_ID)
+     * @param {string} options.serverSideEncryption - Default encryption (default: S3_SSE, or 'aws:kms' when a key is set)
+     * @param {boolean} options.bucketKeyEnabled - Use S3 Bucket Keys with SSE-KMS (default: true)
+     * @param {Object|boolean} options.tags - Default object tags, or true for environment, service and S3_OBJECT_OWNER as owner (default: true when S3_DEFAULT_TAGS is 'true', else none)
+     * @param {string} options.cacheControl - Default Cache-Control (default: S3_CACHE_CONTROL)
+     * @param {boolean} options.inferContentType - Infer Content-Type from the key extension (default: true)
+     * @param {number} options.urlExpiry - Default presigned URL lifetime in seconds (default: S3_URL_EXPIRY or 3600)
+     */
+    constructor(options = {}) {
+        const endpoint = options.endpoint || process.env['S3_ENDPOINT'];
+        const forcePathStyle = options.forcePathStyle
+            ?? (process.env['S3_FORCE_PATH_STYLE'] ? process.env['S3_FORCE_PATH_STYLE'] === 'true' : !!endpoint);
+        this.client = options.client || new S3Client({
+            region: options.region || process.env['REGION'] || 'eu-west-1',
+            ...(endpoint && { endpoint }),
+            ...(forcePathStyle && { forcePathStyle }),
+            ...(options.credentials && { credentials: options.credentials }),
+            ...(options.maxAttempts && { maxAttempts: options.maxAttempts }),
+            ...(options.retryMode && { retryMode: options.retryMode }),
+            ...(options.retryStrategy && { retryStrategy: options.retryStrategy })
         });
+        this.defaults = resolveWriteDefaults(options);
+        this.urlExpiry = resolveExpiry(options.urlExpiry ?? (Number(process.env['S3_URL_EXPIRY']) || DEFAULT_URL_EXPIRY));
+        // Parsed JSON objects by bucket/key; lives as long as the Lambda container
+        this.jsonCache = new Map();
     }
 
     handleError(error, methodName, options = {}) {
@@ -25,32 +67,142 @@ class StorageService {
         throw error;
     }
 
-    async listBucket(params) {
-        const command = new ListObjectsV2Command(params);
+    /**
+     * Presign a command; overridden by backends that do not sign real S3 requests
+     * @param {Object} command - S3 command
+     * @param {Object} options - getSignedUrl options
+     * @returns {Promise<string>} URL
+     */
+    signUrl(command, options) {
+        return getSignedUrl(this.client, command, options);
+    }
+
+    /**
+     * Sign a POST policy; overridden by backends that do not sign real S3 requests
+     * @param {Object} params - createPresignedPost parameters
+     * @returns {Promise<{url: string, fields: Object}>} Form target and fields
+     */
+    signPost(params) {
+        return presignPost(this.client, params);
+    }
+
+    /**
+     * Iterate over every entry under a prefix, following ContinuationToken across pages
+     * With a Delimiter, common prefixes (folders) are yielded as `prefix` entries
+     * @param {Object} params - ListObjectsV2Command parameters (Bucket, Prefix, Delimiter, ...)
+     * @param {Object} options - Options
+     * @param {string} options.pattern - Glob matched against the name relative to Prefix
+     * @returns {AsyncGenerator<{type: string, key: string, name: string, size: number, etag: string, lastModified: Date, storageClass: string}>} Entries
+     */
+    async *listObjects(params, options = {}) {
+        const prefix = params.Prefix || '';
+        const delimiter = params.Delimiter || '/';
+        const pattern = options.pattern ? globToRegExp(options.pattern) : null;
+        const matches = (entry) => !pattern || pattern.test(entry.name);
+        let continuationToken = params.ContinuationToken;
 
         try {
-            const data = await this.client.send(command);
-            return data.CommonPrefixes.map((commonPrefix) => {
-                return commonPrefix.Prefix.substring(params.Prefix.length).replace('/', '');
-            });
+            do {
+                const data = await this.client.send(new ListObjectsV2Command({ ...params, ContinuationToken: continuationToken }));
+                for (const commonPrefix of data.CommonPrefixes || []) {
+                    const name = commonPrefix.Prefix.substring(prefix.length);
+                    const entry = {
+                        type: 'prefix',
+                        key: commonPrefix.Prefix,
+                        name: name.endsWith(delimiter) ? name.slice(0, -delimiter.length) : name
+                    };
+                    if (matches(entry)) {
+                        yield entry;
+                    }
+                }
+                for (const object of data.Contents || []) {
+                    const entry = {
+                        type: 'object',
+                        key: object.Key,
+                        name: object.Key.substring(prefix.length),
+                        size: object.Size,
+                        etag: object.ETag,
+                        lastModified: object.LastModified,
+                        storageClass: object.StorageClass
+                    };
+                    // Skip the zero-byte marker some tools create for the folder itself
+                    if (entry.name !== '' && matches(entry)) {
+                        yield entry;
+                    }
+                }
+                continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+            } while (continuationToken);
         } catch (error) {
-            return this.handleError(error, 'listBucket', { fallback: [] });
+            this.handleError(error, 'listObjects');
         }
     }
 
-    async listFolder(params) {
-        const command = new ListObjectsV2Command(params);
+    /**
+     * List the folder names directly under a prefix
+     * @param {Object} params - ListObjectsV2Command parameters; Delimiter defaults to '/'
+     * @param {Object} options - Options (pattern)
+     * @returns {Promise<Array<string>>} Folder names relative to Prefix
+     */
+    async listBucket(params, options = {}) {
+        const names = [];
 
         try {
-            const data = await this.client.send(command);
-            return data.Contents.map((object) => {
-                return object.Key.substring(params.Prefix.length);
-            });
+            for await (const entry of this.listObjects({ Delimiter: '/', ...params }, options)) {
+                if (entry.type === 'prefix') {
+                    names.push(entry.name);
+                }
+            }
+            return names;
+        } catch (error) {
+            // Already logged by listObjects()
+            return [];
+        }
+    }
+
+    /**
+     * List the objects under a prefix
+     * @param {Object} params - ListObjectsV2Command parameters
+     * @param {Object} options - Options
+     * @param {string} options.pattern - Glob matched against the name relative to Prefix
+     * @param {boolean} options.details - Return entries with size, etag, lastModified and storageClass instead of names
+     * @returns {Promise<Array<string|Object>>} Object names relative to Prefix, or entries
+     */
+    async listFolder(params, options = {}) {
+        const objects = [];
+
+        try {
+            for await (const entry of this.listObjects(params, options)) {
+                if (entry.type === 'object') {
+                    objects.push(options.details ? entry : entry.name);
+                }
+            }
+            return objects;
         } catch (error) {
-            return this.handleError(error, 'listFolder', { fallback: [] });
+            // Already logged by listObjects()
+            return [];
         }
     }
 
+    /**
+     * List everything under a prefix as a folder tree
+     * @param {Object} params - ListObjectsV2Command parameters; any Delimiter is ignored
+     * @param {Object} options - Options (pattern, matched against the full relative path)
+     * @returns {Promise<{name: string, prefix: string, folders: Array, files: Array}>} Root folder
+     */
+    async listTree(params, options = {}) {
+        const { Delimiter, ...listParams } = params;
+        const entries = [];
+        for await (const entry of this.listObjects(listParams, options)) {
+            entries.push(entry);
+        }
+        return buildTree(params.Prefix || '', entries);
+    }
+
+    /**
+     * Read an object; pass VersionId to read an earlier version
+     * @param {Object} params - GetObjectCommand parameters
+     * @returns {Promise<Object|null>} GetObject response, or null when it cannot be read
+     */
     async getObject(params) {
         const command = new GetObjectCommand(params);
 
@@ -61,28 +213,237 @@ class StorageService {
         }
     }
 
-    async putObjectSignedUrl(params) {
-        const command = new PutObjectCommand(params);
+    /**
+     * Read and parse a JSON object, caching it for the lifetime of the container
+     * Once the TTL has passed the object is fetched again with If-None-Match, so an unchanged
+     * object costs a 304 instead of a download.
+     * @param {string} fileName - File name under ENVIRONMENT/SERVICE_NAME/, e.g. 'menu.json'
+     * @param {Object} options - Options
+     * @param {string} options.bucket - Bucket (default: S3_BUCKET)
+     * @param {string} options.key - Full key, bypassing S3_PATTERNS.getKey
+     * @param {string|number} options.ttl - CACHE_CONFIG key or seconds; 0 disables caching (default: 'DEFAULT_TTL')
+     * @param {boolean} options.refresh - Revalidate even if the cached copy is still fresh
+     * @param {boolean} options.clone - Return a copy callers may mutate (default: true)
+     * @param {Function} options.reviver - JSON.parse reviver
+     * @param {*} options.fallback - Value returned instead of throwing when the object cannot be read
+     * @returns {Promise<*>} Parsed value
+     * @throws {NotFoundError} When the object does not exist and no fallback is given
+     * @throws {JsonParseError} When the object is not valid JSON
+     */
+    async getJson(fileName, options = {}) {
+        const location = jsonLocation(fileName, options);
+        const cacheKey = `${location.Bucket}/${location.Key}`;
+        const ttl = cacheTtl(options.ttl);
+        const copy = (value) => (options.clone === false ? value : structuredClone(value));
+        const cached = this.jsonCache.get(cacheKey);
+
+        if (cached && cached.expiresAt > Date.now() && !options.refresh) {
+            return copy(cached.value);
+        }
 
+        let data;
         try {
-            return await getSignedUrl(this.client, command, { expiresIn: 3600 });
+            data = await this.client.send(new GetObjectCommand({
+                ...location,
+                ...(cached?.etag && { IfNoneMatch: cached.etag })
+            }));
+        } catch (error) {
+            if (cached && error.$metadata?.httpStatusCode === 304) {
+                cached.expiresAt = Date.now() + ttl;
+                return copy(cached.value);
+            }
+            this.jsonCache.delete(cacheKey);
+            const failure = error.name === 'NoSuchKey'
+                ? new NotFoundError(`Object ${location.Key} not found`, location)
+                : error;
+            return this.handleError(failure, 'getJson', { fallback: options.fallback });
+        }
+
+        const value = parseJson(await data.Body.transformToString(), location, options.reviver);
+        if (ttl > 0) {
+            this.jsonCache.set(cacheKey, { value, etag: data.ETag, expiresAt: Date.now() + ttl });
+        }
+        return copy(value);
+    }
+
+    /**
+     * Serialise and write a JSON object, refreshing this container's cached copy
+     * @param {string} fileName - File name under ENVIRONMENT/SERVICE_NAME/, e.g. 'menu.json'
+     * @param {*} value - Value to serialise
+     * @param {Object} options - Options (bucket, key, ttl as for getJson; tags, cacheControl and encryption as for putObject)
+     * @param {number} options.space - JSON.stringify indentation
+     * @param {Object} options.params - Extra PutObjectCommand parameters, e.g. CacheControl
+     * @returns {Promise<Object>} PutObject response
+     */
+    async putJson(fileName, value, options = {}) {
+        const location = jsonLocation(fileName, options);
+        const cacheKey = `${location.Bucket}/${location.Key}`;
+        const ttl = cacheTtl(options.ttl);
+
+        try {
+            const data = await this.client.send(new PutObjectCommand(writeParams({
+                ...options.params,
+                ...location,
+                Body: JSON.stringify(value, null, options.space),
+                ContentType: MEDIA_TYPES.JSON
+            }, this.defaults, options)));
+            if (ttl > 0 && data.ETag) {
+                this.jsonCache.set(cacheKey, { value: structuredClone(value), etag: data.ETag, expiresAt: Date.now() + ttl });
+            } else {
+                this.jsonCache.delete(cacheKey);
+            }
+            return data;
+        } catch (error) {
+            this.jsonCache.delete(cacheKey);
+            this.handleError(error, 'putJson');
+        }
+    }
+
+    /**
+     * Drop cached JSON objects
+     * @param {string} fileName - File name to drop (default: all)
+     * @param {Object} options - Options (bucket, key as for getJson)
+     */
+    clearJsonCache(fileName, options = {}) {
+        if (fileName === undefined && !options.key) {
+            this.jsonCache.clear();
+            return;
+        }
+        const location = jsonLocation(fileName, options);
+        this.jsonCache.delete(`${location.Bucket}/${location.Key}`);
+    }
+
+    /**
+     * Presign a PUT carrying the service's encryption parameters
+     * The encryption headers are signed, so the uploader must send them; pass `withHeaders` to get them.
+     * @param {Object} params - PutObjectCommand parameters
+     * @param {Object} options - Options
+     * @param {number} options.expiresIn - URL lifetime in seconds (default: the service's urlExpiry)
+     * @param {boolean} options.withHeaders - Return { url, headers } instead of the URL
+     * @param {string} options.serverSideEncryption - Per-call encryption override
+     * @param {string} options.kmsKeyId - Per-call KMS key
+     * @param {boolean} options.encrypt - false to rely on the bucket's default encryption
+     * @returns {Promise<string|{url: string, headers: Object}>} Presigned URL
+     */
+    async putObjectSignedUrl(params, options = {}) {
+        const command = new PutObjectCommand({ ...encryptionParams(this.defaults, options), ...params });
+
+        try {
+            const url = await this.signUrl(command, {
+                expiresIn: resolveExpiry(options.expiresIn, this.urlExpiry),
+                unhoistableHeaders: new Set(ENCRYPTION_HEADERS)
+            });
+            return options.withHeaders ? { url, headers: signedHeaders(command.input) } : url;
         } catch (error) {
             this.handleError(error, 'putObjectSignedUrl');
         }
     }
 
-    async getObjectSignedUrl(params) {
-        const command = new GetObjectCommand(params);
+    /**
+     * Presign a GET, optionally overriding the Content-Disposition and Content-Type S3 responds with
+     * @param {Object} params - GetObjectCommand parameters
+     * @param {Object} options - Options
+     * @param {number} options.expiresIn - URL lifetime in seconds (default: the service's urlExpiry)
+     * @param {string} options.disposition - 'attachment' to force a download or 'inline' to display
+     * @param {string} options.fileName - File name offered to the browser (implies 'attachment')
+     * @param {string} options.contentType - Content-Type to respond with
+     * @returns {Promise<string>} Presigned URL
+     */
+    async getObjectSignedUrl(params, options = {}) {
+        const command = new GetObjectCommand({
+            ...((options.disposition || options.fileName) && {
+                ResponseContentDisposition: contentDisposition(options.disposition, options.fileName)
+            }),
+            ...(options.contentType && { ResponseContentType: options.contentType }),
+            ...params
+        });
 
         try {
-            return await getSignedUrl(this.client, command, { expiresIn: 3600 });
+            return await this.signUrl(command, { expiresIn: resolveExpiry(options.expiresIn, this.urlExpiry) });
         } catch (error) {
             this.handleError(error, 'getObjectSignedUrl');
         }
     }
 
-    async putObject(params) {
-        const command = new PutObjectCommand(params);
+    /**
+     * Create a presigned POST policy for browser uploads
+     * The policy limits the size with content-length-range and pins the Content-Type, encryption and
+     * Cache-Control fields, so S3 rejects uploads that do not match. With an identityId the key is
+     * scoped to ENVIRONMENT/SERVICE_NAME/<folder>/<identityId>/<Key>.
+     *
+     * @example
+     * const post = await storage.createPresignedPost(
+     *     { Bucket, Key: 'profile.png', ContentType: 'image/png' },
+     *     { policy: 'avatar', identityId: storage.identityId(event) }
+     * );
+     * // The browser posts multipart/form-data with post.fields, then the file, to post.url
+     *
+     * @param {Object} params - Parameters
+     * @param {string} params.Bucket - Bucket
+     * @param {string} params.Key - Key, or the file name when scoped to an identity
+     * @param {string} params.ContentType - Content type the client will upload
+     * @param {Object} params.Fields - Extra form fields
+     * @param {Array} params.Conditions - Extra policy conditions
+     * @param {Object} options - Options
+     * @param {string} options.policy - Preset from UPLOAD_POLICIES, e.g. 'avatar' or 'document'
+     * @param {number} options.maxSize - Largest upload in bytes (default: FILE_LIMITS.MAX_UPLOAD_SIZE)
+     * @param {number} options.minSize - Smallest upload in bytes (default: 1)
+     * @param {Array<string>} options.contentTypes - Allowed content types; `image/*` allows a family
+     * @param {string} options.identityId - Cognito identity to scope the key to
+     * @param {string} options.folder - Folder above the identity (default: 'private')
+     * @param {number} options.expiresIn - Policy lifetime in seconds (default: the service's urlExpiry)
+     * @returns {Promise<{url: string, fields: Object, key: string, expiresAt: Date}>} Form target and fields
+     */
+    async createPresignedPost(params, options = {}) {
+        if (options.policy && !UPLOAD_POLICIES[options.policy]) {
+            throw new ValidationError(`Unknown upload policy '${options.policy}'`, { allowed: Object.keys(UPLOAD_POLICIES) });
+        }
+        const settings = { ...UPLOAD_POLICIES[options.policy], ...options };
+        const { Bucket, Key, ContentType, Fields = {}, Conditions = [] } = params;
+        const key = 'identityId' in options ? scopedKey(settings.identityId, Key, settings) : Key;
+        const expiresIn = resolveExpiry(settings.expiresIn, this.urlExpiry);
+        const conditions = [...Conditions, ['content-length-range', settings.minSize ?? 1, settings.maxSize ?? FILE_LIMITS.MAX_UPLOAD_SIZE]];
+
+        if (settings.contentTypes) {
+            if (ContentType && !contentTypeAllowed(ContentType, settings.contentTypes)) {
+                throw new ValidationError(`Content type '${ContentType}' is not allowed`, { allowed: settings.contentTypes });
+            }
+            if (!ContentType) {
+                // A policy can only match one exact type or one prefix, so a list needs the type up front
+                const family = settings.contentTypes.length === 1 && settings.contentTypes[0].endsWith('/*');
+                if (!family) {
+                    throw new ValidationError('ContentType is required when several content types are allowed', { allowed: settings.contentTypes });
+                }
+                conditions.push(['starts-with', '$Content-Type', settings.contentTypes[0].slice(0, -1)]);
+            }
+        }
+
+        const encryption = encryptionParams(this.defaults, settings);
+        const fields = {
+            ...(ContentType && { 'Content-Type': ContentType }),
+            ...(this.defaults.cacheControl && { 'Cache-Control': this.defaults.cacheControl }),
+            ...(encryption.ServerSideEncryption && { 'x-amz-server-side-encryption': encryption.ServerSideEncryption }),
+            ...(encryption.SSEKMSKeyId && { 'x-amz-server-side-encryption-aws-kms-key-id': encryption.SSEKMSKeyId }),
+            ...(encryption.BucketKeyEnabled !== undefined && { 'x-amz-server-side-encryption-bucket-key-enabled': String(encryption.BucketKeyEnabled) }),
+            ...Fields
+        };
+
+        try {
+            const data = await this.signPost({ Bucket, Key: key, Conditions: conditions, Fields: fields, Expires: expiresIn });
+            return { url: data.url, fields: data.fields, key, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+        } catch (error) {
+            this.handleError(error, 'createPresignedPost');
+        }
+    }
+
+    /**
+     * Write an object with the service's encryption, tag, Cache-Control and Content-Type defaults
+     * @param {Object} params - PutObjectCommand parameters; explicit values win over the defaults
+     * @param {Object} options - Per-call overrides (tags, cacheControl, serverSideEncryption, kmsKeyId, encrypt)
+     * @returns {Promise<Object>} PutObject response
+     */
+    async putObject(params, options = {}) {
+        const command = new PutObjectCommand(writeParams(params, this.defaults, options));
 
         try {
             return await this.client.send(command);
@@ -101,6 +462,132 @@ class StorageService {
         }
     }
 
+    /**
+     * Copy an object server-side (up to 5 GB)
+     * The copy is encrypted with the service defaults; tags and metadata are copied from the source.
+     * @param {Object} params - CopyObjectCommand parameters; CopySource may be { Bucket, Key, VersionId }
+     * @param {Object} options - Per-call encryption overrides (serverSideEncryption, kmsKeyId, encrypt)
+     * @returns {Promise<Object>} CopyObject response
+     */
+    async copyObject(params, options = {}) {
+        const command = new CopyObjectCommand({
+            ...encryptionParams(this.defaults, options),
+            ...params,
+            CopySource: typeof params.CopySource === 'object' ? copySource(params.CopySource) : params.CopySource
+        });
+
+        try {
+            return await this.client.send(command);
+        } catch (error) {
+            this.handleError(error, 'copyObject');
+        }
+    }
+
+    /**
+     * Move an object by copying it and then deleting the source
+     * The destination is complete before the source goes away, so the object is always readable at one of the two keys.
+     * @param {{Bucket: string, Key: string, VersionId: string}} source - Source object
+     * @param {Object} destination - CopyObjectCommand parameters for the destination (Bucket, Key, ...)
+     * @returns {Promise<Object>} CopyObject response
+     */
+    async moveObject(source, destination) {
+        const data = await this.copyObject({ Bucket: source.Bucket, ...destination, CopySource: source });
+        // Deleting without VersionId leaves a delete marker, so a versioned source can still be recovered
+        await this.deleteObject({ Bucket: source.Bucket, Key: source.Key });
+        return data;
+    }
+
+    /**
+     * Delete many objects, batched to MAX_DELETE_BATCH keys per request
+     * Per-key failures do not throw; they are returned in `errors`.
+     * @param {Object} params - Parameters
+     * @param {string} params.Bucket - Bucket
+     * @param {Array<string|{Key: string, VersionId: string}>} params.Objects - Keys or key/version pairs
+     * @returns {Promise<{deleted: Array<Object>, errors: Array<Object>}>} Deleted keys and failures
+     */
+    async deleteObjects(params) {
+        const { Objects = [], ...deleteParams } = params;
+        const objects = Objects.map((object) => (typeof object === 'string' ? { Key: object } : object));
+        const result = { deleted: [], errors: [] };
+
+        try {
+            for (let offset = 0; offset < objects.length; offset += MAX_DELETE_BATCH) {
+                const data = await this.client.send(new DeleteObjectsCommand({
+                    ...deleteParams,
+                    Delete: { Objects: objects.slice(offset, offset + MAX_DELETE_BATCH), Quiet: false }
+                }));
+                result.deleted.push(...(data.Deleted || []));
+                result.errors.push(...(data.Errors || []));
+            }
+            return result;
+        } catch (error) {
+            this.handleError(error, 'deleteObjects');
+        }
+    }
+
+    /**
+     * List every version and delete marker under a prefix, following the key and version markers
+     * @param {Object} params - ListObjectVersionsCommand parameters (Bucket, Prefix, ...)
+     * @param {Object} options - Options
+     * @param {string} options.key - Only return versions of this exact key
+     * @returns {Promise<Array<Object>>} Entries with { key, versionId, isLatest, isDeleteMarker, lastModified, size, etag, storageClass }, newest first per key
+     */
+    async listObjectVersions(params, options = {}) {
+        const versions = [];
+        let markers = { KeyMarker: params.KeyMarker, VersionIdMarker: params.VersionIdMarker };
+
+        try {
+            do {
+                const data = await this.client.send(new ListObjectVersionsCommand({ ...params, ...markers }));
+                versions.push(...versionEntries(data));
+                markers = data.IsTruncated
+                    ? { KeyMarker: data.NextKeyMarker, VersionIdMarker: data.NextVersionIdMarker }
+                    : null;
+            } while (markers);
+        } catch (error) {
+            this.handleError(error, 'listObjectVersions');
+        }
+
+        return versions
+            .filter((version) => options.key === undefined || version.key === options.key)
+            .sort((a, b) => a.key.localeCompare(b.key) || newestFirst(a, b));
+    }
+
+    /**
+     * Restore an earlier version of an object by copying it over the current one
+     * The rollback itself becomes a new version, so it can be rolled back in turn. When the latest
+     * version is a delete marker, the newest real version is restored.
+     * @param {{Bucket: string, Key: string}} params - Object to roll back
+     * @param {Object} options - Options
+     * @param {string} options.versionId - Version to restore (default: the one before the latest)
+     * @returns {Promise<{versionId: string, restoredVersionId: string}>} New version and the version it copies
+     * @throws {NotFoundError} When there is no earlier version to restore
+     */
+    async rollback(params, options = {}) {
+        const versions = await this.listObjectVersions({ Bucket: params.Bucket, Prefix: params.Key }, { key: params.Key });
+        const [latest, ...earlier] = versions;
+        const target = options.versionId
+            ? versions.find((version) => version.versionId === options.versionId && !version.isDeleteMarker)
+            : earlier.find((version) => !version.isDeleteMarker);
+
+        if (!latest || !target) {
+            const error = new NotFoundError(`No earlier version of ${params.Key} to restore`, {
+                Bucket: params.Bucket,
+                Key: params.Key,
+                VersionId: options.versionId
+            });
+            return this.handleError(error, 'rollback');
+        }
+
+        const data = await this.copyObject({
+            Bucket: params.Bucket,
+            Key: params.Key,
+            CopySource: { Bucket: params.Bucket, Key: params.Key, VersionId: target.versionId }
+        });
+        this.clearJsonCache(undefined, { bucket: params.Bucket, key: params.Key });
+        return { versionId: data.VersionId, restoredVersionId: target.versionId };
+    }
+
     async selectObjectContent(params) {
         const command = new SelectObjectContentCommand(params);
 
@@ -111,6 +598,27 @@ class StorageService {
         }
     }
 
+    /**
+     * Run a parameterized S3 Select query and read every result row
+     * @param {Object} params - Bucket, Key and any other SelectObjectContentCommand parameters
+     * @param {SelectQuery} query - Query to run
+     * @param {Object} options - readSelectStream options (onRow, onProgress, collect)
+     * @returns {Promise<{rows: Array<Object>, rowCount: number, stats: Object}>} Rows and byte stats
+     */
+    async select(params, query, options = {}) {
+        const command = new SelectObjectContentCommand({
+            ...query.build(params),
+            ...(options.onProgress && { RequestProgress: { Enabled: true } })
+        });
+
+        try {
+            const data = await this.client.send(command);
+            return await readSelectStream(data.Payload, { ...options, location: { Bucket: params.Bucket, Key: params.Key } });
+        } catch (error) {
+            this.handleError(error, 'select');
+        }
+    }
+
     async headObject(params) {
         const command = new HeadObjectCommand(params);
 
@@ -121,6 +629,112 @@ class StorageService {
         }
     }
 
+    async createMultipartUpload(params, options = {}) {
+        const command = new CreateMultipartUploadCommand(writeParams(params, this.defaults, options));
+
+        try {
+            return await this.client.send(command);
+        } catch (error) {
+            this.handleError(error, 'createMultipartUpload');
+        }
+    }
+
+    async uploadPart(params) {
+        const command = new UploadPartCommand(params);
+
+        try {
+            return await this.client.send(command);
+        } catch (error) {
+            this.handleError(error, 'uploadPart');
+        }
+    }
+
+    async completeMultipartUpload(params) {
+        const command = new CompleteMultipartUploadCommand(params);
+
+        try {
+            return await this.client.send(command);
+        } catch (error) {
+            this.handleError(error, 'completeMultipartUpload');
+        }
+    }
+
+    async abortMultipartUpload(params) {
+        const command = new AbortMultipartUploadCommand(params);
+
+        try {
+            return await this.client.send(command);
+        } catch (error) {
+            this.handleError(error, 'abortMultipartUpload');
+        }
+    }
+
+    /**
+     * List every part already uploaded, following PartNumberMarker
+     * @param {Object} params - Bucket, Key and UploadId
+     * @returns {Promise<Array<{PartNumber: number, ETag: string, Size: number}>>} Uploaded parts
+     */
+    async listParts(params) {
+        const parts = [];
+        let partNumberMarker;
+
+        try {
+            do {
+                const data = await this.client.send(new ListPartsCommand({ ...params, PartNumberMarker: partNumberMarker }));
+                parts.push(...(data.Parts || []));
+                partNumberMarker = data.IsTruncated ? data.NextPartNumberMarker : undefined;
+            } while (partNumberMarker);
+            return parts;
+        } catch (error) {
+            this.handleError(error, 'listParts');
+        }
+    }
+
+    /**
+     * Upload a body of any size: a single PutObject up to FILE_LIMITS.MAX_UPLOAD_SIZE, multipart above it or for streams
+     * @param {Object} params - PutObjectCommand parameters; Body may be a Buffer, string or readable stream
+     * @param {Object} options - MultipartUploader options (partSize, concurrency, threshold, totalBytes, uploadId, resumable, onProgress)
+     * @returns {Promise<Object>} Bucket, Key, ETag and, for multipart uploads, Location and UploadId
+     */
+    async upload(params, options = {}) {
+        return new MultipartUploader(this, options).upload(params);
+    }
+
+    /**
+     * Start a multipart upload and presign one PUT URL per part, so a browser can upload a large file directly
+     * The client PUTs each slice of `partSize` bytes to its URL, keeps the ETag response header
+     * (the bucket CORS rules must expose ETag) and sends the parts back to be completed with
+     * completeMultipartUpload(); abortMultipartUpload() cleans up an abandoned upload.
+     * @param {Object} params - CreateMultipartUploadCommand parameters (Bucket, Key, ContentType, ...)
+     * @param {Object} options - Options
+     * @param {number} options.size - File size in bytes
+     * @param {number} options.partSize - Part size in bytes (default: FILE_LIMITS.MULTIPART_PART_SIZE)
+     * @param {number} options.expiresIn - URL lifetime in seconds (default: the service's urlExpiry)
+     * @returns {Promise<{uploadId: string, bucket: string, key: string, partSize: number, expiresIn: number, parts: Array<{partNumber: number, url: string}>}>} Upload details
+     */
+    async createPresignedMultipartUpload(params, options = {}) {
+        const partSize = resolvePartSize(options.partSize ?? FILE_LIMITS.MULTIPART_PART_SIZE, options.size);
+        const partCount = Math.max(1, Math.ceil((options.size || 0) / partSize));
+        const expiresIn = resolveExpiry(options.expiresIn, this.urlExpiry);
+        const { UploadId } = await this.createMultipartUpload(params);
+
+        try {
+            const parts = await Promise.all(Array.from({ length: partCount }, async (_, index) => ({
+                partNumber: index + 1,
+                url: await this.signUrl(new UploadPartCommand({
+                    Bucket: params.Bucket,
+                    Key: params.Key,
+                    UploadId,
+                    PartNumber: index + 1
+                }), { expiresIn })
+            })));
+            return { uploadId: UploadId, bucket: params.Bucket, key: params.Key, partSize, expiresIn, parts };
+        } catch (error) {
+            await this.abortMultipartUpload({ Bucket: params.Bucket, Key: params.Key, UploadId }).catch(() => undefined);
+            this.handleError(error, 'createPresignedMultipartUpload');
+        }
+    }
+
      async operation(action, object, data) {
         const bucketName = process.env['S3_BUCKET'];
         const key = `${process.env['ENVIRONMENT']}/${process.env['SERVICE_NAME']}/${object}.json`;
@@ -133,7 +747,7 @@ class StorageService {
                         Bucket: bucketName,
                         Key: key
                     }
-                    response = await getObject(params);
+                    response = await this.getObject(params);
                     break;
                 case 'putObject':
                     params = {
@@ -142,16 +756,20 @@ class StorageService {
                         Body: JSON.stringify(data),
                         ContentType: 'application/json',
                     }
-                    response = await putObject(params);
+                    response = await this.putObject(params);
                     break;
                 case 'deleteObject':
                     params = {
                         Bucket: bucketName,
                         Key: key
                     }
-                    response = await deleteObject(params);
+                    response = await this.deleteObject(params);
                     break;
                 case 'selectObjectContent':
+                    if (data instanceof SelectQuery) {
+                        response = await this.select({ Bucket: bucketName, Key: key }, data);
+                        break;
+                    }
                     params = {
                         Bucket: bucketName,
                         Key: key,
@@ -167,7 +785,7 @@ class StorageService {
                             JSON: {}
                         }
                     }
-                    response = await selectObjectContent(params);
+                    response = await this.selectObjectContent(params);
                     break;
                 default:
                     break;
@@ -179,18 +797,112 @@ class StorageService {
     }
 }
 
-// Export a singleton instance
-const storageService = new StorageService();
-export const listBucket = (params) => storageService.listBucket(params);
-export const listFolder = (params) => storageService.listFolder(params);
+/**
+ * StorageService backed by a local directory, for serverless-offline, data scripts and tests
+ * Buckets are sub-directories of the root, so `<root>/<S3_BUCKET>/dev/core/menu.json` is served
+ * for the key `dev/core/menu.json`. Presigned URLs point at the files (file://) or, with a base
+ * URL, at a local HTTP server that serves the root.
+ *
+ * @example
+ * const storage = new FileSystemStorageService({ root: '.s3' });
+ * await storage.seed('myapp-api-data', { 'dev/core/menu.json': menus });
+ * setStorageService(storage);
+ */
+class FileSystemStorageService extends StorageService {
+    /**
+     * @param {Object} options - StorageService options plus the following
+     * @param {string} options.root - Directory holding one sub-directory per bucket (default: S3_LOCAL_DIR or .s3)
+     * @param {string} options.baseUrl - Base URL for presigned URLs instead of file:// (default: S3_LOCAL_URL)
+     */
+    constructor(options = {}) {
+        super({ ...options, client: new FileSystemS3Client(options) });
+        this.baseUrl = options.baseUrl ?? process.env['S3_LOCAL_URL'];
+    }
+
+    async signUrl(command) {
+        const { UploadId, PartNumber } = command.input;
+        const url = this.client.url(command.input, this.baseUrl);
+        return UploadId ? `${url}?partNumber=${PartNumber}&uploadId=${UploadId}` : url;
+    }
+
+    async signPost(params) {
+        return {
+            url: this.client.url({ Bucket: params.Bucket }, this.baseUrl),
+            fields: { ...params.Fields, key: params.Key }
+        };
+    }
+
+    seed(bucket, objects) {
+        return this.client.seed(bucket, objects);
+    }
+
+    reset() {
+        this.jsonCache.clear();
+        return this.client.reset();
+    }
+}
+
+// Export a singleton instance; S3_LOCAL_DIR switches it to a local directory, e.g. under serverless-offline
+let storageService = process.env['S3_LOCAL_DIR'] ? new FileSystemStorageService() : new StorageService();
+
+/**
+ * Replace the instance used by the exported functions, e.g. with a mock in tests
+ * @param {StorageService} service - New default instance
+ * @returns {StorageService} Previous default instance, to restore afterwards
+ */
+export const setStorageService = (service) => {
+    const previous = storageService;
+    storageService = service;
+    return previous;
+};
+export const getStorageService = () => storageService;
+
+/**
+ * Create a StorageService, e.g. against MinIO or with a custom client
+ * @param {Object} options - StorageService options
+ * @returns {StorageService} New instance; pass it to setStorageService() to make it the default
+ */
+export const createStorageService = (options = {}) => new StorageService(options);
+
+export const listObjects = (params, options) => storageService.listObjects(params, options);
+export const listBucket = (params, options) => storageService.listBucket(params, options);
+export const listFolder = (params, options) => storageService.listFolder(params, options);
+export const listTree = (params, options) => storageService.listTree(params, options);
 export const getObject = (params) => storageService.getObject(params);
-export const putObjectSignedUrl = (params) => storageService.putObjectSignedUrl(params);
-export const getObjectSignedUrl = (params) => storageService.getObjectSignedUrl(params);
-export const putObject = (params) => storageService.putObject(params);
+export const getJson = (fileName, options) => storageService.getJson(fileName, options);
+export const putJson = (fileName, value, options) => storageService.putJson(fileName, value, options);
+export const clearJsonCache = (fileName, options) => storageService.clearJsonCache(fileName, options);
+export const putObjectSignedUrl = (params, options) => storageService.putObjectSignedUrl(params, options);
+export const getObjectSignedUrl = (params, options) => storageService.getObjectSignedUrl(params, options);
+export const createPresignedPost = (params, options) => storageService.createPresignedPost(params, options);
+export const putObject = (params, options) => storageService.putObject(params, options);
 export const deleteObject = (params) => storageService.deleteObject(params);
+export const copyObject = (params, options) => storageService.copyObject(params, options);
+export const moveObject = (source, destination) => storageService.moveObject(source, destination);
+export const deleteObjects = (params) => storageService.deleteObjects(params);
+export const listObjectVersions = (params, options) => storageService.listObjectVersions(params, options);
+export const rollback = (params, options) => storageService.rollback(params, options);
 export const selectObjectContent = (params) => storageService.selectObjectContent(params);
+export const select = (params, query, options) => storageService.select(params, query, options);
 export const headObject = (params) => storageService.headObject(params);
+export const createMultipartUpload = (params, options) => storageService.createMultipartUpload(params, options);
+export const uploadPart = (params) => storageService.uploadPart(params);
+export const completeMultipartUpload = (params) => storageService.completeMultipartUpload(params);
+export const abortMultipartUpload = (params) => storageService.abortMultipartUpload(params);
+export const listParts = (params) => storageService.listParts(params);
+export const upload = (params, options) => storageService.upload(params, options);
+export const createPresignedMultipartUpload = (params, options) => storageService.createPresignedMultipartUpload(params, options);
 export const operation = (action, object, data) => storageService.operation(action, object, data);
 
+export { MultipartUploader } from './multipart.js';
+export { FileSystemS3Client } from './filesystem.js';
+export { globToRegExp } from './listing.js';
+export { JsonParseError } from './json.js';
+export { copySource } from './version.js';
+export { contentTypeFor } from './defaults.js';
+export { UPLOAD_POLICIES, identityId, scopedKey } from './presign.js';
+export { SelectQuery, SelectStreamError, where, literal, readSelectStream } from './select.js';
+export { FileSystemStorageService };
+
 // Also export as default for backward compatibility
 export default StorageService;
\ No newline at end of file
@@ -0,0 +1,50 @@
+import { CACHE_CONFIG, S3_PATTERNS } from "@myorg/constants";
+import { createErrorClass, ValidationError } from "@myorg/error";
+
+/**
+ * Raised when an object read as JSON does not parse; `details` carries Bucket, Key and the parser message
+ */
+export const JsonParseError = createErrorClass('JsonParseError', 'Object is not valid JSON', 502);
+
+/**
+ * Resolve the bucket and key of a JSON object
+ * @param {string} fileName - File name under ENVIRONMENT/SERVICE_NAME/, e.g. 'menu.json'
+ * @param {Object} options - Options
+ * @param {string} options.bucket - Bucket (default: S3_BUCKET)
+ * @param {string} options.key - Full key, bypassing S3_PATTERNS.getKey
+ * @returns {{Bucket: string, Key: string}} Location
+ */
+export const jsonLocation = (fileName, options = {}) => ({
+    Bucket: options.bucket || process.env['S3_BUCKET'],
+    Key: options.key || S3_PATTERNS.getKey(fileName)
+});
+
+/**
+ * Resolve a cache TTL to milliseconds
+ * @param {string|number} ttl - CACHE_CONFIG key or seconds; 0 disables caching (default: 'DEFAULT_TTL')
+ * @returns {number} TTL in milliseconds
+ */
+export const cacheTtl = (ttl = 'DEFAULT_TTL') => {
+    if (typeof ttl === 'string') {
+        if (!(ttl in CACHE_CONFIG)) {
+            throw new ValidationError(`Unknown TTL '${ttl}'`, { allowed: Object.keys(CACHE_CONFIG) });
+        }
+        return CACHE_CONFIG[ttl] * 1000;
+    }
+    return Math.max(0, ttl) * 1000;
+};
+
+/**
+ * Parse an object body, raising JsonParseError with its location when it is malformed
+ * @param {string} text - Object body
+ * @param {{Bucket: string, Key: string}} location - Object location, for the error
+ * @param {Function} reviver - Optional JSON.parse reviver
+ * @returns {*} Parsed value
+ */
+export const parseJson = (text, location, reviver) => {
+    try {
+        return JSON.parse(text, reviver);
+    } catch (error) {
+        throw new JsonParseError(`Object ${location.Key} is not valid JSON`, { ...location, reason: error.message });
+    }
+};
@@ -0,0 +1,68 @@
+/**
+ * Helpers for walking S3 listings: glob matching on relative keys and tree building
+ */
+
+/**
+ * Compile a glob into a regular expression matched against keys relative to the listed prefix
+ * `*` and `?` stop at `/`, `**` crosses folders and `{a,b}` matches either alternative
+ * @param {string} pattern - Glob such as `*.json`, `**\/2024-*.csv` or `{menu,promotion}.json`
+ * @returns {RegExp} Anchored regular expression
+ */
+export const globToRegExp = (pattern) => {
+    let source = '';
+    let inGroup = false;
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '*' && pattern[index + 1] === '*') {
+            // `**/` also matches no folder at all
+            const slash = pattern[index + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            index += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            inGroup = true;
+            source += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            source += ')';
+        } else if (char === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Nest object entries into folders by `/`
+ * @param {string} prefix - Listed prefix
+ * @param {Array<Object>} entries - Object entries with a relative `name`
+ * @returns {{name: string, prefix: string, folders: Array, files: Array}} Root folder
+ */
+export const buildTree = (prefix, entries) => {
+    const root = { name: '', prefix, folders: [], files: [] };
+    const folders = new Map([['', root]]);
+
+    entries.forEach((entry) => {
+        const segments = entry.name.split('/');
+        let parent = root;
+        let path = '';
+        segments.slice(0, -1).forEach((segment) => {
+            path = `${path}${segment}/`;
+            if (!folders.has(path)) {
+                const folder = { name: segment, prefix: `${prefix}${path}`, folders: [], files: [] };
+                folders.set(path, folder);
+                parent.folders.push(folder);
+            }
+            parent = folders.get(path);
+        });
+        if (segments[segments.length - 1] !== '') {
+            parent.files.push({ ...entry, name: segments[segments.length - 1] });
+        }
+    });
+    return root;
+};
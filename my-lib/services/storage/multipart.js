@@ -0,0 +1,206 @@
+import { FILE_LIMITS } from "@myorg/constants";
+import { ValidationError } from "@myorg/error";
+
+// S3 limits: every part except the last must be at least 5 MB, and an upload has at most 10,000 parts
+export const MIN_PART_SIZE = 5 * 1024 * 1024;
+export const MAX_PARTS = 10000;
+
+/**
+ * Pick a part size that respects the S3 minimum and keeps the upload within MAX_PARTS
+ * @param {number} requested - Requested part size in bytes
+ * @param {number} totalBytes - Total size when known
+ * @returns {number} Part size in bytes
+ */
+export const resolvePartSize = (requested = FILE_LIMITS.MULTIPART_PART_SIZE, totalBytes) => {
+    if (!Number.isInteger(requested) || requested < MIN_PART_SIZE) {
+        throw new ValidationError(`Part size must be an integer of at least ${MIN_PART_SIZE} bytes`, { partSize: requested });
+    }
+    return totalBytes ? Math.max(requested, Math.ceil(totalBytes / MAX_PARTS)) : requested;
+};
+
+const bodyLength = (body) => {
+    if (typeof body === 'string') {
+        return Buffer.byteLength(body);
+    }
+    return body instanceof Uint8Array ? body.length : undefined;
+};
+
+/**
+ * Split a body into parts of exactly `partSize` bytes (the last one may be shorter)
+ * @param {Buffer|Uint8Array|string|AsyncIterable} body - In-memory body or stream
+ * @param {number} partSize - Part size in bytes
+ * @returns {AsyncGenerator<Buffer>} Parts in order
+ */
+async function* readParts(body, partSize) {
+    if (typeof body === 'string' || body instanceof Uint8Array) {
+        const buffer = Buffer.from(body);
+        for (let offset = 0; offset < buffer.length; offset += partSize) {
+            yield buffer.subarray(offset, offset + partSize);
+        }
+        return;
+    }
+    if (!body || typeof body[Symbol.asyncIterator] !== 'function') {
+        throw new ValidationError('Body must be a Buffer, Uint8Array, string or async iterable stream');
+    }
+
+    let buffered = [];
+    let size = 0;
+    for await (const chunk of body) {
+        const data = Buffer.from(chunk);
+        buffered.push(data);
+        size += data.length;
+        while (size >= partSize) {
+            const joined = Buffer.concat(buffered);
+            yield joined.subarray(0, partSize);
+            const rest = joined.subarray(partSize);
+            buffered = rest.length > 0 ? [rest] : [];
+            size = rest.length;
+        }
+    }
+    if (size > 0) {
+        yield Buffer.concat(buffered);
+    }
+}
+
+/**
+ * Multipart upload with bounded concurrency, progress reporting and resume
+ *
+ * Progress callbacks receive the upload state (uploadId, partSize and completed parts). Persist it
+ * and pass `uploadId` and `partSize` back to continue after a failure: parts already in S3 are
+ * skipped. Uploads started without an uploadId are aborted on failure unless `resumable` is set.
+ *
+ * @example
+ * const result = await storage.upload({ Bucket, Key, Body: stream, ContentType: 'text/csv' }, {
+ *     onProgress: (progress) => console.log(progress.loadedBytes, progress.totalBytes)
+ * });
+ */
+export class MultipartUploader {
+    /**
+     * @param {Object} storage - StorageService used for the S3 calls
+     * @param {Object} options - Options
+     * @param {number} options.partSize - Part size in bytes (default: FILE_LIMITS.MULTIPART_PART_SIZE)
+     * @param {number} options.concurrency - Parts uploaded in parallel (default: 4)
+     * @param {number} options.threshold - In-memory bodies up to this size use a single PutObject (default: FILE_LIMITS.MAX_UPLOAD_SIZE)
+     * @param {number} options.totalBytes - Total size of a streamed body, for progress and part sizing
+     * @param {string} options.uploadId - Existing upload to resume
+     * @param {boolean} options.resumable - Keep the upload on failure so it can be resumed
+     * @param {Function} options.onProgress - Called after each part with { uploadId, bucket, key, partSize, loadedBytes, totalBytes, parts }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.options = options;
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.threshold = options.threshold ?? FILE_LIMITS.MAX_UPLOAD_SIZE;
+    }
+
+    /**
+     * Upload a body, using a single PutObject when it is small enough
+     * @param {Object} params - PutObjectCommand parameters with Body
+     * @returns {Promise<{Bucket: string, Key: string, ETag: string, Location: string, UploadId: string}>} Upload result
+     */
+    async upload(params) {
+        const { Body, ...objectParams } = params;
+        const totalBytes = bodyLength(Body) ?? this.options.totalBytes;
+
+        if (!this.options.uploadId && bodyLength(Body) !== undefined && totalBytes <= this.threshold) {
+            const data = await this.storage.putObject(params);
+            this.report({ uploadId: null, partSize: totalBytes, loadedBytes: totalBytes, totalBytes, parts: [] });
+            return { Bucket: params.Bucket, Key: params.Key, ETag: data?.ETag };
+        }
+
+        const partSize = resolvePartSize(this.options.partSize ?? FILE_LIMITS.MULTIPART_PART_SIZE, totalBytes);
+        const uploadId = this.options.uploadId
+            || (await this.storage.createMultipartUpload(objectParams)).UploadId;
+        const state = { uploadId, bucket: params.Bucket, key: params.Key, partSize, loadedBytes: 0, totalBytes, parts: [] };
+
+        try {
+            await this.uploadParts(Body, state);
+            if (state.parts.length === 0) {
+                // An empty stream yields no part and S3 cannot complete an upload without one
+                await this.storage.abortMultipartUpload({ Bucket: params.Bucket, Key: params.Key, UploadId: uploadId });
+                const data = await this.storage.putObject({ ...objectParams, Body: '' });
+                this.report({ ...state, uploadId: null, totalBytes: 0 });
+                return { Bucket: params.Bucket, Key: params.Key, ETag: data?.ETag };
+            }
+            const data = await this.storage.completeMultipartUpload({
+                Bucket: params.Bucket,
+                Key: params.Key,
+                UploadId: uploadId,
+                MultipartUpload: { Parts: state.parts.map(({ PartNumber, ETag }) => ({ PartNumber, ETag })) }
+            });
+            return { Bucket: params.Bucket, Key: params.Key, ETag: data.ETag, Location: data.Location, UploadId: uploadId };
+        } catch (error) {
+            if (!this.options.uploadId && !this.options.resumable) {
+                await this.storage.abortMultipartUpload({ Bucket: params.Bucket, Key: params.Key, UploadId: uploadId })
+                    .catch(() => undefined);
+            }
+            error.uploadId = uploadId;
+            error.partSize = partSize;
+            throw error;
+        }
+    }
+
+    async uploadParts(body, state) {
+        const existing = this.options.uploadId
+            ? new Map((await this.storage.listParts({ Bucket: state.bucket, Key: state.key, UploadId: state.uploadId }))
+                .map((part) => [part.PartNumber, part]))
+            : new Map();
+        const inFlight = new Set();
+        let failure = null;
+        let partNumber = 0;
+
+        for await (const part of readParts(body, state.partSize)) {
+            if (failure) {
+                break;
+            }
+            partNumber++;
+            if (partNumber > MAX_PARTS) {
+                failure = new ValidationError(`Upload needs more than ${MAX_PARTS} parts; increase partSize or pass totalBytes`);
+                break;
+            }
+            const uploaded = existing.get(partNumber);
+            if (uploaded && uploaded.Size === part.length) {
+                this.completePart(state, { PartNumber: partNumber, ETag: uploaded.ETag }, part.length);
+                continue;
+            }
+
+            const number = partNumber;
+            const task = this.storage.uploadPart({
+                Bucket: state.bucket,
+                Key: state.key,
+                UploadId: state.uploadId,
+                PartNumber: number,
+                Body: part,
+                ContentLength: part.length
+            })
+                .then((data) => this.completePart(state, { PartNumber: number, ETag: data.ETag }, part.length))
+                // Recorded instead of rejected, so a failing part never becomes an unhandled rejection
+                .catch((error) => {
+                    failure = failure || error;
+                })
+                .finally(() => inFlight.delete(task));
+            inFlight.add(task);
+            if (inFlight.size >= this.concurrency) {
+                await Promise.race(inFlight);
+            }
+        }
+
+        await Promise.all(inFlight);
+        if (failure) {
+            throw failure;
+        }
+    }
+
+    completePart(state, part, size) {
+        state.parts.push(part);
+        state.parts.sort((a, b) => a.PartNumber - b.PartNumber);
+        state.loadedBytes += size;
+        this.report(state);
+    }
+
+    report(state) {
+        if (typeof this.options.onProgress === 'function') {
+            this.options.onProgress({ ...state, parts: [...state.parts] });
+        }
+    }
+}
@@ -0,0 +1,94 @@
+import { FILE_LIMITS, MEDIA_TYPES, S3_PATTERNS } from "@myorg/constants";
+import { UnauthorizedError, ValidationError } from "@myorg/error";
+
+/**
+ * Helpers for presigned URLs and POST policies: expiry limits, identity-scoped keys and content rules
+ */
+
+// Default lifetime of presigned URLs and POST policies in seconds
+export const DEFAULT_URL_EXPIRY = 3600;
+// SigV4 presigned URLs are valid for at most 7 days
+export const MAX_URL_EXPIRY = 604800;
+
+/**
+ * Upload presets for createPresignedPost's `policy` option
+ */
+export const UPLOAD_POLICIES = {
+    avatar: {
+        folder: 'avatar',
+        maxSize: FILE_LIMITS.MAX_IMAGE_SIZE,
+        contentTypes: [MEDIA_TYPES.IMAGE_JPEG, MEDIA_TYPES.IMAGE_PNG, MEDIA_TYPES.IMAGE_GIF]
+    },
+    document: {
+        folder: 'document',
+        maxSize: FILE_LIMITS.MAX_UPLOAD_SIZE,
+        contentTypes: [MEDIA_TYPES.PDF, MEDIA_TYPES.TEXT, MEDIA_TYPES.CSV, MEDIA_TYPES.IMAGE_JPEG, MEDIA_TYPES.IMAGE_PNG]
+    }
+};
+
+/**
+ * Validate a presigned URL lifetime
+ * @param {number} expiresIn - Requested lifetime in seconds
+ * @param {number} fallback - Lifetime used when none is requested
+ * @returns {number} Lifetime in seconds
+ */
+export const resolveExpiry = (expiresIn, fallback = DEFAULT_URL_EXPIRY) => {
+    const seconds = expiresIn ?? fallback;
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_URL_EXPIRY) {
+        throw new ValidationError(`Expiry must be an integer between 1 and ${MAX_URL_EXPIRY} seconds`, { expiresIn: seconds });
+    }
+    return seconds;
+};
+
+/**
+ * The caller's Cognito identity from an API Gateway event
+ * Identity pool (IAM-authorised) requests carry cognitoIdentityId; user pool authorisers carry the `sub` claim.
+ * @param {Object} event - Lambda event
+ * @returns {string|undefined} Identity
+ */
+export const identityId = (event) => event?.requestContext?.identity?.cognitoIdentityId
+    || event?.requestContext?.authorizer?.claims?.sub
+    || event?.requestContext?.authorizer?.jwt?.claims?.sub;
+
+/**
+ * Build a key scoped to one identity: ENVIRONMENT/SERVICE_NAME/<folder>/<identity>/<fileName>
+ * @param {string} identity - Cognito identity
+ * @param {string} fileName - File name, may contain sub-folders but no `.`/`..` segments
+ * @param {Object} options - Options
+ * @param {string} options.folder - Folder above the identity (default: 'private'; '' for none)
+ * @returns {string} Key
+ */
+export const scopedKey = (identity, fileName, options = {}) => {
+    if (!identity) {
+        throw new UnauthorizedError('A Cognito identity is required for a scoped upload');
+    }
+    if (typeof fileName !== 'string' || fileName.split('/').some((segment) => ['', '.', '..'].includes(segment))) {
+        throw new ValidationError('File name must be a relative path without empty, . or .. segments', { fileName });
+    }
+    const folder = options.folder ?? 'private';
+    return S3_PATTERNS.getKey(`${folder ? `${folder}/` : ''}${identity}/${fileName}`);
+};
+
+/**
+ * Whether a content type is allowed; entries ending in `/*` match a whole family such as `image/*`
+ * @param {string} contentType - Content type
+ * @param {Array<string>} allowed - Allowed content types
+ * @returns {boolean} True when allowed
+ */
+export const contentTypeAllowed = (contentType, allowed) => allowed.some((type) => (
+    type.endsWith('/*') ? contentType.startsWith(type.slice(0, -1)) : type === contentType
+));
+
+/**
+ * Render a Content-Disposition value with an ASCII fallback and an RFC 5987 UTF-8 file name
+ * @param {string} disposition - 'attachment' or 'inline'
+ * @param {string} fileName - File name shown to the user
+ * @returns {string} Content-Disposition
+ */
+export const contentDisposition = (disposition = 'attachment', fileName) => {
+    if (!fileName) {
+        return disposition;
+    }
+    const ascii = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${disposition}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
@@ -0,0 +1,309 @@
+import { ValidationError, createErrorClass } from "@myorg/error";
+import { parseJson } from "./json.js";
+
+/**
+ * Parameterized S3 Select queries and event stream consumption
+ * Values are rendered as escaped SQL literals and column paths as quoted identifiers, so request
+ * input can never change the shape of the query.
+ */
+
+/**
+ * Raised when an S3 Select event stream ends without its End event, i.e. the results are incomplete
+ */
+export const SelectStreamError = createErrorClass('SelectStreamError', 'S3 Select results are incomplete', 502);
+
+const SOURCE_PATTERN = /^S3Object(\[\*\]|\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const CAST_TYPES = ['BOOL', 'INT', 'INTEGER', 'FLOAT', 'DECIMAL', 'NUMERIC', 'STRING', 'TIMESTAMP'];
+
+/**
+ * Render a column path such as `address.city`, `tags[0]` or the positional CSV column `_1`
+ * @param {string} path - Column path
+ * @returns {string} Identifier qualified with the `s` alias, e.g. `s."address"."city"`
+ */
+const identifier = (path) => {
+    if (typeof path !== 'string' || path.length === 0) {
+        throw new ValidationError('Column path must be a non-empty string', { path });
+    }
+    return ['s', ...path.split('.').map((segment) => {
+        const match = segment.match(/^([^\[\]]+)((?:\[\d+\])*)$/);
+        if (!match) {
+            throw new ValidationError(`Invalid column path segment '${segment}' in '${path}'`);
+        }
+        const name = /^_\d+$/.test(match[1]) ? match[1] : `"${match[1].replace(/"/g, '""')}"`;
+        return name + match[2];
+    })].join('.');
+};
+
+/**
+ * Render a value as an S3 Select SQL literal
+ * @param {string|number|boolean|Date|null} value - Value
+ * @returns {string} Literal
+ */
+export const literal = (value) => {
+    if (value === null) {
+        return 'NULL';
+    }
+    if (typeof value === 'string') {
+        return `'${value.replace(/'/g, "''")}'`;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+        return `CAST('${value.toISOString()}' AS TIMESTAMP)`;
+    }
+    throw new ValidationError('S3 Select values must be strings, finite numbers, booleans, dates or null', { type: typeof value });
+};
+
+// Escape LIKE wildcards so user input only ever matches literally
+const likeLiteral = (value) => literal(String(value).replace(/[\\%_]/g, '\\$&'));
+
+const comparison = (operator) => (path, value) => () => `${identifier(path)} ${operator} ${literal(value)}`;
+
+const group = (operator) => (...clauses) => () => {
+    if (clauses.length === 0) {
+        throw new ValidationError(`${operator} needs at least one clause`);
+    }
+    return clauses.length === 1 ? clauses[0]() : `(${clauses.map((clause) => clause()).join(` ${operator} `)})`;
+};
+
+/**
+ * Composable clause helpers for SelectQuery.where()
+ */
+export const where = {
+    eq: comparison('='),
+    ne: comparison('<>'),
+    lt: comparison('<'),
+    lte: comparison('<='),
+    gt: comparison('>'),
+    gte: comparison('>='),
+    between: (path, low, high) => () => `${identifier(path)} BETWEEN ${literal(low)} AND ${literal(high)}`,
+    in: (path, values) => () => {
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new ValidationError('IN needs a non-empty array of values', { path });
+        }
+        return `${identifier(path)} IN (${values.map(literal).join(', ')})`;
+    },
+    startsWith: (path, prefix) => () => `${identifier(path)} LIKE ${likeLiteral(prefix).slice(0, -1)}%' ESCAPE '\\'`,
+    contains: (path, text) => () => `${identifier(path)} LIKE '%${likeLiteral(text).slice(1, -1)}%' ESCAPE '\\'`,
+    isNull: (path) => () => `${identifier(path)} IS NULL`,
+    isNotNull: (path) => () => `${identifier(path)} IS NOT NULL`,
+    isMissing: (path) => () => `${identifier(path)} IS MISSING`,
+    /**
+     * Compare a column after casting it, e.g. numeric comparisons on CSV input where every field is a string
+     */
+    cast: (path, type, operator, value) => () => {
+        if (!CAST_TYPES.includes(type)) {
+            throw new ValidationError(`Unknown cast type '${type}'`, { allowed: CAST_TYPES });
+        }
+        if (!['=', '<>', '<', '<=', '>', '>='].includes(operator)) {
+            throw new ValidationError(`Unknown operator '${operator}'`);
+        }
+        return `CAST(${identifier(path)} AS ${type}) ${operator} ${literal(value)}`;
+    },
+    and: group('AND'),
+    or: group('OR'),
+    not: (clause) => () => `NOT ${clause()}`
+};
+
+/**
+ * Fluent S3 Select query builder
+ *
+ * @example
+ * const query = new SelectQuery()
+ *     .from('S3Object[*][*]')
+ *     .select('code', 'name')
+ *     .where(where.eq('code', event.pathParameters.countryCode));
+ * const { rows } = await storage.select({ Bucket, Key }, query);
+ */
+export class SelectQuery {
+    constructor() {
+        this.source = 'S3Object';
+        this.columns = [];
+        this.clauses = [];
+        this.maxRows = null;
+        this.input = { CompressionType: 'NONE', JSON: { Type: 'DOCUMENT' } };
+    }
+
+    /**
+     * Set the FROM source, e.g. `S3Object[*][*]` for a JSON document whose root is an array
+     * @param {string} source - S3Object path
+     * @returns {SelectQuery} Query
+     */
+    from(source) {
+        if (!SOURCE_PATTERN.test(source)) {
+            throw new ValidationError(`Invalid S3 Select source '${source}'`);
+        }
+        this.source = source;
+        return this;
+    }
+
+    /**
+     * Restrict the columns returned (default: all)
+     * @param {...string} paths - Column paths
+     * @returns {SelectQuery} Query
+     */
+    select(...paths) {
+        this.columns.push(...paths.flat());
+        return this;
+    }
+
+    /**
+     * Add a WHERE clause; multiple calls are combined with AND
+     * @param {Function} clause - Clause built with `where`
+     * @returns {SelectQuery} Query
+     */
+    where(clause) {
+        this.clauses.push(clause);
+        return this;
+    }
+
+    /**
+     * Limit the number of rows returned
+     * @param {number} count - Maximum rows
+     * @returns {SelectQuery} Query
+     */
+    limit(count) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new ValidationError('Limit must be a positive integer', { limit: count });
+        }
+        this.maxRows = count;
+        return this;
+    }
+
+    /**
+     * Read JSON input
+     * @param {Object} options - Options
+     * @param {string} options.type - 'DOCUMENT' or 'LINES' (default: 'DOCUMENT')
+     * @param {string} options.compression - 'NONE', 'GZIP' or 'BZIP2' (default: 'NONE')
+     * @returns {SelectQuery} Query
+     */
+    json(options = {}) {
+        this.input = { CompressionType: options.compression || 'NONE', JSON: { Type: options.type || 'DOCUMENT' } };
+        return this;
+    }
+
+    /**
+     * Read CSV input
+     * @param {Object} options - Options
+     * @param {string} options.header - 'USE' (columns by header name), 'IGNORE' or 'NONE' (default: 'USE')
+     * @param {string} options.delimiter - Field delimiter (default: ',')
+     * @param {string} options.quote - Quote character (default: '"')
+     * @param {string} options.comments - Comment line prefix
+     * @param {string} options.compression - 'NONE', 'GZIP' or 'BZIP2' (default: 'NONE')
+     * @returns {SelectQuery} Query
+     */
+    csv(options = {}) {
+        this.input = {
+            CompressionType: options.compression || 'NONE',
+            CSV: {
+                FileHeaderInfo: options.header || 'USE',
+                FieldDelimiter: options.delimiter || ',',
+                QuoteCharacter: options.quote || '"',
+                ...(options.comments && { Comments: options.comments })
+            }
+        };
+        return this;
+    }
+
+    /**
+     * Read Parquet input (Parquet is compressed internally, so CompressionType stays NONE)
+     * @returns {SelectQuery} Query
+     */
+    parquet() {
+        this.input = { CompressionType: 'NONE', Parquet: {} };
+        return this;
+    }
+
+    /**
+     * Render the SQL expression
+     * @returns {string} Expression
+     */
+    toExpression() {
+        const columns = this.columns.length > 0 ? this.columns.map(identifier).join(', ') : '*';
+        const conditions = this.clauses.length > 0 ? ` WHERE ${this.clauses.map((clause) => clause()).join(' AND ')}` : '';
+        const limit = this.maxRows ? ` LIMIT ${this.maxRows}` : '';
+        return `SELECT ${columns} FROM ${this.source} s${conditions}${limit}`;
+    }
+
+    /**
+     * Render SelectObjectContentCommand parameters; results are always JSON lines
+     * @param {Object} params - Bucket, Key and any other command parameters
+     * @returns {Object} Command parameters
+     */
+    build(params = {}) {
+        return {
+            ...params,
+            ExpressionType: 'SQL',
+            Expression: this.toExpression(),
+            InputSerialization: this.input,
+            OutputSerialization: { JSON: { RecordDelimiter: '\n' } }
+        };
+    }
+}
+
+const byteDetails = (details = {}) => ({
+    bytesScanned: details.BytesScanned,
+    bytesProcessed: details.BytesProcessed,
+    bytesReturned: details.BytesReturned
+});
+
+/**
+ * Consume a SelectObjectContent event stream into parsed rows
+ * Record events can split a row across chunks, so rows are reassembled on the record delimiter.
+ * @param {AsyncIterable} payload - `Payload` of a SelectObjectContent response with JSON output
+ * @param {Object} options - Options
+ * @param {Function} options.onRow - Called with each parsed row
+ * @param {Function} options.onProgress - Called with { bytesScanned, bytesProcessed, bytesReturned } (needs RequestProgress)
+ * @param {boolean} options.collect - Keep rows in the result (default: true); disable when streaming through onRow
+ * @param {Object} options.location - Bucket and Key, for errors
+ * @returns {Promise<{rows: Array<Object>, rowCount: number, stats: Object}>} Rows and final byte stats
+ * @throws {SelectStreamError} When the stream ends before its End event
+ */
+export const readSelectStream = async (payload, options = {}) => {
+    const decoder = new TextDecoder();
+    const location = options.location || {};
+    const rows = [];
+    let rowCount = 0;
+    let buffered = '';
+    let stats = null;
+    let complete = false;
+
+    const emit = (line) => {
+        if (line.trim() === '') {
+            return;
+        }
+        const row = parseJson(line, location);
+        rowCount++;
+        if (options.collect !== false) {
+            rows.push(row);
+        }
+        if (typeof options.onRow === 'function') {
+            options.onRow(row);
+        }
+    };
+
+    for await (const event of payload || []) {
+        if (event.Records) {
+            buffered += decoder.decode(event.Records.Payload, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(emit);
+        } else if (event.Progress && typeof options.onProgress === 'function') {
+            options.onProgress(byteDetails(event.Progress.Details));
+        } else if (event.Stats) {
+            stats = byteDetails(event.Stats.Details);
+        } else if (event.End) {
+            complete = true;
+        }
+    }
+    emit(buffered + decoder.decode());
+
+    if (!complete) {
+        throw new SelectStreamError(undefined, { ...location, rowCount });
+    }
+    return { rows, rowCount, stats };
+};
@@ -0,0 +1,50 @@
+/**
+ * Helpers for copies and object versions
+ */
+
+// S3 accepts at most 1000 keys per DeleteObjects request
+export const MAX_DELETE_BATCH = 1000;
+
+/**
+ * Render a CopySource header value: bucket/key with the key URL-encoded and an optional versionId
+ * @param {{Bucket: string, Key: string, VersionId: string}} source - Source object
+ * @returns {string} CopySource value
+ */
+export const copySource = (source) => {
+    const key = source.Key.split('/').map(encodeURIComponent).join('/');
+    return `${source.Bucket}/${key}${source.VersionId ? `?versionId=${encodeURIComponent(source.VersionId)}` : ''}`;
+};
+
+/**
+ * Merge the versions and delete markers of a ListObjectVersions page into entries
+ * @param {Object} data - ListObjectVersions response
+ * @returns {Array<Object>} Entries with { key, versionId, isLatest, isDeleteMarker, lastModified, size, etag, storageClass }
+ */
+export const versionEntries = (data) => [
+    ...(data.Versions || []).map((version) => ({
+        key: version.Key,
+        versionId: version.VersionId,
+        isLatest: !!version.IsLatest,
+        isDeleteMarker: false,
+        lastModified: version.LastModified,
+        size: version.Size,
+        etag: version.ETag,
+        storageClass: version.StorageClass
+    })),
+    ...(data.DeleteMarkers || []).map((marker) => ({
+        key: marker.Key,
+        versionId: marker.VersionId,
+        isLatest: !!marker.IsLatest,
+        isDeleteMarker: true,
+        lastModified: marker.LastModified
+    }))
+];
+
+/**
+ * Order versions newest first: the latest version, then by last modified
+ * @param {Object} a - Version entry
+ * @param {Object} b - Version entry
+ * @returns {number} Sort order
+ */
+export const newestFirst = (a, b) => (Number(b.isLatest) - Number(a.isLatest))
+    || (new Date(b.lastModified).getTime() - new Date(a.lastModified).getTime());
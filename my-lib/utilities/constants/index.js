@@ -9,6 +9,7 @@
 export const ENVIRONMENT = {
   STAGE: process.env.STAGE || process.env.NODE_ENV || 'dev',
   REGION: process.env.AWS_REGION || process.env.REGION || 'eu-west-1',
+  APP_NAME: process.env.APP_NAME || 'myapp',
   SERVICE_NAME: process.env.SERVICE_NAME || 'lambda-service'
 };
 
@@ -63,14 +64,28 @@ export const AWS_CONFIG = {
  */
 export const TABLE_PATTERNS = {
   /**
-   * Generate table name with environment prefix
+   * Generate table name with environment, app and service prefix
+   * This is the single naming convention shared by every DynamoDB caller:
+   * `${ENVIRONMENT}.${APP_NAME}.${SERVICE_NAME}.${tableName}`
    * @param {string} tableName - Base table name
+   * @param {Object} overrides - Per-call overrides
+   * @param {string} overrides.prefix - Replaces the whole environment.app.service prefix (default: TABLE_PREFIX env var,
+   *   which is ignored when any segment below is overridden)
+   * @param {string} overrides.environment - Environment/stage segment
+   * @param {string} overrides.appName - App name segment
+   * @param {string} overrides.serviceName - Service name segment, e.g. to read another service's table
    * @returns {string} Full table name with environment prefix
    */
-  getTableName: (tableName) => {
-    const env = process.env.ENVIRONMENT || ENVIRONMENT.STAGE;
-    const service = process.env.SERVICE_NAME || ENVIRONMENT.SERVICE_NAME;
-    return `${env}.${service}.${tableName}`;
+  getTableName: (tableName, overrides = {}) => {
+    const segmentOverride = overrides.environment || overrides.appName || overrides.serviceName;
+    const prefix = overrides.prefix || (!segmentOverride && process.env.TABLE_PREFIX);
+    if (prefix) {
+      return `${prefix}.${tableName}`;
+    }
+    const env = overrides.environment || process.env.ENVIRONMENT || ENVIRONMENT.STAGE;
+    const app = overrides.appName || process.env.APP_NAME || ENVIRONMENT.APP_NAME;
+    const service = overrides.serviceName || process.env.SERVICE_NAME || ENVIRONMENT.SERVICE_NAME;
+    return `${env}.${app}.${service}.${tableName}`;
   },
 
   /**
@@ -241,7 +256,8 @@ export const TIMEOUTS = {
 export const FILE_LIMITS = {
   MAX_UPLOAD_SIZE: 10 * 1024 * 1024, // 10MB
   MAX_JSON_SIZE: 1024 * 1024, // 1MB
-  MAX_IMAGE_SIZE: 5 * 1024 * 1024 // 5MB
+  MAX_IMAGE_SIZE: 5 * 1024 * 1024, // 5MB
+  MULTIPART_PART_SIZE: 8 * 1024 * 1024 // 8MB, S3 minimum is 5MB
 };
 
 /**
@@ -265,7 +281,8 @@ export const MEDIA_TYPES = {
   PDF: 'application/pdf',
   IMAGE_JPEG: 'image/jpeg',
   IMAGE_PNG: 'image/png',
-  IMAGE_GIF: 'image/gif'
+  IMAGE_GIF: 'image/gif',
+  CSV: 'text/csv'
 };
 
 /**
@@ -162,14 +162,22 @@ class Logger {
    * @param {number} duration - Operation duration in ms
    * @param {boolean} success - Whether operation was successful
    * @param {Error} error - Error if operation failed
+   * @param {Object} details - Result metadata
+   * @param {number} details.itemCount - Items returned or written
+   * @param {number} details.scannedCount - Items evaluated by a query or scan
+   * @param {number} details.consumedCapacity - Capacity units consumed
+   * @param {number} details.slowThreshold - Duration in ms above which a successful operation is logged as a warning
+   * @param {boolean} details.conditionFailed - The failure was an unmet condition, logged as a warning instead of an error
    */
-  static logDatabaseOperation(operation, tableName, params = {}, duration = 0, success = true, error = null) {
+  static logDatabaseOperation(operation, tableName, params = {}, duration = 0, success = true, error = null, details = {}) {
+    const { slowThreshold, conditionFailed, ...results } = details;
     const metadata = {
       operation: 'database',
       dbOperation: operation,
       tableName,
       duration: `${duration}ms`,
       success,
+      ...results,
       ...(error && {
         error: {
           name: error.name,
@@ -189,8 +197,12 @@ class Logger {
       metadata.hasUpdateExpression = true;
     }
 
-    if (success) {
+    if (success && slowThreshold !== undefined && duration > slowThreshold) {
+      this.warn(`Slow database operation`, metadata);
+    } else if (success) {
       this.debug(`Database operation completed`, metadata);
+    } else if (conditionFailed) {
+      this.warn(`Database condition not met`, metadata);
     } else {
       this.error(`Database operation failed`, metadata);
     }
@@ -242,8 +254,8 @@ class Logger {
       info: (message, metadata = {}) => this.info(message, { ...context, ...metadata }),
       debug: (message, metadata = {}) => this.debug(message, { ...context, ...metadata }),
       timeFunction: (functionName, fn, ...args) => this.timeFunction(functionName, fn, ...args),
-      logDatabaseOperation: (operation, tableName, params, duration, success, error) => 
-        this.logDatabaseOperation(operation, tableName, params, duration, success, error)
+      logDatabaseOperation: (operation, tableName, params, duration, success, error, details) =>
+        this.logDatabaseOperation(operation, tableName, params, duration, success, error, details)
     };
   }
 
@@ -278,6 +290,34 @@ class Logger {
     });
   }
 
+  /**
+   * Write metrics as a CloudWatch Embedded Metric Format line
+   * CloudWatch Logs extracts the metrics from the log line, so no PutMetricData call is needed
+   * @param {string} namespace - CloudWatch namespace
+   * @param {Object} metrics - Metric values by name: { Duration: { value: 12, unit: 'Milliseconds' } } or { Count: 3 }
+   * @param {Object} dimensions - Dimension values by name, e.g. { TableName, Operation }
+   * @param {Object} properties - Extra fields searchable in Logs Insights but not turned into metrics
+   */
+  static logEmbeddedMetrics(namespace, metrics = {}, dimensions = {}, properties = {}) {
+    const entries = Object.entries(metrics).map(([name, metric]) => (
+      typeof metric === 'object' ? { name, value: metric.value, unit: metric.unit || 'None' } : { name, value: metric, unit: 'None' }
+    ));
+
+    console.log(JSON.stringify({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: namespace,
+          Dimensions: [Object.keys(dimensions)],
+          Metrics: entries.map(({ name, unit }) => ({ Name: name, Unit: unit }))
+        }]
+      },
+      ...properties,
+      ...dimensions,
+      ...Object.fromEntries(entries.map(({ name, value }) => [name, value]))
+    }));
+  }
+
   /**
    * Log business event
    * @param {string} event - Event name
@@ -297,5 +337,18 @@ class Logger {
 export default Logger;
 export { LOG_LEVELS };
 
-// Export individual logging functions for convenience
-export const { error, warn, info, debug, timeFunction, logDatabaseOperation, createChildLogger, setLambdaContext, clearLambdaContext, logRequest, logResponse, logMetric, logBusinessEvent } = Logger;
\ No newline at end of file
+// Export individual logging functions for convenience, bound so `this` still refers to Logger
+export const error = Logger.error.bind(Logger);
+export const warn = Logger.warn.bind(Logger);
+export const info = Logger.info.bind(Logger);
+export const debug = Logger.debug.bind(Logger);
+export const timeFunction = Logger.timeFunction.bind(Logger);
+export const logDatabaseOperation = Logger.logDatabaseOperation.bind(Logger);
+export const createChildLogger = Logger.createChildLogger.bind(Logger);
+export const setLambdaContext = Logger.setLambdaContext.bind(Logger);
+export const clearLambdaContext = Logger.clearLambdaContext.bind(Logger);
+export const logRequest = Logger.logRequest.bind(Logger);
+export const logResponse = Logger.logResponse.bind(Logger);
+export const logMetric = Logger.logMetric.bind(Logger);
+export const logEmbeddedMetrics = Logger.logEmbeddedMetrics.bind(Logger);
+export const logBusinessEvent = Logger.logBusinessEvent.bind(Logger);
\ No newline at end of file
@@ -9,7 +9,8 @@ class ResponseHelper {
   static DEFAULT_CORS_HEADERS = {
     "Access-Control-Allow-Origin": "*",
     "Access-Control-Allow-Credentials": true,
-    "Access-Control-Allow-Headers": "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,X-Correlation-ID",
+    "Access-Control-Allow-Headers": "Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,X-Correlation-ID,If-Match",
+    "Access-Control-Expose-Headers": "ETag,X-Correlation-ID,X-Request-ID",
     "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS"
   };
 
@@ -370,7 +370,9 @@ class ValidationHelper {
     const validators = {
       limit: (value) => this.validateInteger(value, 1, 100, 'Limit', false) || { isValid: true, value: 20 },
       offset: (value) => this.validateInteger(value, 0, Number.MAX_SAFE_INTEGER, 'Offset', false) || { isValid: true, value: 0 },
-      lastEvaluatedKey: (value) => this.validateStringLength(value, 1, 1000, 'LastEvaluatedKey', false)
+      // Cursors are base64url JSON of a LastEvaluatedKey, which on an index holds both the table and the index key
+      // (up to 2048 bytes per partition value and 1024 per sort value), so they can run to several thousand characters
+      lastEvaluatedKey: (value) => this.validateStringLength(value, 1, 16384, 'LastEvaluatedKey', false)
     };
 
     return this.validateObject(params, validators);
@@ -410,22 +412,20 @@ class ValidationHelper {
 
 export default ValidationHelper;
 
-// Export for backward compatibility and convenience
-export const {
-  validateEmail,
-  validateRequired,
-  validateStringLength,
-  validateUUID,
-  validateNumber,
-  validateInteger,
-  validateDate,
-  validateEnum,
-  validateArray,
-  sanitizeInput,
-  sanitizeHtml,
-  validatePhone,
-  validateUsername,
-  validateObject,
-  validatePagination,
-  PATTERNS
-} = ValidationHelper;
\ No newline at end of file
+// Export for backward compatibility and convenience with proper binding
+export const validateEmail = ValidationHelper.validateEmail.bind(ValidationHelper);
+export const validateRequired = ValidationHelper.validateRequired.bind(ValidationHelper);
+export const validateStringLength = ValidationHelper.validateStringLength.bind(ValidationHelper);
+export const validateUUID = ValidationHelper.validateUUID.bind(ValidationHelper);
+export const validateNumber = ValidationHelper.validateNumber.bind(ValidationHelper);
+export const validateInteger = ValidationHelper.validateInteger.bind(ValidationHelper);
+export const validateDate = ValidationHelper.validateDate.bind(ValidationHelper);
+export const validateEnum = ValidationHelper.validateEnum.bind(ValidationHelper);
+export const validateArray = ValidationHelper.validateArray.bind(ValidationHelper);
+export const sanitizeInput = ValidationHelper.sanitizeInput.bind(ValidationHelper);
+export const sanitizeHtml = ValidationHelper.sanitizeHtml.bind(ValidationHelper);
+export const validatePhone = ValidationHelper.validatePhone.bind(ValidationHelper);
+export const validateUsername = ValidationHelper.validateUsername.bind(ValidationHelper);
+export const validateObject = ValidationHelper.validateObject.bind(ValidationHelper);
+export const validatePagination = ValidationHelper.validatePagination.bind(ValidationHelper);
+export const { PATTERNS } = ValidationHelper;
\ No newline at end of file